@@ -0,0 +1,877 @@
+/**
+ * Fake Meta Graph API
+ *
+ * A local, in-memory stand-in for https://graph.facebook.com so the
+ * campaign, analytics, and OAuth flows can be developed and tested
+ * without a live ad account or token.
+ *
+ * - Keeps campaigns, ad sets, ads, and creatives in memory (seeded with
+ *   a small demo account)
+ * - Generates deterministic synthetic insights for any date_preset
+ * - Returns Meta-style error envelopes (codes 100, 190, 17, 613)
+ * - Supports failure injection, from FACEBOOK_GRAPH_MOCK_FAILURES or the
+ *   /__mock/failures control endpoint
+ * - Accepts batch requests (POST / with `batch`), including
+ *   {result=name:$.path} references between sub-requests
+ * - Accepts hashed customer lists for custom audiences (users and
+ *   usersreplace, in sessions of batches)
+ *
+ * Mounted in-process by server.js when FACEBOOK_GRAPH_MOCK=true, or run
+ * standalone with `npm run mock:graph` and point FACEBOOK_GRAPH_URL at it.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+// ---------- Meta error envelopes ----------
+
+const ERRORS = {
+  100: { type: 'OAuthException', message: 'Invalid parameter' },
+  190: { type: 'OAuthException', message: 'Error validating access token: Session has expired.', error_subcode: 463 },
+  17: { type: 'OAuthException', message: 'User request limit reached', is_transient: true },
+  613: { type: 'OAuthException', message: 'Calls to this api have exceeded the rate limit.', is_transient: true },
+};
+
+function graphError(code, overrides = {}) {
+  const base = ERRORS[code] || { type: 'OAuthException', message: 'An unknown error occurred' };
+  return {
+    error: {
+      message: base.message,
+      type: base.type,
+      code,
+      ...(base.error_subcode ? { error_subcode: base.error_subcode } : {}),
+      ...(base.is_transient ? { is_transient: true } : {}),
+      fbtrace_id: crypto.randomBytes(8).toString('base64').replace(/[^A-Za-z0-9]/g, ''),
+      ...overrides,
+    },
+  };
+}
+
+function invalidParam(message, userMsg) {
+  return graphError(100, { message: `Invalid parameter: ${message}`, error_user_msg: userMsg || message });
+}
+
+function unknownObject(id) {
+  return graphError(100, {
+    message: `Unsupported get request. Object with ID '${id}' does not exist, cannot be loaded due to missing permissions, or does not support this operation.`,
+    type: 'GraphMethodException',
+    error_subcode: 33,
+  });
+}
+
+// ---------- Deterministic randomness ----------
+
+function seededRandom(seed) {
+  let h = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    h = (h + 0x6d2b79f5) >>> 0;
+    let t = h;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ---------- Dates ----------
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d;
+}
+
+// Resolve a Meta date_preset to an inclusive [since, until] day range
+function presetRange(preset, now = new Date()) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const yesterday = addDays(today, -1);
+  const lastN = (n) => ({ since: addDays(today, -n), until: yesterday });
+
+  switch (preset) {
+    case 'today': return { since: today, until: today };
+    case 'yesterday': return { since: yesterday, until: yesterday };
+    case 'this_month': return { since: new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)), until: today };
+    case 'last_month': {
+      const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 1, 1));
+      return { since: start, until: addDays(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)), -1) };
+    }
+    case 'maximum': return lastN(365);
+    default: {
+      const m = /^last_(\d+)d$/.exec(preset || '');
+      return lastN(m ? parseInt(m[1], 10) : 30);
+    }
+  }
+}
+
+// ---------- In-memory store ----------
+
+function createStore() {
+  let nextId = 120200000000000001n;
+  const newId = () => String(nextId++);
+  const now = () => new Date().toISOString().replace(/\.\d+Z$/, '+0000');
+
+  const store = {
+    account: {
+      account_id: '1000000001',
+      name: 'Demo Ad Account',
+      account_status: 1,
+      currency: 'USD',
+      timezone_name: 'America/New_York',
+      balance: '0',
+      amount_spent: '1843255',
+    },
+    pages: [{ id: '104000000000001', name: 'Demo Store', picture: { data: { url: 'https://placehold.co/50' } } }],
+    campaigns: new Map(),
+    adsets: new Map(),
+    ads: new Map(),
+    creatives: new Map(),
+    audiences: new Map(),
+    // Ads with delivery history; drafts created through the API have none until activated
+    delivering: new Set(),
+    newId,
+    now,
+  };
+
+  // Seed a small account: two running campaigns and one draft
+  const seed = [
+    { name: 'Spring Sale — Prospecting', objective: 'OUTCOME_SALES', status: 'ACTIVE', daily_budget: '5000' },
+    { name: 'Best Sellers — Traffic', objective: 'OUTCOME_TRAFFIC', status: 'ACTIVE', daily_budget: '2500' },
+    { name: 'Retargeting — Site Visitors', objective: 'OUTCOME_SALES', status: 'PAUSED', daily_budget: '1500' },
+  ];
+  for (const c of seed) {
+    const campaign = { id: newId(), ...c, special_ad_categories: [], buying_type: 'AUCTION', bid_strategy: 'LOWEST_COST_WITHOUT_CAP', created_time: now(), updated_time: now() };
+    store.campaigns.set(campaign.id, campaign);
+
+    const adset = {
+      id: newId(),
+      name: `${c.name} — Broad US`,
+      campaign_id: campaign.id,
+      status: c.status,
+      optimization_goal: c.objective === 'OUTCOME_TRAFFIC' ? 'LINK_CLICKS' : 'OFFSITE_CONVERSIONS',
+      billing_event: 'IMPRESSIONS',
+      targeting: { age_min: 25, age_max: 55, geo_locations: { countries: ['US'] } },
+      start_time: now(),
+      created_time: now(),
+      updated_time: now(),
+    };
+    store.adsets.set(adset.id, adset);
+
+    const creative = {
+      id: newId(),
+      name: `${c.name} Creative`,
+      object_story_spec: {
+        page_id: store.pages[0].id,
+        link_data: { message: 'Shop the collection', link: 'https://example.myshopify.com/collections/all', name: c.name },
+      },
+    };
+    store.creatives.set(creative.id, creative);
+
+    const ad = {
+      id: newId(),
+      name: `${c.name} — Ad 1`,
+      adset_id: adset.id,
+      campaign_id: campaign.id,
+      status: c.status,
+      creative: { id: creative.id },
+      created_time: now(),
+      updated_time: now(),
+    };
+    store.ads.set(ad.id, ad);
+    store.delivering.add(ad.id);
+  }
+
+  return store;
+}
+
+// ---------- Synthetic insights ----------
+
+// One day of metrics for one ad-level object; campaigns/ad sets/account sum their ads
+function dailyMetrics(objectId, day) {
+  const rand = seededRandom(`${objectId}:${day}`);
+  const impressions = Math.round(800 + rand() * 4200);
+  const ctr = 0.006 + rand() * 0.019;
+  const clicks = Math.round(impressions * ctr);
+  const cpm = 6 + rand() * 8;
+  const spend = (impressions / 1000) * cpm;
+  const frequency = 1.1 + rand() * 0.7;
+  const linkClicks = Math.round(clicks * (0.75 + rand() * 0.2));
+  const landingPageViews = Math.round(linkClicks * (0.6 + rand() * 0.3));
+  const addToCart = Math.round(landingPageViews * (0.04 + rand() * 0.08));
+  const initiateCheckout = Math.round(addToCart * (0.4 + rand() * 0.3));
+  const purchases = Math.round(initiateCheckout * (0.3 + rand() * 0.4));
+  const purchaseValue = purchases * (25 + rand() * 40);
+
+  return {
+    impressions,
+    clicks,
+    spend,
+    reach: Math.round(impressions / frequency),
+    actions: {
+      link_click: linkClicks,
+      landing_page_view: landingPageViews,
+      add_to_cart: addToCart,
+      initiate_checkout: initiateCheckout,
+      purchase: purchases,
+      'offsite_conversion.fb_pixel_purchase': purchases,
+    },
+    action_values: {
+      purchase: purchaseValue,
+      'offsite_conversion.fb_pixel_purchase': purchaseValue,
+    },
+  };
+}
+
+function sumMetrics(rows) {
+  const total = { impressions: 0, clicks: 0, spend: 0, reach: 0, actions: {}, action_values: {} };
+  for (const r of rows) {
+    total.impressions += r.impressions;
+    total.clicks += r.clicks;
+    total.spend += r.spend;
+    total.reach += r.reach;
+    for (const [k, v] of Object.entries(r.actions)) total.actions[k] = (total.actions[k] || 0) + v;
+    for (const [k, v] of Object.entries(r.action_values)) total.action_values[k] = (total.action_values[k] || 0) + v;
+  }
+  return total;
+}
+
+// ---------- Breakdowns ----------
+
+const BREAKDOWN_VALUES = {
+  age: ['18-24', '25-34', '35-44', '45-54', '55-64', '65+'],
+  gender: ['female', 'male', 'unknown'],
+  publisher_platform: ['facebook', 'instagram', 'audience_network', 'messenger'],
+  platform_position: ['feed', 'story', 'facebook_reels', 'marketplace', 'search'],
+  region: ['California', 'Texas', 'Florida', 'New York', 'Illinois', 'Pennsylvania', 'Ohio', 'Georgia', 'Washington', 'Arizona'],
+};
+
+// Share of each value per ad; stable so segments add up to the same totals every call
+function breakdownShares(adId, breakdown) {
+  const rand = seededRandom(`${adId}:${breakdown}`);
+  const weights = BREAKDOWN_VALUES[breakdown].map(() => 0.2 + rand());
+  const total = weights.reduce((a, b) => a + b, 0);
+  return weights.map((w) => w / total);
+}
+
+// Every combination of values for the requested breakdowns, with its share of an ad's delivery
+function breakdownSegments(adId, breakdowns) {
+  let segments = [{ keys: {}, share: 1 }];
+  for (const b of breakdowns) {
+    const shares = breakdownShares(adId, b);
+    segments = segments.flatMap((seg) => BREAKDOWN_VALUES[b].map((value, i) => ({
+      keys: { ...seg.keys, [b]: value },
+      share: seg.share * shares[i],
+    })));
+  }
+  return segments;
+}
+
+function scaleMetrics(m, share) {
+  const scaleAll = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, v * share]));
+  return {
+    impressions: m.impressions * share,
+    clicks: m.clicks * share,
+    spend: m.spend * share,
+    reach: m.reach * share,
+    actions: scaleAll(m.actions),
+    action_values: scaleAll(m.action_values),
+  };
+}
+
+// Portion of 28-day-click-or-1-day-view conversions each attribution window credits
+const ATTRIBUTION_SHARES = { '1d_click': 0.55, '7d_click': 0.8, '28d_click': 0.9, '1d_view': 0.1, '7d_view': 0.16, '28d_view': 0.2 };
+
+// Meta reports insights as strings, with actions as [{ action_type, value }] arrays
+function formatInsightsRow(m, since, until, windows = []) {
+  const toList = (obj, digits) => Object.entries(obj).map(([action_type, v]) => {
+    const fmt = (x) => (digits ? x.toFixed(digits) : String(Math.round(x)));
+    const entry = { action_type, value: fmt(v) };
+    for (const w of windows) entry[w] = fmt(v * ATTRIBUTION_SHARES[w]);
+    return entry;
+  });
+  const costPer = Object.entries(m.actions)
+    .filter(([, v]) => v > 0)
+    .map(([action_type, v]) => ({ action_type, value: (m.spend / v).toFixed(6) }));
+  const purchaseValue = m.action_values['offsite_conversion.fb_pixel_purchase'] || 0;
+
+  return {
+    impressions: String(Math.round(m.impressions)),
+    clicks: String(Math.round(m.clicks)),
+    spend: m.spend.toFixed(2),
+    reach: String(Math.round(m.reach)),
+    frequency: m.reach ? (m.impressions / m.reach).toFixed(6) : '0',
+    ctr: m.impressions ? ((m.clicks / m.impressions) * 100).toFixed(6) : '0',
+    cpc: m.clicks ? (m.spend / m.clicks).toFixed(6) : '0',
+    cpm: m.impressions ? ((m.spend / m.impressions) * 1000).toFixed(6) : '0',
+    actions: toList(m.actions),
+    cost_per_action_type: costPer,
+    action_values: toList(m.action_values, 2),
+    purchase_roas: m.spend ? [{ action_type: 'omni_purchase', value: (purchaseValue / m.spend).toFixed(6) }] : [],
+    date_start: isoDay(since),
+    date_stop: isoDay(until),
+  };
+}
+
+// ---------- Request helpers ----------
+
+function parseFields(fields) {
+  if (!fields) return null;
+  // Drop nested field selections like creative{id,name} down to the top-level name
+  return String(fields).replace(/\{[^}]*\}/g, '').split(',').map((f) => f.trim()).filter(Boolean);
+}
+
+function pick(obj, fields) {
+  if (!fields) return { ...obj };
+  const out = { id: obj.id };
+  for (const f of fields) {
+    if (obj[f] !== undefined) out[f] = obj[f];
+  }
+  return out;
+}
+
+// Meta-style cursor pagination over a list of objects
+function paginate(req, items, fields) {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 500);
+  const encode = (i) => Buffer.from(String(i)).toString('base64');
+  const decode = (c) => parseInt(Buffer.from(String(c), 'base64').toString(), 10);
+
+  let start = 0;
+  if (req.query.after) start = decode(req.query.after) + 1;
+  else if (req.query.before) start = Math.max(0, decode(req.query.before) - limit);
+
+  const page = items.slice(start, start + limit);
+  const result = { data: page.map((o) => pick(o, fields)) };
+  if (page.length) {
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+    const qs = (cursor) => {
+      const q = new URLSearchParams(req.query);
+      q.delete('after');
+      q.delete('before');
+      for (const [k, v] of Object.entries(cursor)) q.set(k, v);
+      return `${base}?${q}`;
+    };
+    result.paging = { cursors: { before: encode(start), after: encode(start + page.length - 1) } };
+    if (start + limit < items.length) result.paging.next = qs({ after: encode(start + page.length - 1) });
+    if (start > 0) result.paging.previous = qs({ before: encode(start) });
+  }
+  if (req.query.summary === 'true' || req.query.summary === 'total_count') {
+    result.summary = { total_count: items.length };
+  }
+  return result;
+}
+
+// ---------- App factory ----------
+
+/**
+ * Build the fake Graph API as an Express app.
+ *
+ * @param {object} [options]
+ * @param {Array} [options.failures] — failure injection rules, see /__mock/failures
+ * @param {string[]} [options.invalidTokens] — tokens answered with error 190
+ * @param {number} [options.hourlyCallLimit] — calls per hour before error 17 (default 2000)
+ */
+function createGraphApiMock(options = {}) {
+  const app = express.Router();
+  let store = createStore();
+  let failures = [...(options.failures || [])];
+  const invalidTokens = new Set(options.invalidTokens || ['expired', 'invalid']);
+  const hourlyCallLimit = options.hourlyCallLimit || 2000;
+  let calls = [];
+
+  app.use(express.json({ limit: '5mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // ----- Control endpoints (not part of the Graph API) -----
+
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      campaigns: [...store.campaigns.values()],
+      adsets: [...store.adsets.values()],
+      ads: [...store.ads.values()],
+      creatives: [...store.creatives.values()],
+      failures,
+      calls_last_hour: calls.length,
+    });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    store = createStore();
+    failures = [];
+    calls = [];
+    res.json({ success: true });
+  });
+
+  // Body: { code, method?, path?, times?, probability? } or an array of them.
+  // `path` is a regular expression matched against the request path.
+  app.post('/__mock/failures', (req, res) => {
+    const rules = Array.isArray(req.body) ? req.body : [req.body];
+    failures.push(...rules.filter((r) => r && r.code));
+    res.json({ failures });
+  });
+
+  app.delete('/__mock/failures', (req, res) => {
+    failures = [];
+    res.json({ failures });
+  });
+
+  // ----- OAuth -----
+
+  // Stand-in for the www.facebook.com login dialog: approves immediately
+  app.get('/:version/dialog/oauth', (req, res) => {
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set('code', `mock-code-${crypto.randomBytes(4).toString('hex')}`);
+    if (req.query.state) redirect.searchParams.set('state', req.query.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.get('/:version/oauth/access_token', (req, res) => {
+    if (!req.query.client_id) return res.status(400).json(invalidParam('client_id is required'));
+    if (req.query.grant_type === 'fb_exchange_token') {
+      return res.json({ access_token: `mock-long-lived-${crypto.randomBytes(6).toString('hex')}`, token_type: 'bearer', expires_in: 5183944 });
+    }
+    if (!req.query.code) return res.status(400).json(invalidParam('code is required'));
+    res.json({ access_token: `mock-short-lived-${crypto.randomBytes(6).toString('hex')}`, token_type: 'bearer', expires_in: 3600 });
+  });
+
+  app.get('/debug_token', (req, res) => {
+    const valid = !invalidTokens.has(req.query.input_token);
+    res.json({
+      data: {
+        app_id: 'mock-app',
+        type: 'USER',
+        application: 'Meta Ads Manager (mock)',
+        is_valid: valid,
+        expires_at: Math.floor(Date.now() / 1000) + 60 * 86400,
+        scopes: ['ads_management', 'ads_read', 'business_management', 'pages_read_engagement', 'pages_show_list'],
+      },
+    });
+  });
+
+  // ----- Auth, failure injection, usage headers -----
+
+  app.use('/:version', (req, res, next) => {
+    const now = Date.now();
+    calls = calls.filter((t) => now - t < 3600000);
+    calls.push(now);
+    const usage = Math.min(100, Math.round((calls.length / hourlyCallLimit) * 100));
+    res.set('X-App-Usage', JSON.stringify({ call_count: usage, total_cputime: Math.round(usage / 2), total_time: Math.round(usage / 2) }));
+    res.set('X-Business-Use-Case-Usage', JSON.stringify({
+      [store.account.account_id]: [{ type: 'ads_management', call_count: usage, total_cputime: Math.round(usage / 2), total_time: Math.round(usage / 2), estimated_time_to_regain_access: 0 }],
+    }));
+
+    const token = req.query.access_token;
+    if (!token) return res.status(400).json(graphError(190, { message: 'An active access token must be used to query information about the current user.', error_subcode: undefined }));
+    if (invalidTokens.has(token)) return res.status(400).json(graphError(190));
+    if (usage >= 100) return res.status(400).json(graphError(17));
+
+    for (const rule of failures) {
+      if (rule.method && rule.method.toUpperCase() !== req.method) continue;
+      if (rule.path && !new RegExp(rule.path).test(req.path)) continue;
+      if (rule.probability !== undefined && Math.random() >= rule.probability) continue;
+      if (rule.times !== undefined) {
+        if (rule.times <= 0) continue;
+        rule.times--;
+      }
+      return res.status(400).json(graphError(rule.code, rule.message ? { message: rule.message } : {}));
+    }
+    next();
+  });
+
+  // ----- Batch -----
+
+  // Sub-requests are replayed against this mock over HTTP, one at a time, so
+  // each goes through the same auth, usage and failure-injection handling
+  app.post('/:version', async (req, res) => {
+    let batch = req.body?.batch;
+    if (typeof batch === 'string') {
+      try { batch = JSON.parse(batch); } catch (e) { batch = null; }
+    }
+    if (!Array.isArray(batch)) return res.status(400).json(invalidParam('batch must be a JSON array of requests'));
+    if (batch.length > 50) return res.status(400).json(invalidParam('Too many requests in batch message. Maximum batch size is 50'));
+
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}/${req.params.version}/`;
+    const named = {};
+    const results = [];
+
+    for (const sub of batch) {
+      let failedRef = null;
+      const resolve = (text) => String(text || '').replace(/\{result=([^:}]+):\$\.([^}]+)\}/g, (ref, name, path) => {
+        const value = path.split('.').reduce((v, k) => (v == null ? undefined : v[k]), named[name]);
+        if (value === undefined) failedRef = name;
+        return value === undefined ? '' : String(value);
+      });
+
+      const relativeUrl = resolve(sub.relative_url).replace(/^\//, '');
+      const form = [...new URLSearchParams(sub.body || '')].map(([k, v]) => [k, resolve(v)]);
+      if (failedRef) {
+        results.push({ code: 400, body: JSON.stringify(invalidParam(`depends on request "${failedRef}", which failed or returned no such field`)) });
+        continue;
+      }
+
+      const target = new URL(relativeUrl, base);
+      target.searchParams.set('access_token', req.query.access_token || '');
+      const method = (sub.method || 'GET').toUpperCase();
+      const opts = { method, headers: { 'Content-Type': 'application/json' } };
+      if (method !== 'GET' && method !== 'DELETE') {
+        // Form values that hold JSON (targeting, object_story_spec, ...) are decoded like Meta does
+        const body = {};
+        for (const [k, v] of form) {
+          try { body[k] = /^[[{]/.test(v) ? JSON.parse(v) : v; } catch (e) { body[k] = v; }
+        }
+        opts.body = JSON.stringify(body);
+      }
+
+      const subRes = await fetch(target.toString(), opts);
+      const text = await subRes.text();
+      if (sub.name && subRes.ok) {
+        try { named[sub.name] = JSON.parse(text); } catch (e) { /* not JSON */ }
+      }
+      const omit = sub.name && subRes.ok && sub.omit_response_on_success !== false;
+      results.push(omit ? null : { code: subRes.status, headers: [{ name: 'Content-Type', value: 'application/json' }], body: text });
+    }
+
+    res.json(results);
+  });
+
+  // ----- Ad account -----
+
+  const ACCOUNT = /^act_\d+$/;
+
+  function accountEdge(edge) {
+    return { campaigns: 'campaigns', adsets: 'adsets', ads: 'ads', adcreatives: 'creatives', customaudiences: 'audiences' }[edge];
+  }
+
+  // time_increment buckets: all_days (one row), monthly, or every N days
+  function timeBuckets(since, until, increment) {
+    const days = [];
+    for (let d = new Date(since); d <= until; d = addDays(d, 1)) days.push(isoDay(d));
+    if (!increment || increment === 'all_days') return [days];
+    if (increment === 'monthly') {
+      const months = new Map();
+      for (const day of days) months.set(day.slice(0, 7), [...(months.get(day.slice(0, 7)) || []), day]);
+      return [...months.values()];
+    }
+    const n = parseInt(increment, 10);
+    const buckets = [];
+    for (let i = 0; i < days.length; i += n) buckets.push(days.slice(i, i + n));
+    return buckets;
+  }
+
+  function insightsFor(req, adIds) {
+    const { since, until } = req.query.time_range
+      ? (() => { const r = JSON.parse(req.query.time_range); return { since: new Date(r.since), until: new Date(r.until) }; })()
+      : presetRange(req.query.date_preset || 'last_30d');
+
+    const increment = req.query.time_increment;
+    if (increment && !['monthly', 'all_days'].includes(increment) && !(parseInt(increment, 10) >= 1 && parseInt(increment, 10) <= 90)) {
+      return { status: 400, body: invalidParam('time_increment must be an integer 1-90, monthly or all_days') };
+    }
+    const breakdowns = req.query.breakdowns ? String(req.query.breakdowns).split(',').map((b) => b.trim()) : [];
+    const unknown = breakdowns.find((b) => !BREAKDOWN_VALUES[b]);
+    if (unknown) return { status: 400, body: invalidParam(`breakdowns[0] must be one of the following values: ${Object.keys(BREAKDOWN_VALUES).join(', ')}`) };
+    if (breakdowns.includes('platform_position') && !breakdowns.includes('publisher_platform')) {
+      return { status: 400, body: invalidParam('platform_position breakdown requires publisher_platform') };
+    }
+    let windows = [];
+    if (req.query.action_attribution_windows) {
+      try { windows = JSON.parse(req.query.action_attribution_windows); } catch (e) { windows = null; }
+      if (!Array.isArray(windows) || windows.some((w) => !ATTRIBUTION_SHARES[w])) {
+        return { status: 400, body: invalidParam(`action_attribution_windows must be a JSON array of ${Object.keys(ATTRIBUTION_SHARES).join(', ')}`) };
+      }
+    }
+
+    const delivering = adIds.filter((id) => store.delivering.has(id));
+    if (!delivering.length) return { body: { data: [] } };
+
+    const fields = parseFields(req.query.fields);
+    const rows = [];
+    for (const bucket of timeBuckets(since, until, increment)) {
+      const segments = new Map();
+      for (const adId of delivering) {
+        const daily = bucket.map((day) => dailyMetrics(adId, day));
+        for (const seg of breakdownSegments(adId, breakdowns)) {
+          const key = JSON.stringify(seg.keys);
+          const entry = segments.get(key) || { keys: seg.keys, metrics: [] };
+          entry.metrics.push(...daily.map((m) => scaleMetrics(m, seg.share)));
+          segments.set(key, entry);
+        }
+      }
+      for (const { keys, metrics } of segments.values()) {
+        const row = formatInsightsRow(sumMetrics(metrics), new Date(bucket[0]), new Date(bucket[bucket.length - 1]), windows);
+        rows.push({ ...(fields ? pickInsights(row, fields) : row), ...keys });
+      }
+    }
+
+    // Insights page like any other edge (default 25 rows)
+    return { body: paginate(req, rows, null) };
+  }
+
+  function pickInsights(row, fields) {
+    const out = { date_start: row.date_start, date_stop: row.date_stop };
+    for (const f of fields) if (row[f] !== undefined) out[f] = row[f];
+    return out;
+  }
+
+  function adsUnder(obj) {
+    const ads = [...store.ads.values()];
+    if (store.campaigns.has(obj)) return ads.filter((a) => a.campaign_id === obj).map((a) => a.id);
+    if (store.adsets.has(obj)) return ads.filter((a) => a.adset_id === obj).map((a) => a.id);
+    if (store.ads.has(obj)) return [obj];
+    return ads.map((a) => a.id);
+  }
+
+  app.get('/:version/:node', (req, res, next) => {
+    if (!ACCOUNT.test(req.params.node)) return next();
+    res.json(pick({ id: req.params.node, ...store.account }, parseFields(req.query.fields)));
+  });
+
+  app.get('/:version/:node/promote_pages', (req, res, next) => {
+    if (!ACCOUNT.test(req.params.node)) return next();
+    paginateInto(res, req, store.pages);
+  });
+
+  app.get('/:version/:node/insights', (req, res) => {
+    const node = req.params.node;
+    if (!ACCOUNT.test(node) && !store.campaigns.has(node) && !store.adsets.has(node) && !store.ads.has(node)) {
+      return res.status(400).json(unknownObject(node));
+    }
+    const result = insightsFor(req, adsUnder(ACCOUNT.test(node) ? null : node));
+    res.status(result.status || 200).json(result.body);
+  });
+
+  function paginateInto(res, req, items) {
+    if (req.query.effective_status) {
+      let statuses;
+      try { statuses = JSON.parse(req.query.effective_status); } catch (e) { statuses = null; }
+      if (!Array.isArray(statuses)) return res.status(400).json(invalidParam('effective_status must be a JSON array'));
+      items = items.filter((o) => statuses.includes(o.effective_status || o.status));
+    }
+    res.json(paginate(req, items, parseFields(req.query.fields)));
+  }
+
+  // ----- Edges: account lists/creates, campaign -> adsets, adset -> ads -----
+
+  app.get('/:version/:node/:edge', (req, res) => {
+    const { node, edge } = req.params;
+    if (ACCOUNT.test(node)) {
+      const collection = accountEdge(edge);
+      if (!collection) return res.status(400).json(invalidParam(`Unknown edge ${edge}`));
+      return paginateInto(res, req, [...store[collection].values()]);
+    }
+    if (edge === 'adsets' && store.campaigns.has(node)) {
+      return paginateInto(res, req, [...store.adsets.values()].filter((a) => a.campaign_id === node));
+    }
+    if (edge === 'ads' && store.adsets.has(node)) {
+      return paginateInto(res, req, [...store.ads.values()].filter((a) => a.adset_id === node));
+    }
+    if (edge === 'ads' && store.campaigns.has(node)) {
+      return paginateInto(res, req, [...store.ads.values()].filter((a) => a.campaign_id === node));
+    }
+    res.status(400).json(unknownObject(node));
+  });
+
+  // ----- Customer-list audiences: hashed users, added or replaced -----
+
+  const CUSTOMER_KEYS = ['EMAIL', 'PHONE', 'FN', 'LN', 'CT', 'ST', 'ZIP', 'COUNTRY', 'EXTERN_ID'];
+  const SHA256 = /^[a-f0-9]{64}$/;
+  const audienceMembers = new Map();
+  const replaceSessions = new Map();
+
+  app.post('/:version/:node/:edge', (req, res, next) => {
+    const { node, edge } = req.params;
+    if (!['users', 'usersreplace'].includes(edge)) return next();
+    const audience = store.audiences.get(node);
+    if (!audience) return res.status(400).json(unknownObject(node));
+    const { payload, session } = req.body || {};
+    const schema = typeof payload?.schema === 'string' ? [payload.schema] : payload?.schema;
+    if (!Array.isArray(schema) || !schema.length || schema.some((k) => !CUSTOMER_KEYS.includes(k))) {
+      return res.status(400).json(invalidParam(`payload.schema must list keys from ${CUSTOMER_KEYS.join(', ')}`));
+    }
+    if (!Array.isArray(payload.data) || !payload.data.length) return res.status(400).json(invalidParam('payload.data must be a non-empty array'));
+    if (payload.data.length > 10000) return res.status(400).json(invalidParam('payload.data can have at most 10000 rows per request'));
+    if (edge === 'usersreplace' && !session?.session_id) return res.status(400).json(invalidParam('session is required for usersreplace'));
+
+    const rows = payload.data.map((r) => (Array.isArray(r) ? r : [r]));
+    const isValid = (r) => r.length === schema.length && r.some(Boolean) && r.every((v) => !v || SHA256.test(v));
+    const key = `${node}:${session?.session_id}`;
+    const members = edge === 'usersreplace' ? replaceSessions.get(key) || new Set() : audienceMembers.get(node) || new Set();
+    for (const r of rows.filter(isValid)) members.add(r.join('|'));
+    if (edge === 'usersreplace' && !session.last_batch_flag) {
+      replaceSessions.set(key, members);
+    } else {
+      replaceSessions.delete(key);
+      audienceMembers.set(node, members);
+      // Meta only matches part of an uploaded list to people
+      audience.approximate_count = Math.round(members.size * 0.7);
+    }
+    audience.updated_time = store.now();
+    const invalid = rows.filter((r) => !isValid(r));
+    res.json({
+      audience_id: node,
+      session_id: session?.session_id,
+      num_received: rows.length,
+      num_invalid_entries: invalid.length,
+      invalid_entry_samples: Object.fromEntries(invalid.slice(0, 3).map((r, i) => [String(i), r.join(',')])),
+    });
+  });
+
+  app.post('/:version/:node/:edge', (req, res) => {
+    const { node, edge } = req.params;
+    if (!ACCOUNT.test(node)) return res.status(400).json(unknownObject(node));
+    const body = req.body || {};
+    const created = { created_time: store.now(), updated_time: store.now() };
+
+    switch (edge) {
+      case 'campaigns': {
+        if (!body.name) return res.status(400).json(invalidParam('name is required'));
+        if (!body.objective) return res.status(400).json(invalidParam('objective is required', 'Please choose a campaign objective.'));
+        if (!Array.isArray(body.special_ad_categories)) {
+          return res.status(400).json(invalidParam('special_ad_categories is required', 'Declare special ad categories, or send an empty list.'));
+        }
+        const campaign = { id: store.newId(), status: 'PAUSED', buying_type: 'AUCTION', ...body, ...created };
+        store.campaigns.set(campaign.id, campaign);
+        return res.json({ id: campaign.id });
+      }
+      case 'adsets': {
+        const campaign = store.campaigns.get(String(body.campaign_id));
+        if (!campaign) return res.status(400).json(invalidParam('campaign_id must be a valid campaign'));
+        if (!body.name) return res.status(400).json(invalidParam('name is required'));
+        if (!body.targeting || !body.targeting.geo_locations) {
+          return res.status(400).json(invalidParam('targeting.geo_locations is required', 'Your audience needs a location.'));
+        }
+        if (!body.daily_budget && !body.lifetime_budget && !campaign.daily_budget && !campaign.lifetime_budget) {
+          return res.status(400).json(invalidParam('daily_budget or lifetime_budget is required', 'Set a budget on the ad set or campaign.'));
+        }
+        const adset = { id: store.newId(), status: 'PAUSED', ...body, campaign_id: campaign.id, ...created };
+        store.adsets.set(adset.id, adset);
+        return res.json({ id: adset.id });
+      }
+      case 'adcreatives': {
+        if (!body.object_story_spec || !body.object_story_spec.page_id) {
+          return res.status(400).json(invalidParam('object_story_spec.page_id is required'));
+        }
+        const creative = { id: store.newId(), ...body };
+        store.creatives.set(creative.id, creative);
+        return res.json({ id: creative.id });
+      }
+      case 'ads': {
+        const adset = store.adsets.get(String(body.adset_id));
+        if (!adset) return res.status(400).json(invalidParam('adset_id must be a valid ad set'));
+        const creativeId = body.creative && String(body.creative.creative_id);
+        if (!store.creatives.has(creativeId)) return res.status(400).json(invalidParam('creative.creative_id must be a valid creative'));
+        const ad = {
+          id: store.newId(),
+          status: 'PAUSED',
+          ...body,
+          adset_id: adset.id,
+          campaign_id: adset.campaign_id,
+          creative: { id: creativeId },
+          ...created,
+        };
+        store.ads.set(ad.id, ad);
+        return res.json({ id: ad.id });
+      }
+      case 'customaudiences': {
+        if (!body.name) return res.status(400).json(invalidParam('name is required'));
+        const audience = { id: store.newId(), subtype: 'CUSTOM', approximate_count: 0, operation_status: { code: 200, description: 'Normal' }, ...body, ...created };
+        store.audiences.set(audience.id, audience);
+        return res.json({ id: audience.id });
+      }
+      default:
+        return res.status(400).json(invalidParam(`Unknown edge ${edge}`));
+    }
+  });
+
+  // ----- Targeting search -----
+
+  app.get('/:version/search', (req, res) => {
+    const q = req.query.q || 'interest';
+    const rand = seededRandom(q);
+    const data = ['', ' (fashion)', ' enthusiasts', ' gifts', ' (hobby)'].map((suffix, i) => ({
+      id: String(6000000000000 + Math.floor(rand() * 999999999)),
+      name: `${q.charAt(0).toUpperCase()}${q.slice(1)}${suffix}`,
+      audience_size_lower_bound: Math.round(1e5 + rand() * 5e7),
+      audience_size_upper_bound: Math.round(5e7 + rand() * 1e8),
+      path: ['Interests', q],
+      topic: i % 2 ? 'Shopping and fashion' : 'Hobbies and activities',
+    }));
+    res.json({ data });
+  });
+
+  // ----- Single objects -----
+
+  function findObject(id) {
+    for (const key of ['campaigns', 'adsets', 'ads', 'creatives', 'audiences']) {
+      if (store[key].has(id)) return { key, obj: store[key].get(id) };
+    }
+    return null;
+  }
+
+  app.get('/:version/:id', (req, res) => {
+    const found = findObject(req.params.id);
+    if (!found) return res.status(400).json(unknownObject(req.params.id));
+    res.json(pick(found.obj, parseFields(req.query.fields)));
+  });
+
+  app.post('/:version/:id', (req, res) => {
+    const found = findObject(req.params.id);
+    if (!found) return res.status(400).json(unknownObject(req.params.id));
+    const body = req.body || {};
+    if (body.status && !['ACTIVE', 'PAUSED', 'ARCHIVED', 'DELETED'].includes(body.status)) {
+      return res.status(400).json(invalidParam(`status must be one of ACTIVE, PAUSED, ARCHIVED, DELETED`));
+    }
+    Object.assign(found.obj, body, { updated_time: store.now() });
+    if (body.status === 'ACTIVE') {
+      for (const adId of adsUnder(req.params.id)) {
+        if (store.ads.get(adId)?.status === 'ACTIVE') store.delivering.add(adId);
+      }
+    }
+    res.json({ success: true });
+  });
+
+  app.delete('/:version/:id', (req, res) => {
+    const found = findObject(req.params.id);
+    if (!found) return res.status(400).json(unknownObject(req.params.id));
+    store[found.key].delete(req.params.id);
+    // Deleting a parent removes its children, as on Meta
+    if (found.key === 'campaigns') {
+      for (const a of [...store.adsets.values()]) if (a.campaign_id === req.params.id) store.adsets.delete(a.id);
+      for (const a of [...store.ads.values()]) if (a.campaign_id === req.params.id) store.ads.delete(a.id);
+    } else if (found.key === 'adsets') {
+      for (const a of [...store.ads.values()]) if (a.adset_id === req.params.id) store.ads.delete(a.id);
+    }
+    res.json({ success: true });
+  });
+
+  app.use((req, res) => {
+    res.status(400).json(invalidParam(`Unsupported ${req.method} request to ${req.path}`));
+  });
+
+  return app;
+}
+
+// Failure rules from FACEBOOK_GRAPH_MOCK_FAILURES (JSON array), if set
+function failuresFromEnv() {
+  try {
+    const raw = process.env.FACEBOOK_GRAPH_MOCK_FAILURES;
+    return raw ? JSON.parse(raw) : [];
+  } catch (e) {
+    console.warn('  Ignoring FACEBOOK_GRAPH_MOCK_FAILURES: not valid JSON.');
+    return [];
+  }
+}
+
+module.exports = { createGraphApiMock, failuresFromEnv, presetRange };
+
+// Standalone: node mock/graph-api.js
+if (require.main === module) {
+  const port = process.env.MOCK_GRAPH_PORT || 4101;
+  const app = express();
+  app.use(createGraphApiMock({ failures: failuresFromEnv() }));
+  app.listen(port, () => {
+    console.log(`\n  Fake Graph API listening at http://localhost:${port}`);
+    console.log(`  Set FACEBOOK_GRAPH_URL=http://localhost:${port} to use it.\n`);
+  });
+}
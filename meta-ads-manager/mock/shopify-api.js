@@ -0,0 +1,530 @@
+/**
+ * Fake Shopify Admin API
+ *
+ * A local stand-in for a Shopify store's Admin REST API, seeded from the
+ * product CSV exports that ship with the theme (products_*.csv in the
+ * repo root). Serves shop.json, products, smart/custom collections,
+ * deterministic generated orders and customers, plus the OAuth
+ * authorize/token endpoints, so the Shopify OAuth and store-summary flows
+ * work offline with SHOPIFY_STORE_DOMAIN=localhost:PORT.
+ *
+ * Started in-process by server.js when SHOPIFY_MOCK=true, or run
+ * standalone with `npm run mock:shopify`.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const API_VERSION_PATH = '/admin/api/:version';
+
+// Exports checked in order when SHOPIFY_MOCK_CSV is not set
+const DEFAULT_CSVS = [
+  'products_merged.csv',
+  'products_export_optimized.csv',
+  'products_export_fresh_import.csv',
+  'products_export_1.csv',
+];
+
+// ---------- CSV ----------
+
+// RFC 4180 parser: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  const [header, ...body] = rows;
+  if (!header) return [];
+  header[0] = header[0].replace(/^﻿/, '');
+  return body
+    .filter((r) => r.some((v) => v !== ''))
+    .map((r) => Object.fromEntries(header.map((h, i) => [h, r[i] || ''])));
+}
+
+function resolveCsvPath() {
+  if (process.env.SHOPIFY_MOCK_CSV) return path.resolve(process.env.SHOPIFY_MOCK_CSV);
+  const root = path.join(__dirname, '..', '..');
+  const found = DEFAULT_CSVS.map((f) => path.join(root, f)).find((f) => fs.existsSync(f));
+  if (!found) throw new Error('No product CSV found — set SHOPIFY_MOCK_CSV to a Shopify products export');
+  return found;
+}
+
+// ---------- Deterministic randomness ----------
+
+function seededRandom(seed) {
+  let h = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    h = (h + 0x6d2b79f5) >>> 0;
+    let t = h;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Stable numeric ID in Shopify's range from any string
+function numericId(key) {
+  const n = crypto.createHash('sha256').update(key).digest().readUIntBE(0, 6);
+  return 7000000000000 + (n % 999999999999);
+}
+
+// ---------- Products from CSV rows ----------
+
+/**
+ * Fold a Shopify products export (one row per variant/image, grouped by
+ * Handle) into Admin API product objects.
+ */
+function productsFromCsv(rows) {
+  const byHandle = new Map();
+  const createdAt = new Date(Date.now() - 120 * 86400000).toISOString();
+
+  for (const r of rows) {
+    if (!r.Handle) continue;
+    let p = byHandle.get(r.Handle);
+    if (!p) {
+      const id = numericId(`product:${r.Handle}`);
+      p = {
+        id,
+        title: r.Title,
+        body_html: r['Body (HTML)'],
+        vendor: r.Vendor,
+        product_type: r.Type,
+        handle: r.Handle,
+        created_at: createdAt,
+        updated_at: createdAt,
+        published_at: r.Published === 'true' ? createdAt : null,
+        status: r.Status || 'active',
+        tags: r.Tags,
+        options: [],
+        variants: [],
+        images: [],
+        image: null,
+        _category: r['Product Category'],
+      };
+      for (const n of [1, 2, 3]) {
+        if (r[`Option${n} Name`]) p.options.push({ id: numericId(`${r.Handle}:opt${n}`), product_id: id, name: r[`Option${n} Name`], position: n, values: [] });
+      }
+      byHandle.set(r.Handle, p);
+    }
+
+    if (r['Option1 Value'] || r['Variant Price']) {
+      const position = p.variants.length + 1;
+      const values = [1, 2, 3].map((n) => r[`Option${n} Value`] || null);
+      p.variants.push({
+        id: numericId(`variant:${r.Handle}:${position}`),
+        product_id: p.id,
+        title: values.filter(Boolean).join(' / ') || 'Default Title',
+        price: r['Variant Price'] || p.variants[0]?.price || '0.00',
+        compare_at_price: r['Variant Compare At Price'] || null,
+        sku: r['Variant SKU'] || '',
+        position,
+        option1: values[0],
+        option2: values[1],
+        option3: values[2],
+        grams: Math.round(parseFloat(r['Variant Grams']) || 0),
+        inventory_quantity: parseInt(r['Variant Inventory Qty'], 10) || 0,
+        inventory_policy: r['Variant Inventory Policy'] || 'deny',
+        requires_shipping: r['Variant Requires Shipping'] !== 'false',
+        taxable: r['Variant Taxable'] === 'true',
+      });
+      values.forEach((v, i) => {
+        if (v && p.options[i] && !p.options[i].values.includes(v)) p.options[i].values.push(v);
+      });
+    }
+
+    if (r['Image Src']) {
+      const image = {
+        id: numericId(`image:${r['Image Src']}`),
+        product_id: p.id,
+        position: parseInt(r['Image Position'], 10) || p.images.length + 1,
+        src: r['Image Src'],
+        alt: r['Image Alt Text'] || null,
+      };
+      p.images.push(image);
+      if (!p.image) p.image = image;
+    }
+  }
+
+  return [...byHandle.values()];
+}
+
+// Smart collections by product type; custom collections for the most common tags
+function collectionsFromProducts(products) {
+  const slug = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const smart = [...new Set(products.map((p) => p.product_type).filter(Boolean))].map((type) => ({
+    id: numericId(`smart:${type}`),
+    handle: slug(type),
+    title: type,
+    body_html: `<p>All ${type.toLowerCase()} from the shop.</p>`,
+    rules: [{ column: 'type', relation: 'equals', condition: type }],
+    disjunctive: false,
+    published_at: products[0]?.created_at,
+  }));
+
+  const tagCounts = new Map();
+  for (const p of products) {
+    for (const tag of (p.tags || '').split(',').map((t) => t.trim()).filter(Boolean)) {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    }
+  }
+  const custom = [...tagCounts.entries()]
+    .filter(([, n]) => n >= 3)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 6)
+    .map(([tag]) => ({
+      id: numericId(`custom:${tag}`),
+      handle: slug(tag),
+      title: tag.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase()),
+      body_html: `<p>Hand-picked ${tag.replace(/_/g, ' ')} favorites.</p>`,
+      published_at: products[0]?.created_at,
+    }));
+
+  return { smart, custom };
+}
+
+// ---------- Generated orders ----------
+
+const FIRST_NAMES = ['Ava', 'Liam', 'Mia', 'Noah', 'Emma', 'Ethan', 'Olivia', 'Lucas', 'Sophia', 'Mason', 'Isabella', 'Logan', 'Amelia', 'Elijah', 'Harper', 'James', 'Evelyn', 'Aiden', 'Abigail', 'Carter'];
+const LAST_NAMES = ['Johnson', 'Garcia', 'Martinez', 'Lee', 'Walker', 'Hall', 'Allen', 'Young', 'King', 'Wright', 'Lopez', 'Hill', 'Scott', 'Green', 'Adams'];
+
+// Campaign names match the fake Graph API's seed data so attribution can be
+// exercised end to end offline
+const AD_SOURCES = [
+  { weight: 0.25, utm: { utm_source: 'facebook', utm_medium: 'paid_social', utm_campaign: 'Spring Sale — Prospecting', utm_term: 'Spring Sale — Prospecting — Broad US', utm_content: 'Spring Sale — Prospecting — Ad 1' }, fbclid: true, referrer: 'https://l.facebook.com/' },
+  { weight: 0.12, utm: { utm_source: 'instagram', utm_medium: 'paid_social', utm_campaign: 'Best Sellers — Traffic' }, fbclid: true, referrer: 'https://l.instagram.com/' },
+  { weight: 0.08, utm: null, fbclid: true, referrer: 'https://m.facebook.com/' },
+  { weight: 0.2, utm: null, fbclid: false, referrer: 'https://www.google.com/' },
+  { weight: 0.35, utm: null, fbclid: false, referrer: '' },
+];
+
+function pickWeighted(rand, options) {
+  let r = rand();
+  for (const o of options) {
+    if ((r -= o.weight) < 0) return o;
+  }
+  return options[options.length - 1];
+}
+
+function generateCustomers(count, rand) {
+  return Array.from({ length: count }, (_, i) => {
+    const first = FIRST_NAMES[Math.floor(rand() * FIRST_NAMES.length)];
+    const last = LAST_NAMES[Math.floor(rand() * LAST_NAMES.length)];
+    return {
+      id: numericId(`customer:${i}`),
+      email: `${first}.${last}${i}@example.com`.toLowerCase(),
+      first_name: first,
+      last_name: last,
+      phone: rand() < 0.6 ? `+1555${String(1000000 + Math.floor(rand() * 8999999)).slice(0, 7)}` : null,
+      tags: rand() < 0.2 ? 'Lucky 13' : '',
+      accepts_marketing: rand() < 0.5,
+      default_address: { country_code: 'US' },
+    };
+  });
+}
+
+function generateOrders(products, shop, count) {
+  const rand = seededRandom(`orders:${shop.myshopify_domain}`);
+  const customers = generateCustomers(Math.max(5, Math.round(count * 0.6)), rand);
+  const sellable = products.filter((p) => p.variants.length);
+  const orders = [];
+
+  for (let i = 0; i < count; i++) {
+    const created = new Date(Date.now() - Math.floor(rand() * 90 * 86400000));
+    const customer = customers[Math.floor(rand() * customers.length)];
+    const items = Array.from({ length: 1 + Math.floor(rand() * 3) }, () => {
+      const product = sellable[Math.floor(rand() * sellable.length)];
+      const variant = product.variants[Math.floor(rand() * product.variants.length)];
+      return {
+        id: numericId(`line:${i}:${variant.id}:${rand()}`),
+        product_id: product.id,
+        variant_id: variant.id,
+        title: product.title,
+        variant_title: variant.title,
+        quantity: 1 + Math.floor(rand() * 3),
+        price: variant.price,
+        sku: variant.sku,
+      };
+    });
+    const subtotal = items.reduce((s, li) => s + parseFloat(li.price) * li.quantity, 0);
+    const shipping = subtotal >= 35 ? 0 : 4.99;
+
+    const source = pickWeighted(rand, AD_SOURCES);
+    const landing = new URLSearchParams(source.utm || {});
+    if (source.fbclid) landing.set('fbclid', `IwAR${crypto.createHash('md5').update(`fbclid:${i}`).digest('hex').slice(0, 24)}`);
+    const landingProduct = items[0] && sellable.find((p) => p.id === items[0].product_id);
+    const landingPath = landingProduct ? `/products/${landingProduct.handle}` : '/';
+
+    const status = rand();
+    orders.push({
+      id: numericId(`order:${i}`),
+      email: customer.email,
+      created_at: created.toISOString(),
+      updated_at: created.toISOString(),
+      processed_at: created.toISOString(),
+      currency: shop.currency,
+      financial_status: status < 0.86 ? 'paid' : status < 0.94 ? 'pending' : 'refunded',
+      fulfillment_status: rand() < 0.7 ? 'fulfilled' : null,
+      subtotal_price: subtotal.toFixed(2),
+      total_shipping_price_set: { shop_money: { amount: shipping.toFixed(2), currency_code: shop.currency } },
+      total_tax: '0.00',
+      total_price: (subtotal + shipping).toFixed(2),
+      landing_site: `${landingPath}${landing.toString() ? `?${landing}` : ''}`,
+      referring_site: source.referrer,
+      source_name: 'web',
+      line_items: items,
+      customer: { ...customer },
+    });
+  }
+
+  // Roll order history up onto each customer, as Shopify does
+  for (const c of customers) {
+    const theirs = orders.filter((o) => o.customer.id === c.id);
+    c.orders_count = theirs.length;
+    c.total_spent = theirs.reduce((s, o) => s + parseFloat(o.total_price), 0).toFixed(2);
+  }
+  for (const o of orders) {
+    const c = customers.find((x) => x.id === o.customer.id);
+    o.customer.orders_count = c.orders_count;
+    o.customer.total_spent = c.total_spent;
+  }
+
+  // Order numbers increase with time; newest first, like the API
+  orders.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  orders.forEach((o, i) => { o.order_number = 1001 + i; o.name = `#${1001 + i}`; });
+
+  // Customer records as customers.json serves them; those without orders signed up 0-120 days ago
+  for (const c of customers) {
+    const theirs = orders.filter((o) => o.customer.id === c.id);
+    const last = theirs[theirs.length - 1];
+    c.created_at = theirs[0]?.created_at || new Date(Date.now() - Math.floor(rand() * 120 * 86400000)).toISOString();
+    c.updated_at = last?.created_at || c.created_at;
+    c.last_order_id = last?.id || null;
+    c.last_order_name = last?.name || null;
+    c.email_marketing_consent = { state: c.accepts_marketing ? 'subscribed' : 'not_subscribed', opt_in_level: 'single_opt_in' };
+  }
+  return { orders: orders.reverse(), customers };
+}
+
+// ---------- Request helpers ----------
+
+function pickFields(obj, fields) {
+  if (!fields) return obj;
+  const keys = String(fields).split(',').map((f) => f.trim());
+  return Object.fromEntries(keys.filter((k) => obj[k] !== undefined).map((k) => [k, obj[k]]));
+}
+
+// Shopify REST cursor pagination: page_info in the Link header
+function paginate(req, res, items) {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 250);
+  const start = req.query.page_info ? parseInt(Buffer.from(req.query.page_info, 'base64').toString(), 10) || 0 : 0;
+  const page = items.slice(start, start + limit);
+
+  const links = [];
+  const link = (offset, rel) => {
+    const q = new URLSearchParams({ limit: String(limit), page_info: Buffer.from(String(offset)).toString('base64') });
+    if (req.query.fields) q.set('fields', req.query.fields);
+    links.push(`<${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${q}>; rel="${rel}"`);
+  };
+  if (start > 0) link(Math.max(0, start - limit), 'previous');
+  if (start + limit < items.length) link(start + limit, 'next');
+  if (links.length) res.set('Link', links.join(', '));
+
+  return page.map((o) => pickFields(o, req.query.fields));
+}
+
+// ---------- App factory ----------
+
+/**
+ * Build the fake Shopify Admin API as an Express app.
+ *
+ * @param {object} [options]
+ * @param {string} [options.csvPath] — products export to seed from
+ * @param {string} [options.domain] — host:port the mock is reached at (used as shop.myshopify_domain)
+ * @param {string} [options.clientSecret] — secret used to sign OAuth redirects
+ * @param {number} [options.orderCount] — number of generated orders (default 80)
+ */
+function createShopifyMock(options = {}) {
+  const app = express();
+  const csvPath = options.csvPath || resolveCsvPath();
+  const products = productsFromCsv(parseCsv(fs.readFileSync(csvPath, 'utf-8')));
+  const collections = collectionsFromProducts(products);
+  const clientSecret = () => options.clientSecret || process.env.SHOPIFY_CLIENT_SECRET || '';
+  const tokens = new Set(options.tokens || []);
+  const codes = new Set();
+
+  const shop = {
+    id: numericId('shop'),
+    name: products[0]?.vendor || 'Demo Store',
+    email: 'owner@example.com',
+    domain: options.domain || 'localhost',
+    myshopify_domain: options.domain || 'localhost',
+    currency: 'USD',
+    country_name: 'United States',
+    country_code: 'US',
+    iana_timezone: 'America/New_York',
+    plan_name: 'basic',
+    money_format: '${{amount}}',
+  };
+  const { orders, customers } = generateOrders(products, shop, options.orderCount || 80);
+
+  app.use(express.json());
+
+  // ----- OAuth -----
+
+  // Stand-in for the merchant approving the app: redirect straight back, signed like Shopify does
+  app.get('/admin/oauth/authorize', (req, res) => {
+    const params = {
+      code: crypto.randomBytes(8).toString('hex'),
+      shop: shop.myshopify_domain,
+      state: req.query.state || '',
+      timestamp: String(Math.floor(Date.now() / 1000)),
+    };
+    codes.add(params.code);
+    const message = Object.keys(params).sort().map((k) => `${k}=${params[k]}`).join('&');
+    params.hmac = crypto.createHmac('sha256', clientSecret()).update(message).digest('hex');
+    res.redirect(`${req.query.redirect_uri}?${new URLSearchParams(params)}`);
+  });
+
+  app.post('/admin/oauth/access_token', (req, res) => {
+    const { client_secret, code } = req.body || {};
+    if (!codes.has(code) || client_secret !== clientSecret()) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'The authorization code was not found or was already used' });
+    }
+    codes.delete(code);
+    const token = `shpat_mock${crypto.randomBytes(12).toString('hex')}`;
+    tokens.add(token);
+    res.json({ access_token: token, scope: 'read_products,read_orders,read_customers,read_content' });
+  });
+
+  // ----- Auth -----
+
+  app.use(API_VERSION_PATH, (req, res, next) => {
+    const token = req.get('X-Shopify-Access-Token');
+    // Any shpat_ token is accepted so a token from .env keeps working across restarts
+    if (!token || (!tokens.has(token) && !token.startsWith('shpat_'))) {
+      return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+    }
+    next();
+  });
+
+  // ----- Shop -----
+
+  app.get(`${API_VERSION_PATH}/shop.json`, (req, res) => res.json({ shop }));
+
+  // ----- Products -----
+
+  const publicProduct = ({ _category, ...p }) => p;
+
+  app.get(`${API_VERSION_PATH}/products/count.json`, (req, res) => {
+    res.json({ count: products.filter((p) => !req.query.status || p.status === req.query.status).length });
+  });
+
+  app.get(`${API_VERSION_PATH}/products/:id.json`, (req, res) => {
+    const product = products.find((p) => String(p.id) === req.params.id);
+    if (!product) return res.status(404).json({ errors: 'Not Found' });
+    res.json({ product: publicProduct(product) });
+  });
+
+  app.get(`${API_VERSION_PATH}/products.json`, (req, res) => {
+    let list = products.map(publicProduct);
+    if (req.query.status) list = list.filter((p) => req.query.status.split(',').includes(p.status));
+    if (req.query.product_type) list = list.filter((p) => p.product_type === req.query.product_type);
+    if (req.query.since_id) list = list.filter((p) => p.id > Number(req.query.since_id));
+    res.json({ products: paginate(req, res, list) });
+  });
+
+  // ----- Collections -----
+
+  app.get(`${API_VERSION_PATH}/smart_collections.json`, (req, res) => {
+    res.json({ smart_collections: paginate(req, res, collections.smart) });
+  });
+
+  app.get(`${API_VERSION_PATH}/custom_collections.json`, (req, res) => {
+    res.json({ custom_collections: paginate(req, res, collections.custom) });
+  });
+
+  // ----- Orders -----
+
+  function filterOrders(query) {
+    let list = orders;
+    if (query.financial_status && query.financial_status !== 'any') list = list.filter((o) => o.financial_status === query.financial_status);
+    if (query.created_at_min) list = list.filter((o) => o.created_at >= new Date(query.created_at_min).toISOString());
+    if (query.created_at_max) list = list.filter((o) => o.created_at <= new Date(query.created_at_max).toISOString());
+    if (query.order === 'created_at asc') list = [...list].reverse();
+    return list;
+  }
+
+  app.get(`${API_VERSION_PATH}/orders/count.json`, (req, res) => {
+    res.json({ count: filterOrders(req.query).length });
+  });
+
+  app.get(`${API_VERSION_PATH}/orders/:id.json`, (req, res) => {
+    const order = orders.find((o) => String(o.id) === req.params.id);
+    if (!order) return res.status(404).json({ errors: 'Not Found' });
+    res.json({ order });
+  });
+
+  app.get(`${API_VERSION_PATH}/orders.json`, (req, res) => {
+    res.json({ orders: paginate(req, res, filterOrders(req.query)) });
+  });
+
+  // ----- Customers -----
+
+  app.get(`${API_VERSION_PATH}/customers/count.json`, (req, res) => {
+    res.json({ count: customers.length });
+  });
+
+  app.get(`${API_VERSION_PATH}/customers.json`, (req, res) => {
+    let list = customers;
+    if (req.query.ids) list = list.filter((c) => String(req.query.ids).split(',').includes(String(c.id)));
+    if (req.query.updated_at_min) list = list.filter((c) => c.updated_at >= new Date(req.query.updated_at_min).toISOString());
+    res.json({ customers: paginate(req, res, list) });
+  });
+
+  app.use((req, res) => res.status(404).json({ errors: 'Not Found' }));
+
+  return app;
+}
+
+/**
+ * Start the fake Admin API on its own port. Resolves once listening.
+ */
+function startShopifyMock(port, options = {}) {
+  const app = createShopifyMock({ domain: `localhost:${port}`, ...options });
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => resolve(server));
+  });
+}
+
+module.exports = { createShopifyMock, startShopifyMock, parseCsv, productsFromCsv };
+
+// Standalone: node mock/shopify-api.js
+if (require.main === module) {
+  const port = process.env.MOCK_SHOPIFY_PORT || 4102;
+  startShopifyMock(port).then(() => {
+    console.log(`\n  Fake Shopify Admin API listening at http://localhost:${port}`);
+    console.log(`  Set SHOPIFY_STORE_DOMAIN=localhost:${port} to use it.\n`);
+  });
+}
@@ -9,16 +9,67 @@
 // API helper
 // ============================================================
 
+// Name this browser's user entered; sent with every request to tell colleagues apart (not a login)
+const USER_KEY = 'meta_ads_manager_user';
+
+function currentUser() {
+  return localStorage.getItem(USER_KEY) || '';
+}
+
+// Ask for a name when none is set (or to change it); returns the name, or '' if cancelled
+function askUserName(force = false) {
+  if (currentUser() && !force) return currentUser();
+  const name = (prompt('Your name, shown on approval requests and decisions:', currentUser()) || '').trim();
+  if (name) localStorage.setItem(USER_KEY, name);
+  return currentUser();
+}
+
+function requestHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (currentUser()) headers['X-User-Name'] = encodeURIComponent(currentUser());
+  return headers;
+}
+
 async function api(method, path, body = null) {
   const opts = {
     method,
-    headers: { 'Content-Type': 'application/json' },
+    headers: requestHeaders(),
   };
   if (body) opts.body = JSON.stringify(body);
   const res = await fetch(`/api${path}`, opts);
   return res.json();
 }
 
+// POST to a Server-Sent Events route; calls onEvent(event, data) per event until the stream ends
+async function apiStream(path, body, onEvent, signal) {
+  const res = await fetch(`/api${path}`, {
+    method: 'POST',
+    headers: requestHeaders(),
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok || !res.body) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `Request failed (${res.status})`);
+  }
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = (frame.match(/^event: (.*)$/m) || [])[1] || 'message';
+      const data = (frame.match(/^data: (.*)$/m) || [])[1];
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
 // ============================================================
 // Simple markdown renderer
 // ============================================================
@@ -53,6 +104,12 @@ const routes = {
   '/assistant': renderAssistant,
   '/campaigns': renderCampaigns,
   '/analytics': renderAnalytics,
+  '/attribution': renderAttribution,
+  '/audiences': renderAudiences,
+  '/reports': renderReports,
+  '/approvals': renderApprovals,
+  '/rules': renderRules,
+  '/activity': renderActivity,
   '/settings': renderSettings,
 };
 
@@ -86,7 +143,29 @@ function initSidebar(activeRoute) {
       if (item.dataset.route === activeRoute) item.classList.add('active');
     });
   });
+  renderSidebarUser();
+  document.getElementById('sidebar-user-change')?.addEventListener('click', () => {
+    askUserName(true);
+    renderSidebarUser();
+  });
   checkSidebarStatus();
+  updateApprovalsCount();
+}
+
+function renderSidebarUser() {
+  const el = document.getElementById('sidebar-user-name');
+  if (el) el.textContent = currentUser() ? `You: ${currentUser()}` : 'Name not set';
+}
+
+async function updateApprovalsCount() {
+  const el = document.getElementById('nav-approvals-count');
+  if (!el) return;
+  try {
+    const result = await api('GET', '/approvals?status=pending');
+    const count = (result.data || []).length;
+    el.textContent = count;
+    el.classList.toggle('hidden', !count);
+  } catch (e) { /* ignore */ }
 }
 
 async function checkSidebarStatus() {
@@ -248,6 +327,7 @@ function renderDashboard() {
       document.getElementById('stat-impressions').textContent = formatNumber(data.account.impressions || 0);
       document.getElementById('stat-clicks').textContent = formatNumber(data.account.clicks || 0);
       document.getElementById('stat-ctr').textContent = `${parseFloat(data.account.ctr || 0).toFixed(2)}%`;
+      fillConversionStats('stat', data.account.metrics);
     }
   }).catch(() => {});
 
@@ -258,6 +338,19 @@ function renderDashboard() {
   });
 }
 
+// Revenue / ROAS / purchases / CPA cards from a normalized insights row's `metrics`
+function fillConversionStats(prefix, m) {
+  if (!m) return;
+  document.getElementById(`${prefix}-revenue`).textContent = `$${m.purchase_value.toFixed(2)}`;
+  document.getElementById(`${prefix}-roas`).textContent = formatRoas(m.roas);
+  document.getElementById(`${prefix}-purchases`).textContent = formatNumber(m.purchases);
+  document.getElementById(`${prefix}-cpa`).textContent = m.cpa === null ? '--' : `$${m.cpa.toFixed(2)}`;
+}
+
+function formatRoas(roas) {
+  return roas === null || roas === undefined ? '--' : `${roas.toFixed(2)}x`;
+}
+
 async function loadDashboardCampaigns() {
   const container = document.getElementById('campaigns-list');
   try {
@@ -275,8 +368,16 @@ async function loadDashboardCampaigns() {
 
 window.activateCampaign = async function (id) {
   if (!confirm('Activate this campaign? It will start spending your budget.')) return;
-  try { await api('POST', `/campaigns/${id}/activate`); loadDashboardCampaigns(); }
-  catch (err) { alert('Failed to activate: ' + err.message); }
+  if (!askUserName()) return;
+  try {
+    const result = await api('POST', `/campaigns/${id}/activate`);
+    if (result.error) throw new Error(result.error);
+    if (result.pending_approval) {
+      alert('Activation requested. The campaign goes live once someone approves it on the Approvals page.');
+      updateApprovalsCount();
+    }
+    loadDashboardCampaigns();
+  } catch (err) { alert('Failed to activate: ' + err.message); }
 };
 
 window.pauseCampaign = async function (id) {
@@ -288,28 +389,35 @@ window.pauseCampaign = async function (id) {
 // AI Assistant
 // ============================================================
 
-let chatHistory = [];
 let chatSending = false;
-const CHAT_STORAGE_KEY = 'meta_ads_manager_chat_history';
-const CHAT_HISTORY_LIMIT = 40;
-
-function loadChatHistory() {
+let chatAbort = null;
+let currentThreadId = null;
+// Conversations used to live only in this browser; they are imported as a thread once
+const LEGACY_CHAT_STORAGE_KEY = 'meta_ads_manager_chat_history';
+const THREAD_STORAGE_KEY = 'meta_ads_manager_thread';
+
+function rememberThread(id) {
+  currentThreadId = id;
   try {
-    const raw = localStorage.getItem(CHAT_STORAGE_KEY);
-    const parsed = raw ? JSON.parse(raw) : [];
-    if (!Array.isArray(parsed)) return [];
-    return parsed.filter((m) => m && typeof m.role === 'string' && typeof m.content === 'string');
+    if (id) localStorage.setItem(THREAD_STORAGE_KEY, id);
+    else localStorage.removeItem(THREAD_STORAGE_KEY);
   } catch (e) {
-    return [];
+    // Ignore storage errors (quota, blocked, etc.)
   }
 }
 
-function persistChatHistory() {
+async function importLegacyChat() {
   try {
-    const trimmed = chatHistory.slice(-CHAT_HISTORY_LIMIT);
-    localStorage.setItem(CHAT_STORAGE_KEY, JSON.stringify(trimmed));
+    const raw = localStorage.getItem(LEGACY_CHAT_STORAGE_KEY);
+    const messages = raw ? JSON.parse(raw) : [];
+    if (Array.isArray(messages) && messages.length) {
+      const thread = await api('POST', '/threads', { messages });
+      if (!thread.id) return;
+      rememberThread(thread.id);
+    }
+    localStorage.removeItem(LEGACY_CHAT_STORAGE_KEY);
   } catch (e) {
-    // Ignore storage errors (quota, blocked, etc.)
+    // Leave it for the next visit
   }
 }
 
@@ -320,32 +428,198 @@ function renderAssistant() {
 
   const input = document.getElementById('chat-input');
   const sendBtn = document.getElementById('btn-send-chat');
+  const stopBtn = document.getElementById('btn-stop-chat');
   const messagesEl = document.getElementById('chat-messages');
   const quickActionsEl = document.getElementById('quick-actions');
+  const threadListEl = document.getElementById('thread-list');
+  const searchEl = document.getElementById('thread-search');
+  const memoryEl = document.getElementById('thread-memory');
+  const budgetWarningEl = document.getElementById('ai-budget-warning');
+  const welcomeHtml = document.getElementById('tmpl-assistant').content.querySelector('#chat-messages').innerHTML;
 
   chatSending = false;
+  // Position of the next message in the thread, so summarized ones can be marked
+  let threadMessageCount = 0;
+  let threadMemory = null;
 
-  // New chat button — clears conversation history
-  document.getElementById('btn-new-chat').addEventListener('click', () => {
-    chatHistory = [];
-    persistChatHistory();
-    messagesEl.innerHTML = document.getElementById('tmpl-assistant').content
-      .querySelector('#chat-messages').innerHTML;
+  function resetChat() {
+    rememberThread(null);
+    messagesEl.innerHTML = welcomeHtml;
     quickActionsEl.style.display = '';
+    threadMessageCount = 0;
+    threadMemory = null;
+    renderMemory();
+    highlightThread();
+  }
+
+  // Banner once this month's Claude spend is over the soft (or hard) cap
+  function showBudget(budget) {
+    if (!budget || (!budget.over_soft_cap && !budget.over_hard_cap)) {
+      budgetWarningEl.classList.add('hidden');
+      return;
+    }
+    budgetWarningEl.className = `alert ${budget.over_hard_cap ? 'alert-danger' : 'alert-warning'}`;
+    budgetWarningEl.innerHTML = budget.over_hard_cap
+      ? `This month's AI budget is used up ($${budget.cost.toFixed(2)} of the $${budget.hard_cap.toFixed(2)} hard cap); the assistant is unavailable until next month. See <a href="#/settings">Settings</a>.`
+      : `AI spend this month is $${budget.cost.toFixed(2)}, over the $${budget.soft_cap.toFixed(2)} soft cap${budget.hard_cap !== null ? `; the assistant stops at $${budget.hard_cap.toFixed(2)}` : ''}. See <a href="#/settings">Settings</a>.`;
+  }
+  api('GET', '/ai/budget').then(showBudget).catch(() => {});
+
+  // New chat button — starts a new thread; earlier ones stay in the list
+  document.getElementById('btn-new-chat').addEventListener('click', () => {
+    if (!chatSending) resetChat();
+  });
+
+  let searchTimer = null;
+  searchEl.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadThreads, 250);
   });
 
-  // Restore prior chat history from local storage
-  chatHistory = loadChatHistory();
-  if (chatHistory.length > 0) {
+  async function loadThreads() {
+    const q = searchEl.value.trim();
+    try {
+      const result = await api('GET', `/threads${q ? `?q=${encodeURIComponent(q)}` : ''}`);
+      const list = result.data || [];
+      if (!list.length) {
+        threadListEl.innerHTML = `<p class="text-sm text-muted">${q ? 'No conversations match.' : 'No saved conversations yet.'}</p>`;
+        return;
+      }
+      threadListEl.innerHTML = list.map((t) => `
+        <div class="thread-item" data-id="${t.id}">
+          <div class="flex-between">
+            <span class="thread-title" title="Double-click to rename">${escapeHtml(t.title)}</span>
+            <button class="thread-delete" data-delete="${t.id}" title="Delete conversation">&times;</button>
+          </div>
+          <div class="text-sm text-muted">${new Date(t.updated_at).toLocaleDateString()} · ${t.message_count} messages${t.campaign_ids.length ? ` · ${t.campaign_ids.length} campaign(s)` : ''}</div>
+          ${(t.matches || []).map((m) => `<div class="thread-match text-sm">${escapeHtml(m.text)}</div>`).join('')}
+        </div>`).join('');
+      highlightThread();
+    } catch (err) {
+      threadListEl.innerHTML = `<p class="text-sm text-danger">Could not load conversations.</p>`;
+    }
+  }
+
+  function highlightThread() {
+    threadListEl.querySelectorAll('.thread-item').forEach((el) => {
+      el.classList.toggle('active', el.dataset.id === currentThreadId);
+    });
+  }
+
+  threadListEl.addEventListener('click', async (e) => {
+    const del = e.target.closest('[data-delete]');
+    if (del) {
+      if (!confirm('Delete this conversation?')) return;
+      await api('DELETE', `/threads/${del.dataset.delete}`);
+      if (del.dataset.delete === currentThreadId) resetChat();
+      loadThreads();
+      return;
+    }
+    const item = e.target.closest('.thread-item');
+    if (item && !chatSending && item.dataset.id !== currentThreadId) openThread(item.dataset.id);
+  });
+
+  threadListEl.addEventListener('dblclick', async (e) => {
+    const item = e.target.closest('.thread-item');
+    if (!item) return;
+    const title = prompt('Rename conversation', item.querySelector('.thread-title').textContent);
+    if (!title || !title.trim()) return;
+    await api('PATCH', `/threads/${item.dataset.id}`, { title });
+    loadThreads();
+  });
+
+  async function openThread(id) {
+    const thread = await api('GET', `/threads/${id}`);
+    if (!thread.id) {
+      resetChat();
+      return;
+    }
+    rememberThread(thread.id);
+    highlightThread();
     messagesEl.innerHTML = '';
-    chatHistory.forEach((m) => {
-      if (m.role === 'assistant') {
-        addMessage('assistant', renderMarkdown(m.content));
-      } else {
-        addMessage('user', m.content);
+    threadMessageCount = 0;
+    const created = new Set(thread.campaigns.map((c) => c.spec_version));
+    thread.messages.forEach((m) => {
+      if (m.role !== 'assistant') {
+        tagMessage(addMessage('user', m.content), m.content);
+        return;
       }
+      const msgEl = addMessage('assistant', renderMarkdown(m.content + (m.stopped ? '\n\n_(stopped)_' : '')));
+      tagMessage(msgEl, m.content);
+      if (m.tool_calls?.length) addToolActivity(msgEl, m.tool_calls);
+      const version = thread.specs.find((v) => v.version === m.spec_version);
+      if (version) addSpecPreview(msgEl, version.spec, version.version, created.has(version.version));
     });
-    quickActionsEl.style.display = 'none';
+    quickActionsEl.style.display = thread.messages.length ? 'none' : '';
+    threadMemory = { ...thread.memory, pinned: thread.pinned };
+    renderMemory();
+  }
+
+  // Notes from the UI (confirmations, created campaigns) kept in the thread for Claude's next turn
+  function saveNotes(messages) {
+    if (!currentThreadId) return;
+    threadMessageCount += messages.length;
+    api('POST', `/threads/${currentThreadId}/messages`, { messages }).catch(() => {});
+  }
+
+  // ---------- Thread memory: pinned facts and the summary of older turns ----------
+
+  // Number a message as saved in the thread and give it a Pin button
+  function tagMessage(msgEl, text) {
+    msgEl.dataset.index = threadMessageCount++;
+    const pin = document.createElement('button');
+    pin.className = 'pin-message';
+    pin.title = 'Pin as a fact Claude must always follow';
+    pin.textContent = 'Pin';
+    pin.addEventListener('click', () => pinFact(text));
+    msgEl.querySelector('.chat-bubble').appendChild(pin);
+  }
+
+  function untagMessage(msgEl) {
+    if (msgEl.dataset.index === undefined) return;
+    delete msgEl.dataset.index;
+    threadMessageCount--;
+    msgEl.querySelector('.pin-message')?.remove();
+  }
+
+  async function pinFact(text) {
+    if (!currentThreadId) return;
+    const fact = prompt('Pin this fact — it is sent with every message in this conversation, word for word:', text.slice(0, 500));
+    if (!fact || !fact.trim()) return;
+    const pinned = await api('POST', `/threads/${currentThreadId}/pins`, { text: fact });
+    if (!pinned.id) return alert('Could not pin: ' + (pinned.error || 'Unknown error'));
+    threadMemory = { ...(threadMemory || {}), pinned: [...(threadMemory?.pinned || []), pinned] };
+    renderMemory();
+  }
+
+  function renderMemory() {
+    const pinned = threadMemory?.pinned || [];
+    const through = threadMemory?.summarized_through || 0;
+    memoryEl.classList.toggle('hidden', !currentThreadId || (!pinned.length && !through));
+    memoryEl.innerHTML = `
+      ${pinned.length ? `<div class="text-sm"><strong>Pinned facts</strong>${pinned.map((f) => `
+        <div class="pinned-fact flex-between"><span>${escapeHtml(f.text)}</span><button class="thread-delete" data-unpin="${f.id}" title="Unpin">&times;</button></div>`).join('')}</div>` : ''}
+      ${through ? `<details class="text-sm mt-1"><summary>${through} earlier message(s) summarized${threadMemory.estimated_tokens ? ` · prompt ~${formatNumber(threadMemory.estimated_tokens)} / ${formatNumber(threadMemory.budget)} tokens` : ''}</summary>
+        <div class="memory-summary">${threadMemory.summary ? renderMarkdown(threadMemory.summary) : '<p class="text-muted">No summary yet.</p>'}</div></details>` : ''}
+      ${threadMemory?.error ? `<div class="alert alert-warning mt-1">${escapeHtml(threadMemory.error)}</div>` : ''}`;
+    memoryEl.querySelectorAll('[data-unpin]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        const result = await api('DELETE', `/threads/${currentThreadId}/pins/${btn.dataset.unpin}`);
+        if (!result.pinned) return;
+        threadMemory = { ...threadMemory, pinned: result.pinned };
+        renderMemory();
+      });
+    });
+
+    // Dim the messages Claude now only sees through the summary
+    messagesEl.querySelectorAll('.memory-divider').forEach((el) => el.remove());
+    let last = null;
+    messagesEl.querySelectorAll('.chat-message[data-index]').forEach((el) => {
+      const summarized = Number(el.dataset.index) < through;
+      el.classList.toggle('summarized', summarized);
+      if (summarized) last = el;
+    });
+    if (last) last.insertAdjacentHTML('afterend', '<div class="memory-divider text-sm text-muted">Messages above are summarized — Claude sees the summary at the top, not the messages</div>');
   }
 
   input.addEventListener('input', () => {
@@ -358,67 +632,129 @@ function renderAssistant() {
   });
 
   sendBtn.addEventListener('click', sendMessage);
+  stopBtn.addEventListener('click', () => chatAbort?.abort());
 
   document.querySelectorAll('.quick-action').forEach((btn) => {
     btn.addEventListener('click', () => { input.value = btn.dataset.prompt; sendMessage(); });
   });
 
-  // URL-driven actions
+  // URL-driven actions start a new thread; otherwise reopen the last one
   const params = new URLSearchParams(window.location.hash.split('?')[1] || '');
-  if (params.get('action') === 'suggest') {
-    input.value = 'Suggest a new campaign based on my store products and data. What would you recommend?';
-    sendMessage();
-  } else if (params.get('action') === 'assess') {
-    input.value = 'Assess my current campaign performance and tell me how things are going. What should I change?';
-    sendMessage();
-  } else if (params.get('assess')) {
-    input.value = `Assess the performance of campaign ${params.get('assess')} and suggest improvements.`;
-    sendMessage();
-  }
+  (async () => {
+    await importLegacyChat();
+    loadThreads();
+    if (params.get('action') === 'suggest') {
+      resetChat();
+      input.value = 'Suggest a new campaign based on my store products and data. What would you recommend?';
+      sendMessage();
+    } else if (params.get('action') === 'assess') {
+      resetChat();
+      input.value = 'Assess my current campaign performance and tell me how things are going. What should I change?';
+      sendMessage();
+    } else if (params.get('assess')) {
+      resetChat();
+      input.value = `Assess the performance of campaign ${params.get('assess')} and suggest improvements.`;
+      sendMessage();
+    } else {
+      let saved = null;
+      try { saved = localStorage.getItem(THREAD_STORAGE_KEY); } catch (e) {}
+      if (saved) openThread(saved);
+    }
+  })();
 
   async function sendMessage() {
     const text = input.value.trim();
     if (!text || chatSending) return;
 
     chatSending = true;
-    sendBtn.disabled = true;
+    sendBtn.classList.add('hidden');
+    stopBtn.classList.remove('hidden');
     input.disabled = true;
 
-    addMessage('user', text);
-    chatHistory.push({ role: 'user', content: text });
-    persistChatHistory();
+    const userEl = addMessage('user', text);
     input.value = '';
     input.style.height = 'auto';
 
     quickActionsEl.style.display = 'none';
 
-    const typingEl = addMessage('assistant', '<div class="loading">Thinking<div class="loading-dots"><span></span><span></span><span></span></div></div>', true);
-
+    const msgEl = addMessage('assistant', '<div class="loading">Thinking<div class="loading-dots"><span></span><span></span><span></span></div></div>', true);
+    const bubble = msgEl.querySelector('.chat-bubble');
+    let content = '';
+    let final = null;
+    const calls = [];
+    const actions = [];
+
+    // Re-render at most once per frame while tokens arrive
+    let renderQueued = false;
+    const render = () => {
+      renderQueued = false;
+      bubble.innerHTML = renderMarkdown(content) || bubble.innerHTML;
+      if (calls.length) addToolActivity(msgEl, calls);
+      messagesEl.scrollTop = messagesEl.scrollHeight;
+    };
+    const queueRender = () => {
+      // A render() in between (the final one) cancels the queued frame
+      if (!renderQueued) { renderQueued = true; requestAnimationFrame(() => { if (renderQueued) render(); }); }
+    };
+
+    const startedIn = currentThreadId;
+    chatAbort = new AbortController();
     try {
-      const response = await api('POST', '/ai/chat', {
-        messages: chatHistory,
+      await apiStream('/ai/chat/stream', {
+        threadId: currentThreadId,
+        message: text,
         includeStoreData: document.getElementById('include-store-data').checked,
         includeCampaignData: document.getElementById('include-campaign-data').checked,
-      });
-
-      typingEl.remove();
-      const content = response.content || response.error || 'I encountered an issue. Please try again.';
-      chatHistory.push({ role: 'assistant', content });
-      persistChatHistory();
-      const msgEl = addMessage('assistant', renderMarkdown(content));
-
-      const spec = extractSpecFromResponse(content);
-      if (spec) addSpecPreview(msgEl, spec);
+      }, (event, data) => {
+        if (event === 'thread') {
+          rememberThread(data.id);
+          highlightThread();
+          tagMessage(userEl, text);
+        } else if (event === 'memory') {
+          threadMemory = data;
+          renderMemory();
+        } else if (event === 'text') content += data.delta;
+        else if (event === 'tool_call') calls.push(data);
+        else if (event === 'pending_action') actions.push(data);
+        else if (event === 'done') final = data;
+        else if (event === 'error') throw new Error(data.error);
+        queueRender();
+      }, chatAbort.signal);
+
+      const stopped = !final || final.stopped;
+      const reply = final?.content ?? content;
+      content = reply + (stopped ? '\n\n_(stopped)_' : '');
+      render();
+      if (reply.trim()) tagMessage(msgEl, reply);
+      actions.forEach((action) => addPendingAction(msgEl, action));
+      if (final?.ai_budget) showBudget(final.ai_budget);
+
+      const spec = final?.spec || extractSpecFromResponse(content);
+      if (spec) addSpecPreview(msgEl, spec, final?.thread?.spec_version);
     } catch (err) {
-      typingEl.remove();
-      const errorContent = `Sorry, I encountered an error: ${err.message}. Please try again.`;
-      chatHistory.push({ role: 'assistant', content: errorContent });
-      persistChatHistory();
-      addMessage('assistant', `<div class="alert alert-danger">${errorContent} Check your Claude API connection in <a href="#/settings">Settings</a>.</div>`, true);
+      if (err.name === 'AbortError') {
+        // Stop pressed: keep whatever arrived (the server saves it too)
+        const partial = content;
+        content += '\n\n_(stopped)_';
+        render();
+        if (partial.trim()) tagMessage(msgEl, partial);
+        actions.forEach((action) => addPendingAction(msgEl, action));
+      } else {
+        // The server took the message back off the thread, and deleted a thread it had just started
+        untagMessage(userEl);
+        if (!startedIn) rememberThread(null);
+        highlightThread();
+        msgEl.remove();
+        const errorContent = `Sorry, I encountered an error: ${escapeHtml(err.message)}. Please try again.`;
+        addMessage('assistant', `<div class="alert alert-danger">${errorContent} Check your Claude API connection in <a href="#/settings">Settings</a>.</div>`, true);
+      }
     }
 
+    chatAbort = null;
     chatSending = false;
-    sendBtn.disabled = false;
+    loadThreads();
+    stopBtn.classList.add('hidden');
+    sendBtn.classList.remove('hidden');
     input.disabled = false;
     input.focus();
     messagesEl.scrollTop = messagesEl.scrollHeight;
@@ -433,6 +769,78 @@ function renderAssistant() {
     return msgEl;
   }
 
+  // One muted line listing the lookups Claude made for this answer
+  function addToolActivity(msgEl, calls) {
+    const el = document.createElement('div');
+    el.className = 'tool-activity text-sm text-muted';
+    el.innerHTML = `Looked up: ${calls.map((c) => {
+      const args = Object.entries(c.input || {}).filter(([k]) => k !== 'reason').map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`).join(', ');
+      return `<code>${escapeHtml(c.name)}(${escapeHtml(args)})</code>${c.error ? ` <span class="text-danger">${escapeHtml(c.error)}</span>` : ''}`;
+    }).join(' ')}`;
+    msgEl.querySelector('.chat-bubble').appendChild(el);
+  }
+
+  // A change Claude proposed (pause/activate, budget); nothing happens until Confirm
+  function addPendingAction(msgEl, action) {
+    const el = document.createElement('div');
+    el.className = 'pending-action';
+    el.innerHTML = `
+      <div class="flex-between">
+        <strong>${escapeHtml(action.summary)}</strong>
+        <span class="badge badge-paused">Needs confirmation</span>
+      </div>
+      ${action.reason ? `<p class="text-sm text-muted">${escapeHtml(action.reason)}</p>` : ''}
+      <div class="spec-actions">
+        <button class="btn btn-sm btn-success" data-act="confirm">Confirm</button>
+        <button class="btn btn-sm btn-outline" data-act="dismiss">Dismiss</button>
+      </div>`;
+    msgEl.querySelector('.chat-bubble').appendChild(el);
+
+    const badge = el.querySelector('.badge');
+    const buttons = el.querySelector('.spec-actions');
+    el.querySelector('[data-act="confirm"]').addEventListener('click', async (e) => {
+      if (action.changes?.status === 'ACTIVE' && !askUserName()) return;
+      e.target.disabled = true;
+      e.target.textContent = 'Applying...';
+      try {
+        const result = await api('POST', `/ai/actions/${action.id}/confirm`);
+        if (!result.success) throw new Error(result.error || 'Unknown error');
+        buttons.remove();
+        if (result.action.approval) {
+          // Activations wait for a second person on the Approvals page
+          badge.textContent = 'Awaiting approval';
+          el.insertAdjacentHTML('beforeend', '<p class="text-sm text-muted">Activation requested. It goes live once someone approves it on the <a href="#/approvals">Approvals</a> page.</p>');
+          saveNotes([
+            { role: 'user', content: `I confirmed: ${action.summary}.` },
+            { role: 'assistant', content: `Activation requested — ${action.summary} once it is approved on the Approvals page.` },
+          ]);
+          updateApprovalsCount();
+          return;
+        }
+        badge.className = 'badge badge-active';
+        badge.textContent = 'Applied';
+        saveNotes([
+          { role: 'user', content: `I confirmed: ${action.summary}.` },
+          { role: 'assistant', content: `Done — ${action.summary}.` },
+        ]);
+      } catch (err) {
+        e.target.disabled = false;
+        e.target.textContent = 'Confirm';
+        badge.className = 'badge badge-error';
+        badge.textContent = 'Failed';
+        el.insertAdjacentHTML('beforeend', `<div class="alert alert-danger mt-1">${escapeHtml(err.message)}</div>`);
+        saveNotes([{ role: 'user', content: `I tried to confirm "${action.summary}" but it failed: ${err.message}` }]);
+      }
+    });
+    el.querySelector('[data-act="dismiss"]').addEventListener('click', async () => {
+      await api('POST', `/ai/actions/${action.id}/dismiss`).catch(() => {});
+      badge.textContent = 'Dismissed';
+      buttons.remove();
+      saveNotes([{ role: 'user', content: `I dismissed the proposed change: ${action.summary}.` }]);
+    });
+  }
+
+  // Fallback for replies without a submitted spec (the server parses those too)
   function extractSpecFromResponse(text) {
     try {
       const m = text.match(/```json\n?([\s\S]*?)```/);
@@ -441,41 +849,68 @@ function renderAssistant() {
     return null;
   }
 
-  function addSpecPreview(msgEl, spec) {
+  // version: the spec's version in the current thread; created: a campaign was already made from it
+  function addSpecPreview(msgEl, spec, version = null, created = false) {
     const el = document.createElement('div');
     el.className = 'spec-preview';
     el.innerHTML = `
-      <h4>Campaign Specification Detected</h4>
+      <h4>Campaign Specification Detected${version ? ` <span class="text-sm text-muted">v${version}</span>` : ''}</h4>
       <div class="spec-item"><span class="spec-label">Campaign Name</span><span class="spec-value">${escapeHtml(spec.campaign?.name || 'Unnamed')}</span></div>
       <div class="spec-item"><span class="spec-label">Objective</span><span class="spec-value">${formatObjective(spec.campaign?.objective)}</span></div>
       <div class="spec-item"><span class="spec-label">Status</span><span class="spec-value"><span class="badge badge-paused">DRAFT (Paused)</span></span></div>
       <div class="spec-item"><span class="spec-label">Ad Sets</span><span class="spec-value">${(spec.ad_sets || []).length} ad set(s)</span></div>
       <div class="spec-item"><span class="spec-label">Ads</span><span class="spec-value">${(spec.ads || []).length} ad(s)</span></div>
       ${(spec.ad_sets || []).map((as) => `<div class="spec-item"><span class="spec-label">Budget</span><span class="spec-value">${as.daily_budget ? '$' + (parseInt(as.daily_budget) / 100).toFixed(2) + '/day' : as.lifetime_budget ? '$' + (parseInt(as.lifetime_budget) / 100).toFixed(2) + ' lifetime' : 'Not set'}</span></div>`).join('')}
+      <div class="spec-validation" id="spec-validation"><div class="loading"><div class="spinner"></div> Validating spec...</div></div>
       <div class="spec-actions">
-        <button class="btn btn-success" id="btn-create-draft">Create as Draft</button>
+        <button class="btn btn-success" id="btn-create-draft" disabled>Create as Draft</button>
+        <button class="btn btn-outline" id="btn-preview-calls">Preview API calls</button>
         <button class="btn btn-outline" id="btn-ask-questions">I have questions</button>
-      </div>`;
+      </div>
+      <div class="spec-plan hidden" id="spec-plan"></div>
+      <label class="text-sm text-muted flex gap-1 mt-1" style="align-items:center;">
+        <input type="checkbox" id="keep-on-failure"> Keep partially created objects if a step fails
+      </label>`;
     msgEl.querySelector('.chat-bubble').appendChild(el);
 
+    if (created) {
+      const btn = el.querySelector('#btn-create-draft');
+      btn.textContent = 'Created';
+      btn.className = 'btn btn-outline';
+      el.querySelector('#spec-validation').innerHTML = '';
+      return;
+    }
+    validateSpecPreview(el, spec);
+
     el.querySelector('#btn-create-draft').addEventListener('click', async () => {
       const btn = el.querySelector('#btn-create-draft');
       btn.disabled = true;
       btn.textContent = 'Creating...';
       try {
-        const result = await api('POST', '/campaigns/create-from-spec', spec);
+        const onFailure = el.querySelector('#keep-on-failure').checked ? 'keep' : 'rollback';
+        const thread = currentThreadId ? `&thread_id=${currentThreadId}${version ? `&spec_version=${version}` : ''}` : '';
+        const result = await api('POST', `/campaigns/create-from-spec?on_failure=${onFailure}${thread}`, spec);
         if (result.success) {
           btn.textContent = 'Created!';
           btn.className = 'btn btn-outline';
-          chatHistory.push({ role: 'user', content: 'I approved the campaign spec. Please confirm what was created.' });
-          persistChatHistory();
           const confirmText = `Your campaign has been created as a **draft** (PAUSED status). Here's what was set up:\n\n- **Campaign ID**: ${result.results.campaign?.id}\n- **Ad Sets Created**: ${result.results.ad_sets?.length || 0}\n- **Ads Created**: ${result.results.ads?.length || 0}\n\nThe campaign is paused and won't spend any money until you activate it. You can review it in the [Campaigns](#/campaigns) tab, or ask me to activate it when you're ready.`;
-          chatHistory.push({ role: 'assistant', content: confirmText });
-          persistChatHistory();
-          addMessage('assistant', renderMarkdown(confirmText));
+          saveNotes([
+            { role: 'user', content: 'I approved the campaign spec. Please confirm what was created.' },
+            { role: 'assistant', content: confirmText },
+          ]);
+          loadThreads();
+          addMessage('assistant', renderMarkdown(confirmText)).dataset.index = threadMessageCount - 1;
+        } else if (result.errors) {
+          btn.textContent = 'Create as Draft';
+          renderSpecValidation(el, result);
+        } else if (result.violations?.length) {
+          // Over a spend guardrail: nothing was created; the note lets the assistant explain or revise
+          btn.textContent = 'Create as Draft'; btn.disabled = false;
+          addMessage('assistant', `<div class="alert alert-danger"><div><strong>Blocked by spend guardrails — nothing was created:</strong>${renderViolations(result.violations)}</div></div>`, true);
+          saveNotes([{ role: 'user', content: `Creating the campaign from the spec was refused. ${result.error}` }]);
         } else {
           btn.textContent = 'Failed - Try Again'; btn.disabled = false;
-          addMessage('assistant', `<div class="alert alert-danger">Failed to create campaign: ${result.error}</div>`, true);
+          addMessage('assistant', `<div class="alert alert-danger"><div>Failed to create campaign${result.failed_step ? ` at <code>${escapeHtml(result.failed_step)}</code>` : ''}: ${escapeHtml(result.error || 'Unknown error')}${result.steps?.length ? renderStepLog(result) : ''}</div></div>`, true);
         }
       } catch (err) {
         btn.textContent = 'Failed - Try Again'; btn.disabled = false;
@@ -483,29 +918,115 @@ function renderAssistant() {
       }
     });
 
+    el.querySelector('#btn-preview-calls').addEventListener('click', async () => {
+      const planEl = el.querySelector('#spec-plan');
+      if (!planEl.classList.contains('hidden')) { planEl.classList.add('hidden'); return; }
+      planEl.classList.remove('hidden');
+      planEl.innerHTML = '<div class="loading"><div class="spinner"></div> Planning...</div>';
+      try {
+        const plan = await api('POST', '/campaigns/create-from-spec?dry_run=true', spec);
+        const guard = plan.guardrails?.violations?.length
+          ? `<div class="alert alert-danger"><div><strong>Would be blocked by spend guardrails:</strong>${renderViolations(plan.guardrails.violations)}</div></div>`
+          : plan.guardrails?.error ? `<div class="alert alert-warning">${escapeHtml(plan.guardrails.error)}</div>` : '';
+        planEl.innerHTML = plan.calls ? guard + renderCallPlan(plan.calls) : `<div class="alert alert-danger">${escapeHtml(plan.error || 'Could not build a plan')}</div>`;
+      } catch (err) {
+        planEl.innerHTML = `<div class="alert alert-danger">Could not build a plan: ${escapeHtml(err.message)}</div>`;
+      }
+    });
+
     el.querySelector('#btn-ask-questions').addEventListener('click', () => {
       input.value = 'Before I create this campaign, I have some questions: ';
       input.focus();
     });
   }
+
+  function renderViolations(violations) {
+    return `<ul>${violations.map((v) => `<li>${escapeHtml(v.message)}</li>`).join('')}</ul>`;
+  }
+
+  // Dry-run output: the Graph API calls in order, with placeholder IDs for objects not yet created
+  function renderCallPlan(calls) {
+    return `<h4>${calls.length} Graph API call(s) — nothing has been sent</h4><ol>${calls.map((c) =>
+      `<li><code>${c.method} ${escapeHtml(c.path)}</code>${c.returns?.id ? ` <span class="text-muted text-sm">&rarr; ${escapeHtml(c.returns.id)}</span>` : ''}${c.body ? `<pre><code>${escapeHtml(JSON.stringify(c.body, null, 2))}</code></pre>` : ''}</li>`
+    ).join('')}</ol>`;
+  }
+
+  function renderStepLog(result) {
+    const summary = result.on_failure === 'keep'
+      ? 'Objects created before the failure were kept (PAUSED).'
+      : result.rolled_back
+        ? 'Everything created before the failure was deleted.'
+        : 'Some objects could not be deleted — check the log below.';
+    return `<p class="mt-1">${summary}</p><ul>${result.steps.map((st) =>
+      `<li><code>${escapeHtml(st.step)}</code> ${escapeHtml(st.name || '')} — ${st.status.replace(/_/g, ' ')}${st.id ? ` (${st.id})` : ''}${st.error ? `: ${escapeHtml(st.error)}` : ''}${st.rollback_error ? `: ${escapeHtml(st.rollback_error)}` : ''}</li>`
+    ).join('')}</ul>`;
+  }
+
+  async function validateSpecPreview(el, spec) {
+    try {
+      const result = await api('POST', '/campaigns/validate-spec', spec);
+      renderSpecValidation(el, result);
+    } catch (err) {
+      renderSpecValidation(el, { valid: false, errors: [{ field: 'spec', message: `could not be validated: ${err.message}` }] });
+    }
+  }
+
+  // Lists field-level errors/warnings and only enables "Create as Draft" for a valid spec
+  function renderSpecValidation(el, result) {
+    const box = el.querySelector('#spec-validation');
+    const btn = el.querySelector('#btn-create-draft');
+    const errors = result.errors || [];
+    const warnings = result.warnings || [];
+    const list = (items) => `<ul>${items.map((e) => `<li><code>${escapeHtml(e.field)}</code> ${escapeHtml(e.message)}</li>`).join('')}</ul>`;
+
+    let html = '';
+    if (result.error && !errors.length) {
+      html += `<div class="alert alert-danger">${escapeHtml(result.error)}</div>`;
+    } else if (errors.length) {
+      html += `<div class="alert alert-danger"><div><strong>Fix ${errors.length} issue(s) before creating:</strong>${list(errors)}</div></div>`;
+    } else {
+      html += '<div class="alert alert-success">Spec passed validation.</div>';
+    }
+    if (warnings.length) {
+      html += `<div class="alert alert-warning"><div><strong>Warnings:</strong>${list(warnings)}</div></div>`;
+    }
+    box.innerHTML = html;
+    btn.disabled = !result.valid;
+
+    if (errors.length) {
+      const fixBtn = document.createElement('button');
+      fixBtn.className = 'btn btn-sm btn-outline';
+      fixBtn.textContent = 'Ask AI to fix these';
+      fixBtn.addEventListener('click', () => {
+        input.value = `The campaign spec failed validation. Please fix these issues and send the corrected spec:\n${errors.map((e) => `- ${e.field} ${e.message}`).join('\n')}`;
+        sendMessage();
+      });
+      box.appendChild(fixBtn);
+    }
+  }
 }
 
 // ============================================================
 // Campaigns Page
 // ============================================================
 
+const CAMPAIGNS_PAGE_SIZE = 25;
+
+// Current Campaigns table page: status filter, Meta cursor, and row offset for the range label
+let campaignsView = { filter: 'all', cursor: null, start: 0 };
+
 function renderCampaigns() {
   const app = document.getElementById('app');
   app.innerHTML = document.getElementById('tmpl-campaigns').innerHTML;
   initSidebar('campaigns');
 
-  let filter = 'all';
+  campaignsView = { filter: 'all', cursor: null, start: 0 };
   document.querySelectorAll('.tab').forEach((tab) => {
     tab.addEventListener('click', () => {
       document.querySelectorAll('.tab').forEach((t) => t.classList.remove('active'));
       tab.classList.add('active');
-      filter = tab.dataset.filter;
-      loadCampaignsTable(filter);
+      campaignsView = { filter: tab.dataset.filter, cursor: null, start: 0 };
+      loadCampaignsTable();
     });
   });
 
@@ -513,28 +1034,52 @@ function renderCampaigns() {
     window.location.hash = '#/assistant?action=suggest';
   });
 
-  loadCampaignsTable(filter);
+  loadCampaignsTable();
 }
 
-async function loadCampaignsTable(filter = 'all') {
+async function loadCampaignsTable() {
   const container = document.getElementById('campaigns-table-container');
+  const pager = document.getElementById('campaigns-pager');
+  const { filter, cursor, start } = campaignsView;
   try {
-    const data = await api('GET', '/campaigns');
-    let campaigns = data.data || [];
-    if (filter !== 'all') campaigns = campaigns.filter((c) => c.status === filter);
+    const params = new URLSearchParams({ limit: CAMPAIGNS_PAGE_SIZE });
+    if (filter !== 'all') params.set('status', filter);
+    if (cursor) params.set(cursor.type, cursor.value);
+    const data = await api('GET', `/campaigns?${params}`);
+    const campaigns = data.data || [];
+    const total = data.summary?.total_count;
+    if (campaigns.length === 0 && cursor) {
+      // Page emptied (e.g. after a delete) — start over from the first page
+      campaignsView = { filter, cursor: null, start: 0 };
+      return loadCampaignsTable();
+    }
     if (campaigns.length === 0) {
       container.innerHTML = `<div class="empty-state"><h3>No ${filter !== 'all' ? filter.toLowerCase() : ''} campaigns</h3><p class="text-muted">Use the AI assistant to create campaigns with natural language.</p></div>`;
+      pager.innerHTML = '';
       return;
     }
-    container.innerHTML = `<table class="campaign-table"><thead><tr><th>Campaign</th><th>Objective</th><th>Status</th><th>Budget</th><th>Created</th><th>Actions</th></tr></thead><tbody>${campaigns.map((c) => `<tr><td><div class="campaign-name">${escapeHtml(c.name)}</div></td><td><span class="campaign-objective">${formatObjective(c.objective)}</span></td><td><span class="badge badge-${c.status === 'ACTIVE' ? 'active' : 'paused'}">${c.status}</span></td><td>${formatBudget(c.daily_budget, c.lifetime_budget)}</td><td class="text-sm text-muted">${c.created_time ? new Date(c.created_time).toLocaleDateString() : '--'}</td><td><div class="flex gap-1">${c.status === 'PAUSED' ? `<button class="btn btn-sm btn-success" onclick="activateCampaign('${c.id}'); setTimeout(() => loadCampaignsTable('all'), 1000);">Activate</button>` : `<button class="btn btn-sm btn-outline" onclick="pauseCampaign('${c.id}'); setTimeout(() => loadCampaignsTable('all'), 1000);">Pause</button>`}<button class="btn btn-sm btn-outline" onclick="window.location.hash='#/assistant?assess=${c.id}'">AI Assess</button><button class="btn btn-sm btn-danger" onclick="deleteCampaignUI('${c.id}')">Delete</button></div></td></tr>`).join('')}</tbody></table>`;
+    container.innerHTML = `<table class="campaign-table"><thead><tr><th>Campaign</th><th>Objective</th><th>Status</th><th>Budget</th><th>Created</th><th>Actions</th></tr></thead><tbody>${campaigns.map((c) => `<tr><td><div class="campaign-name">${escapeHtml(c.name)}</div></td><td><span class="campaign-objective">${formatObjective(c.objective)}</span></td><td><span class="badge badge-${c.status === 'ACTIVE' ? 'active' : 'paused'}">${c.status}</span></td><td>${formatBudget(c.daily_budget, c.lifetime_budget)}</td><td class="text-sm text-muted">${c.created_time ? new Date(c.created_time).toLocaleDateString() : '--'}</td><td><div class="flex gap-1">${c.status === 'PAUSED' ? `<button class="btn btn-sm btn-success" onclick="activateCampaign('${c.id}'); setTimeout(loadCampaignsTable, 1000);">Activate</button>` : `<button class="btn btn-sm btn-outline" onclick="pauseCampaign('${c.id}'); setTimeout(loadCampaignsTable, 1000);">Pause</button>`}<button class="btn btn-sm btn-outline" onclick="window.location.hash='#/assistant?assess=${c.id}'">AI Assess</button><button class="btn btn-sm btn-danger" onclick="deleteCampaignUI('${c.id}')">Delete</button></div></td></tr>`).join('')}</tbody></table>`;
+
+    const hasPrev = !!data.paging?.previous;
+    const hasNext = !!data.paging?.next;
+    pager.innerHTML = `<span class="text-sm text-muted">Showing ${start + 1}–${start + campaigns.length}${total != null ? ` of ${total}` : ''}</span><div class="flex gap-1"><button class="btn btn-sm btn-outline" id="btn-campaigns-prev" ${hasPrev ? '' : 'disabled'}>&larr; Previous</button><button class="btn btn-sm btn-outline" id="btn-campaigns-next" ${hasNext ? '' : 'disabled'}>Next &rarr;</button></div>`;
+    document.getElementById('btn-campaigns-prev').addEventListener('click', () => {
+      campaignsView = { filter, cursor: { type: 'before', value: data.paging.cursors.before }, start: Math.max(0, start - CAMPAIGNS_PAGE_SIZE) };
+      loadCampaignsTable();
+    });
+    document.getElementById('btn-campaigns-next').addEventListener('click', () => {
+      campaignsView = { filter, cursor: { type: 'after', value: data.paging.cursors.after }, start: start + campaigns.length };
+      loadCampaignsTable();
+    });
   } catch (err) {
     container.innerHTML = `<div class="alert alert-warning" style="margin:1rem;">Could not load campaigns. ${err.message}</div>`;
+    pager.innerHTML = '';
   }
 }
 
 window.deleteCampaignUI = async function (id) {
   if (!confirm('Delete this campaign? This cannot be undone.')) return;
-  try { await api('DELETE', `/campaigns/${id}`); loadCampaignsTable('all'); }
+  try { await api('DELETE', `/campaigns/${id}`); loadCampaignsTable(); }
   catch (err) { alert('Failed to delete: ' + err.message); }
 };
 
@@ -548,22 +1093,45 @@ function renderAnalytics() {
   initSidebar('analytics');
 
   const dateSelect = document.getElementById('date-range');
-  dateSelect.addEventListener('change', () => loadAnalytics(dateSelect.value));
+  dateSelect.addEventListener('change', () => {
+    const custom = dateSelect.value === 'custom';
+    document.getElementById('custom-range').classList.toggle('hidden', !custom);
+    if (!custom) loadAnalytics();
+  });
+  document.getElementById('btn-apply-range').addEventListener('click', () => {
+    if (analyticsRangeQuery()) loadAnalytics();
+  });
+  document.getElementById('trend-metric').addEventListener('change', () => renderTrendChart(analyticsTrendRows));
+  document.getElementById('breakdown-select').addEventListener('change', loadBreakdown);
   document.getElementById('btn-ai-assess').addEventListener('click', runAiAssessment);
   document.getElementById('btn-close-assessment').addEventListener('click', () => {
     document.getElementById('ai-assessment-card').classList.add('hidden');
   });
-  loadAnalytics('last_30d');
+  loadAnalytics();
 }
 
-async function loadAnalytics(datePreset) {
+// date_preset=... or since=...&until=... for the selected range; null if the custom range is incomplete
+function analyticsRangeQuery() {
+  const preset = document.getElementById('date-range').value;
+  if (preset !== 'custom') return `date_preset=${preset}`;
+  const since = document.getElementById('range-since').value;
+  const until = document.getElementById('range-until').value;
+  if (!since || !until) return null;
+  return `since=${since}&until=${until}`;
+}
+
+async function loadAnalytics() {
+  const range = analyticsRangeQuery();
+  loadTrend(range);
+  loadBreakdown();
   try {
-    const data = await api('GET', `/analytics/summary?date_preset=${datePreset}`);
+    const data = await api('GET', `/analytics/summary?${range}`);
     if (data.account) {
       document.getElementById('a-stat-spend').textContent = `$${parseFloat(data.account.spend || 0).toFixed(2)}`;
       document.getElementById('a-stat-reach').textContent = formatNumber(data.account.reach || 0);
       document.getElementById('a-stat-clicks').textContent = formatNumber(data.account.clicks || 0);
       document.getElementById('a-stat-cpc').textContent = `$${parseFloat(data.account.cpc || 0).toFixed(2)}`;
+      fillConversionStats('a-stat', data.account.metrics);
     }
     const container = document.getElementById('analytics-campaigns-list');
     const campaigns = data.top_campaigns || [];
@@ -571,12 +1139,94 @@ async function loadAnalytics(datePreset) {
       container.innerHTML = '<div class="empty-state"><h3>No active campaigns with data</h3></div>';
       return;
     }
-    container.innerHTML = `<table class="campaign-table"><thead><tr><th>Campaign</th><th>Spend</th><th>Impressions</th><th>Clicks</th><th>CTR</th><th>CPC</th></tr></thead><tbody>${campaigns.map((c) => { const i = c.insights || {}; return `<tr><td><div class="campaign-name">${escapeHtml(c.name)}</div></td><td>$${parseFloat(i.spend || 0).toFixed(2)}</td><td>${formatNumber(i.impressions || 0)}</td><td>${formatNumber(i.clicks || 0)}</td><td>${parseFloat(i.ctr || 0).toFixed(2)}%</td><td>$${parseFloat(i.cpc || 0).toFixed(2)}</td></tr>`; }).join('')}</tbody></table>`;
+    container.innerHTML = `<table class="campaign-table"><thead><tr><th>Campaign</th><th>Spend</th><th>Impressions</th><th>Clicks</th><th>CTR</th><th>CPC</th><th>Purchases</th><th>Revenue</th><th>ROAS</th></tr></thead><tbody>${campaigns.map((c) => { const i = c.insights || {}; const m = i.metrics || {}; return `<tr><td><div class="campaign-name">${escapeHtml(c.name)}</div></td><td>$${parseFloat(i.spend || 0).toFixed(2)}</td><td>${formatNumber(i.impressions || 0)}</td><td>${formatNumber(i.clicks || 0)}</td><td>${parseFloat(i.ctr || 0).toFixed(2)}%</td><td>$${parseFloat(i.cpc || 0).toFixed(2)}</td><td>${formatNumber(m.purchases || 0)}</td><td>$${(m.purchase_value || 0).toFixed(2)}</td><td>${formatRoas(m.roas)}</td></tr>`; }).join('')}</tbody></table>`;
   } catch (err) {
     document.getElementById('analytics-campaigns-list').innerHTML = '<div class="alert alert-warning">Could not load analytics. Check your Facebook connection.</div>';
   }
 }
 
+// ---------- Daily trend ----------
+
+let analyticsTrendRows = [];
+
+async function loadTrend(range) {
+  const el = document.getElementById('analytics-trend');
+  try {
+    const data = await api('GET', `/analytics/account?${range}&time_increment=daily&fields=spend,impressions,clicks,ctr,cpc,actions,action_values`);
+    analyticsTrendRows = data.data || [];
+    renderTrendChart(analyticsTrendRows);
+  } catch (err) {
+    el.innerHTML = `<div class="alert alert-warning">Could not load the daily trend. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+const TREND_FORMATS = {
+  spend: (v) => `$${v.toFixed(2)}`,
+  impressions: (v) => formatNumber(v),
+  clicks: (v) => formatNumber(v),
+  ctr: (v) => `${v.toFixed(2)}%`,
+  cpc: (v) => `$${v.toFixed(2)}`,
+  purchase_value: (v) => `$${v.toFixed(2)}`,
+  purchases: (v) => formatNumber(v),
+};
+
+// Inline SVG line chart of one metric over the daily rows
+function renderTrendChart(rows) {
+  const el = document.getElementById('analytics-trend');
+  if (!el) return;
+  if (!rows.length) {
+    el.innerHTML = '<div class="empty-state"><h3>No delivery in this range</h3></div>';
+    return;
+  }
+  const metric = document.getElementById('trend-metric').value;
+  const fmt = TREND_FORMATS[metric];
+  const values = rows.map((r) => parseFloat(r.metrics?.[metric] ?? r[metric] ?? 0));
+  const max = Math.max(...values) || 1;
+  const W = 800, H = 220, PAD = 28;
+  const x = (i) => PAD + (rows.length === 1 ? (W - 2 * PAD) / 2 : (i * (W - 2 * PAD)) / (rows.length - 1));
+  const y = (v) => H - PAD - (v / max) * (H - 2 * PAD);
+  const points = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  const labelIdx = [...new Set([0, Math.floor((rows.length - 1) / 2), rows.length - 1])];
+  const total = values.reduce((a, b) => a + b, 0);
+
+  el.innerHTML = `
+    <svg class="trend-chart" viewBox="0 0 ${W} ${H}">
+      <line x1="${PAD}" y1="${H - PAD}" x2="${W - PAD}" y2="${H - PAD}" class="axis" />
+      <text x="${PAD}" y="${PAD - 10}" class="axis-label">${fmt(max)}</text>
+      <polygon points="${x(0).toFixed(1)},${H - PAD} ${points} ${x(rows.length - 1).toFixed(1)},${H - PAD}" class="area" />
+      <polyline points="${points}" class="line" />
+      ${values.map((v, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="3"><title>${rows[i].date_start}: ${fmt(v)}</title></circle>`).join('')}
+      ${labelIdx.map((i) => `<text x="${x(i).toFixed(1)}" y="${H - 8}" class="axis-label" text-anchor="middle">${rows[i].date_start}</text>`).join('')}
+    </svg>
+    <p class="text-sm text-muted">${rows.length} days &middot; ${['ctr', 'cpc'].includes(metric) ? `average ${fmt(total / rows.length)}` : `total ${fmt(total)}`} &middot; peak ${fmt(max)}</p>`;
+}
+
+// ---------- Breakdowns ----------
+
+async function loadBreakdown() {
+  const el = document.getElementById('analytics-breakdown');
+  const range = analyticsRangeQuery();
+  if (!el || !range) return;
+  const breakdowns = document.getElementById('breakdown-select').value;
+  el.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+  try {
+    const data = await api('GET', `/analytics/account?${range}&breakdowns=${breakdowns}&fields=spend,impressions,clicks,ctr,cpc`);
+    const keys = breakdowns.split(',');
+    const rows = (data.data || []).sort((a, b) => parseFloat(b.spend || 0) - parseFloat(a.spend || 0));
+    if (!rows.length) {
+      el.innerHTML = '<div class="empty-state"><h3>No delivery in this range</h3></div>';
+      return;
+    }
+    const totalSpend = rows.reduce((sum, r) => sum + parseFloat(r.spend || 0), 0) || 1;
+    el.innerHTML = `<table class="campaign-table"><thead><tr><th>Segment</th><th>Spend</th><th>Share</th><th>Impressions</th><th>Clicks</th><th>CTR</th><th>CPC</th></tr></thead><tbody>${rows.map((r) => {
+      const share = (parseFloat(r.spend || 0) / totalSpend) * 100;
+      return `<tr><td>${keys.map((k) => escapeHtml(String(r[k] || '--').replace(/_/g, ' '))).join(' &middot; ')}</td><td>$${parseFloat(r.spend || 0).toFixed(2)}</td><td><div class="usage-bar"><div class="usage-fill" style="width:${share.toFixed(1)}%"></div></div><span class="text-sm text-muted">${share.toFixed(1)}%</span></td><td>${formatNumber(r.impressions || 0)}</td><td>${formatNumber(r.clicks || 0)}</td><td>${parseFloat(r.ctr || 0).toFixed(2)}%</td><td>$${parseFloat(r.cpc || 0).toFixed(2)}</td></tr>`;
+    }).join('')}</tbody></table>`;
+  } catch (err) {
+    el.innerHTML = `<div class="alert alert-warning">Could not load the breakdown. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
 async function runAiAssessment() {
   const card = document.getElementById('ai-assessment-card');
   const content = document.getElementById('ai-assessment-content');
@@ -584,13 +1234,869 @@ async function runAiAssessment() {
   content.innerHTML = '<div class="loading"><div class="spinner"></div> AI is analyzing your campaigns...</div>';
   try {
     const datePreset = document.getElementById('date-range').value;
-    const result = await api('POST', '/ai/assess', { datePreset });
+    const timeRange = datePreset === 'custom'
+      ? { since: document.getElementById('range-since').value, until: document.getElementById('range-until').value }
+      : undefined;
+    const result = await api('POST', '/ai/assess', { datePreset: timeRange ? undefined : datePreset, timeRange });
     content.innerHTML = renderMarkdown(result.analysis || 'No analysis available.');
   } catch (err) {
     content.innerHTML = `<div class="alert alert-danger">Failed to get AI assessment: ${err.message}</div>`;
   }
 }
 
+// ============================================================
+// Attribution Page
+// ============================================================
+
+function renderAttribution() {
+  const app = document.getElementById('app');
+  app.innerHTML = document.getElementById('tmpl-attribution').innerHTML;
+  initSidebar('attribution');
+  document.getElementById('attribution-range').addEventListener('change', loadAttribution);
+  loadAttribution();
+}
+
+async function loadAttribution() {
+  const container = document.getElementById('attribution-campaigns');
+  const ordersEl = document.getElementById('attribution-orders');
+  container.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+  ordersEl.innerHTML = '';
+  try {
+    const preset = document.getElementById('attribution-range').value;
+    const data = await api('GET', `/analytics/attribution?date_preset=${preset}`);
+    const t = data.totals;
+    const money = (v) => `$${(v || 0).toFixed(2)}`;
+    document.getElementById('attr-spend').textContent = money(t.meta_spend);
+    document.getElementById('attr-revenue').textContent = money(t.attributed_revenue);
+    document.getElementById('attr-roas').textContent = formatRoas(t.attributed_roas);
+    document.getElementById('attr-meta-roas').textContent = formatRoas(t.meta_roas);
+    document.getElementById('attr-blended-roas').textContent = formatRoas(t.blended_roas);
+
+    if (!data.campaigns.length) {
+      container.innerHTML = '<div class="empty-state"><h3>No spend or attributed orders in this range</h3></div>';
+    } else {
+      container.innerHTML = `<table class="campaign-table"><thead><tr><th>Campaign</th><th>Spend</th><th>Meta Purchases</th><th>Meta Revenue</th><th>Meta ROAS</th><th>Shopify Orders</th><th>Shopify Revenue</th><th>Shopify ROAS</th></tr></thead><tbody>${data.campaigns.map((c) => `
+        <tr>
+          <td><div class="campaign-name">${escapeHtml(c.name)}</div><div class="campaign-objective">${c.status}${c.ads.length ? ` · top ad: ${escapeHtml(c.ads[0].name || c.ads[0].id)}` : ''}</div></td>
+          <td>${money(c.spend)}</td>
+          <td>${formatNumber(c.meta_purchases)}</td>
+          <td>${money(c.meta_purchase_value)}</td>
+          <td>${formatRoas(c.meta_roas)}</td>
+          <td>${formatNumber(c.shopify_orders)}</td>
+          <td>${money(c.shopify_revenue)}</td>
+          <td>${formatRoas(c.shopify_roas)}</td>
+        </tr>`).join('')}</tbody></table>`;
+    }
+
+    ordersEl.innerHTML = `
+      <p class="text-sm">${formatNumber(t.shopify_orders)} paid orders (${money(t.shopify_revenue)}) from ${data.range.since} to ${data.range.until}:
+        ${formatNumber(t.attributed_orders)} matched to a campaign (${t.matched_by.id} by ID, ${t.matched_by.name} by UTM name),
+        ${formatNumber(data.unmatched_meta.orders)} from Meta with no matching campaign (${money(data.unmatched_meta.revenue)}),
+        ${formatNumber(data.other_orders.orders)} from other sources (${money(data.other_orders.revenue)}).</p>
+      ${data.unmatched_meta.orders ? '<p class="text-sm text-muted">Unmatched Meta orders carry an fbclid or Facebook/Instagram referrer but no UTM that names a current campaign. Add URL parameters such as <code>utm_campaign={{campaign.name}}&amp;utm_content={{ad.id}}</code> to your ads to attribute them.</p>' : ''}
+      ${data.orders_truncated ? '<div class="alert alert-warning">Only the first 2,500 orders in this range were read.</div>' : ''}`;
+  } catch (err) {
+    container.innerHTML = `<div class="alert alert-warning">Could not build the attribution report. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+// ============================================================
+// Customer Audiences
+// ============================================================
+
+let audiencesCatalog = null;
+let editingAudienceId = null;
+
+const AUDIENCE_SYNC_BADGES = { success: 'badge-active', skipped: 'badge-paused', failed: 'badge-error' };
+
+function renderAudiences() {
+  const app = document.getElementById('app');
+  app.innerHTML = document.getElementById('tmpl-audiences').innerHTML;
+  initSidebar('audiences');
+  editingAudienceId = null;
+  document.getElementById('btn-new-audience').addEventListener('click', () => openAudienceForm(null));
+  document.getElementById('btn-cancel-audience').addEventListener('click', closeAudienceForm);
+  document.getElementById('btn-preview-audience').addEventListener('click', previewAudience);
+  document.getElementById('audience-form').addEventListener('submit', saveAudience);
+  document.querySelector('#audience-form [name="segment_type"]').addEventListener('change', toggleAudienceSegmentFields);
+  loadAudiences();
+}
+
+function toggleAudienceSegmentFields() {
+  const type = document.querySelector('#audience-form [name="segment_type"]').value;
+  document.querySelectorAll('.audience-segment-field').forEach((el) => el.classList.toggle('hidden', el.dataset.segment !== type));
+}
+
+function openAudienceForm(audience) {
+  editingAudienceId = audience ? audience.id : null;
+  const form = document.getElementById('audience-form');
+  form.reset();
+  document.getElementById('audience-form-title').textContent = audience ? `Edit "${audience.name}"` : 'New audience';
+  document.getElementById('audience-form-errors').innerHTML = '';
+  document.getElementById('audience-preview').innerHTML = '';
+  form.elements.segment_type.innerHTML = Object.entries(audiencesCatalog.segments).map(([key, label]) => `<option value="${key}">${escapeHtml(label)}</option>`).join('');
+  if (audience) {
+    const segment = audience.segment;
+    form.elements.name.value = audience.name;
+    form.elements.description.value = audience.description || '';
+    form.elements.segment_type.value = segment.type;
+    form.elements.tag.value = segment.tag || '';
+    form.elements.min_orders.value = segment.min_orders || 2;
+    form.elements.lapsed_days.value = segment.lapsed_days || 180;
+    form.elements.subscribed_only.checked = segment.subscribed_only;
+    form.elements.auto_refresh.checked = audience.auto_refresh;
+  }
+  toggleAudienceSegmentFields();
+  document.getElementById('audience-form-card').classList.remove('hidden');
+  form.elements.name.focus();
+}
+
+function closeAudienceForm() {
+  editingAudienceId = null;
+  document.getElementById('audience-form-card').classList.add('hidden');
+}
+
+function audienceSegmentFromForm(form) {
+  const segment = { type: form.elements.segment_type.value, subscribed_only: form.elements.subscribed_only.checked };
+  if (segment.type === 'tag') segment.tag = form.elements.tag.value;
+  if (segment.type === 'repeat_buyers') segment.min_orders = Number(form.elements.min_orders.value);
+  if (segment.type === 'lapsed_buyers') segment.lapsed_days = Number(form.elements.lapsed_days.value);
+  return segment;
+}
+
+function showAudienceFormErrors(result) {
+  const errors = result.errors || [result.error];
+  document.getElementById('audience-form-errors').innerHTML = `<div class="alert alert-danger mt-1">${errors.map(escapeHtml).join('<br>')}</div>`;
+}
+
+async function previewAudience() {
+  const form = document.getElementById('audience-form');
+  const output = document.getElementById('audience-preview');
+  document.getElementById('audience-form-errors').innerHTML = '';
+  output.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+  const result = await api('POST', '/audiences/preview', { segment: audienceSegmentFromForm(form) });
+  if (result.error) {
+    output.innerHTML = '';
+    showAudienceFormErrors(result);
+    return;
+  }
+  output.innerHTML = `<p class="text-sm text-muted mt-1">${escapeHtml(result.summary)}: ${formatNumber(result.customers)} customers, ${formatNumber(result.uploadable)} with an email or phone number to upload${result.truncated ? ' (store too large to read in full)' : ''}.</p>`;
+}
+
+async function saveAudience(e) {
+  e.preventDefault();
+  const form = e.target;
+  const body = {
+    name: form.elements.name.value,
+    description: form.elements.description.value,
+    segment: audienceSegmentFromForm(form),
+    auto_refresh: form.elements.auto_refresh.checked,
+  };
+  const submit = form.querySelector('[type="submit"]');
+  submit.disabled = true;
+  const result = editingAudienceId ? await api('PATCH', `/audiences/${editingAudienceId}`, body) : await api('POST', '/audiences', body);
+  submit.disabled = false;
+  if (result.error) {
+    showAudienceFormErrors(result);
+    return;
+  }
+  closeAudienceForm();
+  loadAudiences();
+}
+
+function describeAudienceSync(sync) {
+  if (!sync) return 'Never synced';
+  const when = `${sync.trigger === 'schedule' ? 'Refreshed' : 'Synced by hand'} ${new Date(sync.at).toLocaleString()}`;
+  const badge = `<span class="badge ${AUDIENCE_SYNC_BADGES[sync.status] || 'badge-draft'}">${sync.status}</span>`;
+  if (sync.status === 'failed' || sync.status === 'skipped') return `${badge} ${when}: <span class="text-danger">${escapeHtml(sync.error)}</span>`;
+  const parts = [
+    `${formatNumber(sync.uploaded)} of ${formatNumber(sync.customers)} customers uploaded`,
+    `${formatNumber(sync.with_email)} with email`,
+    `${formatNumber(sync.with_phone)} with phone`,
+  ];
+  if (sync.phones_skipped) parts.push(`${formatNumber(sync.phones_skipped)} phone numbers left out (no country)`);
+  if (sync.num_invalid_entries) parts.push(`${formatNumber(sync.num_invalid_entries)} rejected by Meta`);
+  return `${badge} ${when}: ${parts.join(', ')}${sync.truncated ? ' (store too large to read in full)' : ''}${sync.warning ? `<div class="text-warning">${escapeHtml(sync.warning)}</div>` : ''}`;
+}
+
+async function loadAudiences() {
+  const list = document.getElementById('audiences-list');
+  try {
+    const result = await api('GET', '/audiences');
+    if (result.error) throw new Error(result.error);
+    audiencesCatalog = result;
+    const scheduler = result.scheduler;
+    document.getElementById('audiences-scheduler').innerHTML = scheduler.enabled
+      ? `<p class="text-sm text-muted">Audiences with automatic refresh are re-uploaded every ${scheduler.refresh_hours} hours, replacing their members. Emails and phone numbers are hashed before they leave this server.</p>`
+      : '<div class="alert alert-warning">Automatic refresh is off (AUDIENCE_REFRESH=off): audiences only update when you click Sync now.</div>';
+    if (!result.data.length) {
+      list.innerHTML = '<div class="empty-state"><h3>No audiences yet</h3><p>Create one to retarget repeat or lapsed buyers, or to exclude existing customers from prospecting.</p></div>';
+      return;
+    }
+    list.innerHTML = result.data.map((audience) => `
+      <div class="card audience-card" data-id="${audience.id}">
+        <div class="flex-between">
+          <h3>${escapeHtml(audience.name)}</h3>
+          <div class="flex gap-1">
+            ${audience.operation_status?.description ? `<span class="badge badge-draft">${escapeHtml(audience.operation_status.description)}</span>` : ''}
+            <span class="badge ${audience.auto_refresh ? 'badge-active' : 'badge-draft'}">${audience.auto_refresh ? 'auto-refresh' : 'manual'}</span>
+          </div>
+        </div>
+        <div class="audience-meta">
+          <div>${escapeHtml(audience.summary)}</div>
+          <div class="text-sm text-muted">${audience.meta_audience_id ? `Meta audience ${escapeHtml(audience.meta_audience_id)}` : 'Not on Meta yet'}${audience.approximate_count != null ? ` · About ${formatNumber(audience.approximate_count)} people matched` : ''}${audience.created_by ? ` · Created by ${escapeHtml(audience.created_by)}` : ''}</div>
+          ${audience.meta_audience_id && audience.on_meta === false ? '<div class="text-sm text-danger">No longer in the ad account on Meta — delete it here and create it again.</div>' : ''}
+          <div class="text-sm text-muted audience-sync">${describeAudienceSync(audience.last_sync)}</div>
+        </div>
+        <div class="spec-actions">
+          <button class="btn btn-sm btn-primary" data-audience-act="sync">Sync now</button>
+          <button class="btn btn-sm btn-outline" data-audience-act="edit">Edit</button>
+          <button class="btn btn-sm btn-outline" data-audience-act="toggle">${audience.auto_refresh ? 'Stop auto-refresh' : 'Refresh automatically'}</button>
+          <button class="btn btn-sm btn-danger" data-audience-act="delete">Delete</button>
+        </div>
+        <div class="audience-output"></div>
+      </div>`).join('');
+  } catch (err) {
+    list.innerHTML = `<div class="alert alert-danger">Could not load audiences. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+document.addEventListener('click', async (e) => {
+  const btn = e.target.closest('.audience-card [data-audience-act]');
+  if (!btn) return;
+  const card = btn.closest('.audience-card');
+  const audience = audiencesCatalog.data.find((a) => a.id === card.dataset.id);
+  const output = card.querySelector('.audience-output');
+  const act = btn.dataset.audienceAct;
+
+  if (act === 'edit') return openAudienceForm(audience);
+  if (act === 'delete' && !confirm(`Delete "${audience.name}" here and on Meta? Ad sets still using it must be changed first.`)) return;
+
+  btn.disabled = true;
+  output.innerHTML = act === 'sync' ? '<div class="loading"><div class="spinner"></div></div>' : '';
+  let result;
+  if (act === 'sync') result = await api('POST', `/audiences/${audience.id}/sync`);
+  else if (act === 'toggle') result = await api('PATCH', `/audiences/${audience.id}`, { auto_refresh: !audience.auto_refresh });
+  else result = await api('DELETE', `/audiences/${audience.id}`);
+  btn.disabled = false;
+  if (result.error) {
+    output.innerHTML = `<div class="alert alert-danger">${escapeHtml(result.error)}</div>`;
+    return;
+  }
+  output.innerHTML = '';
+  loadAudiences();
+});
+
+// ============================================================
+// Reports (performance digests)
+// ============================================================
+
+// Cost metrics improve when they go down; spend is neither good nor bad
+const DIGEST_LOWER_IS_BETTER = ['cpc', 'cpm', 'cpa'];
+const DIGEST_MONEY = ['spend', 'cpc', 'cpm', 'purchase_value', 'cpa'];
+let digestKpis = {};
+
+function renderReports() {
+  const app = document.getElementById('app');
+  app.innerHTML = document.getElementById('tmpl-reports').innerHTML;
+  initSidebar('reports');
+  document.querySelectorAll('[data-generate]').forEach((btn) => btn.addEventListener('click', () => generateDigest(btn)));
+  loadReports();
+}
+
+function formatDigestValue(key, value, currency) {
+  if (value === null || value === undefined) return '—';
+  if (DIGEST_MONEY.includes(key)) return `${value.toFixed(2)} ${currency}`;
+  if (key === 'ctr') return `${value.toFixed(2)}%`;
+  if (key === 'roas') return value.toFixed(2);
+  return value.toLocaleString();
+}
+
+function formatDigestChange(key, change) {
+  if (change === null || change === undefined) return '<span class="text-muted">—</span>';
+  const better = DIGEST_LOWER_IS_BETTER.includes(key) ? change < 0 : change > 0;
+  const cls = key === 'spend' || change === 0 ? '' : better ? 'positive' : 'negative';
+  return `<span class="change ${cls}">${change > 0 ? '+' : ''}${change}%</span>`;
+}
+
+function digestSpan(range) {
+  return range.since === range.until ? range.since : `${range.since} – ${range.until}`;
+}
+
+function describeDeliveries(deliveries) {
+  if (!deliveries.length) return '<span class="text-muted">not sent</span>';
+  return deliveries.map((d) => `<span class="badge ${d.status === 'sent' ? 'badge-active' : 'badge-error'}" title="${escapeHtml(d.error || new Date(d.at).toLocaleString())}">${d.channel} ${d.status}</span>`).join(' ');
+}
+
+async function loadReports() {
+  const list = document.getElementById('reports-list');
+  try {
+    const result = await api('GET', '/digests');
+    if (result.error) throw new Error(result.error);
+    digestKpis = result.kpis;
+    const s = result.scheduler;
+    const channels = s.channels.length ? `sent by ${s.channels.join(' and ')}` : 'kept here only (set DIGEST_EMAIL_TO with SMTP_HOST, or DIGEST_WEBHOOK_URL, to send them)';
+    document.getElementById('reports-schedule').innerHTML = s.periods.length
+      ? `<p class="text-sm text-muted">${s.periods.map((p) => (p === 'weekly' ? `Weekly on ${s.weekly_day}s` : 'Daily')).join(' and ')} at ${s.time} server time, ${channels}.</p>`
+      : `<div class="alert alert-info">No digests are scheduled (set DIGESTS=daily, weekly or daily,weekly). You can still write one now; they are ${channels}.</div>`;
+
+    const selected = new URLSearchParams(window.location.hash.split('?')[1] || '').get('id') || result.data[0]?.id;
+    if (!result.data.length) {
+      list.innerHTML = '<div class="empty-state"><h3>No reports yet</h3><p>Write a daily or weekly digest to see how this period compares with the last.</p></div>';
+      document.getElementById('report-detail').innerHTML = '';
+      return;
+    }
+    list.innerHTML = `<table class="campaign-table"><thead><tr><th>Report</th><th>Covers</th><th>Spend</th><th>ROAS</th><th>Sent</th><th></th></tr></thead><tbody>${result.data.map((d) => `
+      <tr class="${d.id === selected ? 'selected' : ''}">
+        <td><a href="#/reports?id=${d.id}">${d.period === 'weekly' ? 'Weekly' : 'Daily'} · ${d.report_date}</a><div class="text-sm text-muted">${d.trigger === 'schedule' ? 'scheduled' : `by ${escapeHtml(d.requested_by || 'hand')}`}</div></td>
+        <td class="text-sm">${digestSpan(d.range)}</td>
+        ${d.status === 'failed'
+          ? `<td colspan="2"><span class="badge badge-error">failed</span> <span class="text-sm text-muted">${escapeHtml(d.error || '')}</span></td>`
+          : `<td>${formatDigestValue('spend', d.account?.current?.spend, d.currency)} ${formatDigestChange('spend', d.account?.change?.spend)}</td>
+             <td>${formatDigestValue('roas', d.account?.current?.roas, d.currency)} ${formatDigestChange('roas', d.account?.change?.roas)}</td>`}
+        <td>${describeDeliveries(d.deliveries)}</td>
+        <td><button class="btn btn-sm btn-outline" data-report-delete="${d.id}">Delete</button></td>
+      </tr>`).join('')}</tbody></table>`;
+    loadReport(selected);
+  } catch (err) {
+    list.innerHTML = `<div class="alert alert-danger">Could not load reports. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function loadReport(id) {
+  const detail = document.getElementById('report-detail');
+  detail.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+  const d = await api('GET', `/digests/${id}`);
+  if (d.error) {
+    detail.innerHTML = `<div class="alert alert-danger">${escapeHtml(d.error)}</div>`;
+    return;
+  }
+  const header = `
+    <div class="flex-between">
+      <div>
+        <h3>${d.period === 'weekly' ? 'Weekly' : 'Daily'} digest: ${digestSpan(d.range)}${d.account_name ? ` · ${escapeHtml(d.account_name)}` : ''}</h3>
+        <div class="text-sm text-muted">Compared with ${digestSpan(d.previous_range)} · written ${new Date(d.created_at).toLocaleString()}</div>
+      </div>
+      ${d.status === 'ready' ? '<button class="btn btn-sm btn-outline" id="btn-report-deliver">Send now</button>' : ''}
+    </div>
+    <div class="text-sm mt-1">${describeDeliveries(d.deliveries)}</div>
+    <div id="report-deliver-result"></div>`;
+  if (d.status === 'failed') {
+    detail.innerHTML = `<div class="card">${header}<div class="alert alert-danger mt-1">This digest could not be written. ${escapeHtml(d.error || '')}</div></div>`;
+    return;
+  }
+  const kpis = Object.keys(digestKpis).map((k) => `
+    <div class="stat-card">
+      <div class="label">${escapeHtml(digestKpis[k])}</div>
+      <div class="value">${formatDigestValue(k, d.account?.current?.[k], d.currency)}</div>
+      <div class="change text-muted">${formatDigestChange(k, d.account?.change?.[k])} from ${formatDigestValue(k, d.account?.previous?.[k], d.currency)}</div>
+    </div>`).join('');
+  const campaigns = d.campaigns.length ? `
+    <table class="campaign-table">
+      <thead><tr><th>Campaign</th><th>Spend</th><th>Purchases</th><th>ROAS</th><th>CPA</th><th>CTR</th></tr></thead>
+      <tbody>${d.campaigns.map((c) => `
+        <tr>
+          <td><div class="campaign-name">${escapeHtml(c.name)}</div><span class="badge badge-${c.status === 'ACTIVE' ? 'active' : 'paused'}">${c.status}</span>${c.error ? `<div class="text-sm text-danger">${escapeHtml(c.error)}</div>` : ''}</td>
+          ${['spend', 'purchases', 'roas', 'cpa', 'ctr'].map((k) => `<td>${formatDigestValue(k, c.current?.[k], d.currency)}<div class="text-sm">${formatDigestChange(k, c.change?.[k])}</div></td>`).join('')}
+        </tr>`).join('')}</tbody>
+    </table>` : '<p class="text-sm text-muted">No campaign spent in either period.</p>';
+  detail.innerHTML = `
+    <div class="card">${header}</div>
+    <div class="card-grid">${kpis}</div>
+    <div class="card mt-1"><div class="card-header"><h3>Campaigns</h3></div>${campaigns}</div>
+    <div class="card"><div class="card-header"><h3>Assessment</h3></div>
+      ${d.assessment
+        ? `<div class="report-assessment">${renderMarkdown(d.assessment)}</div>`
+        : `<div class="alert alert-warning">No assessment for this digest. ${escapeHtml(d.assessment_error || '')}</div>`}
+    </div>`;
+  document.getElementById('btn-report-deliver')?.addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    const result = await api('POST', `/digests/${d.id}/deliver`);
+    e.target.disabled = false;
+    if (result.error) {
+      document.getElementById('report-deliver-result').innerHTML = `<div class="alert alert-danger mt-1">${escapeHtml(result.error)}</div>`;
+      return;
+    }
+    loadReports();
+  });
+}
+
+async function generateDigest(btn) {
+  const notice = document.getElementById('reports-notice');
+  document.querySelectorAll('[data-generate]').forEach((b) => { b.disabled = true; });
+  notice.innerHTML = `<div class="alert alert-info">Writing the ${btn.dataset.generate} digest — gathering insights and asking Claude for an assessment…</div>`;
+  const result = await api('POST', '/digests', { period: btn.dataset.generate, deliver: document.getElementById('report-deliver').checked });
+  document.querySelectorAll('[data-generate]').forEach((b) => { b.disabled = false; });
+  if (result.error) {
+    notice.innerHTML = `<div class="alert alert-danger">${escapeHtml(result.error)}</div>`;
+    return;
+  }
+  notice.innerHTML = '';
+  if (window.location.hash === `#/reports?id=${result.id}`) loadReports();
+  else window.location.hash = `#/reports?id=${result.id}`;
+}
+
+document.addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-report-delete]');
+  if (!btn) return;
+  if (!confirm('Delete this report?')) return;
+  const result = await api('DELETE', `/digests/${btn.dataset.reportDelete}`);
+  if (result.error) {
+    document.getElementById('reports-notice').innerHTML = `<div class="alert alert-danger">${escapeHtml(result.error)}</div>`;
+    return;
+  }
+  if (window.location.hash === '#/reports') loadReports();
+  else window.location.hash = '#/reports';
+});
+
+// ============================================================
+// Approvals
+// ============================================================
+
+const APPROVAL_BADGES = { pending: 'badge-paused', approving: 'badge-paused', approved: 'badge-active', rejected: 'badge-draft', stale: 'badge-error', failed: 'badge-error' };
+const APPROVAL_LABELS = { campaign: 'Campaign', adset: 'Ad set', ad: 'Ad' };
+
+function renderApprovals() {
+  const app = document.getElementById('app');
+  app.innerHTML = document.getElementById('tmpl-approvals').innerHTML;
+  initSidebar('approvals');
+  document.getElementById('approvals-filter').addEventListener('change', loadApprovals);
+  loadApprovals();
+}
+
+function describeTargeting(t = {}) {
+  const parts = [];
+  if (t.geo_locations?.countries?.length) parts.push(t.geo_locations.countries.join(', '));
+  if (t.age_min || t.age_max) parts.push(`age ${t.age_min || 18}–${t.age_max || '65+'}`);
+  if (t.genders?.length) parts.push(t.genders.map((g) => (g === 1 ? 'men' : 'women')).join(', '));
+  const interests = (t.flexible_spec || []).flatMap((f) => f.interests || []);
+  if (interests.length) parts.push(`interests: ${interests.map((i) => i.name || i.id).join(', ')}`);
+  if (t.custom_audiences?.length) parts.push(`${t.custom_audiences.length} custom audience(s)`);
+  return parts.join(' · ') || 'Broad';
+}
+
+// What would go live: campaign budget, ad sets with targeting, ads with their creative copy
+function renderApprovalSnapshot(snapshot) {
+  const c = snapshot.campaign || {};
+  const creatives = new Map((snapshot.creatives || []).map((cr) => [String(cr.id), cr]));
+  return `
+    <div class="spec-item"><span class="spec-label">Campaign</span><span class="spec-value">${escapeHtml(c.name || c.id || '--')} · ${formatObjective(c.objective)} · ${formatBudget(c.daily_budget, c.lifetime_budget)}</span></div>
+    <h4>Ad sets</h4>
+    <table class="campaign-table"><thead><tr><th>Ad set</th><th>Budget</th><th>Optimization</th><th>Targeting</th></tr></thead><tbody>${(snapshot.ad_sets || []).map((s) => `
+      <tr><td>${escapeHtml(s.name || s.id)}</td><td>${formatBudget(s.daily_budget, s.lifetime_budget)}</td><td class="text-sm">${escapeHtml(s.optimization_goal || '--')}</td><td class="text-sm">${escapeHtml(describeTargeting(s.targeting))}</td></tr>`).join('')}</tbody></table>
+    <h4>Ads</h4>
+    ${(snapshot.ads || []).length ? `<table class="campaign-table"><thead><tr><th>Ad</th><th>Creative</th></tr></thead><tbody>${snapshot.ads.map((ad) => {
+      const cr = creatives.get(String(ad.creative?.id)) || {};
+      const link = cr.object_story_spec?.link_data || {};
+      return `<tr><td>${escapeHtml(ad.name || ad.id)}</td><td class="text-sm">${cr.error ? `<span class="text-danger">${escapeHtml(cr.error)}</span>` : `<strong>${escapeHtml(link.name || cr.name || '--')}</strong>${link.message ? `<div>${escapeHtml(link.message)}</div>` : ''}${link.link ? `<div class="text-muted">${escapeHtml(link.link)}</div>` : ''}`}</td></tr>`;
+    }).join('')}</tbody></table>` : '<p class="text-sm text-muted">No ads — nothing will deliver until one is added.</p>'}`;
+}
+
+async function loadApprovals() {
+  const list = document.getElementById('approvals-list');
+  const notice = document.getElementById('approvals-notice');
+  list.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+  try {
+    const status = document.getElementById('approvals-filter').value;
+    const result = await api('GET', `/approvals${status ? `?status=${status}` : ''}`);
+    if (result.error) throw new Error(result.error);
+    notice.innerHTML = result.enabled ? '' : '<div class="alert alert-warning">Approvals are off (ACTIVATION_APPROVAL=off): activate buttons go live immediately.</div>';
+    if (!result.data.length) {
+      list.innerHTML = `<div class="empty-state"><h3>${status === 'pending' ? 'Nothing waiting for approval' : 'No approvals'}</h3></div>`;
+      return;
+    }
+    const me = currentUser().toLowerCase();
+    list.innerHTML = result.data.map((a) => {
+      const own = me && a.requested_by.toLowerCase() === me;
+      const waiting = own && new Date(a.self_approve_after) > new Date();
+      return `
+      <div class="card approval-card" data-id="${a.id}">
+        <div class="flex-between">
+          <h3>Activate ${APPROVAL_LABELS[a.object_type]} "${escapeHtml(a.name)}"</h3>
+          <span class="badge ${APPROVAL_BADGES[a.status]}">${a.status}</span>
+        </div>
+        <div class="text-sm text-muted approval-meta">
+          Requested by <strong>${escapeHtml(a.requested_by)}</strong> ${new Date(a.requested_at).toLocaleString()} · ID ${a.object_id}
+          ${a.note ? `<div>${escapeHtml(a.note)}</div>` : ''}
+          ${a.decided_by ? `<div>${a.status === 'approved' ? 'Approved' : a.status === 'rejected' ? 'Rejected' : 'Closed'} by <strong>${escapeHtml(a.decided_by)}</strong> ${new Date(a.decided_at).toLocaleString()}${a.decision_note ? `: ${escapeHtml(a.decision_note)}` : ''}</div>` : ''}
+          ${a.error ? `<div class="text-danger">${escapeHtml(a.error)}</div>` : ''}
+        </div>
+        ${renderApprovalSnapshot(a.snapshot)}
+        ${a.status === 'pending' ? `
+          <div class="spec-actions">
+            <button class="btn btn-sm btn-success" data-act="approve" ${waiting ? 'disabled' : ''}>Approve &amp; activate</button>
+            <button class="btn btn-sm btn-outline" data-act="reject">${own ? 'Withdraw' : 'Reject'}</button>
+            ${waiting ? `<span class="text-sm text-muted">You requested this — someone else must approve it, or you can after ${new Date(a.self_approve_after).toLocaleString()}.</span>` : ''}
+          </div>
+          <div class="approval-result"></div>` : ''}
+      </div>`;
+    }).join('');
+  } catch (err) {
+    list.innerHTML = `<div class="alert alert-danger">Could not load approvals. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+document.addEventListener('click', async (e) => {
+  const btn = e.target.closest('.approval-card [data-act]');
+  if (!btn) return;
+  const card = btn.closest('.approval-card');
+  if (!askUserName()) return;
+  const approving = btn.dataset.act === 'approve';
+  const note = prompt(approving ? 'Note for the record (optional):' : 'Reason (optional):');
+  if (note === null) return;
+  btn.disabled = true;
+  const result = await api('POST', `/approvals/${card.dataset.id}/${btn.dataset.act}`, { note });
+  if (result.error) {
+    btn.disabled = false;
+    card.querySelector('.approval-result').innerHTML = `<div class="alert alert-danger mt-1">${escapeHtml(result.error)}</div>`;
+    return;
+  }
+  loadApprovals();
+  updateApprovalsCount();
+});
+
+// ============================================================
+// Automated Rules
+// ============================================================
+
+let rulesCatalog = null;
+let editingRuleId = null;
+
+const RULE_OUTCOMES = {
+  applied: 'badge-active',
+  would_apply: 'badge-paused',
+  blocked: 'badge-error',
+  failed: 'badge-error',
+  skipped: 'badge-draft',
+  cooldown: 'badge-draft',
+};
+
+function renderRules() {
+  const app = document.getElementById('app');
+  app.innerHTML = document.getElementById('tmpl-rules').innerHTML;
+  initSidebar('rules');
+  editingRuleId = null;
+  document.getElementById('btn-new-rule').addEventListener('click', () => openRuleForm(null));
+  document.getElementById('btn-cancel-rule').addEventListener('click', closeRuleForm);
+  document.getElementById('btn-add-condition').addEventListener('click', () => addRuleCondition());
+  document.getElementById('rule-form').addEventListener('submit', saveRule);
+  document.querySelector('#rule-form [name="action_type"]').addEventListener('change', toggleRuleBudgetFields);
+  loadRules();
+}
+
+function addRuleCondition(condition = { metric: 'ctr', op: '<', value: '' }) {
+  const row = document.createElement('div');
+  row.className = 'rule-condition';
+  row.innerHTML = `
+    <select data-field="metric">${Object.entries(rulesCatalog.metrics).map(([key, label]) => `<option value="${key}"${key === condition.metric ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}</select>
+    <select data-field="op">${rulesCatalog.operators.map((op) => `<option${op === condition.op ? ' selected' : ''}>${escapeHtml(op)}</option>`).join('')}</select>
+    <input type="number" step="any" data-field="value" value="${escapeHtml(String(condition.value))}" placeholder="Value">
+    <button type="button" class="btn btn-outline btn-sm" title="Remove">&times;</button>`;
+  row.querySelector('button').addEventListener('click', () => row.remove());
+  document.getElementById('rule-conditions').appendChild(row);
+}
+
+function toggleRuleBudgetFields() {
+  const budget = document.querySelector('#rule-form [name="action_type"]').value === 'change_budget';
+  document.querySelectorAll('.rule-budget-field').forEach((el) => el.classList.toggle('hidden', !budget));
+}
+
+function openRuleForm(rule) {
+  editingRuleId = rule ? rule.id : null;
+  const form = document.getElementById('rule-form');
+  form.reset();
+  document.getElementById('rule-form-title').textContent = rule ? `Edit "${rule.name}"` : 'New rule';
+  document.getElementById('rule-form-errors').innerHTML = '';
+  form.elements.level.innerHTML = rulesCatalog.levels.map((l) => `<option value="${l}">${APPROVAL_LABELS[l]}s</option>`).join('');
+  form.elements.date_preset.innerHTML = rulesCatalog.windows.map((w) => `<option value="${w}">${w.replace(/_/g, ' ')}</option>`).join('');
+  form.elements.date_preset.value = 'last_7d';
+  document.getElementById('rule-conditions').innerHTML = '';
+  if (rule) {
+    form.elements.name.value = rule.name;
+    form.elements.level.value = rule.level;
+    form.elements.date_preset.value = rule.date_preset;
+    form.elements.campaign_ids.value = rule.campaign_ids.join(', ');
+    form.elements.action_type.value = rule.action.type;
+    form.elements.percent.value = rule.action.percent ?? '';
+    form.elements.limit.value = rule.action.limit ?? '';
+    form.elements.cooldown_hours.value = rule.cooldown_hours;
+    form.elements.enabled.checked = rule.enabled;
+    form.elements.dry_run.checked = rule.dry_run;
+    rule.conditions.forEach((c) => addRuleCondition(c));
+  } else {
+    form.elements.dry_run.checked = true;
+    addRuleCondition();
+  }
+  toggleRuleBudgetFields();
+  document.getElementById('rule-form-card').classList.remove('hidden');
+  form.elements.name.focus();
+}
+
+function closeRuleForm() {
+  editingRuleId = null;
+  document.getElementById('rule-form-card').classList.add('hidden');
+}
+
+async function saveRule(e) {
+  e.preventDefault();
+  const form = e.target;
+  const number = (v) => (v === '' ? null : Number(v));
+  const body = {
+    name: form.elements.name.value,
+    level: form.elements.level.value,
+    date_preset: form.elements.date_preset.value,
+    campaign_ids: form.elements.campaign_ids.value.split(',').map((id) => id.trim()).filter(Boolean),
+    conditions: [...document.querySelectorAll('#rule-conditions .rule-condition')].map((row) => ({
+      metric: row.querySelector('[data-field="metric"]').value,
+      op: row.querySelector('[data-field="op"]').value,
+      value: number(row.querySelector('[data-field="value"]').value),
+    })),
+    action: form.elements.action_type.value === 'change_budget'
+      ? { type: 'change_budget', percent: number(form.elements.percent.value), limit: number(form.elements.limit.value) }
+      : { type: 'pause' },
+    cooldown_hours: number(form.elements.cooldown_hours.value),
+    enabled: form.elements.enabled.checked,
+    dry_run: form.elements.dry_run.checked,
+  };
+  const result = editingRuleId ? await api('PATCH', `/rules/${editingRuleId}`, body) : await api('POST', '/rules', body);
+  if (result.error) {
+    const errors = result.errors || [result.error];
+    document.getElementById('rule-form-errors').innerHTML = `<div class="alert alert-danger mt-1">${errors.map(escapeHtml).join('<br>')}</div>`;
+    return;
+  }
+  closeRuleForm();
+  loadRules();
+}
+
+function describeRuleRun(run) {
+  if (!run) return 'Never run';
+  const when = `${run.trigger === 'schedule' ? 'Scheduled run' : 'Run by hand'} ${new Date(run.at).toLocaleString()}`;
+  if (run.error) return `${when}: <span class="text-danger">${escapeHtml(run.error)}</span>`;
+  const parts = [`${run.evaluated} checked`, `${run.matched} matched`];
+  for (const key of ['applied', 'would_apply', 'blocked', 'failed', 'skipped', 'cooldown']) {
+    if (run[key]) parts.push(`${run[key]} ${key.replace('_', ' ')}`);
+  }
+  return `${when}: ${parts.join(', ')}`;
+}
+
+async function loadRules() {
+  const list = document.getElementById('rules-list');
+  try {
+    const result = await api('GET', '/rules');
+    if (result.error) throw new Error(result.error);
+    rulesCatalog = result;
+    const scheduler = result.scheduler;
+    document.getElementById('rules-scheduler').innerHTML = scheduler.enabled
+      ? `<p class="text-sm text-muted">Enabled rules run every ${scheduler.interval_minutes} minutes. Budget changes are checked against the spend guardrails; every change is in the <a href="#/activity">activity log</a>.</p>`
+      : '<div class="alert alert-warning">The scheduler is off (RULES_SCHEDULER=off): rules only run when you click Run now.</div>';
+    if (!result.data.length) {
+      list.innerHTML = '<div class="empty-state"><h3>No rules yet</h3><p>Create one to pause fatigued ads or scale what works, automatically.</p></div>';
+      return;
+    }
+    list.innerHTML = result.data.map((rule) => `
+      <div class="card rule-card" data-id="${rule.id}">
+        <div class="flex-between">
+          <h3>${escapeHtml(rule.name)}</h3>
+          <div class="flex gap-1">
+            ${rule.dry_run ? '<span class="badge badge-paused">dry run</span>' : ''}
+            <span class="badge ${rule.enabled ? 'badge-active' : 'badge-draft'}">${rule.enabled ? 'enabled' : 'disabled'}</span>
+          </div>
+        </div>
+        <div class="rule-meta">
+          <div>${escapeHtml(rule.summary)}</div>
+          <div class="text-sm text-muted">${rule.campaign_ids.length ? `In campaigns ${rule.campaign_ids.map(escapeHtml).join(', ')} · ` : ''}Cooldown ${rule.cooldown_hours}h${rule.created_by ? ` · Created by ${escapeHtml(rule.created_by)}` : ''}</div>
+          <div class="text-sm text-muted">${describeRuleRun(rule.last_run)}</div>
+        </div>
+        <div class="spec-actions">
+          <button class="btn btn-sm btn-outline" data-rule-act="preview">Preview</button>
+          <button class="btn btn-sm btn-primary" data-rule-act="run">Run now</button>
+          <button class="btn btn-sm btn-outline" data-rule-act="history">History</button>
+          <button class="btn btn-sm btn-outline" data-rule-act="edit">Edit</button>
+          <button class="btn btn-sm btn-outline" data-rule-act="toggle">${rule.enabled ? 'Disable' : 'Enable'}</button>
+          <button class="btn btn-sm btn-danger" data-rule-act="delete">Delete</button>
+        </div>
+        <div class="rule-output"></div>
+      </div>`).join('');
+  } catch (err) {
+    list.innerHTML = `<div class="alert alert-danger">Could not load rules. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function ruleMetricsText(rule, metrics) {
+  if (!metrics) return '<span class="text-muted">no delivery</span>';
+  const keys = [...new Set([...rule.conditions.map((c) => c.metric), 'spend'])];
+  return keys.map((k) => `${escapeHtml(rulesCatalog.metrics[k] || k)} ${metrics[k] ?? '--'}`).join(' · ');
+}
+
+// Matches from a preview or run: metrics, the change, and what happened
+function renderRuleMatches(rule, result) {
+  const heading = result.preview
+    ? `Preview: ${result.matches.length} of ${result.evaluated} active ${rule.level === 'adset' ? 'ad set' : rule.level}s match. Nothing was changed.`
+    : describeRuleRun(result);
+  if (!result.matches.length) return `<p class="text-sm text-muted">${heading}</p>`;
+  return `
+    <p class="text-sm text-muted">${heading}</p>
+    <table class="campaign-table">
+      <thead><tr><th>Object</th><th>Metrics</th><th>Change</th><th>Result</th></tr></thead>
+      <tbody>${result.matches.map((m) => `
+        <tr>
+          <td>${escapeHtml(m.object_name || m.object_id)}<div class="text-sm text-muted">${escapeHtml(m.object_id)}</div></td>
+          <td class="text-sm">${ruleMetricsText(rule, m.metrics)}</td>
+          <td class="text-sm">${m.change ? escapeHtml(m.change.description || Object.entries(m.change.params).map(([k, v]) => `${k} → ${v}`).join(', ')) : `<span class="text-muted">${escapeHtml(m.skip || '')}</span>`}</td>
+          <td>${m.outcome ? `<span class="badge ${RULE_OUTCOMES[m.outcome] || 'badge-draft'}">${m.outcome.replace('_', ' ')}</span>${m.message ? `<div class="text-sm text-muted">${escapeHtml(m.message)}</div>` : ''}` : `<span class="badge badge-draft">${m.change ? 'would apply' : 'skip'}</span>`}</td>
+        </tr>`).join('')}</tbody>
+    </table>`;
+}
+
+function renderRuleHistory(rule, entries) {
+  if (!entries.length) return '<p class="text-sm text-muted">No history yet.</p>';
+  return `
+    <table class="campaign-table">
+      <thead><tr><th>When</th><th>Object</th><th>Metrics</th><th>Change</th><th>Result</th></tr></thead>
+      <tbody>${entries.map((e) => `
+        <tr>
+          <td class="text-sm">${new Date(e.at).toLocaleString()}<div class="text-muted">${e.trigger === 'schedule' ? 'scheduled' : 'by hand'}${e.dry_run ? ' · dry run' : ''}</div></td>
+          <td>${escapeHtml(e.object_name || e.object_id)}<div class="text-sm text-muted">${escapeHtml(e.object_id)}</div></td>
+          <td class="text-sm">${ruleMetricsText(rule, e.metrics)}</td>
+          <td class="text-sm">${e.change ? escapeHtml(e.change.description || JSON.stringify(e.change.after)) : ''}</td>
+          <td><span class="badge ${RULE_OUTCOMES[e.outcome] || 'badge-draft'}">${e.outcome.replace('_', ' ')}</span>${e.message ? `<div class="text-sm text-muted">${escapeHtml(e.message)}</div>` : ''}</td>
+        </tr>`).join('')}</tbody>
+    </table>`;
+}
+
+document.addEventListener('click', async (e) => {
+  const btn = e.target.closest('.rule-card [data-rule-act]');
+  if (!btn) return;
+  const card = btn.closest('.rule-card');
+  const rule = rulesCatalog.data.find((r) => r.id === card.dataset.id);
+  const output = card.querySelector('.rule-output');
+  const act = btn.dataset.ruleAct;
+
+  if (act === 'edit') return openRuleForm(rule);
+  if (act === 'delete') {
+    if (!confirm(`Delete the rule "${rule.name}"? Its history is kept.`)) return;
+    const result = await api('DELETE', `/rules/${rule.id}`);
+    if (result.error) output.innerHTML = `<div class="alert alert-danger">${escapeHtml(result.error)}</div>`;
+    else loadRules();
+    return;
+  }
+  if (act === 'toggle') {
+    const result = await api('PATCH', `/rules/${rule.id}`, { enabled: !rule.enabled });
+    if (result.error) output.innerHTML = `<div class="alert alert-danger">${escapeHtml(result.error)}</div>`;
+    else loadRules();
+    return;
+  }
+  if (act === 'run' && !rule.dry_run && !confirm(`Run "${rule.name}" now? Matching ${rule.level === 'adset' ? 'ad set' : rule.level}s will be changed on Meta.`)) return;
+
+  btn.disabled = true;
+  output.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+  let result;
+  if (act === 'history') result = await api('GET', `/rules/${rule.id}/history`);
+  else result = await api('POST', `/rules/${rule.id}/run${act === 'preview' ? '?dry_run=true' : ''}`);
+  btn.disabled = false;
+  if (result.error) {
+    output.innerHTML = `<div class="alert alert-danger">${escapeHtml(result.error)}</div>`;
+    return;
+  }
+  if (act === 'history') {
+    output.innerHTML = renderRuleHistory(rule, result.data);
+    return;
+  }
+  output.innerHTML = renderRuleMatches(rule, result);
+  if (act === 'run') {
+    card.querySelector('.rule-meta .text-sm:last-child').innerHTML = describeRuleRun(result.rule.last_run);
+  }
+});
+
+// ============================================================
+// Activity (audit log)
+// ============================================================
+
+const ACTIVITY_SOURCES = { manual: 'Manual', ai_spec: 'AI spec', assistant: 'Assistant', approval: 'Approval', rule: 'Automated rule', schedule: 'Scheduled job' };
+let activityTimer = null;
+
+function renderActivity() {
+  const app = document.getElementById('app');
+  app.innerHTML = document.getElementById('tmpl-activity').innerHTML;
+  initSidebar('activity');
+  const form = document.getElementById('activity-filters');
+  form.addEventListener('change', loadActivity);
+  form.addEventListener('submit', (e) => e.preventDefault());
+  form.querySelector('[name="q"]').addEventListener('input', () => {
+    clearTimeout(activityTimer);
+    activityTimer = setTimeout(loadActivity, 300);
+  });
+  loadActivity();
+}
+
+function activityQuery() {
+  const params = new URLSearchParams();
+  for (const [key, value] of new FormData(document.getElementById('activity-filters'))) {
+    if (value) params.set(key, value);
+  }
+  return params.toString();
+}
+
+function fillActivityFilter(name, values, current) {
+  const select = document.querySelector(`#activity-filters [name="${name}"]`);
+  const first = select.options[0].outerHTML;
+  select.innerHTML = first + values.map((v) => `<option value="${escapeHtml(v)}"${v === current ? ' selected' : ''}>${escapeHtml(v)}</option>`).join('');
+}
+
+function activityValue(value) {
+  if (value === null || value === undefined) return '<span class="text-muted">none</span>';
+  return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+}
+
+// Changed fields as "field: before → after"; creates and deletes show the full values
+function renderActivityChange(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  if (entry.before && entry.after && !entry.action.endsWith('create_from_spec')) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter((k) => k !== 'name' || k in after);
+    return keys.map((k) => `<div><strong>${escapeHtml(k)}</strong>: ${activityValue(before[k])} → ${activityValue(after[k])}</div>`).join('');
+  }
+  const values = entry.after || entry.before;
+  if (!values) return '';
+  return `<details><summary>${entry.after ? 'Values sent' : 'Values before'}</summary><pre>${escapeHtml(JSON.stringify(values, null, 2))}</pre></details>`;
+}
+
+async function loadActivity() {
+  const list = document.getElementById('activity-list');
+  const query = activityQuery();
+  document.getElementById('activity-export').href = `/api/activity/export.csv${query ? `?${query}` : ''}`;
+  try {
+    const result = await api('GET', `/activity${query ? `?${query}` : ''}`);
+    if (result.error) throw new Error(result.error);
+    const form = document.getElementById('activity-filters');
+    fillActivityFilter('actor', result.facets.actors, form.elements.actor.value);
+    fillActivityFilter('action', result.facets.actions, form.elements.action.value);
+    if (!result.data.length) {
+      list.innerHTML = '<div class="empty-state"><h3>No activity</h3><p>Changes made through the app appear here.</p></div>';
+      return;
+    }
+    list.innerHTML = `
+      <p class="text-sm text-muted">${result.total > result.data.length ? `Showing the latest ${result.data.length} of ${result.total}; export CSV for all.` : `${result.total} entr${result.total === 1 ? 'y' : 'ies'}`}</p>
+      <table class="campaign-table">
+        <thead><tr><th>When</th><th>User</th><th>Action</th><th>Object</th><th>Source</th><th>Change</th><th>Result</th></tr></thead>
+        <tbody>${result.data.map((e) => `
+          <tr>
+            <td class="text-sm">${new Date(e.at).toLocaleString()}</td>
+            <td>${e.actor ? escapeHtml(e.actor) : '<span class="text-muted">unknown</span>'}</td>
+            <td><code>${escapeHtml(e.action)}</code><div class="text-sm text-muted">${escapeHtml(e.route || '')}</div></td>
+            <td>${escapeHtml(e.object_name || '--')}<div class="text-sm text-muted">${escapeHtml(e.object_id || '')}</div></td>
+            <td>${ACTIVITY_SOURCES[e.source] || escapeHtml(e.source)}
+              ${e.thread_id ? `<div class="text-sm text-muted">thread ${escapeHtml(e.thread_id.slice(0, 8))}${e.spec_version ? ` · spec v${e.spec_version}` : ''}</div>` : ''}
+              ${e.approval_id ? `<div class="text-sm text-muted">approval ${escapeHtml(e.approval_id.slice(0, 8))}</div>` : ''}</td>
+            <td class="activity-change">${renderActivityChange(e)}</td>
+            <td>${e.outcome === 'success' ? '<span class="badge badge-active">ok</span>' : `<span class="badge badge-error">failed</span><div class="text-sm text-danger">${escapeHtml(e.error || '')}</div>`}</td>
+          </tr>`).join('')}</tbody>
+      </table>`;
+  } catch (err) {
+    list.innerHTML = `<div class="alert alert-danger">Could not load activity. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
 // ============================================================
 // Settings Page
 // ============================================================
@@ -600,7 +2106,11 @@ function renderSettings() {
   app.innerHTML = document.getElementById('tmpl-settings').innerHTML;
   initSidebar('settings');
 
-  checkConnectionStatus();
+  // The connection test makes a Graph API call, so usage is fresh once it's done
+  checkConnectionStatus().then(loadMetaUsage);
+  document.getElementById('btn-refresh-usage').addEventListener('click', loadMetaUsage);
+  loadAiUsage();
+  document.getElementById('btn-refresh-ai-usage').addEventListener('click', loadAiUsage);
 
   // Show env var status
   api('GET', '/settings').then((s) => {
@@ -625,6 +2135,31 @@ function renderSettings() {
       </div>`
     ).join('');
 
+    const aiEl = document.getElementById('ai-config');
+    if (aiEl && s.claude?.tasks) {
+      const tasks = Object.entries(s.claude.tasks);
+      const errors = tasks.flatMap(([, t]) => t.errors);
+      aiEl.innerHTML = `<table class="campaign-table"><thead><tr><th>Task</th><th>Model</th><th>Max tokens</th><th>Temperature</th></tr></thead><tbody>${tasks.map(([task, t]) => `<tr><td>${escapeHtml(t.label)} <span class="text-sm text-muted">${task.toUpperCase()}</span></td><td><code>${escapeHtml(t.model)}</code>${t.source.model !== 'default' ? ` <span class="text-sm text-muted">${escapeHtml(t.source.model)}</span>` : ''}</td><td>${formatNumber(t.max_tokens)}</td><td>${t.temperature ?? 'API default'}</td></tr>`).join('')}</tbody></table>
+        <p class="text-sm text-muted mt-1">Prompt caching: ${s.claude.prompt_cache ? 'on — the system prompt and store data are cached between turns' : 'off (AI_PROMPT_CACHE)'}</p>
+        ${errors.length ? `<div class="alert alert-danger">${errors.map(escapeHtml).join('<br>')}</div>` : ''}`;
+    }
+
+    const guardEl = document.getElementById('guardrail-status');
+    if (guardEl && s.guardrails) {
+      const limits = Object.values(s.guardrails.limits);
+      guardEl.innerHTML = `<table class="campaign-table"><thead><tr><th>Limit</th><th>Env var</th><th>Value</th></tr></thead><tbody>${limits.map((l) => `<tr><td>${escapeHtml(l.label)}</td><td><code>${l.env}</code></td><td>${l.value !== null ? formatNumber(l.value) : '<span class="text-muted">off</span>'}</td></tr>`).join('')}</tbody></table>
+        ${s.guardrails.errors.length ? `<div class="alert alert-danger">${s.guardrails.errors.map(escapeHtml).join('<br>')}</div>` : ''}`;
+    }
+
+    const utmEl = document.getElementById('utm-status');
+    if (utmEl && s.utm) {
+      utmEl.innerHTML = s.utm.template
+        ? `<pre><code>${escapeHtml(s.utm.template)}</code></pre>
+          <p class="text-sm text-muted">${s.utm.custom ? 'From UTM_TEMPLATE' : 'Default template'}</p>
+          ${s.utm.errors.length ? `<div class="alert alert-danger">${s.utm.errors.map(escapeHtml).join('<br>')}</div>` : ''}`
+        : '<p class="text-sm text-muted">Disabled (UTM_TEMPLATE=off)</p>';
+    }
+
     const modeEl = document.getElementById('claude-auth-mode');
     if (modeEl) {
       const mode = s.claude?.auth_mode || 'unknown';
@@ -660,6 +2195,72 @@ async function checkConnectionStatus() {
   }
 }
 
+// Claude cost this month: against the caps, next to ad spend, by day and by route
+async function loadAiUsage() {
+  const el = document.getElementById('ai-usage');
+  if (!el) return;
+  const money = (v) => (v === null || v === undefined ? '—' : `$${v.toFixed(2)}`);
+  const table = (label, rows, key) => rows.length
+    ? `<table class="campaign-table mt-1"><thead><tr><th>${label}</th><th>Calls</th><th>Input</th><th>Output</th><th>Cache read</th><th>Cost</th></tr></thead><tbody>${rows.map((r) => `<tr><td>${escapeHtml(r[key] ?? '—')}</td><td>${formatNumber(r.calls)}</td><td>${formatNumber(r.input_tokens)}</td><td>${formatNumber(r.output_tokens)}</td><td>${formatNumber(r.cache_read_input_tokens)}</td><td>${money(r.cost)}</td></tr>`).join('')}</tbody></table>`
+    : '';
+  try {
+    const [byDay, byRoute] = await Promise.all([api('GET', '/ai/usage?group=day'), api('GET', '/ai/usage?group=route')]);
+    if (byDay.error) throw new Error(byDay.error);
+    const { budget, totals } = byDay;
+    const caps = [budget.soft_cap !== null ? `soft cap ${money(budget.soft_cap)}` : '', budget.hard_cap !== null ? `hard cap ${money(budget.hard_cap)}` : ''].filter(Boolean).join(', ');
+    el.innerHTML = `
+      <p class="text-sm"><strong>${money(budget.cost)}</strong> spent on Claude in ${budget.month}${caps ? ` (${caps})` : ' (no caps set)'} &middot; ${formatNumber(totals.calls)} calls
+        &middot; ad spend ${byDay.since} to ${byDay.until}: ${money(byDay.ad_spend)}</p>
+      ${budget.over_hard_cap ? '<div class="alert alert-danger">The hard cap is reached: AI calls are refused until next month or until AI_MONTHLY_HARD_CAP is raised.</div>'
+        : budget.over_soft_cap ? '<div class="alert alert-warning">Over the soft cap for this month.</div>' : ''}
+      ${totals.unpriced_calls ? `<p class="text-sm text-muted">${formatNumber(totals.unpriced_calls)} calls used a model with no price in AI_PRICING and are not counted in the cost.</p>` : ''}
+      ${byDay.pricing_errors.length ? `<div class="alert alert-danger">${byDay.pricing_errors.map(escapeHtml).join('<br>')}</div>` : ''}
+      ${table('Day', byDay.rows, 'day')}
+      ${table('Route', byRoute.rows || [], 'route')}`;
+  } catch (err) {
+    el.innerHTML = `<div class="alert alert-warning">Could not load AI usage. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function loadMetaUsage() {
+  const el = document.getElementById('meta-usage');
+  if (!el) return;
+  try {
+    const usage = await api('GET', '/auth/meta/usage');
+    if (!usage.updated_at) {
+      el.innerHTML = '<p class="text-muted text-sm">No Graph API responses yet.</p>';
+      return;
+    }
+    const bars = [];
+    if (usage.app) {
+      bars.push(['App calls', usage.app.call_count], ['App CPU time', usage.app.total_cputime], ['App total time', usage.app.total_time]);
+    }
+    for (const [accountId, entries] of Object.entries(usage.business_use_case || {})) {
+      for (const e of entries) {
+        bars.push([`${e.type} (${accountId}) calls`, e.call_count], [`${e.type} (${accountId}) CPU time`, e.total_cputime]);
+      }
+    }
+    if (usage.ad_account) bars.push(['Ad account utilisation', usage.ad_account.acc_id_util_pct]);
+
+    const badge = { ok: 'badge-active', slowing: 'badge-paused', paused: 'badge-error' }[usage.status];
+    el.innerHTML = `
+      <div class="flex gap-1 mb-1" style="align-items:center;">
+        <span class="badge ${badge}">${usage.status}</span>
+        <span class="text-sm text-muted">Peak ${usage.peak_pct}% &middot; slows at ${usage.thresholds.slow_at}%, holds at ${usage.thresholds.pause_at}% &middot; ${usage.queued} queued &middot; ${usage.retries} retries</span>
+      </div>
+      ${bars.map(([label, pct]) => `
+        <div class="usage-row">
+          <span class="text-sm">${escapeHtml(label)}</span>
+          <div class="usage-bar"><div class="usage-fill ${pct >= usage.thresholds.pause_at ? 'danger' : pct >= usage.thresholds.slow_at ? 'warning' : ''}" style="width:${Math.min(100, pct || 0)}%"></div></div>
+          <span class="text-sm text-muted">${pct || 0}%</span>
+        </div>`).join('')}
+      ${usage.last_throttle ? `<p class="text-sm text-muted mt-1">Last throttled ${new Date(usage.last_throttle.at).toLocaleString()} (code ${usage.last_throttle.code}): ${escapeHtml(usage.last_throttle.message)}</p>` : ''}
+      <p class="text-sm text-muted mt-1">Updated ${new Date(usage.updated_at).toLocaleTimeString()}</p>`;
+  } catch (err) {
+    el.innerHTML = `<div class="alert alert-warning">Could not load usage. ${escapeHtml(err.message)}</div>`;
+  }
+}
+
 // ============================================================
 // Helpers
 // ============================================================
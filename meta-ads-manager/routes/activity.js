@@ -0,0 +1,55 @@
+/**
+ * Activity Routes
+ *
+ * The audit log of changes made through the app (services/audit-log.js),
+ * filtered, as JSON for the Activity page or as a CSV download.
+ */
+const express = require('express');
+const router = express.Router();
+const auditLog = require('../services/audit-log');
+
+const OUTCOMES = ['success', 'failed'];
+
+// Filters from the query string; throws (400) on a bad date, source or outcome
+function filters(query) {
+  const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  for (const key of ['since', 'until']) {
+    if (query[key] && !dateRe.test(query[key])) throw fail(`${key} must be YYYY-MM-DD`);
+  }
+  if (query.since && query.until && query.since > query.until) throw fail('since must not be after until');
+  if (query.source && !auditLog.SOURCES.includes(query.source)) throw fail(`source must be one of ${auditLog.SOURCES.join(', ')}`);
+  if (query.outcome && !OUTCOMES.includes(query.outcome)) throw fail(`outcome must be one of ${OUTCOMES.join(', ')}`);
+  const picked = {};
+  for (const key of ['since', 'until', 'actor', 'action', 'object_type', 'object_id', 'source', 'outcome', 'thread_id', 'rule_id', 'q']) {
+    if (query[key]) picked[key] = String(query[key]);
+  }
+  return picked;
+}
+
+// Entries newest first; ?since&until (YYYY-MM-DD), ?actor, ?action, ?object_type,
+// ?object_id, ?source, ?outcome, ?thread_id, ?rule_id, ?q (free text), ?limit (default 500)
+router.get('/', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+    res.json(auditLog.queryLog(filters(req.query), { limit }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// The same filters as a CSV file, every matching entry
+router.get('/export.csv', (req, res) => {
+  try {
+    const { data } = auditLog.queryLog(filters(req.query), { limit: 0 });
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="activity-${new Date().toISOString().slice(0, 10)}.csv"`,
+    });
+    res.send(auditLog.toCsv(data));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -9,84 +9,312 @@ const router = express.Router();
 const claudeAi = require('../services/claude-ai');
 const shopifyApi = require('../services/shopify-api');
 const metaApi = require('../services/meta-api');
+const aiTools = require('../services/ai-tools');
+const threads = require('../services/threads');
+const conversationMemory = require('../services/conversation-memory');
+const aiLedger = require('../services/ai-ledger');
+const auditLog = require('../services/audit-log');
+const { requestUser } = require('../services/request-user');
+const { summarizeForAssessment } = require('../services/insights-metrics');
+
+// Store / campaign context for a chat request, as the checkboxes in the UI ask
+async function chatContext({ includeStoreData, includeCampaignData }) {
+  let storeContext = null;
+  let campaignContext = null;
+
+  // Fetch store data if requested
+  if (includeStoreData) {
+    storeContext = await shopifyApi.getStoreSummary();
+  }
+
+  // Fetch campaign data if requested
+  if (includeCampaignData) {
+    try {
+      const campaigns = await metaApi.listCampaigns(null, { all: true, limit: 100 });
+      campaignContext = campaigns;
+    } catch (e) {
+      // Campaign data is optional context
+    }
+  }
+
+  return { storeContext, campaignContext };
+}
+
+// Thread a chat request continues, with its new user message saved; a new
+// thread is started when no threadId is given
+function openThread({ threadId, message }) {
+  const userMessage = { role: 'user', content: message };
+  return threadId
+    ? { thread: threads.appendMessages(threadId, [userMessage]), created: false }
+    : { thread: threads.createThread({ messages: [userMessage] }), created: true };
+}
+
+// Undo openThread() when the turn fails before its reply is saved, so the
+// thread isn't left with an unanswered message: the message comes off
+// again, and a thread started for it is deleted
+function dropTurn(request) {
+  if (!request?.thread || request.answered) return;
+  try {
+    if (request.created) threads.deleteThread(request.thread.id);
+    else threads.removeMessage(request.thread.id, request.thread.messages[request.thread.messages.length - 1]);
+  } catch (e) {
+    // The thread was deleted meanwhile
+  }
+}
+
+// The reply's campaign spec: submitted through the spec tool, or (older
+// style) written into the text as JSON
+function replySpec(response) {
+  if (response.spec) return response.spec;
+  const spec = claudeAi.extractCampaignSpec(response.content);
+  return spec?.campaign ? spec : null;
+}
+
+// Usage ledger context for the Claude calls a request makes
+function ledgerContext(req, thread) {
+  return { route: req.baseUrl + req.route.path, thread_id: thread?.id || null };
+}
+
+// Save the reply (and its campaign spec) to the thread, and title the
+// thread after its first exchange
+async function finishThread(request, response, ledger) {
+  const { thread } = request;
+  const specVersion = response.spec ? threads.addSpec(thread.id, response.spec) : null;
+  let saved = threads.appendMessages(thread.id, [{
+    role: 'assistant',
+    content: response.content,
+    tool_calls: response.tool_calls,
+    pending_actions: response.pending_actions,
+    spec_version: specVersion,
+    stopped: response.stopped,
+  }]);
+  request.answered = true;
+  if (saved.title_source === 'auto' && !response.stopped) {
+    try {
+      saved = threads.setGeneratedTitle(thread.id, await claudeAi.generateTitle(saved.messages, ledger));
+    } catch (e) {
+      // Keep the placeholder title
+    }
+  }
+  return { id: saved.id, title: saved.title, spec_version: specVersion };
+}
+
+// Body is either { threadId?, message } (saved to a thread) or { messages }
+// (the whole conversation, nothing saved)
+function chatRequest(body) {
+  if (body.message === undefined) return { messages: body.messages };
+  if (typeof body.message !== 'string' || !body.message.trim()) {
+    const err = new Error('message is required');
+    err.status = 400;
+    throw err;
+  }
+  const { thread, created } = openThread(body);
+  return { thread, created, messages: thread.messages };
+}
+
+// Messages and memory for a thread turn: pinned facts, the running summary
+// and as many recent messages as fit the token budget
+async function prepareTurn(request, storeContext, campaignContext, ledger) {
+  if (!request.thread) return { messages: request.messages, memory: null };
+  const system = claudeAi.buildSystemPrompt(storeContext, campaignContext, { tools: aiTools.TOOLS, specTool: true });
+  return conversationMemory.prepareTurn(request.thread, system + JSON.stringify(aiTools.TOOLS), { ledger });
+}
 
 // Chat with the AI assistant
 router.post('/chat', async (req, res) => {
+  let request;
   try {
-    const { messages, includeStoreData, includeCampaignData } = req.body;
+    request = chatRequest(req.body);
+    const ledger = ledgerContext(req, request.thread);
+    const { storeContext, campaignContext } = await chatContext(req.body);
+    const turn = await prepareTurn(request, storeContext, campaignContext, ledger);
+    const response = await claudeAi.chat(turn.messages, storeContext, campaignContext, {
+      tools: aiTools.TOOLS,
+      runTool: (block) => aiTools.runTool(block, { threadId: request.thread?.id }),
+      specTool: true,
+      memory: turn.memory,
+      ledger,
+    });
+    response.spec = replySpec(response);
+    if (request.thread) {
+      response.thread = await finishThread(request, response, ledger);
+      response.memory = turn.memory;
+    }
+    response.ai_budget = aiLedger.budgetStatus();
+    res.json(response);
+  } catch (err) {
+    dropTurn(request);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    let storeContext = null;
-    let campaignContext = null;
+// Chat with the AI assistant, streamed as Server-Sent Events:
+//   thread { id, title } and memory { summary, pinned, ... } (first, when
+//   saving to a thread), text { delta }, tool_call { name, input },
+//   pending_action { ... }, done { content, usage, tool_calls,
+//   pending_actions, stopped, spec, thread?, memory?, ai_budget }, error { error }
+// Closing the connection (the UI's Stop button) aborts the upstream request;
+// the partial reply is still saved to the thread. After an error the user
+// message is taken off the thread again (a new thread is deleted).
+router.post('/chat/stream', async (req, res) => {
+  let request;
+  try {
+    request = chatRequest(req.body);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
 
-    // Fetch store data if requested
-    if (includeStoreData) {
-      storeContext = await shopifyApi.getStoreSummary();
-    }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  if (request.thread) send('thread', { id: request.thread.id, title: request.thread.title });
+  const ledger = ledgerContext(req, request.thread);
 
-    // Fetch campaign data if requested
-    if (includeCampaignData) {
-      try {
-        const campaigns = await metaApi.listCampaigns();
-        campaignContext = campaigns;
-      } catch (e) {
-        // Campaign data is optional context
-      }
+  try {
+    const { storeContext, campaignContext } = await chatContext(req.body);
+    const turn = await prepareTurn(request, storeContext, campaignContext, ledger);
+    if (turn.memory) send('memory', turn.memory);
+    const response = await claudeAi.chatStream(turn.messages, storeContext, campaignContext, {
+      tools: aiTools.TOOLS,
+      runTool: (block) => aiTools.runTool(block, { threadId: request.thread?.id }),
+      specTool: true,
+      memory: turn.memory,
+      ledger,
+      signal: controller.signal,
+      onText: (delta) => send('text', { delta }),
+      onToolCall: (call) => send('tool_call', call),
+      onAction: (action) => send('pending_action', action),
+    });
+    response.spec = replySpec(response);
+    if (request.thread) {
+      response.thread = await finishThread(request, response, ledger);
+      response.memory = turn.memory;
     }
+    response.ai_budget = aiLedger.budgetStatus();
+    send('done', response);
+  } catch (err) {
+    dropTurn(request);
+    if (!controller.signal.aborted) send('error', { error: err.message });
+  }
+  res.end();
+});
 
-    const response = await claudeAi.chat(messages, storeContext, campaignContext);
-    res.json(response);
+// Apply a change the assistant proposed (set_status / update_budget), once the
+// user confirms it; activations are filed for approval (action.approval)
+router.post('/actions/:id/confirm', async (req, res) => {
+  try {
+    const action = await aiTools.confirmAction(req.params.id, { user: requestUser(req), audit: auditLog.requestContext(req) });
+    res.json({ success: true, action });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message, ...(err.violations ? { violations: err.violations } : {}) });
   }
 });
 
+// Drop a proposed change without applying it
+router.post('/actions/:id/dismiss', (req, res) => {
+  res.json({ success: aiTools.dismissAction(req.params.id) });
+});
+
 // Get campaign suggestions based on store data
 router.post('/suggest', async (req, res) => {
   try {
     const { goal } = req.body;
     const storeData = await shopifyApi.getStoreSummary();
-    const response = await claudeAi.suggestCampaign(storeData, goal);
-
-    // Try to extract structured spec from the response
-    const spec = claudeAi.extractCampaignSpec(response.content);
+    const response = await claudeAi.suggestCampaign(storeData, goal, ledgerContext(req));
 
     res.json({
       explanation: response.content,
-      spec,
+      spec: replySpec(response),
       usage: response.usage,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // Assess performance of current campaigns
 router.post('/assess', async (req, res) => {
   try {
-    const { campaignIds, datePreset } = req.body;
+    const { campaignIds, datePreset, timeRange } = req.body;
+    const range = timeRange ? { time_range: timeRange } : { date_preset: datePreset || 'last_30d' };
+    const rangeErrors = metaApi.validateInsightsParams(range);
+    if (rangeErrors.length) return res.status(400).json({ error: rangeErrors.join('; ') });
 
     const storeData = await shopifyApi.getStoreSummary();
-    const campaigns = await metaApi.listCampaigns();
+    const campaigns = await metaApi.listCampaigns(null, { all: true, limit: 100 });
 
     // Fetch insights for specified campaigns or all
     const targetIds = campaignIds || (campaigns.data || []).map((c) => c.id);
-    const insights = {};
-
-    for (const id of targetIds.slice(0, 10)) {
-      try {
-        const data = await metaApi.getCampaignInsights(id, { date_preset: datePreset || 'last_30d' });
-        insights[id] = data;
-      } catch (e) {
-        insights[id] = { error: e.message };
-      }
-    }
+    const insights = await metaApi.getCampaignInsightsBatch(targetIds, range);
 
-    const response = await claudeAi.assessPerformance(storeData, campaigns, insights);
+    // Claude gets named metrics (purchases, revenue, ROAS, CPA) rather than Meta's raw action arrays
+    const byId = new Map((campaigns.data || []).map((c) => [c.id, c]));
+    const performance = summarizeForAssessment(targetIds.map((id) => byId.get(id) || { id }), insights);
+
+    const response = await claudeAi.assessPerformance(storeData, campaigns, performance, ledgerContext(req));
     res.json({
       analysis: response.content,
       raw_insights: insights,
       usage: response.usage,
     });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// This month's Claude spend against AI_MONTHLY_SOFT_CAP / AI_MONTHLY_HARD_CAP
+router.get('/budget', (req, res) => {
+  try {
+    res.json(aiLedger.budgetStatus());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Claude usage and cost from the ledger. ?since=&until= (YYYY-MM-DD, default
+// this month so far) and ?group= (comma-separated: day, month, route, task,
+// model, thread; default day). Ad spend over the same range is included for
+// comparison (null when Meta can't be reached).
+router.get('/usage', async (req, res) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const since = req.query.since || `${today.slice(0, 7)}-01`;
+    const until = req.query.until || today;
+    const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRe.test(since) || !dateRe.test(until)) {
+      return res.status(400).json({ error: 'since and until must be YYYY-MM-DD' });
+    }
+    if (since > until) return res.status(400).json({ error: 'since must not be after until' });
+    const group = String(req.query.group || 'day').split(',').map((g) => g.trim()).filter(Boolean);
+    const unknown = group.filter((g) => !aiLedger.GROUPS.includes(g));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown group ${unknown.join(', ')}; use ${aiLedger.GROUPS.join(', ')}` });
+    }
+
+    const report = aiLedger.usageReport({ since, until, group });
+    let adSpend = null;
+    try {
+      const insights = await metaApi.getAccountInsights({ time_range: { since, until } });
+      adSpend = (insights.data || []).reduce((sum, row) => sum + (parseFloat(row.spend) || 0), 0);
+    } catch (e) {
+      // Ad spend is optional context
+    }
+
+    res.json({
+      ...report,
+      budget: aiLedger.budgetStatus(),
+      pricing_errors: aiLedger.pricingTable().errors,
+      ad_spend: adSpend,
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -106,7 +334,7 @@ router.post('/extract-spec', (req, res) => {
 // Test AI connection
 router.get('/test', async (req, res) => {
   try {
-    const result = await claudeAi.testConnection();
+    const result = await claudeAi.testConnection(ledgerContext(req));
     res.json(result);
   } catch (err) {
     res.json({ connected: false, error: err.message });
@@ -6,90 +6,141 @@
 const express = require('express');
 const router = express.Router();
 const metaApi = require('../services/meta-api');
+const shopifyApi = require('../services/shopify-api');
+const attribution = require('../services/attribution');
+const { normalizeInsights } = require('../services/insights-metrics');
 
-// Account-level insights
-router.get('/account', async (req, res) => {
+// Query params shared by the insights routes:
+//   date_preset | since & until (YYYY-MM-DD), time_increment (daily, weekly,
+//   monthly or 1-90), breakdowns (comma-separated), attribution_windows
+//   (comma-separated, e.g. 7d_click,1d_view)
+function insightsParams(query) {
+  const increments = { daily: 1, weekly: 7 };
+  const params = {
+    fields: query.fields,
+    date_preset: query.date_preset || 'last_30d',
+  };
+  if (query.since || query.until) params.time_range = { since: query.since, until: query.until };
+  if (query.time_increment) params.time_increment = increments[query.time_increment] || query.time_increment;
+  if (query.breakdowns) params.breakdowns = query.breakdowns;
+  if (query.attribution_windows) params.action_attribution_windows = query.attribution_windows;
+  return params;
+}
+
+async function sendInsights(req, res, fetchInsights) {
   try {
-    const data = await metaApi.getAccountInsights({
-      fields: req.query.fields,
-      date_preset: req.query.date_preset || 'last_30d',
-    });
-    res.json(data);
+    const params = insightsParams(req.query);
+    const errors = metaApi.validateInsightsParams(params);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+    const data = await fetchInsights(params);
+    res.json(normalizeInsights(data));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
+}
+
+// Account-level insights
+router.get('/account', (req, res) => {
+  sendInsights(req, res, (params) => metaApi.getAccountInsights(params));
 });
 
 // Campaign insights
-router.get('/campaign/:id', async (req, res) => {
-  try {
-    const data = await metaApi.getCampaignInsights(req.params.id, {
-      fields: req.query.fields,
-      date_preset: req.query.date_preset || 'last_30d',
-    });
-    res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+router.get('/campaign/:id', (req, res) => {
+  sendInsights(req, res, (params) => metaApi.getCampaignInsights(req.params.id, params));
 });
 
 // Ad set insights
-router.get('/adset/:id', async (req, res) => {
-  try {
-    const data = await metaApi.getAdSetInsights(req.params.id, {
-      fields: req.query.fields,
-      date_preset: req.query.date_preset || 'last_30d',
-    });
-    res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+router.get('/adset/:id', (req, res) => {
+  sendInsights(req, res, (params) => metaApi.getAdSetInsights(req.params.id, params));
 });
 
 // Ad insights
-router.get('/ad/:id', async (req, res) => {
-  try {
-    const data = await metaApi.getAdInsights(req.params.id, {
-      fields: req.query.fields,
-      date_preset: req.query.date_preset || 'last_30d',
-    });
-    res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+router.get('/ad/:id', (req, res) => {
+  sendInsights(req, res, (params) => metaApi.getAdInsights(req.params.id, params));
 });
 
 // Summary dashboard data
 router.get('/summary', async (req, res) => {
   try {
     const datePreset = req.query.date_preset || 'last_30d';
+    // Totals only: a custom since/until range is honoured, increments and breakdowns are not
+    const { time_range } = insightsParams(req.query);
+    const range = { date_preset: datePreset, time_range };
+    const rangeErrors = metaApi.validateInsightsParams(range);
+    if (rangeErrors.length) return res.status(400).json({ error: rangeErrors.join('; '), errors: rangeErrors });
 
     const [accountInsights, campaigns] = await Promise.all([
-      metaApi.getAccountInsights({ date_preset: datePreset }).catch(() => null),
-      metaApi.listCampaigns('id,name,objective,status,daily_budget,lifetime_budget').catch(() => ({ data: [] })),
+      metaApi.getAccountInsights(range).catch(() => null),
+      metaApi.listCampaigns('id,name,objective,status,daily_budget,lifetime_budget', { all: true, limit: 100 }).catch(() => ({ data: [] })),
     ]);
 
     const activeCampaigns = (campaigns.data || []).filter((c) => c.status === 'ACTIVE');
     const pausedCampaigns = (campaigns.data || []).filter((c) => c.status === 'PAUSED');
 
-    // Fetch insights for active campaigns
-    const campaignInsights = [];
-    for (const c of activeCampaigns.slice(0, 5)) {
-      try {
-        const insights = await metaApi.getCampaignInsights(c.id, { date_preset: datePreset });
-        campaignInsights.push({ ...c, insights: insights.data?.[0] });
-      } catch (e) {
-        campaignInsights.push({ ...c, insights: null });
-      }
-    }
+    // Fetch insights for every active campaign, batched 50 per request
+    const insightsById = await metaApi.getCampaignInsightsBatch(activeCampaigns.map((c) => c.id), range)
+      .catch(() => ({}));
+    const campaignInsights = activeCampaigns
+      .map((c) => ({ ...c, insights: normalizeInsights(insightsById[c.id])?.data?.[0] || null }))
+      .sort((a, b) => (b.insights?.metrics.spend || 0) - (a.insights?.metrics.spend || 0));
 
     res.json({
-      account: accountInsights?.data?.[0] || null,
+      account: normalizeInsights(accountInsights)?.data?.[0] || null,
       total_campaigns: (campaigns.data || []).length,
       active_campaigns: activeCampaigns.length,
       paused_campaigns: pausedCampaigns.length,
       top_campaigns: campaignInsights,
-      date_preset: datePreset,
+      date_preset: time_range ? null : datePreset,
+      time_range: time_range || null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Shopify-verified revenue per campaign, matched from order UTMs / fbclid, next to Meta spend
+router.get('/attribution', async (req, res) => {
+  try {
+    const { time_range } = insightsParams(req.query);
+    const range = { date_preset: req.query.date_preset || 'last_30d', time_range };
+    const errors = metaApi.validateInsightsParams(range);
+    const dates = attribution.resolveRange(range);
+    if (!dates) errors.push(`date_preset "${range.date_preset}" has no fixed date range; use since/until`);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+
+    const [campaigns, adsets, ads, orders, shop] = await Promise.all([
+      metaApi.listCampaigns('id,name,status', { all: true, limit: 100 }),
+      metaApi.listAdSets(null, 'id,name,campaign_id', { all: true, limit: 200 }),
+      metaApi.listAds(null, 'id,name,adset_id,campaign_id', { all: true, limit: 200 }),
+      shopifyApi.getOrders({
+        since: dates.since,
+        until: dates.until,
+        fields: 'id,name,created_at,total_price,current_total_price,financial_status,cancelled_at,landing_site,referring_site',
+      }),
+      shopifyApi.getShopInfo().catch(() => null),
+    ]);
+
+    // Spend and Meta-reported conversions for every campaign, paused ones included
+    const insights = await metaApi.getCampaignInsightsBatch(
+      (campaigns.data || []).map((c) => c.id),
+      { ...range, fields: 'spend,actions,action_values,purchase_roas' }
+    );
+    const insightsById = {};
+    for (const [id, response] of Object.entries(insights)) insightsById[id] = normalizeInsights(response);
+
+    const report = attribution.buildReport({
+      campaigns: campaigns.data || [],
+      adsets: adsets.data || [],
+      ads: ads.data || [],
+      insightsById,
+      orders: orders.orders,
+      range: dates,
+    });
+    res.json({
+      ...report,
+      currency: shop?.currency || null,
+      orders_truncated: orders.truncated,
+      date_preset: time_range ? null : range.date_preset,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
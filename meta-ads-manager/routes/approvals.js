@@ -0,0 +1,66 @@
+/**
+ * Activation Approval Routes
+ *
+ * Lists activation requests and approves or rejects them. Requests are
+ * filed by the activate routes (/api/campaigns/:id/activate, ...) and by
+ * confirming an assistant's proposal to activate something.
+ */
+const express = require('express');
+const router = express.Router();
+const approvals = require('../services/approvals');
+const auditLog = require('../services/audit-log');
+const { requestUser } = require('../services/request-user');
+
+// List approvals, newest first; ?status=pending|approved|rejected|stale|failed
+router.get('/', (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !approvals.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${approvals.STATUSES.join(', ')}` });
+    }
+    res.json({
+      data: approvals.listApprovals({ status }),
+      enabled: approvals.approvalsEnabled(),
+      self_cooldown_minutes: approvals.cooldownMinutes(),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    res.json(approvals.getApproval(req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Approve and activate; refused if the object changed since the request or would break a spend guardrail
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const approval = await approvals.approve(req.params.id, {
+      user: requestUser(req),
+      note: req.body?.note,
+      audit: auditLog.requestContext(req),
+    });
+    res.json({ success: true, approval });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, ...(err.violations ? { violations: err.violations } : {}) });
+  }
+});
+
+router.post('/:id/reject', (req, res) => {
+  try {
+    const approval = approvals.reject(req.params.id, {
+      user: requestUser(req),
+      note: req.body?.note,
+      audit: auditLog.requestContext(req),
+    });
+    res.json({ success: true, approval });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
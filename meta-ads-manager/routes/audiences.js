@@ -0,0 +1,88 @@
+/**
+ * Customer Audience Routes
+ *
+ * Custom audiences built from Shopify customer segments: create them (which
+ * uploads the hashed customer list to Meta), edit, delete, sync now and
+ * preview how many customers a segment holds. The scheduler in
+ * services/audiences.js refreshes them on its own.
+ */
+const express = require('express');
+const router = express.Router();
+const audiences = require('../services/audiences');
+const auditLog = require('../services/audit-log');
+const { requestUser } = require('../services/request-user');
+
+function sendError(res, err) {
+  res.status(err.status || 500).json({ error: err.message, ...(err.errors ? { errors: err.errors } : {}) });
+}
+
+// Audiences with their size on Meta, plus the segment types and the scheduler's state
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      data: await audiences.listAudiences({ withMeta: true }),
+      segments: audiences.SEGMENTS,
+      scheduler: audiences.schedulerStatus(),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// { name, description?, segment: { type, tag?, min_orders?, lapsed_days?, subscribed_only? }, auto_refresh? }
+router.post('/', async (req, res) => {
+  try {
+    res.json(await audiences.createAudience(req.body, { user: requestUser(req), audit: auditLog.requestContext(req) }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// How many customers a segment holds now, and how many have an email or phone: { segment }
+router.post('/preview', async (req, res) => {
+  try {
+    res.json(await audiences.previewSegment(req.body.segment));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    res.json(audiences.getAudience(req.params.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Edit an audience; fields left out keep their values (e.g. { auto_refresh: false })
+router.patch('/:id', async (req, res) => {
+  try {
+    res.json(await audiences.updateAudience(req.params.id, req.body, { audit: auditLog.requestContext(req) }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    res.json({ success: await audiences.deleteAudience(req.params.id, { audit: auditLog.requestContext(req) }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Upload the segment's current customers now, replacing the audience's members
+router.post('/:id/sync', async (req, res) => {
+  try {
+    res.json(await audiences.syncAudience(req.params.id, {
+      trigger: 'manual',
+      user: requestUser(req),
+      audit: auditLog.requestContext(req),
+    }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -32,7 +32,7 @@ router.get('/meta/login', (req, res) => {
   ].join(',');
 
   const loginUrl =
-    `https://www.facebook.com/${process.env.FACEBOOK_API_VERSION || 'v21.0'}/dialog/oauth` +
+    `${(process.env.FACEBOOK_DIALOG_URL || 'https://www.facebook.com').replace(/\/+$/, '')}/${process.env.FACEBOOK_API_VERSION || 'v21.0'}/dialog/oauth` +
     `?client_id=${process.env.FACEBOOK_APP_ID}` +
     `&redirect_uri=${encodeURIComponent(redirectUri)}` +
     `&scope=${scopes}` +
@@ -111,4 +111,9 @@ router.get('/meta/token-info', async (req, res) => {
   }
 });
 
+// Current Graph API usage as reported by Meta's rate-limit headers
+router.get('/meta/usage', (req, res) => {
+  res.json(metaApi.getUsage());
+});
+
 module.exports = router;
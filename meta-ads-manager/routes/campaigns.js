@@ -2,18 +2,121 @@
  * Campaign Management Routes
  *
  * CRUD operations for Meta ad campaigns, ad sets, and ads.
- * All creation operations default to PAUSED (draft) status.
+ * All creation operations default to PAUSED (draft) status. Activation
+ * files an approval request (see services/approvals.js) unless
+ * ACTIVATION_APPROVAL=off. Every change is recorded in the audit log
+ * (services/audit-log.js); dry runs are not.
  */
 const express = require('express');
 const router = express.Router();
 const metaApi = require('../services/meta-api');
+const specValidator = require('../services/spec-validator');
+const utm = require('../services/utm');
+const threads = require('../services/threads');
+const spendGuard = require('../services/spend-guard');
+const approvals = require('../services/approvals');
+const auditLog = require('../services/audit-log');
+const { requestUser } = require('../services/request-user');
+
+// ?dry_run=true on a create/update route returns the planned Graph API calls instead
+function isDryRun(req) {
+  return req.query.dry_run === 'true' || req.query.dry_run === '1';
+}
+
+// Runs a metaApi call for real and records it in the audit log as `entry`
+// (see auditLog.audited), or records the calls it would make in dry-run mode
+async function runOrPlan(req, fn, entry) {
+  if (!isDryRun(req)) return auditLog.audited(auditLog.requestContext(req), entry, fn);
+  const plan = await metaApi.dryRun(fn);
+  return { dry_run: true, calls: plan.calls };
+}
+
+// The object's current values (only `keys`, if given) for the audit log; not read on dry runs
+async function stateBefore(req, type, keys) {
+  return isDryRun(req) ? null : auditLog.currentState(type, req.params.id, keys);
+}
+
+// Audit log entries for creating and changing an object through these routes
+const createEntry = (type, params) => ({ action: `${type}.create`, object_type: type, object_id: (result) => result?.id, after: params });
+const changeEntry = (type, verb, id, before, after) => ({ action: `${type}.${verb}`, object_type: type, object_id: id, before, after });
+
+// Paging options for list routes: ?limit=&after=|before= pages through Meta's
+// cursors, ?all=true follows them (up to the service's cap), ?status=ACTIVE,PAUSED
+// filters server-side so summary.total_count matches
+function listOptions(req) {
+  return {
+    limit: req.query.limit,
+    after: req.query.after,
+    before: req.query.before,
+    summary: true,
+    effectiveStatus: req.query.status ? req.query.status.split(',') : null,
+    all: req.query.all === 'true',
+  };
+}
+
+// Errors from guarded routes; spend guardrail refusals (422) list the limits broken
+function sendError(res, err) {
+  res.status(err.status || 500).json({ error: err.message, ...(err.violations ? { violations: err.violations } : {}) });
+}
+
+// Activate routes: file an approval request (202) when approvals are on,
+// otherwise check the spend guardrails and activate right away
+async function activate(req, res, type, activateFn) {
+  try {
+    if (approvals.approvalsEnabled()) {
+      const approval = await approvals.requestActivation({
+        objectType: type,
+        objectId: req.params.id,
+        requestedBy: requestUser(req),
+        note: req.body?.note,
+        audit: auditLog.requestContext(req),
+      });
+      return res.status(202).json({ success: true, pending_approval: true, approval });
+    }
+    await spendGuard.enforce([{ action: 'update', type, id: req.params.id, params: { status: 'ACTIVE' } }]);
+    const before = await stateBefore(req, type, ['status']);
+    const data = await auditLog.audited(auditLog.requestContext(req), changeEntry(type, 'activate', req.params.id, before, { status: 'ACTIVE' }),
+      () => activateFn(req.params.id));
+    res.json({ success: true, ...data });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+// Ad account currency for budget minimums; null lets the validator fall back to USD
+async function accountCurrency() {
+  try {
+    const account = await metaApi.getAdAccount();
+    return account.currency || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The account's custom audience IDs, fetched only when the spec targets or
+// excludes any; null (unknown) skips the check
+async function accountAudienceIds(spec) {
+  const uses = (Array.isArray(spec?.ad_sets) ? spec.ad_sets : [])
+    .some((a) => a?.targeting?.custom_audiences?.length || a?.targeting?.excluded_custom_audiences?.length);
+  if (!uses) return null;
+  try {
+    const result = await metaApi.listCustomAudiences('id', { all: true, limit: 100 });
+    return result.truncated ? null : (result.data || []).map((a) => String(a.id));
+  } catch (e) {
+    return null;
+  }
+}
+
+async function specOptions(spec) {
+  return { currency: await accountCurrency(), utmTemplate: utm.utmTemplate(), customAudienceIds: await accountAudienceIds(spec) };
+}
 
 // ---------- Campaigns ----------
 
-// List all campaigns
+// List campaigns (one page, or every page with ?all=true)
 router.get('/', async (req, res) => {
   try {
-    const data = await metaApi.listCampaigns(req.query.fields, req.query.limit);
+    const data = await metaApi.listCampaigns(req.query.fields, listOptions(req));
     res.json(data);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -33,47 +136,50 @@ router.get('/:id', async (req, res) => {
 // Create campaign (always PAUSED by default)
 router.post('/', async (req, res) => {
   try {
-    const data = await metaApi.createCampaign(req.body);
+    approvals.assertNotActivating(req.body);
+    await spendGuard.enforce([{ action: 'create', type: 'campaign', params: req.body }]);
+    const data = await runOrPlan(req, () => metaApi.createCampaign(req.body), createEntry('campaign', req.body));
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
 // Update campaign
 router.patch('/:id', async (req, res) => {
   try {
-    const data = await metaApi.updateCampaign(req.params.id, req.body);
+    approvals.assertNotActivating(req.body);
+    await spendGuard.enforce([{ action: 'update', type: 'campaign', id: req.params.id, params: req.body }]);
+    const before = await stateBefore(req, 'campaign', Object.keys(req.body));
+    const data = await runOrPlan(req, () => metaApi.updateCampaign(req.params.id, req.body),
+      changeEntry('campaign', 'update', req.params.id, before, req.body));
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
 // Delete campaign
 router.delete('/:id', async (req, res) => {
   try {
-    const data = await metaApi.deleteCampaign(req.params.id);
+    const before = await stateBefore(req, 'campaign');
+    const data = await auditLog.audited(auditLog.requestContext(req), changeEntry('campaign', 'delete', req.params.id, before, null),
+      () => metaApi.deleteCampaign(req.params.id));
     res.json(data);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Activate (publish) campaign
-router.post('/:id/activate', async (req, res) => {
-  try {
-    const data = await metaApi.activateCampaign(req.params.id);
-    res.json({ success: true, ...data });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+// Activate (publish) campaign — once approved
+router.post('/:id/activate', (req, res) => activate(req, res, 'campaign', metaApi.activateCampaign));
 
 // Pause campaign
 router.post('/:id/pause', async (req, res) => {
   try {
-    const data = await metaApi.pauseCampaign(req.params.id);
+    const before = await stateBefore(req, 'campaign', ['status']);
+    const data = await auditLog.audited(auditLog.requestContext(req), changeEntry('campaign', 'pause', req.params.id, before, { status: 'PAUSED' }),
+      () => metaApi.pauseCampaign(req.params.id));
     res.json({ success: true, ...data });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -85,7 +191,7 @@ router.post('/:id/pause', async (req, res) => {
 // List ad sets (optionally filtered by campaign)
 router.get('/:campaignId/adsets', async (req, res) => {
   try {
-    const data = await metaApi.listAdSets(req.params.campaignId, req.query.fields, req.query.limit);
+    const data = await metaApi.listAdSets(req.params.campaignId, req.query.fields, listOptions(req));
     res.json(data);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -95,50 +201,56 @@ router.get('/:campaignId/adsets', async (req, res) => {
 // Create ad set
 router.post('/adsets', async (req, res) => {
   try {
-    const data = await metaApi.createAdSet(req.body);
+    approvals.assertNotActivating(req.body);
+    await spendGuard.enforce([{ action: 'create', type: 'adset', params: req.body }]);
+    const data = await runOrPlan(req, () => metaApi.createAdSet(req.body), createEntry('adset', req.body));
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
 // Update ad set
 router.patch('/adsets/:id', async (req, res) => {
   try {
-    const data = await metaApi.updateAdSet(req.params.id, req.body);
+    approvals.assertNotActivating(req.body);
+    await spendGuard.enforce([{ action: 'update', type: 'adset', id: req.params.id, params: req.body }]);
+    const before = await stateBefore(req, 'adset', Object.keys(req.body));
+    const data = await runOrPlan(req, () => metaApi.updateAdSet(req.params.id, req.body),
+      changeEntry('adset', 'update', req.params.id, before, req.body));
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-// Activate ad set
-router.post('/adsets/:id/activate', async (req, res) => {
-  try {
-    const data = await metaApi.activateAdSet(req.params.id);
-    res.json({ success: true, ...data });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+// Activate ad set — once approved
+router.post('/adsets/:id/activate', (req, res) => activate(req, res, 'adset', metaApi.activateAdSet));
 
 // ---------- Ads ----------
 
 // List ads (optionally filtered by ad set)
 router.get('/adsets/:adSetId/ads', async (req, res) => {
   try {
-    const data = await metaApi.listAds(req.params.adSetId, req.query.fields, req.query.limit);
+    const data = await metaApi.listAds(req.params.adSetId, req.query.fields, listOptions(req));
     res.json(data);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Create ad creative
+// Create ad creative. The UTM template is added to url_tags; UTMs already on
+// the links are kept, and any that conflict with the template are reported.
 router.post('/creatives', async (req, res) => {
   try {
-    const data = await metaApi.createAdCreative(req.body);
-    res.json(data);
+    const template = utm.utmTemplate();
+    const templateErrors = template ? utm.validateTemplate(template) : [];
+    if (templateErrors.length) {
+      return res.status(400).json({ error: `UTM_TEMPLATE is invalid: ${templateErrors.join('; ')}`, errors: templateErrors });
+    }
+    const { params, url_tags, issues } = utm.tagCreative(req.body, template);
+    const data = await runOrPlan(req, () => metaApi.createAdCreative(params), createEntry('creative', params));
+    res.json({ ...data, utm: { url_tags, issues } });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -147,74 +259,246 @@ router.post('/creatives', async (req, res) => {
 // Create ad
 router.post('/ads', async (req, res) => {
   try {
-    const data = await metaApi.createAd(req.body);
+    approvals.assertNotActivating(req.body);
+    const data = await runOrPlan(req, () => metaApi.createAd(req.body), createEntry('ad', req.body));
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
 // Update ad
 router.patch('/ads/:id', async (req, res) => {
   try {
-    const data = await metaApi.updateAd(req.params.id, req.body);
+    approvals.assertNotActivating(req.body);
+    const before = await stateBefore(req, 'ad', Object.keys(req.body));
+    const data = await runOrPlan(req, () => metaApi.updateAd(req.params.id, req.body),
+      changeEntry('ad', 'update', req.params.id, before, req.body));
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
-// Activate ad
-router.post('/ads/:id/activate', async (req, res) => {
+// Activate ad — once approved
+router.post('/ads/:id/activate', (req, res) => activate(req, res, 'ad', metaApi.activateAd));
+
+// ---------- Full campaign creation from AI spec ----------
+
+// Validate a spec without creating anything
+router.post('/validate-spec', async (req, res) => {
   try {
-    const data = await metaApi.activateAd(req.params.id);
-    res.json({ success: true, ...data });
+    const result = specValidator.validateSpec(req.body, await specOptions(req.body));
+    res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// ---------- Full campaign creation from AI spec ----------
+// Delete functions used to undo each kind of object create-from-spec makes
+const ROLLBACK = {
+  campaign: (id) => metaApi.deleteCampaign(id),
+  ad_set: (id) => metaApi.deleteAdSet(id),
+  creative: (id) => metaApi.deleteAdCreative(id),
+  ad: (id) => metaApi.deleteAd(id),
+};
+
+/**
+ * Tracks every object a multi-step creation makes. Each step is appended
+ * to `steps` as { step, type, name, status, id?, error? } so the caller
+ * can report exactly how far it got, and `rollback()` deletes the created
+ * objects in reverse order.
+ */
+function createStepLog({ planned = false } = {}) {
+  const steps = [];
+  const created = [];
+
+  // outcome is one batchRequest() result: { data } or { error }
+  function record(step, type, name, outcome) {
+    const entry = { step, type, name };
+    steps.push(entry);
+    if (outcome.error) {
+      entry.status = 'failed';
+      entry.error = outcome.error.message;
+      return entry;
+    }
+    entry.status = planned ? 'planned' : 'created';
+    entry.id = outcome.data.id;
+    created.push(entry);
+    return entry;
+  }
+
+  async function rollback() {
+    let clean = true;
+    for (const entry of [...created].reverse()) {
+      try {
+        await ROLLBACK[entry.type](entry.id);
+        entry.status = 'rolled_back';
+      } catch (err) {
+        entry.status = 'rollback_failed';
+        entry.rollback_error = err.message;
+        clean = false;
+      }
+    }
+    return clean;
+  }
+
+  return { steps, created, record, rollback };
+}
+
+/**
+ * Creates the campaign, then each ad set with a creative + ad per ad spec,
+ * recording every step in `log`. Everything goes out as one Graph API batch,
+ * chained with batch references (the ad set's campaign_id refers to the
+ * campaign created earlier in the same batch, and so on). Shared by real
+ * runs and dry runs. Throws the first failure, tagged with `failedStep`.
+ */
+async function buildFromSpec(spec, log) {
+  const ops = [];
+  const add = (step, type, name, ref, request) => ops.push({ step, type, name, request: { ...request, name: ref } });
+
+  add('campaign', 'campaign', spec.campaign.name, 'campaign', metaApi.campaignRequest(spec.campaign));
+  for (const [i, adSetSpec] of (spec.ad_sets || []).entries()) {
+    add(`ad_sets[${i}]`, 'ad_set', adSetSpec.name, `adset_${i}`,
+      metaApi.adSetRequest({ ...adSetSpec, campaign_id: metaApi.batchRef('campaign') }));
 
-// Creates an entire campaign structure (campaign + ad sets + ads) from a spec
+    // A creative + ad per ad spec, in every ad set
+    for (const [j, adSpec] of (spec.ads || []).entries()) {
+      if (!adSpec.creative || !adSpec.creative.object_story_spec) continue;
+      const creativeName = adSpec.creative.name || `${adSpec.name} Creative`;
+      add(`ad_sets[${i}].ads[${j}].creative`, 'creative', creativeName, `creative_${i}_${j}`,
+        metaApi.adCreativeRequest(utm.tagCreative({ name: creativeName, object_story_spec: adSpec.creative.object_story_spec }).params));
+      add(`ad_sets[${i}].ads[${j}]`, 'ad', adSpec.name, `ad_${i}_${j}`,
+        metaApi.adRequest({
+          name: adSpec.name,
+          adset_id: metaApi.batchRef(`adset_${i}`),
+          creative: { creative_id: metaApi.batchRef(`creative_${i}_${j}`) },
+          status: 'PAUSED',
+        }));
+    }
+  }
+
+  const outcomes = await metaApi.batchRequest(ops.map((op) => op.request));
+
+  const results = { campaign: null, ad_sets: [], ads: [] };
+  let failure = null;
+  ops.forEach((op, k) => {
+    const entry = log.record(op.step, op.type, op.name, outcomes[k]);
+    if (outcomes[k].error) {
+      if (!failure) failure = Object.assign(outcomes[k].error, { failedStep: entry });
+      return;
+    }
+    if (op.type === 'campaign') results.campaign = outcomes[k].data;
+    if (op.type === 'ad_set') results.ad_sets.push(outcomes[k].data);
+    if (op.type === 'ad') results.ads.push(outcomes[k].data);
+  });
+  if (failure) throw failure;
+
+  return results;
+}
+
+// Creates an entire campaign structure (campaign + ad sets + ads) from a spec.
+// On failure everything created so far is deleted in reverse order, unless
+// ?on_failure=keep is passed, in which case the objects are left (PAUSED) and
+// the step log shows which ones exist. With ?dry_run=true nothing is sent:
+// the response lists the Graph API calls the spec would make, plus the
+// validation result and any spend guardrail violations. Specs that break a
+// spend guardrail are refused with a 422. ?thread_id=&spec_version= record the created campaign
+// on the assistant thread the spec came from, and link the audit log entry to it.
 router.post('/create-from-spec', async (req, res) => {
+  const onFailure = req.query.on_failure === 'keep' ? 'keep' : 'rollback';
+  const log = createStepLog();
+  const audit = auditLog.requestContext(req, {
+    source: 'ai_spec',
+    thread_id: req.query.thread_id,
+    spec_version: req.query.spec_version,
+  });
+  let building = false;
+
   try {
     const spec = req.body;
-    const results = { campaign: null, ad_sets: [], ads: [] };
-
-    // 1. Create campaign
-    const campaign = await metaApi.createCampaign(spec.campaign);
-    results.campaign = campaign;
-
-    // 2. Create ad sets
-    for (const adSetSpec of spec.ad_sets || []) {
-      adSetSpec.campaign_id = campaign.id;
-      const adSet = await metaApi.createAdSet(adSetSpec);
-      results.ad_sets.push(adSet);
-
-      // 3. Create ads for each ad set
-      for (const adSpec of spec.ads || []) {
-        // Create creative first
-        if (adSpec.creative && adSpec.creative.object_story_spec) {
-          const creative = await metaApi.createAdCreative({
-            name: adSpec.creative.name || `${adSpec.name} Creative`,
-            object_story_spec: adSpec.creative.object_story_spec,
-          });
-          // Create ad with creative reference
-          const ad = await metaApi.createAd({
-            name: adSpec.name,
-            adset_id: adSet.id,
-            creative: { creative_id: creative.id },
-            status: 'PAUSED',
-          });
-          results.ads.push(ad);
-        }
+    try {
+      approvals.assertNotActivating(spec?.campaign, 'campaign.status');
+      (Array.isArray(spec?.ad_sets) ? spec.ad_sets : []).forEach((adSet, i) => approvals.assertNotActivating(adSet, `ad_sets[${i}].status`));
+    } catch (err) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    const validation = specValidator.validateSpec(spec, await specOptions(spec));
+
+    if (isDryRun(req)) {
+      if (!spec || !spec.campaign) {
+        return res.status(400).json({ error: 'Campaign spec failed validation', errors: validation.errors });
       }
+      const planLog = createStepLog({ planned: true });
+      const plan = await metaApi.dryRun(() => buildFromSpec(spec, planLog));
+      let guardrails;
+      try {
+        guardrails = { violations: await spendGuard.checkChanges(spendGuard.specChanges(spec)) };
+      } catch (e) {
+        guardrails = { violations: [], error: `Could not check spend guardrails: ${e.message}` };
+      }
+      return res.json({ dry_run: true, validation, guardrails, calls: plan.calls, steps: planLog.steps });
+    }
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Campaign spec failed validation',
+        errors: validation.errors,
+        warnings: validation.warnings,
+      });
+    }
+
+    try {
+      await spendGuard.enforce(spendGuard.specChanges(spec));
+    } catch (err) {
+      return res.status(err.status || 500).json({ success: false, error: err.message, violations: err.violations || [] });
     }
 
-    res.json({ success: true, results });
+    building = true;
+    const results = await buildFromSpec(spec, log);
+    auditLog.record(audit, {
+      action: 'campaign.create_from_spec',
+      object_type: 'campaign',
+      object_id: results.campaign.id,
+      object_name: spec.campaign.name,
+      after: { spec, steps: log.steps },
+    });
+    if (req.query.thread_id) {
+      try {
+        threads.recordCampaign(req.query.thread_id, {
+          campaign_id: results.campaign.id,
+          spec_version: req.query.spec_version,
+          name: spec.campaign.name,
+        });
+      } catch (e) {
+        // The campaign exists either way; a deleted thread just isn't told
+      }
+    }
+    res.json({ success: true, results, steps: log.steps, warnings: validation.warnings });
   } catch (err) {
-    res.status(500).json({ error: err.message, step: 'create-from-spec' });
+    const rolledBack = onFailure === 'rollback' && log.created.length > 0
+      ? await log.rollback()
+      : false;
+    if (building) {
+      auditLog.record(audit, {
+        action: 'campaign.create_from_spec',
+        object_type: 'campaign',
+        object_id: log.steps.find((step) => step.type === 'campaign')?.id,
+        object_name: req.body?.campaign?.name,
+        after: { spec: req.body, steps: log.steps, rolled_back: rolledBack },
+        outcome: 'failed',
+        error: err.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: err.message,
+      failed_step: err.failedStep?.step || null,
+      on_failure: onFailure,
+      rolled_back: rolledBack,
+      steps: log.steps,
+    });
   }
 });
 
@@ -0,0 +1,71 @@
+/**
+ * Digest Routes
+ *
+ * The daily and weekly performance reports written by services/digests.js:
+ * list and read them, write one now, and send one to the configured email
+ * and webhook channels.
+ */
+const express = require('express');
+const router = express.Router();
+const digests = require('../services/digests');
+const { requestUser } = require('../services/request-user');
+
+// Reports newest first (?period=daily|weekly, ?limit, default 100), plus the schedule and channels
+router.get('/', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    res.json({
+      data: digests.listDigests({ period: req.query.period || null, limit }),
+      periods: Object.keys(digests.PERIODS),
+      kpis: digests.KPIS,
+      scheduler: digests.schedulerStatus(),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Write a digest now: { period: 'daily' | 'weekly', report_date?, deliver? }
+router.post('/', async (req, res) => {
+  try {
+    const { period, report_date: reportDate, deliver } = req.body;
+    res.json(await digests.generateDigest(period, {
+      reportDate: reportDate || null,
+      user: requestUser(req),
+      deliver: Boolean(deliver),
+    }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    res.json(digests.getDigest(req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    res.json({ success: digests.deleteDigest(req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Send (again) to every configured channel, or { channels: ['email'] } for some
+router.post('/:id/deliver', async (req, res) => {
+  try {
+    const channels = req.body.channels;
+    if (channels !== undefined && (!Array.isArray(channels) || !channels.length || channels.some((c) => !['email', 'webhook'].includes(c)))) {
+      return res.status(400).json({ error: 'channels must be a non-empty list of email, webhook' });
+    }
+    res.json(await digests.deliverDigest(req.params.id, { channels: channels || null }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
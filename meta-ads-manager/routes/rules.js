@@ -0,0 +1,103 @@
+/**
+ * Automated Rule Routes
+ *
+ * Create, edit and delete rules, preview what they match, run them now and
+ * read their history. The scheduler in services/rules.js runs enabled rules
+ * on its own.
+ */
+const express = require('express');
+const router = express.Router();
+const rules = require('../services/rules');
+const auditLog = require('../services/audit-log');
+const { requestUser } = require('../services/request-user');
+
+function sendError(res, err) {
+  res.status(err.status || 500).json({ error: err.message, ...(err.errors ? { errors: err.errors } : {}) });
+}
+
+// Rules, plus what the form needs: metrics, windows, operators and the scheduler's state
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      data: rules.listRules(),
+      metrics: rules.METRICS,
+      levels: rules.LEVELS,
+      windows: rules.WINDOWS,
+      operators: rules.OPERATORS,
+      actions: rules.ACTIONS,
+      scheduler: rules.schedulerStatus(),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post('/', (req, res) => {
+  try {
+    res.json(rules.createRule(req.body, { user: requestUser(req) }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Every match of every rule, newest first (?limit, default 200)
+router.get('/history', (req, res) => {
+  try {
+    res.json({ data: rules.ruleHistory(null, { limit: parseInt(req.query.limit, 10) || 200 }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    res.json(rules.getRule(req.params.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Edit a rule; fields left out keep their values (e.g. { enabled: false })
+router.patch('/:id', (req, res) => {
+  try {
+    res.json(rules.updateRule(req.params.id, req.body, { user: requestUser(req) }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    res.json({ success: rules.deleteRule(req.params.id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Run now. ?dry_run=true previews: it lists what matches and the changes the
+// rule would make, without changing or recording anything
+router.post('/:id/run', async (req, res) => {
+  try {
+    const preview = req.query.dry_run === 'true' || req.query.dry_run === '1';
+    const result = await rules.runRule(req.params.id, {
+      trigger: 'manual',
+      preview,
+      user: requestUser(req),
+      audit: auditLog.requestContext(req),
+    });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get('/:id/history', (req, res) => {
+  try {
+    rules.getRule(req.params.id);
+    res.json({ data: rules.ruleHistory(req.params.id, { limit: parseInt(req.query.limit, 10) || 200 }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
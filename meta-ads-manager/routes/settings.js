@@ -7,6 +7,9 @@
  */
 const express = require('express');
 const router = express.Router();
+const utm = require('../services/utm');
+const aiConfig = require('../services/ai-config');
+const spendGuard = require('../services/spend-guard');
 
 // Which env var is configured? Returns true/false, never the actual value.
 function isSet(name) {
@@ -55,7 +58,14 @@ router.get('/', (req, res) => {
       api_key: isSet('ANTHROPIC_API_KEY'),
       base_url: isSet('ANTHROPIC_BASE_URL'),
       auth_mode: claudeMode,
+      ...aiConfig.describe(),
     },
+    utm: {
+      template: utm.utmTemplate(),
+      custom: isSet('UTM_TEMPLATE'),
+      errors: utm.utmTemplate() ? utm.validateTemplate(utm.utmTemplate()) : [],
+    },
+    guardrails: spendGuard.describe(),
     configured: {
       facebook: isSet('FACEBOOK_APP_ID') && isSet('FACEBOOK_APP_SECRET') && isSet('FACEBOOK_AD_ACCOUNT_ID') && isSet('FACEBOOK_ACCESS_TOKEN'),
       shopify: isSet('SHOPIFY_CLIENT_ID') && isSet('SHOPIFY_API_KEY') && isSet('SHOPIFY_STORE_DOMAIN'),
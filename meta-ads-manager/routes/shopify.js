@@ -40,7 +40,7 @@ router.get('/auth', (req, res) => {
   }
   const redirectUri = `${process.env.APP_URL || 'http://localhost:' + (process.env.PORT || 3456)}/api/shopify/auth/callback`;
   const nonce = crypto.randomBytes(16).toString('hex');
-  const authUrl = `https://${shop}/admin/oauth/authorize?client_id=${process.env.SHOPIFY_CLIENT_ID}&scope=${SCOPES}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${nonce}`;
+  const authUrl = `${shopifyApi.storeOrigin(shop)}/admin/oauth/authorize?client_id=${process.env.SHOPIFY_CLIENT_ID}&scope=${SCOPES}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${nonce}`;
   res.redirect(authUrl);
 });
 
@@ -57,7 +57,7 @@ router.get('/auth/callback', async (req, res) => {
     }
 
     // Exchange authorization code for access token
-    const tokenRes = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    const tokenRes = await fetch(`${shopifyApi.storeOrigin(shop)}/admin/oauth/access_token`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -77,18 +77,20 @@ router.get('/auth/callback', async (req, res) => {
     // Update the running process env
     process.env.SHOPIFY_ACCESS_TOKEN = access_token;
 
-    // Persist to .env file
-    const envPath = path.join(__dirname, '..', '.env');
-    let envContent = fs.readFileSync(envPath, 'utf-8');
-    if (envContent.match(/^SHOPIFY_ACCESS_TOKEN=.*$/m)) {
-      envContent = envContent.replace(
-        /^SHOPIFY_ACCESS_TOKEN=.*$/m,
-        `SHOPIFY_ACCESS_TOKEN="${access_token}"`
-      );
-    } else {
-      envContent += `\nSHOPIFY_ACCESS_TOKEN="${access_token}"\n`;
+    // Persist to .env file (mock store tokens stay in memory only)
+    if (process.env.SHOPIFY_MOCK !== 'true') {
+      const envPath = path.join(__dirname, '..', '.env');
+      let envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf-8') : '';
+      if (envContent.match(/^SHOPIFY_ACCESS_TOKEN=.*$/m)) {
+        envContent = envContent.replace(
+          /^SHOPIFY_ACCESS_TOKEN=.*$/m,
+          `SHOPIFY_ACCESS_TOKEN="${access_token}"`
+        );
+      } else {
+        envContent += `\nSHOPIFY_ACCESS_TOKEN="${access_token}"\n`;
+      }
+      fs.writeFileSync(envPath, envContent);
     }
-    fs.writeFileSync(envPath, envContent);
 
     res.send(`
       <html><body style="font-family:system-ui;max-width:600px;margin:60px auto;text-align:center">
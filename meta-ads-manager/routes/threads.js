@@ -0,0 +1,93 @@
+/**
+ * Conversation Thread Routes
+ *
+ * Lists, searches, renames and deletes the assistant's saved conversations.
+ * Messages are added by the chat routes (/api/ai/chat, /api/ai/chat/stream)
+ * when they are given a threadId.
+ */
+const express = require('express');
+const router = express.Router();
+const threads = require('../services/threads');
+
+// List threads, newest first; ?q= searches titles, messages and specs
+router.get('/', (req, res) => {
+  try {
+    res.json({ data: threads.listThreads({ q: req.query.q }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start a thread; `messages` imports an existing conversation
+router.post('/', (req, res) => {
+  try {
+    const { title, messages } = req.body || {};
+    if (messages !== undefined && !Array.isArray(messages)) {
+      return res.status(400).json({ error: 'messages must be an array' });
+    }
+    res.json(threads.createThread({ title, messages }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    res.json(threads.getThread(req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Rename a thread; a user-set title is never replaced by a generated one
+router.patch('/:id', (req, res) => {
+  try {
+    const title = typeof req.body?.title === 'string' ? req.body.title.trim() : '';
+    if (!title) return res.status(400).json({ error: 'title is required' });
+    res.json(threads.renameThread(req.params.id, title));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    res.json({ success: threads.deleteThread(req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Append messages that didn't come from a chat turn (confirmations, notes from the UI)
+router.post('/:id/messages', (req, res) => {
+  try {
+    if (!Array.isArray(req.body?.messages)) {
+      return res.status(400).json({ error: 'messages must be an array' });
+    }
+    const thread = threads.appendMessages(req.params.id, req.body.messages);
+    res.json({ id: thread.id, message_count: thread.messages.length });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Pin a fact (a decision or standing instruction); pinned facts go into every prompt verbatim
+router.post('/:id/pins', (req, res) => {
+  try {
+    const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+    if (!text) return res.status(400).json({ error: 'text is required' });
+    res.json(threads.pinFact(req.params.id, text));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/:id/pins/:pinId', (req, res) => {
+  try {
+    res.json({ pinned: threads.unpinFact(req.params.id, req.params.pinId).pinned });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
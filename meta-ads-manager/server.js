@@ -8,6 +8,15 @@ const aiRoutes = require('./routes/ai');
 const analyticsRoutes = require('./routes/analytics');
 const shopifyRoutes = require('./routes/shopify');
 const settingsRoutes = require('./routes/settings');
+const threadRoutes = require('./routes/threads');
+const approvalRoutes = require('./routes/approvals');
+const activityRoutes = require('./routes/activity');
+const ruleRoutes = require('./routes/rules');
+const rules = require('./services/rules');
+const digestRoutes = require('./routes/digests');
+const digests = require('./services/digests');
+const audienceRoutes = require('./routes/audiences');
+const audiences = require('./services/audiences');
 
 const app = express();
 const PORT = process.env.PORT || 3456;
@@ -16,6 +25,33 @@ app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Offline mode: serve the fake Graph API from this process and point the
+// Meta client (and OAuth dialog) at it. Missing Facebook env vars get
+// mock values so the whole dashboard works without a real account.
+if (process.env.FACEBOOK_GRAPH_MOCK === 'true') {
+  const { createGraphApiMock, failuresFromEnv } = require('./mock/graph-api');
+  const mockUrl = `http://localhost:${PORT}/mock/graph`;
+  app.use('/mock/graph', createGraphApiMock({ failures: failuresFromEnv() }));
+  process.env.FACEBOOK_GRAPH_URL = mockUrl;
+  process.env.FACEBOOK_DIALOG_URL = mockUrl;
+  process.env.FACEBOOK_APP_ID = process.env.FACEBOOK_APP_ID || 'mock-app';
+  process.env.FACEBOOK_APP_SECRET = process.env.FACEBOOK_APP_SECRET || 'mock-secret';
+  process.env.FACEBOOK_AD_ACCOUNT_ID = process.env.FACEBOOK_AD_ACCOUNT_ID || 'act_1000000001';
+  process.env.FACEBOOK_ACCESS_TOKEN = process.env.FACEBOOK_ACCESS_TOKEN || 'mock-token';
+}
+
+// Offline Shopify: start the fake Admin API (seeded from the theme's
+// product CSVs) on its own port and point the Shopify client at it.
+if (process.env.SHOPIFY_MOCK === 'true') {
+  const { startShopifyMock } = require('./mock/shopify-api');
+  const mockPort = process.env.MOCK_SHOPIFY_PORT || 4102;
+  process.env.SHOPIFY_STORE_DOMAIN = `localhost:${mockPort}`;
+  process.env.SHOPIFY_CLIENT_ID = process.env.SHOPIFY_CLIENT_ID || 'mock-shopify-client';
+  process.env.SHOPIFY_CLIENT_SECRET = process.env.SHOPIFY_CLIENT_SECRET || 'mock-shopify-secret';
+  process.env.SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN || 'shpat_mock';
+  startShopifyMock(mockPort);
+}
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/campaigns', campaignRoutes);
@@ -23,6 +59,12 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/shopify', shopifyRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/threads', threadRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/digests', digestRoutes);
+app.use('/api/audiences', audienceRoutes);
 
 // SPA fallback
 app.get('*', (req, res) => {
@@ -31,6 +73,12 @@ app.get('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`\n  Meta Ads Manager is running at http://localhost:${PORT}\n`);
+  if (process.env.FACEBOOK_GRAPH_MOCK === 'true') {
+    console.log(`  FACEBOOK_GRAPH_MOCK=true — using the fake Graph API at ${process.env.FACEBOOK_GRAPH_URL}\n`);
+  }
+  if (process.env.SHOPIFY_MOCK === 'true') {
+    console.log(`  SHOPIFY_MOCK=true — using the fake Shopify Admin API at http://${process.env.SHOPIFY_STORE_DOMAIN}\n`);
+  }
 
   // Startup config check
   const missing = [];
@@ -74,4 +122,15 @@ app.listen(PORT, () => {
   } else {
     console.log('  All credentials configured.\n');
   }
+
+  if (rules.startScheduler()) {
+    console.log(`  Automated rules run every ${rules.schedulerStatus().interval_minutes} minutes (RULES_SCHEDULER=off to disable).\n`);
+  }
+  if (digests.startScheduler()) {
+    const { periods, time, weekly_day: weeklyDay } = digests.schedulerStatus();
+    console.log(`  Performance digests (${periods.join(', ')}) are written at ${time}${periods.includes('weekly') ? `, weekly on ${weeklyDay}` : ''}.\n`);
+  }
+  if (audiences.startScheduler()) {
+    console.log(`  Customer audiences refresh every ${audiences.schedulerStatus().refresh_hours} hours (AUDIENCE_REFRESH=off to disable).\n`);
+  }
 });
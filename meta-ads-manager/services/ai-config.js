@@ -0,0 +1,96 @@
+/**
+ * AI Task Configuration
+ *
+ * Model, max_tokens and temperature for each kind of Claude call, from
+ * environment variables, and whether prompt caching is on.
+ *
+ * Optional env vars:
+ *   AI_MODEL                  — model for every task (default claude-sonnet-4-20250514)
+ *   AI_<TASK>_MODEL           — model for one task, e.g. AI_TITLE_MODEL
+ *   AI_<TASK>_MAX_TOKENS      — output token limit for one task
+ *   AI_<TASK>_TEMPERATURE     — 0–1; unset uses the API default
+ *   AI_PROMPT_CACHE           — "off" to stop marking prompt cache breakpoints
+ * Tasks: CHAT, SUGGEST, ASSESS, SUMMARY, TITLE, TEST.
+ */
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+const TASKS = {
+  chat: { label: 'Assistant chat', max_tokens: 4096, temperature: null },
+  suggest: { label: 'Campaign suggestions', max_tokens: 8192, temperature: null },
+  assess: { label: 'Performance assessment', max_tokens: 4096, temperature: null },
+  summary: { label: 'Conversation summaries', max_tokens: 1024, temperature: 0 },
+  title: { label: 'Thread titles', max_tokens: 30, temperature: 0 },
+  test: { label: 'Connection test', max_tokens: 50, temperature: null },
+};
+
+function envValue(name) {
+  const value = process.env[name];
+  return value === undefined || value.trim() === '' ? null : value.trim();
+}
+
+/**
+ * { model, max_tokens, temperature, source, errors } for a task. Invalid
+ * values are reported in `errors` and the default is used instead.
+ */
+function taskConfig(task) {
+  const defaults = TASKS[task] || TASKS.chat;
+  const prefix = `AI_${String(task).toUpperCase()}`;
+  const errors = [];
+  const source = {};
+
+  const model = envValue(`${prefix}_MODEL`) || envValue('AI_MODEL') || DEFAULT_MODEL;
+  source.model = envValue(`${prefix}_MODEL`) ? `${prefix}_MODEL` : envValue('AI_MODEL') ? 'AI_MODEL' : 'default';
+
+  let maxTokens = defaults.max_tokens;
+  const rawMax = envValue(`${prefix}_MAX_TOKENS`);
+  if (rawMax !== null) {
+    const n = Number(rawMax);
+    if (Number.isInteger(n) && n > 0) maxTokens = n;
+    else errors.push(`${prefix}_MAX_TOKENS must be a positive integer (got "${rawMax}")`);
+  }
+
+  let temperature = defaults.temperature;
+  const rawTemp = envValue(`${prefix}_TEMPERATURE`);
+  if (rawTemp !== null) {
+    const n = Number(rawTemp);
+    if (Number.isFinite(n) && n >= 0 && n <= 1) temperature = n;
+    else errors.push(`${prefix}_TEMPERATURE must be between 0 and 1 (got "${rawTemp}")`);
+  }
+
+  return { model, max_tokens: maxTokens, temperature, source, errors };
+}
+
+/**
+ * Request fields for a task: model, max_tokens, and temperature when set.
+ */
+function requestParams(task) {
+  const config = taskConfig(task);
+  return {
+    model: config.model,
+    max_tokens: config.max_tokens,
+    ...(config.temperature !== null ? { temperature: config.temperature } : {}),
+  };
+}
+
+function promptCacheEnabled() {
+  const value = envValue('AI_PROMPT_CACHE');
+  return !value || !['off', 'false', '0', 'none'].includes(value.toLowerCase());
+}
+
+// Every task's active settings, for the Settings page
+function describe() {
+  return {
+    tasks: Object.fromEntries(Object.entries(TASKS).map(([task, { label }]) => [task, { label, ...taskConfig(task) }])),
+    prompt_cache: promptCacheEnabled(),
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  TASKS,
+  taskConfig,
+  requestParams,
+  promptCacheEnabled,
+  describe,
+};
@@ -0,0 +1,234 @@
+/**
+ * AI Usage Ledger
+ *
+ * Every Claude API call the app makes is appended to data/ai-usage.jsonl:
+ * task, model, route, thread, input / output / cache tokens and its cost at
+ * the configured prices. Month-to-date cost is checked against two caps:
+ * over the soft cap the UI warns; over the hard cap calls are refused.
+ *
+ * Optional env vars:
+ *   AI_PRICING           — JSON of USD per million tokens by model (or model
+ *                          prefix), merged over DEFAULT_PRICING, e.g.
+ *                          {"claude-sonnet-4":{"input":3,"output":15}}
+ *                          (cache_write / cache_read default to 1.25× / 0.1× input)
+ *   AI_MONTHLY_SOFT_CAP  — USD per calendar month (UTC) before the UI warns
+ *   AI_MONTHLY_HARD_CAP  — USD per calendar month (UTC) before calls are refused
+ */
+const store = require('./data-store');
+
+const LEDGER_FILE = 'ai-usage.jsonl';
+
+// USD per million tokens; keys match a model ID exactly or as a prefix
+const DEFAULT_PRICING = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+};
+
+const GROUPS = ['day', 'month', 'route', 'task', 'model', 'thread'];
+
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// ---------- Pricing ----------
+
+/**
+ * { pricing, errors }: DEFAULT_PRICING with AI_PRICING merged over it.
+ */
+function pricingTable() {
+  const raw = process.env.AI_PRICING;
+  if (!raw || !raw.trim()) return { pricing: DEFAULT_PRICING, errors: [] };
+  try {
+    const custom = JSON.parse(raw);
+    const errors = [];
+    const pricing = { ...DEFAULT_PRICING };
+    for (const [model, price] of Object.entries(custom)) {
+      if (!price || !Number.isFinite(price.input) || !Number.isFinite(price.output)) {
+        errors.push(`AI_PRICING.${model} needs numeric input and output prices`);
+        continue;
+      }
+      pricing[model] = price;
+    }
+    return { pricing, errors };
+  } catch (err) {
+    return { pricing: DEFAULT_PRICING, errors: [`AI_PRICING is not valid JSON: ${err.message}`] };
+  }
+}
+
+// Price entry for a model: exact ID first, then the longest matching prefix
+function modelPrice(model, pricing = pricingTable().pricing) {
+  if (pricing[model]) return pricing[model];
+  const prefix = Object.keys(pricing)
+    .filter((key) => String(model).startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * USD cost of one call's usage, or null when the model has no price.
+ */
+function usageCost(model, usage = {}) {
+  const price = modelPrice(model);
+  if (!price) return null;
+  const cacheWrite = price.cache_write ?? price.input * 1.25;
+  const cacheRead = price.cache_read ?? price.input * 0.1;
+  return round((
+    (usage.input_tokens || 0) * price.input
+    + (usage.output_tokens || 0) * price.output
+    + (usage.cache_creation_input_tokens || 0) * cacheWrite
+    + (usage.cache_read_input_tokens || 0) * cacheRead
+  ) / 1e6, 6);
+}
+
+// ---------- Caps ----------
+
+function capValue(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+const monthOf = (iso) => iso.slice(0, 7);
+
+// Month-to-date cost, kept in memory after the first read of the ledger
+let monthTotal = null;
+
+function monthToDate(now = new Date()) {
+  const month = monthOf(now.toISOString());
+  if (!monthTotal || monthTotal.month !== month) {
+    const cost = store.readJsonLines(LEDGER_FILE)
+      .filter((r) => r.at && monthOf(r.at) === month)
+      .reduce((sum, r) => sum + (r.cost || 0), 0);
+    monthTotal = { month, cost };
+  }
+  return monthTotal;
+}
+
+/**
+ * This month's spend on Claude against the caps.
+ */
+function budgetStatus() {
+  const { month, cost } = monthToDate();
+  const softCap = capValue('AI_MONTHLY_SOFT_CAP');
+  const hardCap = capValue('AI_MONTHLY_HARD_CAP');
+  return {
+    month,
+    cost: round(cost),
+    soft_cap: softCap,
+    hard_cap: hardCap,
+    over_soft_cap: softCap !== null && cost >= softCap,
+    over_hard_cap: hardCap !== null && cost >= hardCap,
+  };
+}
+
+/**
+ * Throws (status 429) when the month's hard cap has been reached.
+ */
+function assertWithinBudget() {
+  const status = budgetStatus();
+  if (!status.over_hard_cap) return status;
+  const err = new Error(`Monthly AI budget reached: $${status.cost.toFixed(2)} of the $${status.hard_cap.toFixed(2)} hard cap (AI_MONTHLY_HARD_CAP) spent in ${status.month}. AI calls resume next month or when the cap is raised.`);
+  err.status = 429;
+  err.code = 'ai_budget_exceeded';
+  throw err;
+}
+
+// ---------- Recording ----------
+
+/**
+ * Append one API call to the ledger.
+ * context: { route, thread_id } of the request that made the call.
+ */
+function recordUsage({ task, model, usage = {}, context = {} }) {
+  const record = {
+    at: new Date().toISOString(),
+    task,
+    model,
+    route: context.route || null,
+    thread_id: context.thread_id || null,
+    input_tokens: usage.input_tokens || 0,
+    output_tokens: usage.output_tokens || 0,
+    cache_creation_input_tokens: usage.cache_creation_input_tokens || 0,
+    cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+    cost: usageCost(model, usage),
+  };
+  store.appendJsonLine(LEDGER_FILE, record);
+  const current = monthToDate();
+  if (monthOf(record.at) === current.month) current.cost += record.cost || 0;
+  return record;
+}
+
+// ---------- Report ----------
+
+function groupKey(record, field) {
+  switch (field) {
+    case 'day': return record.at.slice(0, 10);
+    case 'month': return monthOf(record.at);
+    case 'thread': return record.thread_id;
+    default: return record[field] ?? null;
+  }
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 0,
+    cost: 0,
+    unpriced_calls: 0,
+  };
+}
+
+function addRecord(totals, r) {
+  totals.calls++;
+  totals.input_tokens += r.input_tokens || 0;
+  totals.output_tokens += r.output_tokens || 0;
+  totals.cache_creation_input_tokens += r.cache_creation_input_tokens || 0;
+  totals.cache_read_input_tokens += r.cache_read_input_tokens || 0;
+  if (r.cost === null || r.cost === undefined) totals.unpriced_calls++;
+  else totals.cost += r.cost;
+}
+
+/**
+ * Usage between since and until (YYYY-MM-DD, inclusive, UTC), grouped by
+ * any of GROUPS (e.g. ['day', 'route']).
+ */
+function usageReport({ since, until, group = ['day'] }) {
+  const rows = new Map();
+  const totals = emptyTotals();
+  for (const r of store.readJsonLines(LEDGER_FILE)) {
+    const day = String(r.at || '').slice(0, 10);
+    if (!day || (since && day < since) || (until && day > until)) continue;
+    addRecord(totals, r);
+    const key = Object.fromEntries(group.map((field) => [field, groupKey(r, field)]));
+    const id = JSON.stringify(key);
+    if (!rows.has(id)) rows.set(id, { ...key, ...emptyTotals() });
+    addRecord(rows.get(id), r);
+  }
+
+  const finish = (t) => ({ ...t, cost: round(t.cost) });
+  return {
+    since: since || null,
+    until: until || null,
+    group,
+    rows: [...rows.values()]
+      .map(finish)
+      .sort((a, b) => group.map((f) => String(a[f] ?? '').localeCompare(String(b[f] ?? ''))).find((c) => c !== 0) || 0),
+    totals: finish(totals),
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  GROUPS,
+  pricingTable,
+  usageCost,
+  budgetStatus,
+  assertWithinBudget,
+  recordUsage,
+  usageReport,
+};
@@ -0,0 +1,476 @@
+/**
+ * Assistant Tools
+ *
+ * Anthropic tool definitions for the assistant chat, mapped onto the
+ * existing Meta and Shopify service functions.
+ *
+ * Read tools (campaign lists, insights, targeting search, products, custom
+ * audiences) run as soon as Claude calls them. Mutating tools (status
+ * changes, budget updates, ad set audiences) never run from the model's turn: they're stored as pending
+ * actions and only executed by confirmAction(), which the UI calls when
+ * the user clicks Confirm. The stored input is what runs, so the browser
+ * can't alter a proposed change. Spend guardrails are checked when a change
+ * is proposed (so Claude hears why it can't be) and again when it's confirmed.
+ * Confirming an activation files an approval request rather than activating.
+ * Confirmed changes go in the audit log with the thread they were proposed in.
+ */
+const crypto = require('crypto');
+const metaApi = require('./meta-api');
+const shopifyApi = require('./shopify-api');
+const { normalizeInsights } = require('./insights-metrics');
+const spendGuard = require('./spend-guard');
+const approvals = require('./approvals');
+const auditLog = require('./audit-log');
+const { formatMinor } = require('./spec-validator');
+const audiences = require('./audiences');
+
+// Pending actions expire if not confirmed within this window
+const PENDING_TTL_MS = 30 * 60 * 1000;
+// Tool results are cut to this many characters before going back to Claude
+const MAX_RESULT_CHARS = 12000;
+
+const OBJECT_TYPES = ['campaign', 'adset', 'ad'];
+const DATE_PRESETS = ['today', 'yesterday', 'last_7d', 'last_14d', 'last_30d', 'last_90d', 'this_month', 'last_month'];
+
+const pending = new Map();
+
+// ---------- Definitions ----------
+
+const TOOLS = [
+  {
+    name: 'list_campaigns',
+    description: 'List campaigns in the ad account with status, objective and budgets (budgets in minor currency units, e.g. cents).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ACTIVE', 'PAUSED', 'ALL'], description: 'Filter by delivery status (default ALL)' },
+      },
+    },
+  },
+  {
+    name: 'list_ad_sets',
+    description: 'List the ad sets of a campaign with status, budgets, optimization goal and targeting.',
+    input_schema: {
+      type: 'object',
+      properties: { campaign_id: { type: 'string' } },
+      required: ['campaign_id'],
+    },
+  },
+  {
+    name: 'get_insights',
+    description: 'Performance metrics (spend, impressions, clicks, CTR, CPC, CPM, purchases, purchase value, ROAS, CPA) for the account or one campaign, ad set or ad. Optionally daily rows or a breakdown.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: ['account', ...OBJECT_TYPES] },
+        id: { type: 'string', description: 'Campaign, ad set or ad ID (omit for account)' },
+        date_preset: { type: 'string', enum: DATE_PRESETS, description: 'Default last_30d' },
+        since: { type: 'string', description: 'YYYY-MM-DD; with until, overrides date_preset' },
+        until: { type: 'string', description: 'YYYY-MM-DD' },
+        daily: { type: 'boolean', description: 'One row per day instead of totals' },
+        breakdown: { type: 'string', enum: ['age', 'gender', 'publisher_platform', 'region'] },
+      },
+      required: ['level'],
+    },
+  },
+  {
+    name: 'search_targeting',
+    description: 'Search Meta targeting options. Use adinterest for interests (returns IDs usable in flexible_spec), adlocale for languages.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['adinterest', 'adinterestsuggestion', 'adlocale', 'adTargetingCategory'] },
+        query: { type: 'string' },
+      },
+      required: ['type', 'query'],
+    },
+  },
+  {
+    name: 'list_products',
+    description: 'Active products from the Shopify store with price, type, tags, handle and image.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Only products whose title, type or tags contain this text' },
+        limit: { type: 'integer', description: 'Default 20, max 50' },
+      },
+    },
+  },
+  {
+    name: 'list_custom_audiences',
+    description: 'Custom audiences in the ad account. app_audiences are customer lists this app builds from Shopify segments (all buyers, repeat buyers, lapsed buyers, customers with a tag) and refreshes itself; other_audiences are the rest. Sizes are Meta\'s approximate matched counts.',
+    input_schema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'set_status',
+    description: 'Pause or activate a campaign, ad set or ad. Not applied until the user confirms it in the UI; a confirmed activation then waits on the Approvals page for another person to approve it. Activations that break the account\'s spend guardrails are refused with the limits broken; explain them to the user.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        object_type: { type: 'string', enum: OBJECT_TYPES },
+        id: { type: 'string' },
+        status: { type: 'string', enum: ['ACTIVE', 'PAUSED'] },
+        reason: { type: 'string', description: 'One sentence shown to the user' },
+      },
+      required: ['object_type', 'id', 'status', 'reason'],
+    },
+  },
+  {
+    name: 'update_budget',
+    description: 'Change the daily or lifetime budget of a campaign or ad set, in minor currency units as a string (e.g. "5000" for 50.00). Not applied until the user confirms it in the UI. Changes that break the account\'s spend guardrails (per-ad-set and account daily caps, maximum increase per change, monthly ceiling) are refused with the limits broken; explain them to the user.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        object_type: { type: 'string', enum: ['campaign', 'adset'] },
+        id: { type: 'string' },
+        daily_budget: { type: 'string' },
+        lifetime_budget: { type: 'string' },
+        reason: { type: 'string', description: 'One sentence shown to the user' },
+      },
+      required: ['object_type', 'id', 'reason'],
+    },
+  },
+  {
+    name: 'set_audiences',
+    description: 'Set the custom audiences an ad set targets and excludes, by audience ID from list_custom_audiences. Each list given replaces the ad set\'s current one ([] clears it); a list left out is kept. The rest of the targeting is unchanged. Not applied until the user confirms it in the UI.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Ad set ID' },
+        custom_audiences: { type: 'array', items: { type: 'string' }, description: 'Audience IDs to target' },
+        excluded_custom_audiences: { type: 'array', items: { type: 'string' }, description: 'Audience IDs to exclude, e.g. existing buyers from a prospecting ad set' },
+        reason: { type: 'string', description: 'One sentence shown to the user' },
+      },
+      required: ['id', 'reason'],
+    },
+  },
+];
+
+const MUTATING_TOOLS = new Set(['set_status', 'update_budget', 'set_audiences']);
+
+// ---------- Read tools ----------
+
+const CAMPAIGN_FIELDS = 'id,name,objective,status,effective_status,daily_budget,lifetime_budget,start_time,stop_time';
+
+function insightsFetcher(level) {
+  return {
+    account: (id, params) => metaApi.getAccountInsights(params),
+    campaign: (id, params) => metaApi.getCampaignInsights(id, params),
+    adset: (id, params) => metaApi.getAdSetInsights(id, params),
+    ad: (id, params) => metaApi.getAdInsights(id, params),
+  }[level];
+}
+
+const READ_TOOLS = {
+  async list_campaigns({ status }) {
+    const effectiveStatus = status && status !== 'ALL' ? [status] : null;
+    const result = await metaApi.listCampaigns(CAMPAIGN_FIELDS, { all: true, limit: 100, effectiveStatus });
+    return { campaigns: result.data || [], truncated: result.truncated || false };
+  },
+
+  async list_ad_sets({ campaign_id: campaignId }) {
+    const result = await metaApi.listAdSets(campaignId, null, { all: true, limit: 100 });
+    return { ad_sets: result.data || [] };
+  },
+
+  async get_insights(input) {
+    const fetchInsights = insightsFetcher(input.level);
+    if (!fetchInsights) throw new Error(`Unknown level "${input.level}"`);
+    if (input.level !== 'account' && !input.id) throw new Error(`id is required for level ${input.level}`);
+
+    const params = { date_preset: input.date_preset || 'last_30d' };
+    if (input.since && input.until) params.time_range = { since: input.since, until: input.until };
+    if (input.daily) params.time_increment = 1;
+    if (input.breakdown) params.breakdowns = [input.breakdown];
+    const errors = metaApi.validateInsightsParams(params);
+    if (errors.length) throw new Error(errors.join('; '));
+
+    const rows = normalizeInsights(await fetchInsights(input.id, params)).data || [];
+    // Named metrics only; Meta's raw action arrays would crowd out the rows
+    return {
+      rows: rows.map((r) => {
+        const keep = { date_start: r.date_start, date_stop: r.date_stop };
+        if (input.breakdown) keep[input.breakdown] = r[input.breakdown];
+        const { by_window, ...metrics } = r.metrics;
+        return { ...keep, ...metrics };
+      }),
+    };
+  },
+
+  async search_targeting({ type, query }) {
+    const result = await metaApi.searchTargeting(type, query);
+    return { results: (result.data || []).slice(0, 25) };
+  },
+
+  async list_products({ query, limit }) {
+    const max = Math.min(parseInt(limit, 10) || 20, 50);
+    const needle = (query || '').toLowerCase();
+    const products = await shopifyApi.getProducts(needle ? 250 : max);
+    return {
+      products: products
+        .filter((p) => !needle || [p.title, p.product_type, p.tags].some((v) => (v || '').toLowerCase().includes(needle)))
+        .slice(0, max)
+        .map((p) => ({
+          id: p.id,
+          title: p.title,
+          handle: p.handle,
+          product_type: p.product_type,
+          tags: p.tags,
+          price: p.variants?.[0]?.price,
+          image: p.image?.src || null,
+        })),
+    };
+  },
+
+  async list_custom_audiences() {
+    const [onMeta, built] = await Promise.all([
+      metaApi.listCustomAudiences('id,name,subtype,approximate_count,operation_status', { all: true, limit: 100 }),
+      audiences.listAudiences(),
+    ]);
+    const byMetaId = new Map(built.filter((a) => a.meta_audience_id).map((a) => [a.meta_audience_id, a]));
+    const all = onMeta.data || [];
+    return {
+      app_audiences: all.filter((a) => byMetaId.has(String(a.id))).map((a) => {
+        const local = byMetaId.get(String(a.id));
+        return {
+          id: a.id,
+          name: a.name,
+          segment: local.summary,
+          approximate_count: a.approximate_count ?? null,
+          last_synced: local.last_uploaded_at,
+          last_sync_status: local.last_sync?.status || null,
+          uploaded: local.last_sync?.uploaded ?? null,
+        };
+      }),
+      other_audiences: all.filter((a) => !byMetaId.has(String(a.id)))
+        .map((a) => ({ id: a.id, name: a.name, subtype: a.subtype, approximate_count: a.approximate_count ?? null })),
+      truncated: onMeta.truncated || false,
+    };
+  },
+};
+
+// ---------- Mutating tools ----------
+
+const OBJECT_LABELS = { campaign: 'Campaign', adset: 'Ad set', ad: 'Ad' };
+
+function formatBudget(minor, currency) {
+  return minor ? formatMinor(parseInt(minor, 10), currency) : 'none';
+}
+
+function getObject(type, id) {
+  if (type === 'ad') return metaApi.getAd(id, 'id,name,status');
+  if (type === 'adset') return metaApi.getAdSet(id, 'id,name,status,daily_budget,lifetime_budget,targeting');
+  return metaApi.getCampaign(id, 'id,name,status,daily_budget,lifetime_budget');
+}
+
+function guardChange(type, id, changes) {
+  return spendGuard.enforce([{ action: 'update', type, id, params: changes }]);
+}
+
+function updateObject(type, id, params) {
+  return { campaign: metaApi.updateCampaign, adset: metaApi.updateAdSet, ad: metaApi.updateAd }[type](id, params);
+}
+
+/**
+ * Checks a proposed change against the live object and describes it.
+ * Returns { summary, changes } or throws if the proposal can't be applied.
+ */
+async function describeProposal(name, input) {
+  if (!OBJECT_TYPES.includes(input.object_type)) throw new Error(`object_type must be one of ${OBJECT_TYPES.join(', ')}`);
+  if (!/^\d+$/.test(String(input.id || ''))) throw new Error('id must be a numeric Meta ID');
+  const current = await getObject(input.object_type, input.id);
+  const label = `${OBJECT_LABELS[input.object_type]} "${current.name}"`;
+
+  if (name === 'set_audiences') return describeAudienceChange(input, current, label);
+
+  if (name === 'set_status') {
+    if (!['ACTIVE', 'PAUSED'].includes(input.status)) throw new Error('status must be ACTIVE or PAUSED');
+    if (current.status === input.status) throw new Error(`${label} is already ${input.status}`);
+    return {
+      summary: `${input.status === 'ACTIVE' ? 'Activate' : 'Pause'} ${label}`,
+      object_name: current.name,
+      changes: { status: input.status },
+      before: { status: current.status },
+    };
+  }
+
+  const budgetKey = input.daily_budget ? 'daily_budget' : input.lifetime_budget ? 'lifetime_budget' : null;
+  if (!budgetKey) throw new Error('daily_budget or lifetime_budget is required');
+  if (!/^\d+$/.test(String(input[budgetKey]))) throw new Error(`${budgetKey} must be a string of minor currency units, e.g. "5000"`);
+  if (!current[budgetKey]) {
+    throw new Error(`${label} has no ${budgetKey.replace('_', ' ')}; its budget is set ${current.daily_budget || current.lifetime_budget ? 'differently' : 'at another level'}`);
+  }
+  const account = await metaApi.getAdAccount();
+  const currency = (account.currency || 'USD').toUpperCase();
+  return {
+    summary: `Change ${label} ${budgetKey.replace('_', ' ')} from ${formatBudget(current[budgetKey], currency)} to ${formatBudget(input[budgetKey], currency)}`,
+    object_name: current.name,
+    changes: { [budgetKey]: String(input[budgetKey]) },
+    before: { [budgetKey]: current[budgetKey] },
+  };
+}
+
+const AUDIENCE_LISTS = { custom_audiences: 'target', excluded_custom_audiences: 'exclude' };
+
+// Replaces the ad set's targeted and/or excluded audiences, keeping the rest of its targeting
+async function describeAudienceChange(input, current, label) {
+  const given = Object.keys(AUDIENCE_LISTS).filter((key) => input[key] !== undefined);
+  if (!given.length) throw new Error('custom_audiences or excluded_custom_audiences is required');
+  for (const key of given) {
+    if (!Array.isArray(input[key]) || input[key].some((id) => !/^\d+$/.test(String(id)))) {
+      throw new Error(`${key} must be a list of numeric audience IDs`);
+    }
+  }
+  const onMeta = await metaApi.listCustomAudiences('id,name', { all: true, limit: 100 });
+  const names = new Map((onMeta.data || []).map((a) => [String(a.id), a.name]));
+  const unknown = given.flatMap((key) => input[key].map(String)).filter((id) => !names.has(id));
+  if (unknown.length) throw new Error(`No custom audience ${unknown.join(', ')} in this ad account; use list_custom_audiences`);
+
+  const targeting = { ...(current.targeting || {}) };
+  const before = { targeting: current.targeting || {} };
+  const parts = [];
+  for (const key of given) {
+    const ids = [...new Set(input[key].map(String))];
+    if (ids.length) targeting[key] = ids.map((id) => ({ id, name: names.get(id) }));
+    else delete targeting[key];
+    parts.push(ids.length ? `${AUDIENCE_LISTS[key]} ${ids.map((id) => `"${names.get(id)}"`).join(', ')}` : `${AUDIENCE_LISTS[key]} no custom audiences`);
+  }
+  const included = new Set((targeting.custom_audiences || []).map((a) => String(a.id)));
+  const both = (targeting.excluded_custom_audiences || []).filter((a) => included.has(String(a.id)));
+  if (both.length) throw new Error(`"${both[0].name || both[0].id}" can't be both targeted and excluded`);
+  return {
+    summary: `Set ${label} to ${parts.join(' and ')}`,
+    object_name: current.name,
+    changes: { targeting },
+    before,
+  };
+}
+
+function prunePending() {
+  const now = Date.now();
+  for (const [id, action] of pending) {
+    if (action.expires_at < now) pending.delete(id);
+  }
+}
+
+async function proposeAction(name, input, { threadId } = {}) {
+  prunePending();
+  if (name === 'set_audiences') input = { ...input, object_type: 'adset' };
+  const proposal = await describeProposal(name, input);
+  await guardChange(input.object_type, String(input.id), proposal.changes);
+  const action = {
+    id: crypto.randomUUID(),
+    tool: name,
+    object_type: input.object_type,
+    object_id: String(input.id),
+    reason: input.reason || '',
+    thread_id: threadId || null,
+    ...proposal,
+    created_at: Date.now(),
+    expires_at: Date.now() + PENDING_TTL_MS,
+  };
+  pending.set(action.id, action);
+  return action;
+}
+
+function publicAction(action) {
+  const { expires_at: expiresAt, created_at: createdAt, ...rest } = action;
+  return { ...rest, created_at: new Date(createdAt).toISOString(), expires_at: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Executes a pending action the user confirmed. Each action runs at most once.
+ * Activations become an approval request filed in `user`'s name. `audit` is
+ * the request's audit log context.
+ */
+async function confirmAction(id, { user, audit = {} } = {}) {
+  prunePending();
+  const action = pending.get(id);
+  if (!action) {
+    const err = new Error('This action has expired or was already handled — ask the assistant again');
+    err.status = 404;
+    throw err;
+  }
+  // Taken out before the first await so a second confirm can't run it too.
+  // Refused changes and activation requests go back, so they can be
+  // confirmed again once the limits allow
+  pending.delete(id);
+  const context = { ...audit, actor: user, source: 'assistant', thread_id: action.thread_id, action_id: action.id };
+  try {
+    await guardChange(action.object_type, action.object_id, action.changes);
+    if (action.changes.status === 'ACTIVE' && approvals.approvalsEnabled()) {
+      const approval = await approvals.requestActivation({
+        objectType: action.object_type,
+        objectId: action.object_id,
+        requestedBy: user,
+        note: action.reason ? `Proposed by the assistant: ${action.reason}` : 'Proposed by the assistant',
+        audit: context,
+      });
+      return { ...publicAction(action), approval: { id: approval.id, status: approval.status } };
+    }
+  } catch (err) {
+    pending.set(id, action);
+    throw err;
+  }
+  const verb = { ACTIVE: 'activate', PAUSED: 'pause' }[action.changes.status] || 'update';
+  const result = await auditLog.audited(context, {
+    action: `${action.object_type}.${verb}`,
+    object_type: action.object_type,
+    object_id: action.object_id,
+    object_name: action.object_name,
+    before: action.before,
+    after: action.changes,
+  }, () => updateObject(action.object_type, action.object_id, action.changes));
+  return { ...publicAction(action), result };
+}
+
+function dismissAction(id) {
+  return pending.delete(id);
+}
+
+// ---------- Dispatch ----------
+
+function truncate(value) {
+  const text = JSON.stringify(value);
+  return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}… (truncated)` : text;
+}
+
+/**
+ * Runs one tool_use block. Returns the tool_result block for Claude plus
+ * what the UI needs: a record of the call and, for mutating tools, the
+ * pending action (tagged with the chat's threadId, if any).
+ */
+async function runTool(block, { threadId } = {}) {
+  const call = { name: block.name, input: block.input };
+  try {
+    if (MUTATING_TOOLS.has(block.name)) {
+      const action = await proposeAction(block.name, block.input || {}, { threadId });
+      return {
+        call: { ...call, pending_action_id: action.id },
+        action: publicAction(action),
+        result: {
+          type: 'tool_result',
+          tool_use_id: block.id,
+          content: `Proposed to the user for confirmation, not applied yet: ${action.summary}. Tell the user what you proposed and why; they will confirm or dismiss it in the UI.`,
+        },
+      };
+    }
+    const handler = READ_TOOLS[block.name];
+    if (!handler) throw new Error(`Unknown tool "${block.name}"`);
+    const output = await handler(block.input || {});
+    return { call, result: { type: 'tool_result', tool_use_id: block.id, content: truncate(output) } };
+  } catch (err) {
+    return {
+      call: { ...call, error: err.message },
+      result: { type: 'tool_result', tool_use_id: block.id, content: `Error: ${err.message}`, is_error: true },
+    };
+  }
+}
+
+module.exports = {
+  TOOLS,
+  MUTATING_TOOLS,
+  runTool,
+  confirmAction,
+  dismissAction,
+};
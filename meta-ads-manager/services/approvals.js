@@ -0,0 +1,353 @@
+/**
+ * Activation Approvals
+ *
+ * Going live takes two steps. Activating a campaign, ad set or ad creates a
+ * pending approval (data/approvals/<id>.json) holding a snapshot of what
+ * would start delivering: budgets and schedule, ad set targeting, ads and
+ * their creatives. Another user approves or rejects it; the requester may
+ * approve their own request only after a cooldown. Approval re-reads the
+ * object, refuses if it changed since the snapshot, checks the spend
+ * guardrails, and only then activates it on Meta. Requests, activations
+ * and rejections are recorded in the audit log.
+ *
+ * Optional env vars:
+ *   ACTIVATION_APPROVAL            — "off" to activate immediately, as before
+ *   APPROVAL_SELF_COOLDOWN_MINUTES — how long before requesters may approve
+ *                                    their own request (default 60)
+ */
+const crypto = require('crypto');
+const store = require('./data-store');
+const metaApi = require('./meta-api');
+const spendGuard = require('./spend-guard');
+const auditLog = require('./audit-log');
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+// `approving` holds a request while its approval is being checked and applied.
+// A claim older than this was left by a process that stopped midway, and the
+// request counts as pending again
+const CLAIM_TIMEOUT_MINUTES = 15;
+const STATUSES = ['pending', 'approving', 'approved', 'rejected', 'stale', 'failed'];
+const OBJECT_TYPES = ['campaign', 'adset', 'ad'];
+const LABELS = { campaign: 'Campaign', adset: 'Ad set', ad: 'Ad' };
+
+const CAMPAIGN_FIELDS = 'id,name,objective,status,daily_budget,lifetime_budget,start_time,stop_time,bid_strategy,special_ad_categories';
+const ADSET_FIELDS = 'id,name,campaign_id,status,daily_budget,lifetime_budget,start_time,end_time,optimization_goal,billing_event,bid_amount,targeting';
+const AD_FIELDS = 'id,name,adset_id,campaign_id,status,creative';
+
+const ACTIVATE = {
+  campaign: (id) => metaApi.activateCampaign(id),
+  adset: (id) => metaApi.activateAdSet(id),
+  ad: (id) => metaApi.activateAd(id),
+};
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function approvalsEnabled() {
+  const value = (process.env.ACTIVATION_APPROVAL || '').trim().toLowerCase();
+  return !['off', 'false', '0', 'none'].includes(value);
+}
+
+function cooldownMinutes() {
+  const value = parseFloat(process.env.APPROVAL_SELF_COOLDOWN_MINUTES);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_COOLDOWN_MINUTES;
+}
+
+/**
+ * Throws (400) when create / update params would set something ACTIVE
+ * without going through an approval.
+ */
+function assertNotActivating(params, where = 'status') {
+  if (!approvalsEnabled() || params?.status !== 'ACTIVE') return;
+  throw httpError(`${where} cannot be set to ACTIVE directly: activation needs an approval. Create it PAUSED, then use the activate route to request approval.`, 400);
+}
+
+// ---------- Storage ----------
+
+function file(id) {
+  if (!/^[0-9a-f-]{36}$/.test(String(id))) return null;
+  return `approvals/${id}.json`;
+}
+
+function load(id) {
+  const approval = file(id) && store.readJson(file(id));
+  if (!approval) throw httpError(`Approval ${id} not found`, 404);
+  return approval;
+}
+
+function save(approval) {
+  approval.updated_at = new Date().toISOString();
+  return store.writeJson(file(approval.id), approval);
+}
+
+// The approval, pending again if its `approving` claim has timed out
+function released(approval) {
+  if (approval.status !== 'approving') return approval;
+  if (Date.now() - Date.parse(approval.claimed_at) < CLAIM_TIMEOUT_MINUTES * 60000) return approval;
+  return { ...approval, status: 'pending', claimed_at: null };
+}
+
+// ---------- Snapshot ----------
+
+async function listAll(fn) {
+  return (await fn()).data || [];
+}
+
+/**
+ * What activating the object would put live: its campaign, ad sets (with
+ * budgets and targeting), ads and their creatives.
+ */
+async function takeSnapshot(type, id) {
+  let campaign;
+  let adSets;
+  let ads;
+  if (type === 'campaign') {
+    campaign = await metaApi.getCampaign(id, CAMPAIGN_FIELDS);
+    adSets = await listAll(() => metaApi.listAdSets(id, ADSET_FIELDS, { all: true, limit: 100 }));
+    ads = [];
+    for (const adSet of adSets) {
+      ads.push(...await listAll(() => metaApi.listAds(adSet.id, AD_FIELDS, { all: true, limit: 100 })));
+    }
+  } else if (type === 'adset') {
+    const adSet = await metaApi.getAdSet(id, ADSET_FIELDS);
+    campaign = await metaApi.getCampaign(adSet.campaign_id, CAMPAIGN_FIELDS);
+    adSets = [adSet];
+    ads = await listAll(() => metaApi.listAds(id, AD_FIELDS, { all: true, limit: 100 }));
+  } else {
+    const ad = await metaApi.getAd(id, AD_FIELDS);
+    const adSet = await metaApi.getAdSet(ad.adset_id, ADSET_FIELDS);
+    campaign = await metaApi.getCampaign(adSet.campaign_id, CAMPAIGN_FIELDS);
+    adSets = [adSet];
+    ads = [ad];
+  }
+
+  const creativeIds = [...new Set(ads.map((ad) => ad.creative?.id).filter(Boolean))];
+  const creatives = [];
+  for (const creativeId of creativeIds) {
+    try {
+      creatives.push(await metaApi.getAdCreative(creativeId));
+    } catch (err) {
+      creatives.push({ id: creativeId, error: err.message });
+    }
+  }
+
+  return { campaign, ad_sets: adSets, ads, creatives, taken_at: new Date().toISOString() };
+}
+
+// The snapshot without statuses and timestamps, to tell whether the object
+// changed between request and approval
+function fingerprint(snapshot) {
+  const strip = (obj) => {
+    const { status, effective_status: effective, updated_time: updated, ...rest } = obj;
+    return rest;
+  };
+  return JSON.stringify({
+    campaign: strip(snapshot.campaign),
+    ad_sets: snapshot.ad_sets.map(strip),
+    ads: snapshot.ads.map(strip),
+    creatives: snapshot.creatives,
+  });
+}
+
+function snapshotObject(type, snapshot, id) {
+  if (type === 'campaign') return snapshot.campaign;
+  if (type === 'adset') return snapshot.ad_sets[0];
+  return snapshot.ads.find((ad) => String(ad.id) === String(id));
+}
+
+// Audit log entry about the approval's object
+function auditEntry(approval, action, before, after) {
+  return {
+    action: `${approval.object_type}.${action}`,
+    object_type: approval.object_type,
+    object_id: approval.object_id,
+    object_name: approval.name,
+    before,
+    after,
+  };
+}
+
+// ---------- Workflow ----------
+
+// Objects with an activation request being filed; held from before the
+// first await until the approval is saved
+const requesting = new Set();
+
+/**
+ * Ask for an object to be activated. Refused when it would break a spend
+ * guardrail, or when a request for it is already pending. `audit` is the
+ * audit log context (route, source, thread_id, ...); the approval keeps it
+ * so the activation is traced back to where the request came from.
+ */
+async function requestActivation({ objectType, objectId, requestedBy, note, audit = {} }) {
+  if (!OBJECT_TYPES.includes(objectType)) throw httpError(`object_type must be one of ${OBJECT_TYPES.join(', ')}`, 400);
+  if (!requestedBy) throw httpError('Set your name before requesting an activation, so approvers know who asked', 400);
+  const id = String(objectId);
+  const key = `${objectType}:${id}`;
+  if (requesting.has(key)) throw httpError(`${LABELS[objectType]} ${id} already has an activation request being filed`, 409);
+  const open = store.listJson('approvals').find((a) => ['pending', 'approving'].includes(a.status) && a.object_type === objectType && a.object_id === id);
+  if (open) throw httpError(`${LABELS[objectType]} ${id} already has a pending approval (requested by ${open.requested_by})`, 409);
+
+  requesting.add(key);
+  try {
+    return await fileRequest({ objectType, id, requestedBy, note, audit });
+  } finally {
+    requesting.delete(key);
+  }
+}
+
+async function fileRequest({ objectType, id, requestedBy, note, audit }) {
+  await spendGuard.enforce([{ action: 'update', type: objectType, id, params: { status: 'ACTIVE' } }]);
+  const snapshot = await takeSnapshot(objectType, id);
+  const now = new Date().toISOString();
+  const approval = save({
+    id: crypto.randomUUID(),
+    object_type: objectType,
+    object_id: id,
+    name: snapshotObject(objectType, snapshot, id)?.name || id,
+    status: 'pending',
+    requested_by: requestedBy,
+    requested_at: now,
+    note: note || '',
+    origin: { source: audit.source || 'manual', thread_id: audit.thread_id || null, action_id: audit.action_id || null },
+    snapshot,
+    claimed_at: null,
+    decided_by: null,
+    decided_at: null,
+    decision_note: '',
+    error: null,
+    created_at: now,
+  });
+  auditLog.record({ ...audit, actor: requestedBy, approval_id: approval.id }, auditEntry(approval, 'request_activation',
+    { status: snapshotObject(objectType, snapshot, id)?.status || null },
+    { approval_status: 'pending', note: approval.note }));
+  return approval;
+}
+
+function canApproveOwn(approval, now = Date.now()) {
+  return now - Date.parse(approval.requested_at) >= cooldownMinutes() * 60000;
+}
+
+// Re-checks the object and activates it; throws if it changed or can't go live
+async function activateApproved(approval, { user, note }) {
+  try {
+    await checkApproved(approval, { user, note });
+  } catch (err) {
+    // Not decided (the guardrails refused, or Meta couldn't be read): open again
+    if (approval.status === 'approving') {
+      Object.assign(approval, { status: 'pending', claimed_at: null });
+      save(approval);
+    }
+    throw err;
+  }
+  Object.assign(approval, { decided_by: user, decided_at: new Date().toISOString(), decision_note: note || '' });
+  try {
+    approval.result = await ACTIVATE[approval.object_type](approval.object_id);
+    approval.status = 'approved';
+  } catch (err) {
+    approval.status = 'failed';
+    approval.error = err.message;
+    save(approval);
+    throw httpError(`Approved, but activating failed: ${err.message}`, 502);
+  }
+  return save(approval);
+}
+
+// The object must be as it was when requested, and within the spend guardrails
+async function checkApproved(approval, { user, note }) {
+  const current = await takeSnapshot(approval.object_type, approval.object_id);
+  if (fingerprint(current) !== fingerprint(approval.snapshot)) {
+    Object.assign(approval, {
+      status: 'stale',
+      decided_by: user,
+      decided_at: new Date().toISOString(),
+      decision_note: note || '',
+      error: 'Budgets, targeting or creatives changed after the request; request activation again to review the current version',
+    });
+    save(approval);
+    throw httpError(approval.error, 409);
+  }
+
+  await spendGuard.enforce([{ action: 'update', type: approval.object_type, id: approval.object_id, params: { status: 'ACTIVE' } }]);
+}
+
+/**
+ * Approve a pending request and activate the object. The approver must be
+ * someone else, or the requester once the cooldown has passed. The attempt
+ * is recorded in the audit log whether or not the activation goes through.
+ */
+async function approve(id, { user, note, audit = {} }) {
+  const approval = released(load(id));
+  if (approval.status === 'approving') throw httpError('This approval is being approved right now', 409);
+  if (approval.status !== 'pending') throw httpError(`This approval is already ${approval.status}`, 409);
+  if (!user) throw httpError('Set your name before approving', 400);
+  if (user.toLowerCase() === approval.requested_by.toLowerCase() && !canApproveOwn(approval)) {
+    const at = new Date(Date.parse(approval.requested_at) + cooldownMinutes() * 60000);
+    throw httpError(`You requested this activation, so another user has to approve it, or you can approve it yourself after ${at.toISOString()}`, 403);
+  }
+
+  // Claimed before the first await, so a second approve or a reject can't get in
+  Object.assign(approval, { status: 'approving', claimed_at: new Date().toISOString() });
+  save(approval);
+  const context = {
+    ...audit,
+    actor: user,
+    source: 'approval',
+    approval_id: approval.id,
+    thread_id: approval.origin?.thread_id,
+    action_id: approval.origin?.action_id,
+  };
+  const before = { status: snapshotObject(approval.object_type, approval.snapshot, approval.object_id)?.status || null };
+  return auditLog.audited(context, auditEntry(approval, 'activate', before, { status: 'ACTIVE' }), () => activateApproved(approval, { user, note }));
+}
+
+/**
+ * Reject a pending request; the requester can withdraw their own at any time.
+ */
+function reject(id, { user, note, audit = {} }) {
+  const approval = released(load(id));
+  if (approval.status === 'approving') throw httpError('This approval is being approved right now', 409);
+  if (approval.status !== 'pending') throw httpError(`This approval is already ${approval.status}`, 409);
+  if (!user) throw httpError('Set your name before rejecting', 400);
+  Object.assign(approval, {
+    status: 'rejected',
+    decided_by: user,
+    decided_at: new Date().toISOString(),
+    decision_note: note || '',
+  });
+  save(approval);
+  auditLog.record({ ...audit, actor: user, source: 'approval', approval_id: approval.id, thread_id: approval.origin?.thread_id },
+    auditEntry(approval, 'reject_activation', { approval_status: 'pending' }, { approval_status: 'rejected', note: approval.decision_note }));
+  return approval;
+}
+
+function getApproval(id) {
+  return released(load(id));
+}
+
+/**
+ * Approvals newest first, optionally only those in one status.
+ */
+function listApprovals({ status } = {}) {
+  return store.listJson('approvals')
+    .map(released)
+    .filter((a) => !status || a.status === status)
+    .sort((a, b) => b.requested_at.localeCompare(a.requested_at))
+    .map((a) => ({ ...a, self_approve_after: new Date(Date.parse(a.requested_at) + cooldownMinutes() * 60000).toISOString() }));
+}
+
+module.exports = {
+  STATUSES,
+  OBJECT_TYPES,
+  approvalsEnabled,
+  cooldownMinutes,
+  assertNotActivating,
+  requestActivation,
+  approve,
+  reject,
+  getApproval,
+  listApprovals,
+};
@@ -0,0 +1,281 @@
+/**
+ * Order Attribution
+ *
+ * Matches Shopify orders to Meta campaigns, ad sets and ads from the
+ * order's landing_site (UTM parameters, fbclid) and referring_site, then
+ * puts Shopify-verified revenue next to Meta spend and Meta's own
+ * reported conversions.
+ *
+ * Matching, most specific first:
+ *   1. IDs — any UTM value (or campaign_id / adset_id / ad_id params) equal
+ *      to an ad, ad set or campaign ID, as produced by Meta's dynamic URL
+ *      parameters ({{ad.id}}, {{adset.id}}, {{campaign.id}}).
+ *   2. Names — utm_content against ad names, utm_term against ad set names,
+ *      utm_campaign against campaign names (case, spacing and dashes ignored).
+ * Orders with a Meta signal (fbclid, a facebook/instagram utm_source or
+ * referrer) that match nothing are reported as unmatched Meta orders.
+ */
+
+// Orders that count as revenue; pending, refunded, voided and cancelled ones don't
+const COUNTED_STATUSES = new Set(['paid', 'partially_paid', 'partially_refunded', 'authorized']);
+
+const META_SOURCES = new Set(['facebook', 'fb', 'instagram', 'ig', 'meta', 'messenger', 'an', 'audience_network']);
+const META_REFERRERS = /(^|\.)(facebook\.com|fb\.com|instagram\.com|messenger\.com)$/;
+
+const ID_PARAMS = ['ad_id', 'adset_id', 'campaign_id', 'utm_id', 'utm_content', 'utm_term', 'utm_campaign'];
+
+const num = (v) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const ratio = (a, b) => (b ? round(a / b) : null);
+
+function normalizeName(value) {
+  return String(value || '').toLowerCase().replace(/[\s_+\-–—|]+/g, ' ').trim();
+}
+
+// ---------- Date ranges ----------
+
+const day = (d) => d.toISOString().slice(0, 10);
+
+/**
+ * { since, until } (YYYY-MM-DD, inclusive) for an insights range, or null
+ * for presets that have no fixed window. Meta evaluates presets in the ad
+ * account's timezone; this uses UTC, so edges can be off by a few hours.
+ */
+function resolveRange({ date_preset: preset, time_range: timeRange }, now = new Date()) {
+  if (timeRange) return { since: timeRange.since, until: timeRange.until };
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const daysAgo = (n) => new Date(today.getTime() - n * 86400000);
+
+  const lastN = /^last_(\d+)d$/.exec(preset || 'last_30d');
+  if (lastN) return { since: day(daysAgo(parseInt(lastN[1], 10))), until: day(daysAgo(1)) };
+  switch (preset) {
+    case 'today': return { since: day(today), until: day(today) };
+    case 'yesterday': return { since: day(daysAgo(1)), until: day(daysAgo(1)) };
+    case 'this_month': return { since: day(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1))), until: day(today) };
+    case 'last_month': return {
+      since: day(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 1, 1))),
+      until: day(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 0))),
+    };
+    default: return null;
+  }
+}
+
+// ---------- Order touchpoints ----------
+
+/**
+ * The ad-relevant parts of an order: UTM and click-ID params from
+ * landing_site, the referrer host, and whether anything points at Meta.
+ */
+function orderTouch(order) {
+  const params = {};
+  if (order.landing_site) {
+    try {
+      const url = new URL(order.landing_site, 'https://shop.invalid');
+      for (const [k, v] of url.searchParams) params[k.toLowerCase()] = v;
+    } catch (e) {
+      // Unparseable landing_site: no params
+    }
+  }
+  let referrer = '';
+  if (order.referring_site) {
+    try {
+      referrer = new URL(order.referring_site).hostname.toLowerCase();
+    } catch (e) {
+      referrer = '';
+    }
+  }
+  const source = (params.utm_source || '').toLowerCase();
+  const isMeta = Boolean(params.fbclid) || META_SOURCES.has(source) || META_REFERRERS.test(referrer);
+  return { params, referrer, fbclid: params.fbclid || null, isMeta };
+}
+
+// ---------- Matching ----------
+
+/**
+ * Lookup tables for matching, from Meta campaigns, ad sets and ads
+ * (each needs id and name; ad sets campaign_id; ads adset_id and campaign_id).
+ */
+function buildIndex({ campaigns = [], adsets = [], ads = [] }) {
+  const byName = (list) => {
+    const map = new Map();
+    for (const item of list) {
+      const key = normalizeName(item.name);
+      // Ambiguous names can't attribute an order; keep the first and mark it
+      if (map.has(key)) map.get(key).ambiguous = true;
+      else map.set(key, { item, ambiguous: false });
+    }
+    return map;
+  };
+  return {
+    campaigns: new Map(campaigns.map((c) => [String(c.id), c])),
+    adsets: new Map(adsets.map((a) => [String(a.id), a])),
+    ads: new Map(ads.map((a) => [String(a.id), a])),
+    campaignNames: byName(campaigns),
+    adsetNames: byName(adsets),
+    adNames: byName(ads),
+  };
+}
+
+function lookupName(map, value) {
+  const entry = value ? map.get(normalizeName(value)) : null;
+  return entry && !entry.ambiguous ? entry.item : null;
+}
+
+// Campaign / ad set / ad an order came from, or null
+function matchOrder(touch, index) {
+  const { params } = touch;
+  const values = ID_PARAMS.map((k) => params[k]).filter((v) => v && /^\d+$/.test(v));
+
+  let ad = values.map((v) => index.ads.get(v)).find(Boolean);
+  let adset = values.map((v) => index.adsets.get(v)).find(Boolean);
+  let campaign = values.map((v) => index.campaigns.get(v)).find(Boolean);
+  let matchedBy = ad || adset || campaign ? 'id' : null;
+
+  if (!matchedBy) {
+    ad = lookupName(index.adNames, params.utm_content);
+    adset = lookupName(index.adsetNames, params.utm_term);
+    campaign = lookupName(index.campaignNames, params.utm_campaign);
+    if (ad || adset || campaign) matchedBy = 'name';
+  }
+  if (!matchedBy) return null;
+
+  // Fill in parents from the most specific match; a contradicting less specific match is dropped
+  if (ad) {
+    adset = index.adsets.get(String(ad.adset_id)) || null;
+    campaign = index.campaigns.get(String(ad.campaign_id)) || null;
+  } else if (adset) {
+    campaign = index.campaigns.get(String(adset.campaign_id)) || null;
+  }
+  return {
+    campaign_id: campaign ? String(campaign.id) : ad?.campaign_id || adset?.campaign_id || null,
+    adset_id: adset ? String(adset.id) : ad?.adset_id || null,
+    ad_id: ad ? String(ad.id) : null,
+    matched_by: matchedBy,
+  };
+}
+
+// ---------- Report ----------
+
+function orderRevenue(order) {
+  return num(order.current_total_price ?? order.total_price);
+}
+
+function isCounted(order) {
+  return !order.cancelled_at && COUNTED_STATUSES.has(order.financial_status);
+}
+
+function bucket() {
+  return { orders: 0, revenue: 0 };
+}
+
+function add(b, revenue) {
+  b.orders++;
+  b.revenue += revenue;
+}
+
+/**
+ * Per-campaign report of Shopify-verified revenue against Meta spend.
+ *
+ * insightsById: { campaignId: normalized insights response } (with `metrics`)
+ * orders: Shopify orders for the same date range
+ */
+function buildReport({ campaigns = [], adsets = [], ads = [], insightsById = {}, orders = [], range = null }) {
+  const index = buildIndex({ campaigns, adsets, ads });
+  const byCampaign = new Map();
+  const unmatched = bucket();
+  const other = bucket();
+  const total = bucket();
+  const matchedBy = { id: 0, name: 0 };
+
+  for (const order of orders) {
+    if (!isCounted(order)) continue;
+    const revenue = orderRevenue(order);
+    add(total, revenue);
+
+    const touch = orderTouch(order);
+    const match = matchOrder(touch, index);
+    if (!match || !match.campaign_id) {
+      add(touch.isMeta ? unmatched : other, revenue);
+      continue;
+    }
+    matchedBy[match.matched_by]++;
+    if (!byCampaign.has(match.campaign_id)) byCampaign.set(match.campaign_id, { ...bucket(), adsets: new Map(), ads: new Map() });
+    const entry = byCampaign.get(match.campaign_id);
+    add(entry, revenue);
+    if (match.adset_id) {
+      if (!entry.adsets.has(match.adset_id)) entry.adsets.set(match.adset_id, bucket());
+      add(entry.adsets.get(match.adset_id), revenue);
+    }
+    if (match.ad_id) {
+      if (!entry.ads.has(match.ad_id)) entry.ads.set(match.ad_id, bucket());
+      add(entry.ads.get(match.ad_id), revenue);
+    }
+  }
+
+  const breakdown = (map, lookup) => [...map.entries()]
+    .map(([id, b]) => ({ id, name: lookup.get(id)?.name || null, orders: b.orders, revenue: round(b.revenue) }))
+    .sort((a, b) => b.revenue - a.revenue);
+
+  const rows = campaigns
+    .map((c) => {
+      const metrics = insightsById[c.id]?.data?.[0]?.metrics || null;
+      const shop = byCampaign.get(String(c.id)) || { ...bucket(), adsets: new Map(), ads: new Map() };
+      const spend = metrics?.spend || 0;
+      return {
+        id: String(c.id),
+        name: c.name,
+        status: c.status,
+        spend,
+        meta_purchases: metrics?.purchases || 0,
+        meta_purchase_value: metrics?.purchase_value || 0,
+        meta_roas: metrics ? metrics.roas : null,
+        shopify_orders: shop.orders,
+        shopify_revenue: round(shop.revenue),
+        shopify_roas: ratio(shop.revenue, spend),
+        adsets: breakdown(shop.adsets, index.adsets),
+        ads: breakdown(shop.ads, index.ads),
+      };
+    })
+    .filter((r) => r.spend || r.shopify_orders || r.meta_purchases)
+    .sort((a, b) => b.spend - a.spend || b.shopify_revenue - a.shopify_revenue);
+
+  const sum = (key) => round(rows.reduce((s, r) => s + r[key], 0));
+  const spend = sum('spend');
+  const attributedRevenue = sum('shopify_revenue');
+  const metaValue = sum('meta_purchase_value');
+
+  return {
+    range,
+    totals: {
+      meta_spend: spend,
+      meta_purchases: sum('meta_purchases'),
+      meta_purchase_value: metaValue,
+      meta_roas: ratio(metaValue, spend),
+      shopify_orders: total.orders,
+      shopify_revenue: round(total.revenue),
+      attributed_orders: sum('shopify_orders'),
+      attributed_revenue: attributedRevenue,
+      attributed_roas: ratio(attributedRevenue, spend),
+      // All store revenue over all Meta spend: the ceiling on what the ads could be credited with
+      blended_roas: ratio(total.revenue, spend),
+      matched_by: matchedBy,
+    },
+    unmatched_meta: { orders: unmatched.orders, revenue: round(unmatched.revenue) },
+    other_orders: { orders: other.orders, revenue: round(other.revenue) },
+    campaigns: rows,
+  };
+}
+
+module.exports = {
+  COUNTED_STATUSES,
+  resolveRange,
+  orderTouch,
+  buildIndex,
+  matchOrder,
+  buildReport,
+};
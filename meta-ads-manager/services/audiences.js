@@ -0,0 +1,548 @@
+/**
+ * Customer Audiences
+ *
+ * Customer-list custom audiences on Meta built from Shopify customer
+ * segments (data/audiences/<id>.json): all buyers, repeat buyers, lapsed
+ * buyers, or customers with a tag such as "Lucky 13" signups. Emails and
+ * phone numbers are normalized and SHA-256 hashed as Meta requires before
+ * they leave the server; raw contact details are never sent or stored.
+ *
+ * A sync uploads the whole segment in batches of up to 10,000 rows in one
+ * session. The first fills the new audience; later ones replace its members
+ * (usersreplace), so people who have left the segment drop out. A
+ * scheduler re-syncs audiences that have auto-refresh on. Creating,
+ * renaming, syncing and deleting on Meta go in the audit log.
+ *
+ * Optional env vars:
+ *   AUDIENCE_REFRESH            — "off" to only sync by hand
+ *   AUDIENCE_REFRESH_HOURS      — how often auto-refresh audiences re-sync (default 24)
+ *   AUDIENCE_PHONE_COUNTRY_CODE — calling code for national phone numbers of
+ *                                 customers with no address country (unset:
+ *                                 those numbers are left out)
+ */
+const crypto = require('crypto');
+const store = require('./data-store');
+const metaApi = require('./meta-api');
+const shopifyApi = require('./shopify-api');
+const auditLog = require('./audit-log');
+
+const DEFAULT_REFRESH_HOURS = 24;
+const CHECK_INTERVAL_MS = 15 * 60000;
+// Meta's limit on rows per upload request
+const BATCH_SIZE = 10000;
+// Meta won't deliver to a customer list with fewer matched people than this
+const MIN_MATCHED = 100;
+const SCHEMA = ['EMAIL', 'PHONE'];
+
+const SEGMENTS = {
+  all_buyers: 'All buyers',
+  repeat_buyers: 'Repeat buyers',
+  lapsed_buyers: 'Lapsed buyers',
+  tag: 'Customers with a tag',
+};
+const DEFAULT_MIN_ORDERS = 2;
+const DEFAULT_LAPSED_DAYS = 180;
+
+const CUSTOMER_FIELDS = 'id,email,phone,tags,orders_count,email_marketing_consent,accepts_marketing,default_address';
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function refreshEnabled() {
+  const value = (process.env.AUDIENCE_REFRESH || '').trim().toLowerCase();
+  return !['off', 'false', '0', 'none'].includes(value);
+}
+
+function refreshHours() {
+  const value = parseFloat(process.env.AUDIENCE_REFRESH_HOURS);
+  return Number.isFinite(value) && value >= 1 ? value : DEFAULT_REFRESH_HOURS;
+}
+
+// Calling codes by ISO country, for phone numbers saved without one
+const CALLING_CODES = {
+  US: '1', CA: '1', PR: '1', MX: '52', BR: '55', AR: '54', CL: '56', CO: '57', PE: '51',
+  GB: '44', IE: '353', FR: '33', DE: '49', NL: '31', BE: '32', LU: '352', CH: '41', AT: '43',
+  IT: '39', ES: '34', PT: '351', DK: '45', SE: '46', NO: '47', FI: '358', IS: '354', PL: '48',
+  CZ: '420', SK: '421', HU: '36', RO: '40', BG: '359', GR: '30', HR: '385', SI: '386', EE: '372',
+  LV: '371', LT: '370', TR: '90', IL: '972', AE: '971', SA: '966', ZA: '27', NG: '234', KE: '254',
+  EG: '20', IN: '91', PK: '92', BD: '880', SG: '65', MY: '60', TH: '66', ID: '62', PH: '63',
+  VN: '84', JP: '81', KR: '82', CN: '86', HK: '852', TW: '886', AU: '61', NZ: '64',
+};
+// Countries whose numbers keep their leading 0 after the calling code
+const KEEPS_LEADING_ZERO = new Set(['IT']);
+
+function fallbackCallingCode() {
+  return String(process.env.AUDIENCE_PHONE_COUNTRY_CODE || '').replace(/\D/g, '') || null;
+}
+
+// ---------- Definitions ----------
+
+/**
+ * Problems with an audience definition, as messages ([] when fine).
+ */
+function validateAudience(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return ['must be an object'];
+  if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required');
+  else if (input.name.length > 100) errors.push('name must be at most 100 characters');
+  if (input.description !== undefined && input.description !== null && typeof input.description !== 'string') {
+    errors.push('description must be text');
+  }
+  const segment = input.segment;
+  if (!segment || typeof segment !== 'object') {
+    errors.push(`segment is required, with a type of ${Object.keys(SEGMENTS).join(', ')}`);
+  } else {
+    if (!SEGMENTS[segment.type]) errors.push(`segment.type must be one of ${Object.keys(SEGMENTS).join(', ')}`);
+    if (segment.type === 'tag' && (typeof segment.tag !== 'string' || !segment.tag.trim())) {
+      errors.push('segment.tag is required for a tag segment');
+    }
+    if (segment.min_orders !== undefined && !(Number.isInteger(segment.min_orders) && segment.min_orders >= 2)) {
+      errors.push('segment.min_orders must be a whole number of at least 2');
+    }
+    if (segment.lapsed_days !== undefined && !(Number.isInteger(segment.lapsed_days) && segment.lapsed_days >= 1 && segment.lapsed_days <= 1095)) {
+      errors.push('segment.lapsed_days must be a whole number of days from 1 to 1095');
+    }
+    if (segment.subscribed_only !== undefined && typeof segment.subscribed_only !== 'boolean') {
+      errors.push('segment.subscribed_only must be true or false');
+    }
+  }
+  if (input.auto_refresh !== undefined && typeof input.auto_refresh !== 'boolean') errors.push('auto_refresh must be true or false');
+  return errors;
+}
+
+function normalizeSegment(segment) {
+  const out = { type: segment.type, subscribed_only: Boolean(segment.subscribed_only) };
+  if (segment.type === 'repeat_buyers') out.min_orders = segment.min_orders || DEFAULT_MIN_ORDERS;
+  if (segment.type === 'lapsed_buyers') out.lapsed_days = segment.lapsed_days || DEFAULT_LAPSED_DAYS;
+  if (segment.type === 'tag') out.tag = segment.tag.trim();
+  return out;
+}
+
+/**
+ * One-line description of a segment, e.g. "Customers with 2+ orders".
+ */
+function describeSegment(segment) {
+  const base = {
+    all_buyers: 'Customers with at least one order',
+    repeat_buyers: `Customers with ${segment.min_orders || DEFAULT_MIN_ORDERS}+ orders`,
+    lapsed_buyers: `Buyers with no order in the last ${segment.lapsed_days || DEFAULT_LAPSED_DAYS} days`,
+    tag: `Customers tagged "${segment.tag}"`,
+  }[segment.type] || segment.type;
+  return segment.subscribed_only ? `${base} who subscribed to email marketing` : base;
+}
+
+function withSummary(audience) {
+  return { ...audience, summary: describeSegment(audience.segment) };
+}
+
+// ---------- Storage ----------
+
+function file(id) {
+  if (!/^[0-9a-f-]{36}$/.test(String(id))) return null;
+  return `audiences/${id}.json`;
+}
+
+function load(id) {
+  const audience = file(id) && store.readJson(file(id));
+  if (!audience) throw httpError(`Audience ${id} not found`, 404);
+  return audience;
+}
+
+function save(audience) {
+  audience.updated_at = new Date().toISOString();
+  return store.writeJson(file(audience.id), audience);
+}
+
+// Audience IDs with a sync in progress
+const syncing = new Set();
+
+// Writes `fields` onto the stored record as it is now, so a slow sync or
+// Meta call doesn't overwrite edits made while it ran
+function patch(id, fields) {
+  const audience = Object.assign(load(id), fields);
+  save(audience);
+  return audience;
+}
+
+function assertNotSyncing(id) {
+  if (syncing.has(id)) throw httpError('This audience is being synced; try again when it finishes', 409);
+}
+
+/**
+ * Audiences built here, newest first. With `withMeta`, each gets Meta's
+ * current approximate_count and operation_status (left out if Meta can't
+ * be reached).
+ */
+async function listAudiences({ withMeta = false } = {}) {
+  const audiences = store.listJson('audiences')
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(withSummary);
+  if (!withMeta || !audiences.some((a) => a.meta_audience_id)) return audiences;
+  try {
+    const onMeta = await metaApi.listCustomAudiences('id,name,approximate_count,operation_status', { all: true, limit: 100 });
+    const byId = new Map((onMeta.data || []).map((a) => [String(a.id), a]));
+    return audiences.map((a) => {
+      const live = byId.get(String(a.meta_audience_id));
+      return { ...a, approximate_count: live?.approximate_count ?? null, operation_status: live?.operation_status || null, on_meta: Boolean(live) };
+    });
+  } catch (err) {
+    return audiences.map((a) => ({ ...a, meta_error: err.message }));
+  }
+}
+
+function getAudience(id) {
+  return withSummary(load(id));
+}
+
+// ---------- Segments ----------
+
+function hasTag(customer, tag) {
+  const wanted = tag.toLowerCase();
+  return String(customer.tags || '').split(',').some((t) => t.trim().toLowerCase() === wanted);
+}
+
+function subscribed(customer) {
+  if (customer.email_marketing_consent) return customer.email_marketing_consent.state === 'subscribed';
+  return Boolean(customer.accepts_marketing);
+}
+
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The Shopify customers in a segment. Lapsed buyers are buyers with no
+ * order since `lapsed_days` ago, read from the orders in that window.
+ */
+async function segmentCustomers(segment) {
+  const { customers, truncated } = await shopifyApi.getCustomers({ fields: CUSTOMER_FIELDS });
+  let recentBuyers = null;
+  let ordersTruncated = false;
+  if (segment.type === 'lapsed_buyers') {
+    const since = new Date();
+    since.setDate(since.getDate() - segment.lapsed_days);
+    const recent = await shopifyApi.getOrders({ since: localDate(since), fields: 'id,email,customer' });
+    recentBuyers = new Set(recent.orders.map((o) => String(o.customer?.id || '')).filter(Boolean));
+    ordersTruncated = recent.truncated;
+  }
+
+  const inSegment = (c) => {
+    const orders = Number(c.orders_count) || 0;
+    if (segment.type === 'all_buyers') return orders >= 1;
+    if (segment.type === 'repeat_buyers') return orders >= segment.min_orders;
+    if (segment.type === 'lapsed_buyers') return orders >= 1 && !recentBuyers.has(String(c.id));
+    if (segment.type === 'tag') return hasTag(c, segment.tag);
+    return false;
+  };
+  return {
+    customers: customers.filter((c) => inSegment(c) && (!segment.subscribed_only || subscribed(c))),
+    truncated: truncated || ordersTruncated,
+  };
+}
+
+// ---------- Hashing ----------
+
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+}
+
+/**
+ * Digits only with the calling code, as Meta matches them. A number saved
+ * without one gets the code of `country` (the customer's address country,
+ * ISO), or AUDIENCE_PHONE_COUNTRY_CODE; with neither it can't be told
+ * apart from another country's number, so it's left out (null).
+ */
+function normalizePhone(phone, country) {
+  const raw = String(phone || '').trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+  if (raw.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else {
+    const iso = String(country || '').toUpperCase();
+    const code = CALLING_CODES[iso] || (iso ? null : fallbackCallingCode());
+    if (!code) return null;
+    if (code === '1' && digits.length === 11 && digits.startsWith('1')) {
+      // North American number written with its 1
+    } else {
+      // Drop the trunk prefix (0 in most countries) and add the calling code
+      if (!KEEPS_LEADING_ZERO.has(iso)) digits = digits.replace(/^0+/, '');
+      digits = code + digits;
+    }
+  }
+  return digits.length >= 8 && digits.length <= 15 ? digits : null;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+}
+
+/**
+ * Hashed [EMAIL, PHONE] rows for Meta, one per customer with either, with
+ * duplicates dropped; plus counts of what was found.
+ */
+function customerRows(customers) {
+  const rows = new Map();
+  const stats = { customers: customers.length, with_email: 0, with_phone: 0, phones_skipped: 0, without_contact: 0 };
+  for (const c of customers) {
+    const email = normalizeEmail(c.email);
+    const rawPhone = c.phone || c.default_address?.phone;
+    const phone = normalizePhone(rawPhone, c.default_address?.country_code);
+    if (email) stats.with_email++;
+    if (phone) stats.with_phone++;
+    else if (rawPhone) stats.phones_skipped++;
+    if (!email && !phone) {
+      stats.without_contact++;
+      continue;
+    }
+    const row = [email ? sha256(email) : '', phone ? sha256(phone) : ''];
+    rows.set(row.join('|'), row);
+  }
+  return { rows: [...rows.values()], stats };
+}
+
+// ---------- Sync ----------
+
+// Scheduled syncs carry no request, so they're recorded as the scheduler's
+function auditContext(audit) {
+  return { route: 'scheduler', source: 'schedule', ...audit };
+}
+
+/**
+ * Upload the segment's current customers to the Meta audience, creating it
+ * first if needed. Returns the audience with `last_sync` filled in; an
+ * upload that fails is recorded there rather than thrown.
+ */
+async function syncAudience(id, { trigger = 'manual', user = null, audit = {} } = {}) {
+  const audience = load(id);
+  if (syncing.has(id)) throw httpError('This audience is already being synced', 409);
+  syncing.add(id);
+  const startedAt = new Date().toISOString();
+  const context = auditContext(audit);
+  try {
+    if (!audience.meta_audience_id) {
+      const created = await auditLog.audited(context, {
+        action: 'custom_audience.create',
+        object_type: 'custom_audience',
+        object_id: (result) => result?.id,
+        object_name: audience.name,
+        after: { name: audience.name, segment: audience.segment },
+      }, () => metaApi.createCustomAudience({ name: audience.name, description: audience.description || describeSegment(audience.segment) }));
+      audience.meta_audience_id = String(created.id);
+      patch(id, { meta_audience_id: audience.meta_audience_id });
+    }
+
+    const { customers, truncated } = await segmentCustomers(audience.segment);
+    const { rows, stats } = customerRows(customers);
+    const sync = { at: startedAt, trigger, requested_by: user, ...stats, uploaded: rows.length, truncated, status: 'success', error: null };
+    if (!rows.length) {
+      sync.status = 'skipped';
+      sync.error = 'No customer in this segment has an email or phone number; the audience was left as it was';
+    } else {
+      // The first upload fills the audience; later ones replace everyone in it
+      const replace = Boolean(audience.last_uploaded_at);
+      const sessionId = crypto.randomInt(1, 2 ** 47);
+      const batches = Math.ceil(rows.length / BATCH_SIZE);
+      const totals = { num_received: 0, num_invalid_entries: 0 };
+      await auditLog.audited(context, {
+        action: 'custom_audience.sync',
+        object_type: 'custom_audience',
+        object_id: audience.meta_audience_id,
+        object_name: audience.name,
+        before: audience.last_sync ? { uploaded: audience.last_sync.uploaded } : null,
+        after: { uploaded: rows.length, batches, mode: replace ? 'replace' : 'add', segment: describeSegment(audience.segment) },
+      }, async () => {
+        for (let i = 0; i < batches; i++) {
+          const result = await metaApi.uploadCustomAudienceUsers(
+            audience.meta_audience_id,
+            { schema: SCHEMA, data: rows.slice(i * BATCH_SIZE, (i + 1) * BATCH_SIZE) },
+            { session_id: sessionId, batch_seq: i + 1, last_batch_flag: i === batches - 1, estimated_num_total: rows.length },
+            { replace },
+          );
+          totals.num_received += Number(result.num_received) || 0;
+          totals.num_invalid_entries += Number(result.num_invalid_entries) || 0;
+        }
+      });
+      Object.assign(sync, { mode: replace ? 'replace' : 'add', batches, ...totals });
+      if (rows.length < MIN_MATCHED) {
+        sync.warning = `Only ${rows.length} customers were uploaded; Meta needs at least ${MIN_MATCHED} matched people before the audience can deliver ads`;
+      }
+      audience.last_uploaded_at = startedAt;
+    }
+    audience.last_sync = sync;
+  } catch (err) {
+    audience.last_sync = { at: startedAt, trigger, requested_by: user, status: 'failed', error: err.message };
+  }
+  try {
+    return withSummary(patch(id, {
+      meta_audience_id: audience.meta_audience_id,
+      last_uploaded_at: audience.last_uploaded_at,
+      last_sync: audience.last_sync,
+    }));
+  } finally {
+    syncing.delete(id);
+  }
+}
+
+// ---------- CRUD ----------
+
+/**
+ * Save a new audience and, unless `sync` is false, create it on Meta and
+ * upload its customers straight away.
+ */
+async function createAudience(input, { user = null, audit = {}, sync = true } = {}) {
+  const errors = validateAudience(input);
+  if (errors.length) throw Object.assign(httpError(`Invalid audience: ${errors.join('; ')}`, 400), { errors });
+  const now = new Date().toISOString();
+  const audience = {
+    id: crypto.randomUUID(),
+    name: input.name.trim(),
+    description: input.description?.trim() || null,
+    segment: normalizeSegment(input.segment),
+    auto_refresh: input.auto_refresh !== false,
+    meta_audience_id: null,
+    last_uploaded_at: null,
+    last_sync: null,
+    created_by: user,
+    created_at: now,
+    updated_at: now,
+  };
+  save(audience);
+  if (!sync) return withSummary(audience);
+  return syncAudience(audience.id, { user, audit });
+}
+
+/**
+ * Edit an audience; fields left out keep their values. A new name is sent
+ * to Meta; a new segment is used from the next sync.
+ */
+async function updateAudience(id, input, { audit = {} } = {}) {
+  assertNotSyncing(id);
+  const audience = load(id);
+  const merged = {
+    name: input.name !== undefined ? input.name : audience.name,
+    description: input.description !== undefined ? input.description : audience.description,
+    segment: input.segment !== undefined ? input.segment : audience.segment,
+    auto_refresh: input.auto_refresh !== undefined ? input.auto_refresh : audience.auto_refresh,
+  };
+  const errors = validateAudience(merged);
+  if (errors.length) throw Object.assign(httpError(`Invalid audience: ${errors.join('; ')}`, 400), { errors });
+
+  const name = merged.name.trim();
+  if (name !== audience.name && audience.meta_audience_id) {
+    await auditLog.audited(auditContext(audit), {
+      action: 'custom_audience.update',
+      object_type: 'custom_audience',
+      object_id: audience.meta_audience_id,
+      before: { name: audience.name },
+      after: { name },
+    }, () => metaApi.updateCustomAudience(audience.meta_audience_id, { name }));
+  }
+  return withSummary(patch(id, {
+    name,
+    description: merged.description?.trim() || null,
+    segment: normalizeSegment(merged.segment),
+    auto_refresh: merged.auto_refresh,
+  }));
+}
+
+/**
+ * Delete the audience here and on Meta. Meta refuses while an ad set still
+ * targets it, and then nothing is removed. One already gone from Meta is
+ * just removed here.
+ */
+async function deleteAudience(id, { audit = {} } = {}) {
+  assertNotSyncing(id);
+  const audience = load(id);
+  if (audience.meta_audience_id) {
+    try {
+      await auditLog.audited(auditContext(audit), {
+        action: 'custom_audience.delete',
+        object_type: 'custom_audience',
+        object_id: audience.meta_audience_id,
+        object_name: audience.name,
+        before: { name: audience.name, segment: audience.segment, uploaded: audience.last_sync?.uploaded ?? null },
+      }, () => metaApi.deleteCustomAudience(audience.meta_audience_id));
+    } catch (err) {
+      if (!(err.code === 100 && err.meta?.error_subcode === 33)) throw err;
+    }
+  }
+  return store.removeJson(file(id));
+}
+
+/**
+ * How many customers a segment holds now, without uploading anything.
+ */
+async function previewSegment(segment) {
+  const errors = validateAudience({ name: 'preview', segment });
+  if (errors.length) throw Object.assign(httpError(`Invalid segment: ${errors.join('; ')}`, 400), { errors });
+  const normalized = normalizeSegment(segment);
+  const { customers, truncated } = await segmentCustomers(normalized);
+  const { rows, stats } = customerRows(customers);
+  return { segment: normalized, summary: describeSegment(normalized), ...stats, uploadable: rows.length, truncated };
+}
+
+// ---------- Scheduler ----------
+
+let timer = null;
+let running = false;
+
+// Re-syncs each auto-refresh audience whose last sync (successful or not)
+// is older than AUDIENCE_REFRESH_HOURS
+async function runScheduled(now = Date.now()) {
+  if (running) return;
+  running = true;
+  try {
+    const due = store.listJson('audiences').filter((a) => a.auto_refresh
+      && (!a.last_sync || now - Date.parse(a.last_sync.at) >= refreshHours() * 3600000));
+    for (const audience of due) {
+      try {
+        await syncAudience(audience.id, { trigger: 'schedule' });
+      } catch (err) {
+        // Already syncing by hand; the next check picks it up
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Starts checking for audiences due a refresh (unless AUDIENCE_REFRESH=off).
+ */
+function startScheduler() {
+  if (timer || !refreshEnabled()) return false;
+  timer = setInterval(runScheduled, CHECK_INTERVAL_MS);
+  timer.unref();
+  return true;
+}
+
+function schedulerStatus() {
+  return { enabled: refreshEnabled(), running: Boolean(timer), refresh_hours: refreshHours() };
+}
+
+module.exports = {
+  SEGMENTS,
+  validateAudience,
+  describeSegment,
+  normalizeEmail,
+  normalizePhone,
+  customerRows,
+  listAudiences,
+  getAudience,
+  createAudience,
+  updateAudience,
+  deleteAudience,
+  syncAudience,
+  previewSegment,
+  runScheduled,
+  startScheduler,
+  schedulerStatus,
+};
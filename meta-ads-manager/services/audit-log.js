@@ -0,0 +1,162 @@
+/**
+ * Audit Log
+ *
+ * Append-only record (data/audit.jsonl) of every change the app makes on
+ * Meta: creates, updates, deletes, activations and pauses, activation
+ * requests and decisions. Each entry says who made it (the X-User-Name of
+ * the request), what changed with the values before and after, which route
+ * it came through, and whether it came from an AI spec, an assistant
+ * proposal, an approval, an automated rule or a scheduled job — the link
+ * Meta's own activity log can't show.
+ * Failed attempts are recorded too, with the error. Dry runs are not.
+ */
+const crypto = require('crypto');
+const store = require('./data-store');
+const metaApi = require('./meta-api');
+const { requestUser } = require('./request-user');
+
+const AUDIT_FILE = 'audit.jsonl';
+
+// Where a change came from
+const SOURCES = ['manual', 'ai_spec', 'assistant', 'approval', 'rule', 'schedule'];
+
+const STATE_FIELDS = {
+  campaign: 'id,name,status,objective,daily_budget,lifetime_budget,bid_strategy,start_time,stop_time',
+  adset: 'id,name,campaign_id,status,daily_budget,lifetime_budget,bid_amount,optimization_goal,billing_event,targeting,start_time,end_time',
+  ad: 'id,name,adset_id,campaign_id,status,creative',
+};
+
+const CSV_COLUMNS = ['at', 'actor', 'action', 'object_type', 'object_id', 'object_name', 'source', 'thread_id', 'spec_version', 'approval_id', 'rule_id', 'route', 'outcome', 'error', 'before', 'after'];
+
+// ---------- Recording ----------
+
+/**
+ * Who and where for entries made while handling a request.
+ */
+function requestContext(req, extra = {}) {
+  return {
+    actor: requestUser(req),
+    route: `${req.method} ${req.baseUrl}${req.route?.path === '/' ? '' : req.route?.path || ''}`,
+    source: 'manual',
+    ...extra,
+  };
+}
+
+/**
+ * Append one entry. context: { actor, route, source, thread_id, spec_version,
+ * approval_id, action_id, rule_id }; entry: { action, object_type, object_id,
+ * object_name, before, after, outcome, error }.
+ */
+function record(context, entry) {
+  const fields = { ...context, ...entry };
+  return store.appendJsonLine(AUDIT_FILE, {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    actor: fields.actor || null,
+    action: fields.action,
+    object_type: fields.object_type || null,
+    object_id: fields.object_id ? String(fields.object_id) : null,
+    object_name: fields.object_name || fields.before?.name || fields.after?.name || null,
+    before: fields.before ?? null,
+    after: fields.after ?? null,
+    route: fields.route || null,
+    source: fields.source || 'manual',
+    thread_id: fields.thread_id || null,
+    spec_version: fields.spec_version ? Number(fields.spec_version) : null,
+    approval_id: fields.approval_id || null,
+    action_id: fields.action_id || null,
+    rule_id: fields.rule_id || null,
+    outcome: fields.outcome || 'success',
+    error: fields.error || null,
+  });
+}
+
+/**
+ * Run a change and record it with its outcome. `entry.object_id` may be a
+ * function of the result (for creates, whose ID Meta assigns).
+ */
+async function audited(context, entry, fn) {
+  const idOf = (result) => (typeof entry.object_id === 'function' ? entry.object_id(result) : entry.object_id);
+  try {
+    const result = await fn();
+    record(context, { ...entry, object_id: idOf(result) });
+    return result;
+  } catch (err) {
+    record(context, { ...entry, object_id: idOf(null), outcome: 'failed', error: err.message });
+    throw err;
+  }
+}
+
+/**
+ * The object's current values, for `before`; with `keys`, only those fields.
+ * Null when it can't be read.
+ */
+async function currentState(type, id, keys = null) {
+  const get = { campaign: metaApi.getCampaign, adset: metaApi.getAdSet, ad: metaApi.getAd }[type];
+  if (!get) return null;
+  try {
+    const state = await get(id, STATE_FIELDS[type]);
+    if (!keys) return state;
+    return Object.fromEntries(['name', ...keys].filter((k) => state[k] !== undefined).map((k) => [k, state[k]]));
+  } catch (e) {
+    return null;
+  }
+}
+
+// ---------- Query ----------
+
+function matches(entry, filters) {
+  const day = entry.at.slice(0, 10);
+  if (filters.since && day < filters.since) return false;
+  if (filters.until && day > filters.until) return false;
+  for (const key of ['actor', 'action', 'object_type', 'object_id', 'source', 'outcome', 'thread_id', 'rule_id']) {
+    if (filters[key] && String(entry[key] ?? '') !== String(filters[key])) return false;
+  }
+  if (filters.q) {
+    const haystack = JSON.stringify(entry).toLowerCase();
+    return String(filters.q).toLowerCase().split(/\s+/).filter(Boolean).every((word) => haystack.includes(word));
+  }
+  return true;
+}
+
+/**
+ * Entries newest first. filters: { since, until (YYYY-MM-DD), actor, action,
+ * object_type, object_id, source, outcome, thread_id, rule_id, q (words anywhere) }.
+ * Returns { data, total, facets } — facets lists the actors, actions and
+ * sources present in the whole log, for filter menus.
+ */
+function queryLog(filters = {}, { limit = 500 } = {}) {
+  const all = store.readJsonLines(AUDIT_FILE);
+  const found = all.filter((entry) => matches(entry, filters)).reverse();
+  const distinct = (key) => [...new Set(all.map((e) => e[key]).filter(Boolean))].sort();
+  return {
+    data: limit ? found.slice(0, limit) : found,
+    total: found.length,
+    facets: { actors: distinct('actor'), actions: distinct('action'), sources: distinct('source') },
+  };
+}
+
+// Cells that a spreadsheet would read as a formula are prefixed with ' and
+// quoted: names, users and errors come from requests and from Meta
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const formula = /^[=+\-@\t\r]/.test(text);
+  if (formula) text = `'${text}`;
+  return formula || /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const rows = entries.map((entry) => CSV_COLUMNS.map((col) => csvCell(entry[col])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+module.exports = {
+  SOURCES,
+  requestContext,
+  record,
+  audited,
+  currentState,
+  queryLog,
+  toCsv,
+};
@@ -10,6 +10,9 @@ const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const specValidator = require('./spec-validator');
+const aiConfig = require('./ai-config');
+const aiLedger = require('./ai-ledger');
 
 let client = null;
 
@@ -77,17 +80,18 @@ Your role:
 2. EXPLAIN your suggestions in plain English — why this objective, audience, budget, creative approach
 3. BUILD complete campaign specifications as structured JSON that can be submitted to the Meta Marketing API
 4. ASSESS campaign performance by analyzing metrics and providing actionable recommendations
-5. EXECUTE changes when the user approves — output the exact API calls needed
+5. EXECUTE changes when the user approves — propose them with your tools, or output the exact API calls needed
 
 Key principles:
 - Always create campaigns in PAUSED status (draft mode) so the user can review before going live
 - Suggest realistic budgets based on the store's apparent size and product pricing
 - Use Meta's current campaign objectives: OUTCOME_TRAFFIC, OUTCOME_ENGAGEMENT, OUTCOME_AWARENESS, OUTCOME_LEADS, OUTCOME_APP_PROMOTION, OUTCOME_SALES
 - Structure targeting based on product type, audience demographics, and interests
+- Use the store's customer audiences where they fit: target repeat or lapsed buyers for retention and win-back, and exclude existing buyers from prospecting ad sets. In a spec they go in targeting as "custom_audiences" / "excluded_custom_audiences": [{ "id": "..." }], with IDs from list_custom_audiences
 - When building ad creatives, reference actual product images and descriptions from the store
 - Explain advertising concepts in accessible language for store owners who may not be marketing experts
 
-When providing campaign specifications, always output them in this JSON format:
+Campaign specifications have this structure (budgets are strings of minor currency units, e.g. "2000" = $20.00; to target one gender add "genders": [1] for men or [2] for women, otherwise leave genders out). Submit them with the submit_campaign_spec tool; if it isn't available, output the spec as a single \`\`\`json block with no comments:
 {
   "campaign": {
     "name": "...",
@@ -98,13 +102,12 @@ When providing campaign specifications, always output them in this JSON format:
   "ad_sets": [
     {
       "name": "...",
-      "daily_budget": "2000",  // in cents
+      "daily_budget": "2000",
       "optimization_goal": "OFFSITE_CONVERSIONS",
       "billing_event": "IMPRESSIONS",
       "targeting": {
         "age_min": 18,
         "age_max": 65,
-        "genders": [0],
         "geo_locations": { "countries": ["US"] },
         "flexible_spec": [{ "interests": [{ "id": "...", "name": "..." }] }]
       },
@@ -177,55 +180,266 @@ function sanitizeMessages(messages) {
   return merged;
 }
 
-async function chat(messages, storeContext = null, campaignContext = null) {
-  const anthropic = getClient();
+// Model turns per chat request when tools are in use; each tool round is one turn
+const MAX_TOOL_ROUNDS = 8;
+
+const TOOLS_PROMPT = `You have tools for live account data. Use the read tools (list_campaigns, list_ad_sets, get_insights, search_targeting, list_products, list_custom_audiences) instead of guessing IDs, metrics, interest IDs or audience IDs. To pause or activate something, change a budget, or change which custom audiences an ad set targets or excludes, call set_status, update_budget or set_audiences: these are only proposals — the user confirms or dismisses them in the UI, so never say a change has been applied. A confirmed activation may still need a second person's approval on the Approvals page before it goes live.`;
+
+// ---------- Campaign spec tool ----------
+
+const SPEC_TOOL_NAME = 'submit_campaign_spec';
+
+const SPEC_TOOL = {
+  name: SPEC_TOOL_NAME,
+  description: 'Submit a complete campaign specification (campaign, ad sets, ads) for the user to review. The app validates it and shows it with a "Create as Draft" button; nothing is created until the user clicks it. Explain your reasoning in prose (in your reply or in `explanation`), never as JSON in the text.',
+  input_schema: (() => {
+    const schema = specValidator.specJsonSchema();
+    return {
+      ...schema,
+      properties: {
+        explanation: { type: 'string', description: 'Markdown explanation of the choices in this spec, shown to the user above it. Leave empty if your reply already explains it.' },
+        ...schema.properties,
+      },
+    };
+  })(),
+};
+
+const SPEC_PROMPT = `Whenever you propose a campaign spec, call ${SPEC_TOOL_NAME} with it. Do not write the spec as JSON in your reply — the app renders the submitted spec itself. Explain it in prose before the call.`;
+
+// submit_campaign_spec input → { spec, explanation }
+function readSpecInput(input = {}) {
+  const { explanation, ...spec } = input;
+  return { spec, explanation: typeof explanation === 'string' ? explanation.trim() : '' };
+}
+
+/**
+ * Chat with Claude.
+ *
+ * options.tools / options.runTool enable tool use: Claude's tool_use blocks
+ * are passed to runTool(block), which resolves to { result, call, action? }
+ * (see ai-tools.js), and the conversation continues until Claude answers in
+ * text. The response then also lists the tool calls made and any pending
+ * actions awaiting the user's confirmation. options.task picks the model,
+ * max_tokens and temperature (ai-config.js; default 'chat').
+ */
+async function chat(messages, storeContext = null, campaignContext = null, options = {}) {
+  return converse(messages, storeContext, campaignContext, { ...options, stream: false });
+}
+
+/**
+ * Streaming variant of chat(). Text is passed to options.onText(delta) as
+ * it is generated, tool calls to options.onToolCall(call) and proposed
+ * changes to options.onAction(action). Aborting options.signal cancels the
+ * upstream request; the promise then resolves with the text so far and
+ * `stopped: true`.
+ */
+async function chatStream(messages, storeContext = null, campaignContext = null, options = {}) {
+  return converse(messages, storeContext, campaignContext, { ...options, stream: true });
+}
+
+/**
+ * One Messages API call for a task: refused once the monthly hard cap is
+ * reached, and recorded in the usage ledger with `context` ({ route,
+ * thread_id }). `stream` ({ signal, onText }) streams the reply.
+ */
+async function createMessage(anthropic, task, request, context = {}, stream = null) {
+  aiLedger.assertWithinBudget();
+  let response;
+  if (stream) {
+    const messageStream = anthropic.messages.stream(request, { signal: stream.signal });
+    messageStream.on('text', stream.onText);
+    try {
+      response = await messageStream.finalMessage();
+    } catch (err) {
+      // A stopped or failed stream was still billed for what it used so far
+      const usage = messageStream.currentMessage?.usage;
+      if (usage) aiLedger.recordUsage({ task, model: request.model, usage, context });
+      throw err;
+    }
+  } else {
+    response = await anthropic.messages.create(request);
+  }
+  aiLedger.recordUsage({ task, model: request.model, usage: response.usage, context });
+  return response;
+}
+
+// One model turn; streamed turns report text as it arrives
+async function createTurn(anthropic, request, options, onText) {
+  const stream = options.stream ? { signal: options.signal, onText } : null;
+  return createMessage(anthropic, options.task || 'chat', request, options.ledger, stream);
+}
+
+/**
+ * System prompt for a chat turn as text blocks, most stable first so the
+ * prompt cache can reuse a prefix: the base prompt with tool instructions,
+ * store context, campaign context, then options.memory ({ summary, pinned })
+ * — the thread's pinned facts verbatim and the summary of its older turns.
+ * The base prompt and store context end in cache breakpoints (tools are
+ * cached with the first one).
+ */
+function systemBlocks(storeContext = null, campaignContext = null, options = {}) {
+  let base = options.tools ? `${SYSTEM_PROMPT}\n\n${TOOLS_PROMPT}` : SYSTEM_PROMPT;
+  if (options.specTool) base += `\n\n${SPEC_PROMPT}`;
+  const blocks = [{ text: base, cache: true }];
 
-  // Build context message
-  let contextParts = [];
   if (storeContext) {
-    contextParts.push(`<store_data>\n${JSON.stringify(storeContext, null, 2)}\n</store_data>`);
+    blocks.push({ text: `Current context:\n<store_data>\n${JSON.stringify(storeContext, null, 2)}\n</store_data>`, cache: true });
   }
   if (campaignContext) {
-    contextParts.push(`<campaign_data>\n${JSON.stringify(campaignContext, null, 2)}\n</campaign_data>`);
+    blocks.push({ text: `${storeContext ? '' : 'Current context:\n'}<campaign_data>\n${JSON.stringify(campaignContext, null, 2)}\n</campaign_data>` });
   }
 
-  const systemMessage = contextParts.length > 0
-    ? `${SYSTEM_PROMPT}\n\nCurrent context:\n${contextParts.join('\n\n')}`
-    : SYSTEM_PROMPT;
+  const memory = options.memory;
+  if (memory?.pinned?.length) {
+    blocks.push({ text: `Pinned facts — standing instructions from the user for this conversation. Follow them exactly unless the user changes them:\n<pinned_facts>\n${memory.pinned.map((f) => `- ${f.text}`).join('\n')}\n</pinned_facts>` });
+  }
+  if (memory?.summary) {
+    blocks.push({ text: `Earlier turns of this conversation were condensed into this summary; treat the decisions in it as still in force:\n<conversation_summary>\n${memory.summary}\n</conversation_summary>` });
+  }
 
-  const sanitized = sanitizeMessages(messages);
+  const cache = aiConfig.promptCacheEnabled();
+  return blocks.map((b) => ({
+    type: 'text',
+    text: b.text,
+    ...(cache && b.cache ? { cache_control: { type: 'ephemeral' } } : {}),
+  }));
+}
+
+// The system prompt as one string (for token estimates)
+function buildSystemPrompt(storeContext = null, campaignContext = null, options = {}) {
+  return systemBlocks(storeContext, campaignContext, options).map((b) => b.text).join('\n\n');
+}
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 4096,
-    system: systemMessage,
-    messages: sanitized,
-  });
+// Add one response's usage, cache reads and writes included, to a running total
+function addUsage(total, usage = {}) {
+  for (const key of ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens']) {
+    total[key] = (total[key] || 0) + (usage[key] || 0);
+  }
+  return total;
+}
+
+async function converse(messages, storeContext, campaignContext, options) {
+  const anthropic = getClient();
+  const system = systemBlocks(storeContext, campaignContext, options);
+
+  let conversation = sanitizeMessages(messages);
+  const tools = [...(options.tools || []), ...(options.specTool || options.forceSpec ? [SPEC_TOOL] : [])];
+  let spec = null;
+  const usage = addUsage({}, {});
+  const text = [];
+  const toolCalls = [];
+  const pendingActions = [];
+  let stopped = false;
+
+  for (let round = 0; ; round++) {
+    // Turns after the first continue the same reply; keep streamed text in step with `content`
+    let turnText = '';
+    const onText = (delta) => {
+      if (!turnText && text.length) options.onText?.('\n\n');
+      turnText += delta;
+      options.onText?.(delta);
+    };
+
+    let response;
+    try {
+      response = await createTurn(anthropic, {
+        ...aiConfig.requestParams(options.task || 'chat'),
+        system,
+        messages: conversation,
+        ...(tools.length ? { tools } : {}),
+        ...(options.forceSpec && round === 0 ? { tool_choice: { type: 'tool', name: SPEC_TOOL_NAME } } : {}),
+      }, options, onText);
+    } catch (err) {
+      if (!options.signal?.aborted) throw err;
+      if (turnText) text.push(turnText);
+      stopped = true;
+      break;
+    }
+
+    addUsage(usage, response.usage);
+    text.push(...response.content.filter((b) => b.type === 'text').map((b) => b.text));
+
+    // A submitted spec is the reply's payload, not a lookup: keep it and only
+    // go another round if other tools were called too
+    const uses = response.content.filter((b) => b.type === 'tool_use');
+    const specUse = uses.find((b) => b.name === SPEC_TOOL_NAME);
+    if (specUse) {
+      const submitted = readSpecInput(specUse.input);
+      spec = submitted.spec;
+      if (submitted.explanation) {
+        text.push(submitted.explanation);
+        options.onText?.(`${text.length > 1 ? '\n\n' : ''}${submitted.explanation}`);
+      }
+    }
+
+    if (response.stop_reason !== 'tool_use' || uses.every((b) => b.name === SPEC_TOOL_NAME)) break;
+    if (!options.runTool) break;
+    if (round + 1 >= MAX_TOOL_ROUNDS) {
+      text.push(`_Stopped after ${MAX_TOOL_ROUNDS} rounds of tool calls._`);
+      break;
+    }
+
+    const results = [];
+    for (const block of uses) {
+      if (block.name === SPEC_TOOL_NAME) {
+        results.push({ type: 'tool_result', tool_use_id: block.id, content: 'Spec submitted; the user sees it with validation results and a "Create as Draft" button.' });
+        continue;
+      }
+      const outcome = await options.runTool(block);
+      results.push(outcome.result);
+      toolCalls.push(outcome.call);
+      options.onToolCall?.(outcome.call);
+      if (outcome.action) {
+        pendingActions.push(outcome.action);
+        options.onAction?.(outcome.action);
+      }
+    }
+    if (options.signal?.aborted) {
+      stopped = true;
+      break;
+    }
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: results },
+    ];
+  }
 
   return {
-    content: response.content[0].text,
-    usage: response.usage,
+    content: text.join('\n\n'),
+    usage,
+    ...(spec ? { spec } : {}),
+    ...(options.tools ? { tool_calls: toolCalls, pending_actions: pendingActions } : {}),
+    ...(options.stream ? { stopped } : {}),
   };
 }
 
 // ---------- Suggest campaign ----------
 
-async function suggestCampaign(storeData, userGoal) {
+async function suggestCampaign(storeData, userGoal, ledger = {}) {
   const messages = [
     {
       role: 'user',
       content: `Based on my store data, I want to: ${userGoal}
 
-Please suggest a complete campaign structure (campaign + ad sets + ads) with specific targeting, budgets, and ad copy. Explain your reasoning for each choice, then provide the full campaign specification as JSON.`,
+Please suggest a complete campaign structure (campaign + ad sets + ads) with specific targeting, budgets, and ad copy. Submit it with submit_campaign_spec, explaining your reasoning for each choice in \`explanation\`.`,
     },
   ];
 
-  return chat(messages, storeData);
+  return chat(messages, storeData, null, { forceSpec: true, task: 'suggest', ledger });
 }
 
 // ---------- Assess performance ----------
 
-async function assessPerformance(storeData, campaignData, insightsData) {
+/**
+ * `comparison` (optional) describes a period-over-period view — { label,
+ * range, previous_range } — when each campaign carries `current`, `previous`
+ * and `change` metrics instead of a single `metrics` set.
+ */
+async function assessPerformance(storeData, campaignData, insightsData, ledger = {}, comparison = null) {
+  const periodNote = comparison
+    ? `\n\nThis is the ${comparison.label} digest: \`current\` covers ${comparison.range.since} to ${comparison.range.until} and \`previous\` covers ${comparison.previous_range.since} to ${comparison.previous_range.until}; \`change\` is the percent change per metric. Lead with what moved and why it matters, and keep it short enough to read over coffee.`
+    : '';
   const messages = [
     {
       role: 'user',
@@ -235,32 +449,68 @@ async function assessPerformance(storeData, campaignData, insightsData) {
 3. Concrete suggestions for improvement
 4. Any campaigns that should be paused, adjusted, or scaled up
 
+Each campaign's metrics include purchases, purchase_value (revenue Meta attributes to the ads), roas (purchase_value / spend) and cpa (spend per purchase); budgets are in minor currency units (cents).${periodNote}
+
 Here are the campaign insights:
 ${JSON.stringify(insightsData, null, 2)}`,
     },
   ];
 
-  return chat(messages, storeData, campaignData);
+  return chat(messages, storeData, campaignData, { task: 'assess', ledger });
 }
 
 // ---------- Extract campaign spec from AI response ----------
 
+// JSON as models tend to write it: // and /* */ comments and trailing commas removed
+function parseLooseJson(text) {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      out += c;
+      if (c === '\\') out += text[++i] || '';
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+      out += c;
+    } else if (c === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (c === '/' && text[i + 1] === '*') {
+      const close = text.indexOf('*/', i + 2);
+      i = close === -1 ? text.length : close + 1;
+    } else {
+      out += c;
+    }
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Campaign spec written into a reply as text. Replies now carry the spec as
+ * submit_campaign_spec tool input (response.spec); this is the fallback for
+ * replies without one. Of several ```json blocks, the last one holding a
+ * `campaign` wins.
+ */
 function extractCampaignSpec(aiResponse) {
-  // Try to find JSON in the response
-  const jsonMatch = aiResponse.match(/```json\n?([\s\S]*?)```/);
-  if (jsonMatch) {
+  const text = String(aiResponse || '');
+  const blocks = [...text.matchAll(/```(?:json)?[^\S\n]*\n?([\s\S]*?)```/g)].map((m) => m[1]);
+
+  for (const block of blocks.reverse()) {
     try {
-      return JSON.parse(jsonMatch[1]);
+      const parsed = parseLooseJson(block);
+      if (parsed && parsed.campaign) return parsed;
     } catch (e) {
-      // Fall through
+      // Try the next block
     }
   }
 
   // Try to find raw JSON object
-  const objectMatch = aiResponse.match(/\{[\s\S]*"campaign"[\s\S]*\}/);
+  const objectMatch = text.match(/\{[\s\S]*"campaign"[\s\S]*\}/);
   if (objectMatch) {
     try {
-      return JSON.parse(objectMatch[0]);
+      return parseLooseJson(objectMatch[0]);
     } catch (e) {
       // Fall through
     }
@@ -269,16 +519,57 @@ function extractCampaignSpec(aiResponse) {
   return null;
 }
 
+// ---------- Conversation summaries ----------
+
+/**
+ * Fold older messages into a thread's running summary. Returns the new
+ * summary text, which replaces `previous`.
+ */
+async function summarizeConversation(previous, messages, pinned = [], ledger = {}) {
+  const anthropic = getClient();
+  const transcript = messages.map((m) => `${m.role}: ${m.content}`).join('\n\n');
+  const response = await createMessage(anthropic, 'summary', {
+    ...aiConfig.requestParams('summary'),
+    system: 'You maintain the running summary of a conversation between a store owner and their Meta ads assistant. The summary replaces the messages it covers, so nothing else about them will be remembered.',
+    messages: [{
+      role: 'user',
+      content: `${previous ? `Current summary:\n<summary>\n${previous}\n</summary>\n\n` : ''}${pinned.length ? `Pinned facts (kept separately, don't repeat them):\n${pinned.map((f) => `- ${f.text}`).join('\n')}\n\n` : ''}Messages to fold in:\n<messages>\n${transcript}\n</messages>
+
+Write the updated summary as short bullet points. Keep every decision, constraint and preference the user stated (audiences to avoid, budgets, tone, products), campaign / ad set / ad IDs and names, spec versions, and open questions. Drop greetings, explanations and anything superseded. Reply with the summary only.`,
+    }],
+  }, ledger);
+  return response.content.filter((b) => b.type === 'text').map((b) => b.text).join('').trim();
+}
+
+// ---------- Thread titles ----------
+
+/**
+ * Short title for a conversation, from its opening exchange.
+ */
+async function generateTitle(messages, ledger = {}) {
+  const anthropic = getClient();
+  const excerpt = sanitizeMessages(messages).slice(0, 2)
+    .map((m) => `${m.role}: ${m.content.slice(0, 1500)}`)
+    .join('\n\n');
+  const response = await createMessage(anthropic, 'title', {
+    ...aiConfig.requestParams('title'),
+    messages: [{
+      role: 'user',
+      content: `Write a title of at most six words for this conversation about Meta ads. Reply with the title only, no quotes.\n\n${excerpt}`,
+    }],
+  }, ledger);
+  return response.content.filter((b) => b.type === 'text').map((b) => b.text).join('').trim();
+}
+
 // ---------- Test connection ----------
 
-async function testConnection() {
+async function testConnection(ledger = {}) {
   try {
     const anthropic = getClient();
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 50,
+    const response = await createMessage(anthropic, 'test', {
+      ...aiConfig.requestParams('test'),
       messages: [{ role: 'user', content: 'Reply with "connected" and nothing else.' }],
-    });
+    }, ledger);
     return { connected: true, response: response.content[0].text };
   } catch (err) {
     return { connected: false, error: err.message };
@@ -302,7 +593,7 @@ async function testProxyHealth() {
         'x-api-key': 'local-proxy',
       },
       body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
+        model: aiConfig.taskConfig('test').model,
         max_tokens: 8,
         messages: [{ role: 'user', content: 'ping' }],
       }),
@@ -331,9 +622,13 @@ async function testProxyHealth() {
 
 module.exports = {
   chat,
+  chatStream,
   suggestCampaign,
   assessPerformance,
   extractCampaignSpec,
+  buildSystemPrompt,
+  summarizeConversation,
+  generateTitle,
   testConnection,
   testProxyHealth,
 };
@@ -0,0 +1,113 @@
+/**
+ * Conversation Memory
+ *
+ * Keeps a thread's prompt under a token budget. Pinned facts always go into
+ * the system prompt verbatim; when the rest no longer fits, the oldest
+ * messages are folded into a running summary (stored on the thread) and
+ * only the recent ones are sent as messages.
+ *
+ * Token counts are estimates (3.5 characters per token, which errs high for
+ * English), so the budget is approximate.
+ *
+ * Optional env var:
+ *   CHAT_CONTEXT_TOKENS — prompt budget per chat turn (default 24000)
+ */
+const claudeAi = require('./claude-ai');
+const threads = require('./threads');
+
+const DEFAULT_BUDGET = 24000;
+
+// After a fold, recent messages get at most this share of the room left, so
+// the next few turns fit without summarizing again
+const RECENT_SHARE = 0.5;
+
+function contextBudget() {
+  const value = parseInt(process.env.CHAT_CONTEXT_TOKENS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_BUDGET;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 3.5);
+}
+
+function messageTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content) + 4, 0);
+}
+
+/**
+ * First message to keep verbatim: the earliest user message from which the
+ * rest of the thread fits in `room` tokens. The latest user message is
+ * always kept, even if it alone is over.
+ */
+function recentStart(messages, from, room) {
+  let start = messages.length;
+  let used = 0;
+  for (let i = messages.length - 1; i >= from; i--) {
+    used += estimateTokens(messages[i].content) + 4;
+    if (used > room && start < messages.length) break;
+    if (messages[i].role === 'user') start = i;
+  }
+  return Math.max(start, from);
+}
+
+function describe(thread, extra = {}) {
+  return {
+    summary: thread.memory.summary,
+    summarized_through: thread.memory.summarized_through,
+    pinned: thread.pinned,
+    ...extra,
+  };
+}
+
+/**
+ * Messages and memory for the next chat turn of a thread, summarizing older
+ * turns first if the prompt would go over budget.
+ *
+ * systemPrompt: the system prompt without memory (base prompt and context),
+ * counted against the budget. options: { budget, ledger } — ledger is the
+ * usage ledger context ({ route, thread_id }) for the summary call.
+ * Returns { messages, memory } — memory is passed to claudeAi.chat() as
+ * options.memory and describes what the prompt contains.
+ */
+async function prepareTurn(thread, systemPrompt = '', { budget = contextBudget(), ledger = {} } = {}) {
+  const { summary, summarized_through: through } = thread.memory;
+  const fixed = estimateTokens(systemPrompt) + estimateTokens(thread.pinned.map((f) => f.text).join('\n'));
+  const recent = thread.messages.slice(through);
+  const total = fixed + estimateTokens(summary) + messageTokens(recent);
+  if (total <= budget) {
+    return { messages: recent, memory: describe(thread, { estimated_tokens: total, budget }) };
+  }
+
+  const room = Math.max(0, budget - fixed - estimateTokens(summary)) * RECENT_SHARE;
+  const start = recentStart(thread.messages, through, room);
+  if (start <= through) {
+    return { messages: recent, memory: describe(thread, { estimated_tokens: total, budget }) };
+  }
+
+  let updated = thread;
+  let error;
+  try {
+    const folded = await claudeAi.summarizeConversation(summary, thread.messages.slice(through, start), thread.pinned, ledger);
+    updated = threads.setMemory(thread.id, { summary: folded, summarized_through: start });
+  } catch (err) {
+    // Couldn't summarize: send the recent messages only and try again next turn
+    error = `Could not summarize older messages: ${err.message}`;
+  }
+
+  const messages = thread.messages.slice(start);
+  return {
+    messages,
+    memory: describe(updated, {
+      estimated_tokens: fixed + estimateTokens(updated.memory.summary) + messageTokens(messages),
+      budget,
+      folded: start - through,
+      ...(error ? { error, dropped_through: start } : {}),
+    }),
+  };
+}
+
+module.exports = {
+  contextBudget,
+  estimateTokens,
+  prepareTurn,
+};
@@ -0,0 +1,111 @@
+/**
+ * Local Data Store
+ *
+ * JSON files under the app's data directory, for state that has to survive
+ * restarts and be shared between browsers (conversation threads, ...).
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a half-written file behind. Append-only logs (AI
+ * usage, ...) are JSON Lines files, one record per line.
+ *
+ * Optional env var:
+ *   DATA_DIR — where files are kept (default ./data, next to server.js)
+ */
+const fs = require('fs');
+const path = require('path');
+
+function dataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+}
+
+function dataPath(...parts) {
+  return path.join(dataDir(), ...parts);
+}
+
+function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(dataPath(file), 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+function writeJson(file, value) {
+  const target = dataPath(file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, target);
+  return value;
+}
+
+function removeJson(file) {
+  try {
+    fs.unlinkSync(dataPath(file));
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+}
+
+// Every .json file in a data subdirectory, parsed; unreadable files are skipped
+function listJson(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dataPath(dir));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return names
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => {
+      try {
+        return readJson(path.join(dir, name));
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// ---------- JSON Lines ----------
+
+function appendJsonLine(file, record) {
+  const target = dataPath(file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.appendFileSync(target, `${JSON.stringify(record)}\n`);
+  return record;
+}
+
+// Every record in a JSON Lines file; a torn last line (crash mid-append) is skipped
+function readJsonLines(file) {
+  let text;
+  try {
+    text = fs.readFileSync(dataPath(file), 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // Skip
+    }
+  }
+  return records;
+}
+
+module.exports = {
+  dataPath,
+  readJson,
+  writeJson,
+  removeJson,
+  listJson,
+  appendJsonLine,
+  readJsonLines,
+};
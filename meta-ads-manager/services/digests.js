@@ -0,0 +1,475 @@
+/**
+ * Performance Digests
+ *
+ * Daily or weekly reports (data/digests/<id>.json): account and campaign
+ * insights for the period next to the period before it, with the percent
+ * change per metric and Claude's assessment of what moved. A local
+ * scheduler writes them each morning; every digest is kept in the app and,
+ * when configured, sent by email (services/mailer.js) and/or posted to an
+ * outgoing webhook. A digest whose assessment can't be written (AI budget
+ * cap, API error) is still stored and sent with the numbers alone.
+ *
+ * Dates are the server's local dates: a daily digest covers yesterday
+ * against the day before, a weekly one the last 7 days against the 7
+ * before those.
+ *
+ * Optional env vars:
+ *   DIGESTS               — "daily", "weekly" or "daily,weekly" to schedule them (off by default)
+ *   DIGEST_TIME           — local time they are written, HH:MM (default 07:00)
+ *   DIGEST_WEEKLY_DAY     — weekday of the weekly digest (default monday)
+ *   DIGEST_EMAIL_TO       — comma-separated recipients (needs the SMTP_* settings)
+ *   DIGEST_WEBHOOK_URL    — receives each digest as a JSON POST, with a Slack-style `text`
+ *   DIGEST_WEBHOOK_SECRET — signs webhook bodies: X-Digest-Signature: sha256=<HMAC>
+ */
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const store = require('./data-store');
+const metaApi = require('./meta-api');
+const shopifyApi = require('./shopify-api');
+const claudeAi = require('./claude-ai');
+const mailer = require('./mailer');
+const { rowMetrics } = require('./insights-metrics');
+
+const PERIODS = {
+  daily: { label: 'Daily', days: 1 },
+  weekly: { label: 'Weekly', days: 7 },
+};
+
+// Metrics a digest compares; money in the account currency (major units)
+const KPIS = {
+  spend: 'Spend',
+  impressions: 'Impressions',
+  clicks: 'Clicks',
+  ctr: 'CTR',
+  cpc: 'CPC',
+  cpm: 'CPM',
+  purchases: 'Purchases',
+  purchase_value: 'Purchase value',
+  roas: 'ROAS',
+  cpa: 'Cost per purchase',
+};
+const MONEY_KPIS = ['spend', 'cpc', 'cpm', 'purchase_value', 'cpa'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const CHECK_INTERVAL_MS = 5 * 60000;
+// Scheduled attempts per period and day, so a failed digest is retried at the
+// next checks without retrying forever
+const MAX_SCHEDULED_ATTEMPTS = 3;
+const WEBHOOK_TIMEOUT_MS = 15000;
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ---------- Settings ----------
+
+function scheduledPeriods() {
+  return (process.env.DIGESTS || '').split(',').map((p) => p.trim().toLowerCase()).filter((p) => PERIODS[p]);
+}
+
+// Minutes after local midnight the digests are due
+function dueMinutes() {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((process.env.DIGEST_TIME || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return 7 * 60;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function weeklyDay() {
+  const index = WEEKDAYS.indexOf((process.env.DIGEST_WEEKLY_DAY || '').trim().toLowerCase());
+  return index === -1 ? 1 : index;
+}
+
+function emailRecipients() {
+  return (process.env.DIGEST_EMAIL_TO || '').split(',').map((a) => a.trim()).filter(Boolean);
+}
+
+// Channels a digest goes to: email when SMTP and recipients are set, webhook when its URL is
+function deliveryChannels() {
+  const channels = [];
+  if (mailer.mailEnabled() && emailRecipients().length) channels.push('email');
+  if (process.env.DIGEST_WEBHOOK_URL) channels.push('webhook');
+  return channels;
+}
+
+function reportUrl(id) {
+  return `${process.env.APP_URL || 'http://localhost:3456'}/#/reports?id=${encodeURIComponent(id)}`;
+}
+
+// ---------- Periods ----------
+
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(day, n) {
+  const date = new Date(`${day}T00:00:00`);
+  date.setDate(date.getDate() + n);
+  return localDate(date);
+}
+
+/**
+ * The period a digest written on `reportDate` covers, and the one before it.
+ */
+function periodRanges(period, reportDate) {
+  const { days } = PERIODS[period];
+  const until = addDays(reportDate, -1);
+  const since = addDays(until, -(days - 1));
+  const previousUntil = addDays(since, -1);
+  return {
+    range: { since, until },
+    previous_range: { since: addDays(previousUntil, -(days - 1)), until: previousUntil },
+  };
+}
+
+// ---------- Gathering ----------
+
+function kpis(insights) {
+  const row = insights?.data?.[0];
+  if (!row) return null;
+  const metrics = rowMetrics(row);
+  return Object.fromEntries(Object.keys(KPIS).map((k) => [k, metrics[k] ?? null]));
+}
+
+// Percent change per metric; null where either period has no value (a
+// metric that can't be worked out, like ROAS without spend, isn't a drop to 0)
+function changes(current, previous) {
+  return Object.fromEntries(Object.keys(KPIS).map((k) => {
+    const now = current?.[k];
+    const before = previous?.[k];
+    if (now === null || now === undefined || !before) return [k, null];
+    return [k, Math.round(((now - before) / Math.abs(before)) * 1000) / 10];
+  }));
+}
+
+async function gather(range, previousRange) {
+  const [account, campaigns] = await Promise.all([
+    metaApi.getAdAccount(),
+    metaApi.listCampaigns(null, { all: true, limit: 100 }),
+  ]);
+  const ids = (campaigns.data || []).map((c) => c.id);
+  const [accountNow, accountBefore, byIdNow, byIdBefore] = await Promise.all([
+    metaApi.getAccountInsights({ time_range: range }),
+    metaApi.getAccountInsights({ time_range: previousRange }),
+    ids.length ? metaApi.getCampaignInsightsBatch(ids, { time_range: range }) : {},
+    ids.length ? metaApi.getCampaignInsightsBatch(ids, { time_range: previousRange }) : {},
+  ]);
+
+  const current = kpis(accountNow);
+  const previous = kpis(accountBefore);
+  const rows = (campaigns.data || [])
+    .map((c) => {
+      const now = kpis(byIdNow[c.id]);
+      const before = kpis(byIdBefore[c.id]);
+      return {
+        id: c.id,
+        name: c.name,
+        status: c.status,
+        daily_budget: c.daily_budget || null,
+        lifetime_budget: c.lifetime_budget || null,
+        current: now,
+        previous: before,
+        change: changes(now, before),
+        error: byIdNow[c.id]?.error || byIdBefore[c.id]?.error || undefined,
+      };
+    })
+    // Campaigns that spent in either period, or are running now
+    .filter((c) => c.status === 'ACTIVE' || c.current?.spend || c.previous?.spend)
+    .sort((a, b) => (b.current?.spend || 0) - (a.current?.spend || 0));
+
+  return {
+    currency: (account.currency || 'USD').toUpperCase(),
+    account_name: account.name || null,
+    account: { current, previous, change: changes(current, previous) },
+    campaigns: rows,
+    campaignList: campaigns,
+  };
+}
+
+// ---------- Digests ----------
+
+function summary(digest) {
+  const { assessment, campaigns, ...rest } = digest;
+  return { ...rest, campaign_count: (campaigns || []).length };
+}
+
+function listDigests({ period = null, limit = 100 } = {}) {
+  return store.listJson('digests')
+    .filter((d) => !period || d.period === period)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit)
+    .map(summary);
+}
+
+function file(id) {
+  if (!/^[0-9a-f-]{36}$/.test(String(id))) return null;
+  return `digests/${id}.json`;
+}
+
+function getDigest(id) {
+  const digest = file(id) && store.readJson(file(id));
+  if (!digest) throw httpError('Digest not found', 404);
+  return digest;
+}
+
+function deleteDigest(id) {
+  getDigest(id);
+  return store.removeJson(file(id));
+}
+
+/**
+ * Write a digest now. period: daily | weekly; reportDate (YYYY-MM-DD,
+ * default today) is the day it is written for. With `deliver`, it is also
+ * sent to the configured channels. Failures to read Meta are stored on the
+ * digest (status "failed") rather than thrown.
+ */
+async function generateDigest(period, { reportDate = null, trigger = 'manual', user = null, deliver = false } = {}) {
+  if (!PERIODS[period]) throw httpError(`period must be one of ${Object.keys(PERIODS).join(', ')}`, 400);
+  if (reportDate && !/^\d{4}-\d{2}-\d{2}$/.test(reportDate)) throw httpError('report_date must be YYYY-MM-DD', 400);
+  const day = reportDate || localDate(new Date());
+  const { range, previous_range: previousRange } = periodRanges(period, day);
+
+  const digest = {
+    id: crypto.randomUUID(),
+    period,
+    report_date: day,
+    trigger,
+    requested_by: user,
+    range,
+    previous_range: previousRange,
+    currency: null,
+    account_name: null,
+    account: null,
+    campaigns: [],
+    assessment: null,
+    assessment_error: null,
+    usage: null,
+    deliveries: [],
+    status: 'ready',
+    error: null,
+    created_at: new Date().toISOString(),
+  };
+
+  try {
+    const { campaignList, ...data } = await gather(range, previousRange);
+    Object.assign(digest, data);
+
+    try {
+      const storeData = await shopifyApi.getStoreSummary().catch(() => null);
+      const response = await claudeAi.assessPerformance(
+        storeData,
+        campaignList,
+        { account: digest.account, campaigns: digest.campaigns, currency: digest.currency },
+        { route: `digest:${period}` },
+        { label: period, range, previous_range: previousRange },
+      );
+      digest.assessment = response.content;
+      digest.usage = response.usage || null;
+    } catch (err) {
+      digest.assessment_error = err.message;
+    }
+  } catch (err) {
+    digest.status = 'failed';
+    digest.error = err.message;
+  }
+
+  store.writeJson(file(digest.id), digest);
+  if (deliver && digest.status === 'ready') return deliverDigest(digest.id);
+  return digest;
+}
+
+// ---------- Delivery ----------
+
+function formatKpi(key, value, currency) {
+  if (value === null || value === undefined) return '—';
+  if (MONEY_KPIS.includes(key)) return `${value.toFixed(2)} ${currency}`;
+  if (key === 'ctr') return `${value.toFixed(2)}%`;
+  if (key === 'roas') return value.toFixed(2);
+  return value.toLocaleString('en-US');
+}
+
+function formatChange(change) {
+  if (change === null || change === undefined) return '';
+  return ` (${change > 0 ? '+' : ''}${change}%)`;
+}
+
+function span(range) {
+  return range.since === range.until ? range.since : `${range.since} – ${range.until}`;
+}
+
+function title(digest) {
+  return `${PERIODS[digest.period].label} ad performance: ${span(digest.range)}${digest.account_name ? ` · ${digest.account_name}` : ''}`;
+}
+
+// Plain-text version: the email's text part and the webhook's `text`
+function digestText(digest) {
+  const { account, currency } = digest;
+  const lines = [title(digest), `Compared with ${span(digest.previous_range)}`, ''];
+  for (const key of Object.keys(KPIS)) {
+    lines.push(`${KPIS[key]}: ${formatKpi(key, account?.current?.[key], currency)}${formatChange(account?.change?.[key])}`);
+  }
+  const top = digest.campaigns.filter((c) => c.current?.spend).slice(0, 5);
+  if (top.length) {
+    lines.push('', 'Top campaigns by spend:');
+    for (const c of top) {
+      lines.push(`- ${c.name}: ${formatKpi('spend', c.current.spend, currency)}${formatChange(c.change.spend)}, ROAS ${formatKpi('roas', c.current.roas, currency)}`);
+    }
+  }
+  lines.push('', digest.assessment || `(No assessment: ${digest.assessment_error || 'not written'})`);
+  lines.push('', `Open in the app: ${reportUrl(digest.id)}`);
+  return lines.join('\n');
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function digestHtml(digest) {
+  const { account, currency } = digest;
+  const cell = 'style="padding:4px 12px;border-bottom:1px solid #eee;text-align:right"';
+  const kpiRows = Object.keys(KPIS).map((key) => `<tr><td style="padding:4px 12px;border-bottom:1px solid #eee">${KPIS[key]}</td>`
+    + `<td ${cell}>${escapeHtml(formatKpi(key, account?.current?.[key], currency))}</td>`
+    + `<td ${cell}>${escapeHtml(formatKpi(key, account?.previous?.[key], currency))}</td>`
+    + `<td ${cell}>${escapeHtml(formatChange(account?.change?.[key]).trim())}</td></tr>`).join('');
+  const campaignRows = digest.campaigns.slice(0, 10).map((c) => `<tr><td style="padding:4px 12px;border-bottom:1px solid #eee">${escapeHtml(c.name)}</td>`
+    + `<td ${cell}>${escapeHtml(formatKpi('spend', c.current?.spend, currency))}${escapeHtml(formatChange(c.change.spend))}</td>`
+    + `<td ${cell}>${escapeHtml(formatKpi('purchases', c.current?.purchases, currency))}</td>`
+    + `<td ${cell}>${escapeHtml(formatKpi('roas', c.current?.roas, currency))}</td></tr>`).join('');
+  return `<div style="font-family:sans-serif;font-size:14px;color:#222">
+<h2 style="font-size:18px">${escapeHtml(title(digest))}</h2>
+<p style="color:#666">Compared with ${span(digest.previous_range)}</p>
+<table style="border-collapse:collapse"><tr><th></th><th ${cell}>This period</th><th ${cell}>Previous</th><th ${cell}>Change</th></tr>${kpiRows}</table>
+${campaignRows ? `<h3 style="font-size:16px">Campaigns</h3><table style="border-collapse:collapse"><tr><th></th><th ${cell}>Spend</th><th ${cell}>Purchases</th><th ${cell}>ROAS</th></tr>${campaignRows}</table>` : ''}
+<h3 style="font-size:16px">Assessment</h3>
+<div style="white-space:pre-wrap">${escapeHtml(digest.assessment || `No assessment: ${digest.assessment_error || 'not written'}`)}</div>
+<p><a href="${escapeHtml(reportUrl(digest.id))}">Open the report in the app</a></p>
+</div>`;
+}
+
+async function sendEmail(digest) {
+  await mailer.sendMail({ to: emailRecipients(), subject: title(digest), text: digestText(digest), html: digestHtml(digest) });
+}
+
+async function postWebhook(digest) {
+  const body = JSON.stringify({
+    event: 'digest',
+    text: digestText(digest),
+    url: reportUrl(digest.id),
+    digest: {
+      id: digest.id,
+      period: digest.period,
+      report_date: digest.report_date,
+      range: digest.range,
+      previous_range: digest.previous_range,
+      currency: digest.currency,
+      account: digest.account,
+      campaigns: digest.campaigns,
+      assessment: digest.assessment,
+      assessment_error: digest.assessment_error,
+    },
+  });
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.DIGEST_WEBHOOK_SECRET) {
+    headers['X-Digest-Signature'] = `sha256=${crypto.createHmac('sha256', process.env.DIGEST_WEBHOOK_SECRET).update(body).digest('hex')}`;
+  }
+  const res = await fetch(process.env.DIGEST_WEBHOOK_URL, { method: 'POST', headers, body, timeout: WEBHOOK_TIMEOUT_MS });
+  if (!res.ok) throw new Error(`Webhook returned ${res.status} ${res.statusText}`);
+}
+
+/**
+ * Send a stored digest to every configured channel (or just `channels`),
+ * recording each attempt on the digest. One channel failing doesn't stop
+ * the other.
+ */
+async function deliverDigest(id, { channels = null } = {}) {
+  const digest = getDigest(id);
+  if (digest.status !== 'ready') throw httpError('Only a digest that was written can be sent', 409);
+  const targets = channels || deliveryChannels();
+  if (!targets.length) throw httpError('No delivery channel is configured: set DIGEST_EMAIL_TO with SMTP_HOST, or DIGEST_WEBHOOK_URL', 400);
+
+  const send = { email: sendEmail, webhook: postWebhook };
+  for (const channel of targets) {
+    const attempt = { channel, at: new Date().toISOString(), status: 'sent', error: null };
+    try {
+      await send[channel](digest);
+    } catch (err) {
+      attempt.status = 'failed';
+      attempt.error = err.message;
+    }
+    digest.deliveries.push(attempt);
+  }
+  store.writeJson(file(digest.id), digest);
+  return digest;
+}
+
+// ---------- Scheduler ----------
+
+let timer = null;
+let running = false;
+
+// Writes each scheduled digest that is due today and not written yet. A
+// failed one stays on the Reports page with its error and is tried again at
+// the next check, up to MAX_SCHEDULED_ATTEMPTS times a day.
+async function runScheduled(now = new Date()) {
+  if (running) return;
+  running = true;
+  try {
+    const today = localDate(now);
+    if (now.getHours() * 60 + now.getMinutes() < dueMinutes()) return;
+    for (const period of scheduledPeriods()) {
+      if (period === 'weekly' && now.getDay() !== weeklyDay()) continue;
+      const attempts = store.listJson('digests').filter((d) => d.period === period && d.report_date === today && d.trigger === 'schedule');
+      if (attempts.some((d) => d.status === 'ready') || attempts.length >= MAX_SCHEDULED_ATTEMPTS) continue;
+      try {
+        await generateDigest(period, { reportDate: today, trigger: 'schedule', deliver: deliveryChannels().length > 0 });
+      } catch (err) {
+        // Stored on the digest; the other period still runs
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Starts checking for due digests (when DIGESTS names at least one period).
+ */
+function startScheduler() {
+  if (timer || !scheduledPeriods().length) return false;
+  timer = setInterval(runScheduled, CHECK_INTERVAL_MS);
+  timer.unref();
+  runScheduled();
+  return true;
+}
+
+function schedulerStatus() {
+  const minutes = dueMinutes();
+  return {
+    periods: scheduledPeriods(),
+    running: Boolean(timer),
+    time: `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`,
+    weekly_day: WEEKDAYS[weeklyDay()],
+    channels: deliveryChannels(),
+    email_to: emailRecipients(),
+    email_configured: mailer.mailEnabled(),
+    webhook_configured: Boolean(process.env.DIGEST_WEBHOOK_URL),
+  };
+}
+
+module.exports = {
+  PERIODS,
+  KPIS,
+  periodRanges,
+  changes,
+  listDigests,
+  getDigest,
+  deleteDigest,
+  generateDigest,
+  deliverDigest,
+  digestText,
+  runScheduled,
+  startScheduler,
+  schedulerStatus,
+};
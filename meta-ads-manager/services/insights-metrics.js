@@ -0,0 +1,134 @@
+/**
+ * Insights Metrics
+ *
+ * Turns Meta's insights rows — numbers as strings, conversions buried in
+ * `actions` / `action_values` / `cost_per_action_type` arrays keyed by
+ * action_type — into named numeric metrics: purchases, add to cart,
+ * initiated checkouts, purchase value, ROAS and CPA.
+ *
+ * Used by the analytics routes, the dashboard summary, and the data sent
+ * to Claude for performance assessments.
+ */
+
+// Meta reports the same conversion under several action types (omni_*
+// rolls up pixel + app + offline). The first type present wins, so a
+// purchase is never counted twice.
+const ACTION_ALIASES = {
+  purchases: ['omni_purchase', 'purchase', 'offsite_conversion.fb_pixel_purchase', 'onsite_web_purchase'],
+  add_to_cart: ['omni_add_to_cart', 'add_to_cart', 'offsite_conversion.fb_pixel_add_to_cart', 'onsite_web_add_to_cart'],
+  initiate_checkout: ['omni_initiated_checkout', 'initiate_checkout', 'offsite_conversion.fb_pixel_initiate_checkout', 'onsite_web_initiate_checkout'],
+  link_clicks: ['link_click'],
+  landing_page_views: ['omni_landing_page_view', 'landing_page_view'],
+};
+
+const num = (v) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const round = (n, digits = 2) => (n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+const ratio = (a, b) => (b ? a / b : null);
+
+// Value of the first alias present in a Meta action list; `key` picks an attribution window column
+function actionValue(list, aliases, key = 'value') {
+  if (!Array.isArray(list)) return 0;
+  for (const type of aliases) {
+    const entry = list.find((a) => a.action_type === type);
+    if (entry && entry[key] !== undefined) return num(entry[key]);
+  }
+  return 0;
+}
+
+function conversionMetrics(row, spend, key) {
+  const purchases = actionValue(row.actions, ACTION_ALIASES.purchases, key);
+  const purchaseValue = actionValue(row.action_values, ACTION_ALIASES.purchases, key);
+  const addToCart = actionValue(row.actions, ACTION_ALIASES.add_to_cart, key);
+  const initiateCheckout = actionValue(row.actions, ACTION_ALIASES.initiate_checkout, key);
+
+  // Meta's own purchase_roas is used when action_values wasn't requested
+  const reportedRoas = key === 'value' ? actionValue(row.purchase_roas, ['omni_purchase', 'offsite_conversion.fb_pixel_purchase']) : 0;
+  const roas = purchaseValue ? ratio(purchaseValue, spend) : reportedRoas || (spend ? 0 : null);
+
+  return {
+    purchases,
+    add_to_cart: addToCart,
+    initiate_checkout: initiateCheckout,
+    purchase_value: round(purchaseValue),
+    roas: round(roas),
+    cpa: round(ratio(spend, purchases)),
+    cost_per_add_to_cart: round(ratio(spend, addToCart)),
+  };
+}
+
+/**
+ * Named numeric metrics for one insights row. Rows fetched with
+ * action_attribution_windows also get `by_window`, one set of conversion
+ * metrics per window.
+ */
+function rowMetrics(row) {
+  const spend = num(row.spend);
+  const impressions = num(row.impressions);
+  const clicks = num(row.clicks);
+  const metrics = {
+    spend: round(spend),
+    impressions,
+    reach: num(row.reach),
+    frequency: round(row.frequency !== undefined ? num(row.frequency) : ratio(impressions, num(row.reach))),
+    clicks,
+    link_clicks: actionValue(row.actions, ACTION_ALIASES.link_clicks),
+    landing_page_views: actionValue(row.actions, ACTION_ALIASES.landing_page_views),
+    ctr: round(row.ctr !== undefined ? num(row.ctr) : ratio(clicks * 100, impressions)),
+    cpc: round(row.cpc !== undefined ? num(row.cpc) : ratio(spend, clicks)),
+    cpm: round(row.cpm !== undefined ? num(row.cpm) : ratio(spend * 1000, impressions)),
+    ...conversionMetrics(row, spend, 'value'),
+  };
+
+  const windows = new Set();
+  for (const entry of [...(row.actions || []), ...(row.action_values || [])]) {
+    for (const k of Object.keys(entry)) if (/^\d+d_(click|view)$/.test(k)) windows.add(k);
+  }
+  if (windows.size) {
+    metrics.by_window = Object.fromEntries([...windows].map((w) => [w, conversionMetrics(row, spend, w)]));
+  }
+  return metrics;
+}
+
+/**
+ * Add `metrics` to every row of an insights response ({ data: [...] }),
+ * leaving Meta's raw fields in place.
+ */
+function normalizeInsights(response) {
+  if (!response || !Array.isArray(response.data)) return response;
+  return { ...response, data: response.data.map((row) => ({ ...row, metrics: rowMetrics(row) })) };
+}
+
+/**
+ * Compact per-campaign view for prompts: name, status, budget and the
+ * named metrics, instead of Meta's raw arrays.
+ */
+function summarizeForAssessment(campaigns, insightsById) {
+  return campaigns.map((c) => {
+    const insights = insightsById[c.id];
+    const row = insights?.data?.[0];
+    return {
+      id: c.id,
+      name: c.name,
+      status: c.status,
+      objective: c.objective,
+      daily_budget: c.daily_budget || null, // minor currency units, as Meta reports them
+      lifetime_budget: c.lifetime_budget || null,
+      date_start: row?.date_start || null,
+      date_stop: row?.date_stop || null,
+      metrics: row ? rowMetrics(row) : null,
+      error: insights?.error || undefined,
+    };
+  });
+}
+
+module.exports = {
+  ACTION_ALIASES,
+  rowMetrics,
+  normalizeInsights,
+  summarizeForAssessment,
+};
@@ -0,0 +1,81 @@
+/**
+ * Mailer
+ *
+ * Sends digest emails through nodemailer's SMTP transport: implicit TLS
+ * (port 465) or STARTTLS when the server offers it, one message with
+ * plain-text and HTML parts. A login is only ever sent over an encrypted
+ * connection, unless SMTP_ALLOW_INSECURE says otherwise.
+ *
+ * Optional env vars:
+ *   SMTP_HOST   — mail server; email delivery is off until set
+ *   SMTP_PORT   — default 587 (465 means implicit TLS)
+ *   SMTP_SECURE — "true" for implicit TLS on another port
+ *   SMTP_USER, SMTP_PASS — login, if the server needs one
+ *   SMTP_ALLOW_INSECURE — "true" to log in even when the connection isn't
+ *                 encrypted (the server offers no STARTTLS); off by default
+ *   SMTP_FROM   — sender address (default SMTP_USER)
+ */
+const nodemailer = require('nodemailer');
+
+const TIMEOUT_MS = 30000;
+
+function smtpConfig() {
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  return {
+    host: process.env.SMTP_HOST || null,
+    port,
+    secure: process.env.SMTP_SECURE === 'true' || port === 465,
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || '',
+    from: process.env.SMTP_FROM || process.env.SMTP_USER || null,
+    allowInsecure: process.env.SMTP_ALLOW_INSECURE === 'true',
+  };
+}
+
+function mailEnabled() {
+  const config = smtpConfig();
+  return Boolean(config.host && config.from);
+}
+
+function transport(config) {
+  return nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    // Without TLS the password would cross the network in the clear
+    requireTLS: Boolean(config.user) && !config.allowInsecure,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+    connectionTimeout: TIMEOUT_MS,
+    greetingTimeout: TIMEOUT_MS,
+    socketTimeout: TIMEOUT_MS,
+  });
+}
+
+/**
+ * Send one message: { to: [addresses], subject, text, html? }. Resolves with
+ * the server's reply to the message, throws on any refusal.
+ */
+async function sendMail({ to, subject, text, html }) {
+  const config = smtpConfig();
+  if (!config.host || !config.from) throw new Error('Email is not configured: set SMTP_HOST and SMTP_FROM (or SMTP_USER)');
+  if (!to.length) throw new Error('No recipients');
+
+  const mailer = transport(config);
+  try {
+    const info = await mailer.sendMail({ from: config.from, to, subject, text, html: html || text });
+    return info.response;
+  } catch (err) {
+    if (err.code === 'ETLS' && err.command === 'STARTTLS' && !config.secure) {
+      throw new Error('SMTP server offered no STARTTLS; not sending the login unencrypted (use port 465 or SMTP_SECURE=true, or set SMTP_ALLOW_INSECURE=true to allow it)');
+    }
+    throw err;
+  } finally {
+    mailer.close();
+  }
+}
+
+module.exports = {
+  smtpConfig,
+  mailEnabled,
+  sendMail,
+};
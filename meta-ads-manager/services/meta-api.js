@@ -7,15 +7,21 @@
  */
 const fetch = require('node-fetch');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const throttle = require('./meta-throttle');
 
-const BASE = 'https://graph.facebook.com';
+// FACEBOOK_GRAPH_URL points the client at another Graph API host, e.g. the
+// local fake in mock/graph-api.js
+function graphBase() {
+  return (process.env.FACEBOOK_GRAPH_URL || 'https://graph.facebook.com').replace(/\/+$/, '');
+}
 
 function apiVersion() {
   return process.env.FACEBOOK_API_VERSION || 'v21.0';
 }
 
 function url(endpoint) {
-  return `${BASE}/${apiVersion()}/${endpoint}`;
+  return `${graphBase()}/${apiVersion()}/${endpoint}`;
 }
 
 function headers() {
@@ -31,6 +37,59 @@ function adAccountId() {
   return raw.startsWith('act_') ? raw : `act_${raw}`;
 }
 
+// ---------- Dry run ----------
+
+// Holds the plan for the current dryRun() call; empty outside one
+const dryRunStore = new AsyncLocalStorage();
+
+// Edge name in a create endpoint -> placeholder prefix for the ID it would return
+const PLACEHOLDER_TYPES = {
+  campaigns: 'campaign',
+  adsets: 'adset',
+  adcreatives: 'creative',
+  ads: 'ad',
+  customaudiences: 'custom_audience',
+};
+
+function recordPlannedCall(plan, method, endpoint, body) {
+  const call = {
+    method,
+    endpoint,
+    path: `/${apiVersion()}/${endpoint}`,
+    body: body && method !== 'GET' ? body : null,
+  };
+  plan.calls.push(call);
+
+  const edge = endpoint.split('?')[0].split('/').pop();
+  if (method === 'POST' && endpoint.includes('/') && PLACEHOLDER_TYPES[edge]) {
+    const type = PLACEHOLDER_TYPES[edge];
+    plan.counters[type] = (plan.counters[type] || 0) + 1;
+    const id = `{{${type}_${plan.counters[type]}.id}}`;
+    call.returns = { id };
+    return { id };
+  }
+  if (method === 'GET') {
+    call.returns = { data: [] };
+    return { data: [] };
+  }
+  call.returns = { success: true };
+  return { success: true };
+}
+
+/**
+ * Run `fn` with every metaRequest it makes recorded instead of sent.
+ * The service functions build their request bodies exactly as they would
+ * for real; creates return placeholder IDs like {{campaign_1.id}} so later
+ * calls in the same plan reference them.
+ *
+ * @returns {Promise<{ result: any, calls: Array<{ method, endpoint, path, body, returns }> }>}
+ */
+async function dryRun(fn) {
+  const plan = { calls: [], counters: {} };
+  const result = await dryRunStore.run(plan, fn);
+  return { result, calls: plan.calls };
+}
+
 // ---------- Generic request helper ----------
 
 function appSecretProof() {
@@ -40,7 +99,11 @@ function appSecretProof() {
     .digest('hex');
 }
 
-async function metaRequest(method, endpoint, body = null) {
+// options.readOnly: safe to retry like a GET even though it's sent as POST (read-only batches)
+async function metaRequest(method, endpoint, body = null, options = {}) {
+  const plan = dryRunStore.getStore();
+  if (plan) return recordPlannedCall(plan, method, endpoint, body);
+
   const separator = endpoint.includes('?') ? '&' : '?';
   const fullUrl = `${url(endpoint)}${separator}access_token=${token()}&appsecret_proof=${appSecretProof()}`;
 
@@ -49,19 +112,210 @@ async function metaRequest(method, endpoint, body = null) {
     opts.body = JSON.stringify(body);
   }
 
-  const res = await fetch(fullUrl, opts);
-  const data = await res.json();
+  // Throttling and transient errors are retried with backoff (see meta-throttle.js)
+  for (let attempt = 0; ; attempt++) {
+    await throttle.waitForCapacity();
+    try {
+      return await sendRequest(fullUrl, opts);
+    } catch (err) {
+      const delay = throttle.retryDelay(err, options.readOnly ? 'GET' : method, attempt);
+      if (delay === null) {
+        err.attempts = attempt + 1;
+        throw err;
+      }
+      await throttle.sleep(delay);
+    }
+  }
+}
 
-  if (data.error) {
-    const err = new Error(data.error.message);
-    err.code = data.error.code;
-    err.type = data.error.type;
-    err.meta = data.error;
+async function sendRequest(fullUrl, opts) {
+  let res;
+  try {
+    res = await fetch(fullUrl, opts);
+  } catch (e) {
+    const err = new Error(`Graph API request failed: ${e.message}`);
+    err.network = true;
+    throw err;
+  }
+  throttle.recordUsage(res.headers);
+
+  let data;
+  try {
+    data = await res.json();
+  } catch (e) {
+    const err = new Error(`Graph API returned a non-JSON response (HTTP ${res.status})`);
+    err.status = res.status;
     throw err;
   }
+
+  if (data.error) throw graphError(data.error, res.status);
   return data;
 }
 
+function graphError(error, status) {
+  const err = new Error(error.message);
+  err.code = error.code;
+  err.type = error.type;
+  err.status = status;
+  err.meta = error;
+  return err;
+}
+
+// ---------- Batch requests ----------
+
+// Meta's limit on sub-requests per batch call
+const MAX_BATCH_SIZE = 50;
+
+// {result=<name>:$.path} — Meta's syntax for using an earlier sub-request's response
+const BATCH_REF = /\{result=([^:}]+):\$\.([^}]+)\}/g;
+
+/**
+ * Reference to a value from an earlier named sub-request in the same
+ * batchRequest() call, e.g. batchRef('campaign') -> '{result=campaign:$.id}'.
+ */
+function batchRef(name, path = 'id') {
+  return `{result=${name}:$.${path}}`;
+}
+
+function jsonPath(obj, path) {
+  return path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), obj);
+}
+
+// Substitute references to requests that have already completed (earlier chunks, or dry runs)
+function resolveRefs(value, done) {
+  if (typeof value === 'string') {
+    return value.replace(BATCH_REF, (ref, name, path) => {
+      const v = done[name] && jsonPath(done[name], path);
+      return v === undefined ? ref : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => resolveRefs(v, done));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveRefs(v, done)]));
+  }
+  return value;
+}
+
+// Batch bodies are form-encoded; objects and arrays go as JSON strings
+function formEncode(body) {
+  if (!body) return undefined;
+  return new URLSearchParams(Object.entries(body)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => [k, typeof v === 'object' ? JSON.stringify(v) : String(v)])).toString();
+}
+
+/**
+ * Send Graph API calls through the batch endpoint, up to 50 per HTTP
+ * request, in order. Each request is { method, endpoint, body?, name? };
+ * a named request's response can be used by later ones via batchRef().
+ * References across chunk boundaries are resolved client-side.
+ *
+ * Never throws for a failed sub-request: returns an array aligned with
+ * `requests` of { data } or { error } (an Error shaped like metaRequest's).
+ * In a dry run each sub-request is recorded as its own planned call.
+ */
+async function batchRequest(requests) {
+  const results = [];
+  const done = {};
+
+  if (dryRunStore.getStore()) {
+    for (const r of requests) {
+      const data = await metaRequest(r.method, resolveRefs(r.endpoint, done), resolveRefs(r.body || null, done));
+      if (r.name) done[r.name] = data;
+      results.push({ data });
+    }
+    return results;
+  }
+
+  for (let i = 0; i < requests.length; i += MAX_BATCH_SIZE) {
+    const chunk = requests.slice(i, i + MAX_BATCH_SIZE);
+    const batch = chunk.map((r) => ({
+      method: r.method,
+      relative_url: resolveRefs(r.endpoint, done),
+      body: formEncode(resolveRefs(r.body, done)),
+      name: r.name,
+      omit_response_on_success: false,
+    }));
+    const readOnly = chunk.every((r) => r.method === 'GET');
+    const responses = await metaRequest('POST', '', { batch: JSON.stringify(batch), include_headers: false }, { readOnly });
+
+    chunk.forEach((r, j) => {
+      const response = responses[j];
+      let data = null;
+      try {
+        data = response?.body ? JSON.parse(response.body) : null;
+      } catch (e) {
+        data = null;
+      }
+      if (!response || response.code >= 400 || data?.error) {
+        const error = data?.error || { message: `Batch sub-request failed (HTTP ${response?.code || 'no response'})`, code: response?.code };
+        results.push({ error: graphError(error, response?.code) });
+        return;
+      }
+      if (r.name) done[r.name] = data;
+      results.push({ data });
+    });
+  }
+  return results;
+}
+
+// ---------- Paging ----------
+
+// Upper bound when following cursors, so a huge account can't run away
+const MAX_LIST_ITEMS = 1000;
+
+function pageQuery({ limit = 25, after, before, summary, effectiveStatus } = {}) {
+  const q = new URLSearchParams({ limit: String(limit) });
+  if (after) q.set('after', after);
+  else if (before) q.set('before', before);
+  if (summary) q.set('summary', 'true');
+  if (effectiveStatus?.length) q.set('effective_status', JSON.stringify(effectiveStatus));
+  return q.toString();
+}
+
+// paging.next/previous embed our access token; keep them safe to hand to the browser
+function stripCredentials(paging) {
+  if (!paging) return paging;
+  const clean = { ...paging };
+  for (const key of ['next', 'previous']) {
+    if (!clean[key]) continue;
+    const u = new URL(clean[key]);
+    u.searchParams.delete('access_token');
+    u.searchParams.delete('appsecret_proof');
+    clean[key] = u.toString();
+  }
+  return clean;
+}
+
+/**
+ * GET a list edge. Returns one page (Meta's { data, paging, summary }) by
+ * default; with opts.all, follows `after` cursors until the edge is
+ * exhausted or opts.maxItems (default MAX_LIST_ITEMS) is reached.
+ *
+ * opts: { limit, after, before, summary, effectiveStatus, all, maxItems }. A number is
+ * accepted as the page size for older callers.
+ */
+async function listEdge(endpoint, fields, opts = {}) {
+  if (typeof opts !== 'object' || opts === null) opts = { limit: opts };
+  const limit = parseInt(opts.limit, 10) || 25;
+  const page = await metaRequest('GET', `${endpoint}?fields=${fields}&${pageQuery({ ...opts, limit })}`);
+  if (!opts.all) return { ...page, paging: stripCredentials(page.paging) };
+
+  const maxItems = opts.maxItems || MAX_LIST_ITEMS;
+  const data = [...(page.data || [])];
+  let paging = page.paging;
+  while (paging?.next && paging.cursors?.after && data.length < maxItems) {
+    const next = await metaRequest('GET', `${endpoint}?fields=${fields}&${pageQuery({ ...opts, limit, before: null, after: paging.cursors.after })}`);
+    data.push(...(next.data || []));
+    paging = next.paging;
+  }
+
+  const result = { data: data.slice(0, maxItems) };
+  if (page.summary) result.summary = page.summary;
+  result.truncated = data.length > maxItems || !!paging?.next;
+  return result;
+}
+
 // ---------- Ad Account ----------
 
 async function getAdAccount() {
@@ -74,9 +328,9 @@ async function getAdAccountPages() {
 
 // ---------- Campaigns ----------
 
-async function listCampaigns(fields, limit = 25) {
+async function listCampaigns(fields, opts) {
   const f = fields || 'id,name,objective,status,daily_budget,lifetime_budget,start_time,stop_time,created_time,updated_time';
-  return metaRequest('GET', `${adAccountId()}/campaigns?fields=${f}&limit=${limit}`);
+  return listEdge(`${adAccountId()}/campaigns`, f, opts);
 }
 
 async function getCampaign(campaignId, fields) {
@@ -84,7 +338,9 @@ async function getCampaign(campaignId, fields) {
   return metaRequest('GET', `${campaignId}?fields=${f}`);
 }
 
-async function createCampaign(params) {
+// Request builders ({ method, endpoint, body }) are shared by the create*
+// functions and batched creation (see batchRequest)
+function campaignRequest(params) {
   // Always create as PAUSED (draft) unless explicitly overridden
   const body = {
     name: params.name,
@@ -98,7 +354,12 @@ async function createCampaign(params) {
   if (params.lifetime_budget) body.lifetime_budget = params.lifetime_budget;
   if (params.bid_strategy) body.bid_strategy = params.bid_strategy;
 
-  return metaRequest('POST', `${adAccountId()}/campaigns`, body);
+  return { method: 'POST', endpoint: `${adAccountId()}/campaigns`, body };
+}
+
+async function createCampaign(params) {
+  const r = campaignRequest(params);
+  return metaRequest(r.method, r.endpoint, r.body);
 }
 
 async function updateCampaign(campaignId, params) {
@@ -111,15 +372,17 @@ async function deleteCampaign(campaignId) {
 
 // ---------- Ad Sets ----------
 
-async function listAdSets(campaignId, fields, limit = 25) {
+async function listAdSets(campaignId, fields, opts) {
   const f = fields || 'id,name,campaign_id,status,daily_budget,lifetime_budget,targeting,optimization_goal,billing_event,bid_amount,start_time,end_time';
-  const endpoint = campaignId
-    ? `${campaignId}/adsets?fields=${f}&limit=${limit}`
-    : `${adAccountId()}/adsets?fields=${f}&limit=${limit}`;
-  return metaRequest('GET', endpoint);
+  return listEdge(`${campaignId || adAccountId()}/adsets`, f, opts);
 }
 
-async function createAdSet(params) {
+async function getAdSet(adSetId, fields) {
+  const f = fields || 'id,name,campaign_id,status,daily_budget,lifetime_budget,targeting,optimization_goal,billing_event,bid_amount,start_time,end_time';
+  return metaRequest('GET', `${adSetId}?fields=${f}`);
+}
+
+function adSetRequest(params) {
   const body = {
     name: params.name,
     campaign_id: params.campaign_id,
@@ -136,35 +399,62 @@ async function createAdSet(params) {
   if (params.start_time) body.start_time = params.start_time;
   if (params.end_time) body.end_time = params.end_time;
 
-  return metaRequest('POST', `${adAccountId()}/adsets`, body);
+  return { method: 'POST', endpoint: `${adAccountId()}/adsets`, body };
+}
+
+async function createAdSet(params) {
+  const r = adSetRequest(params);
+  return metaRequest(r.method, r.endpoint, r.body);
 }
 
 async function updateAdSet(adSetId, params) {
   return metaRequest('POST', `${adSetId}`, params);
 }
 
+async function deleteAdSet(adSetId) {
+  return metaRequest('DELETE', `${adSetId}`);
+}
+
 // ---------- Ad Creatives ----------
 
-async function createAdCreative(params) {
+// Params are sent as given; callers add the UTM template first (utm.tagCreative)
+function adCreativeRequest(params) {
   const body = {
     name: params.name,
     object_story_spec: params.object_story_spec,
+    ...(params.url_tags ? { url_tags: params.url_tags } : {}),
     ...params.extra,
   };
-  return metaRequest('POST', `${adAccountId()}/adcreatives`, body);
+  return { method: 'POST', endpoint: `${adAccountId()}/adcreatives`, body };
+}
+
+async function getAdCreative(creativeId, fields) {
+  const f = fields || 'id,name,object_story_spec,url_tags';
+  return metaRequest('GET', `${creativeId}?fields=${f}`);
+}
+
+async function createAdCreative(params) {
+  const r = adCreativeRequest(params);
+  return metaRequest(r.method, r.endpoint, r.body);
+}
+
+async function deleteAdCreative(creativeId) {
+  return metaRequest('DELETE', `${creativeId}`);
 }
 
 // ---------- Ads ----------
 
-async function listAds(adSetId, fields, limit = 25) {
+async function listAds(adSetId, fields, opts) {
   const f = fields || 'id,name,adset_id,campaign_id,status,creative,created_time,updated_time';
-  const endpoint = adSetId
-    ? `${adSetId}/ads?fields=${f}&limit=${limit}`
-    : `${adAccountId()}/ads?fields=${f}&limit=${limit}`;
-  return metaRequest('GET', endpoint);
+  return listEdge(`${adSetId || adAccountId()}/ads`, f, opts);
 }
 
-async function createAd(params) {
+async function getAd(adId, fields) {
+  const f = fields || 'id,name,adset_id,campaign_id,status,creative';
+  return metaRequest('GET', `${adId}?fields=${f}`);
+}
+
+function adRequest(params) {
   const body = {
     name: params.name,
     adset_id: params.adset_id,
@@ -172,37 +462,131 @@ async function createAd(params) {
     status: params.status || 'PAUSED',
     ...params.extra,
   };
-  return metaRequest('POST', `${adAccountId()}/ads`, body);
+  return { method: 'POST', endpoint: `${adAccountId()}/ads`, body };
+}
+
+async function createAd(params) {
+  const r = adRequest(params);
+  return metaRequest(r.method, r.endpoint, r.body);
 }
 
 async function updateAd(adId, params) {
   return metaRequest('POST', `${adId}`, params);
 }
 
+async function deleteAd(adId) {
+  return metaRequest('DELETE', `${adId}`);
+}
+
 // ---------- Insights / Analytics ----------
 
+const INSIGHTS_FIELDS = 'impressions,clicks,spend,cpc,cpm,ctr,reach,frequency,actions,action_values,purchase_roas,cost_per_action_type';
+
+// Breakdowns the analytics routes expose (Meta supports more)
+const INSIGHTS_BREAKDOWNS = ['age', 'gender', 'publisher_platform', 'platform_position', 'region'];
+const ATTRIBUTION_WINDOWS = ['1d_click', '7d_click', '28d_click', '1d_view', '7d_view', '28d_view'];
+
+const toList = (v) => (Array.isArray(v) ? v : String(v).split(',')).map((x) => String(x).trim()).filter(Boolean);
+
+/**
+ * Query string for an insights call.
+ *
+ * params: {
+ *   fields, date_preset (default last_30d),
+ *   time_range: { since, until } (YYYY-MM-DD, overrides date_preset),
+ *   time_increment: 1 (daily) .. 90, 'monthly' or 'all_days',
+ *   breakdowns: ['age', 'gender', ...], action_attribution_windows: ['7d_click', ...],
+ * }
+ */
+function insightsQuery(params = {}, defaultFields = INSIGHTS_FIELDS) {
+  const q = new URLSearchParams({ fields: params.fields || defaultFields });
+  if (params.time_range) q.set('time_range', JSON.stringify({ since: params.time_range.since, until: params.time_range.until }));
+  else q.set('date_preset', params.date_preset || 'last_30d');
+  if (params.time_increment) q.set('time_increment', String(params.time_increment));
+  if (params.breakdowns?.length) q.set('breakdowns', toList(params.breakdowns).join(','));
+  if (params.action_attribution_windows?.length) {
+    q.set('action_attribution_windows', JSON.stringify(toList(params.action_attribution_windows)));
+  }
+  if (params.time_increment || params.breakdowns?.length) q.set('limit', '500');
+  return q.toString();
+}
+
+/**
+ * Problems with user-supplied insights params, as messages ([] when fine).
+ * Mirrors the combinations Meta itself rejects so routes can 400 early.
+ */
+function validateInsightsParams(params = {}) {
+  const errors = [];
+  const day = /^\d{4}-\d{2}-\d{2}$/;
+  if (params.time_range) {
+    const { since, until } = params.time_range;
+    if (!day.test(since || '') || !day.test(until || '')) errors.push('time_range needs since and until as YYYY-MM-DD');
+    else if (since > until) errors.push('time_range.since must be on or before until');
+  }
+  const inc = params.time_increment;
+  if (inc && !['monthly', 'all_days'].includes(inc) && !(Number(inc) >= 1 && Number(inc) <= 90)) {
+    errors.push('time_increment must be 1-90, monthly or all_days');
+  }
+  const breakdowns = params.breakdowns ? toList(params.breakdowns) : [];
+  for (const b of breakdowns) {
+    if (!INSIGHTS_BREAKDOWNS.includes(b)) errors.push(`unsupported breakdown "${b}" (use ${INSIGHTS_BREAKDOWNS.join(', ')})`);
+  }
+  if (breakdowns.includes('platform_position') && !breakdowns.includes('publisher_platform')) {
+    errors.push('platform_position must be combined with publisher_platform');
+  }
+  if (breakdowns.includes('region') && breakdowns.length > 1) errors.push('region cannot be combined with other breakdowns');
+  for (const w of params.action_attribution_windows ? toList(params.action_attribution_windows) : []) {
+    if (!ATTRIBUTION_WINDOWS.includes(w)) errors.push(`unsupported attribution window "${w}" (use ${ATTRIBUTION_WINDOWS.join(', ')})`);
+  }
+  return errors;
+}
+
+// Time series and breakdowns come back one row per day/segment, so follow the cursors
+async function getInsights(nodeId, params, defaultFields) {
+  const endpoint = `${nodeId}/insights?${insightsQuery(params, defaultFields)}`;
+  const first = await metaRequest('GET', endpoint);
+  if (!first.paging?.next || !first.paging.cursors?.after) return first;
+
+  const data = [...(first.data || [])];
+  let paging = first.paging;
+  while (paging?.next && paging.cursors?.after && data.length < MAX_LIST_ITEMS) {
+    const next = await metaRequest('GET', `${endpoint}&after=${encodeURIComponent(paging.cursors.after)}`);
+    data.push(...(next.data || []));
+    paging = next.paging;
+  }
+  return { data };
+}
+
 async function getCampaignInsights(campaignId, params = {}) {
-  const fields = params.fields || 'impressions,clicks,spend,cpc,cpm,ctr,reach,frequency,actions,cost_per_action_type';
-  const datePreset = params.date_preset || 'last_30d';
-  return metaRequest('GET', `${campaignId}/insights?fields=${fields}&date_preset=${datePreset}`);
+  return getInsights(campaignId, params);
+}
+
+/**
+ * Insights for many campaigns, ad sets or ads in as few HTTP calls as possible.
+ * Returns { [id]: insightsResponse | { error } }.
+ */
+async function getInsightsBatch(nodeIds, params = {}) {
+  const results = await batchRequest(nodeIds.map((id) => ({
+    method: 'GET',
+    endpoint: `${id}/insights?${insightsQuery(params)}`,
+  })));
+  return Object.fromEntries(nodeIds.map((id, i) => [id, results[i]?.data || { error: results[i]?.error?.message || 'No data returned' }]));
+}
+
+async function getCampaignInsightsBatch(campaignIds, params = {}) {
+  return getInsightsBatch(campaignIds, params);
 }
 
 async function getAdSetInsights(adSetId, params = {}) {
-  const fields = params.fields || 'impressions,clicks,spend,cpc,cpm,ctr,reach,frequency,actions,cost_per_action_type';
-  const datePreset = params.date_preset || 'last_30d';
-  return metaRequest('GET', `${adSetId}/insights?fields=${fields}&date_preset=${datePreset}`);
+  return getInsights(adSetId, params);
 }
 
 async function getAdInsights(adId, params = {}) {
-  const fields = params.fields || 'impressions,clicks,spend,cpc,cpm,ctr,reach,frequency,actions,cost_per_action_type';
-  const datePreset = params.date_preset || 'last_30d';
-  return metaRequest('GET', `${adId}/insights?fields=${fields}&date_preset=${datePreset}`);
+  return getInsights(adId, params);
 }
 
 async function getAccountInsights(params = {}) {
-  const fields = params.fields || 'impressions,clicks,spend,cpc,cpm,ctr,reach,frequency,actions';
-  const datePreset = params.date_preset || 'last_30d';
-  return metaRequest('GET', `${adAccountId()}/insights?fields=${fields}&date_preset=${datePreset}`);
+  return getInsights(adAccountId(), params, 'impressions,clicks,spend,cpc,cpm,ctr,reach,frequency,actions,action_values,purchase_roas');
 }
 
 // ---------- Activate (publish) ----------
@@ -232,7 +616,7 @@ async function exchangeCodeForToken(code, redirectUri) {
     redirect_uri: redirectUri,
     code,
   });
-  const res = await fetch(`${BASE}/${apiVersion()}/oauth/access_token?${params}`);
+  const res = await fetch(`${graphBase()}/${apiVersion()}/oauth/access_token?${params}`);
   return res.json();
 }
 
@@ -243,20 +627,54 @@ async function getLongLivedToken(shortToken) {
     client_secret: process.env.FACEBOOK_APP_SECRET,
     fb_exchange_token: shortToken,
   });
-  const res = await fetch(`${BASE}/${apiVersion()}/oauth/access_token?${params}`);
+  const res = await fetch(`${graphBase()}/${apiVersion()}/oauth/access_token?${params}`);
   return res.json();
 }
 
 async function getTokenInfo() {
-  const res = await fetch(`${BASE}/debug_token?input_token=${token()}&access_token=${process.env.FACEBOOK_APP_ID}|${process.env.FACEBOOK_APP_SECRET}`);
+  const res = await fetch(`${graphBase()}/debug_token?input_token=${token()}&access_token=${process.env.FACEBOOK_APP_ID}|${process.env.FACEBOOK_APP_SECRET}`);
   return res.json();
 }
 
 // ---------- Custom Audiences ----------
 
-async function listCustomAudiences(fields, limit = 25) {
+async function listCustomAudiences(fields, opts) {
   const f = fields || 'id,name,description,approximate_count,subtype';
-  return metaRequest('GET', `${adAccountId()}/customaudiences?fields=${f}&limit=${limit}`);
+  return listEdge(`${adAccountId()}/customaudiences`, f, opts);
+}
+
+async function getCustomAudience(audienceId, fields) {
+  const f = fields || 'id,name,description,approximate_count,subtype,operation_status';
+  return metaRequest('GET', `${audienceId}?fields=${f}`);
+}
+
+// A customer-list audience, filled afterwards with hashed identifiers
+async function createCustomAudience({ name, description }) {
+  return metaRequest('POST', `${adAccountId()}/customaudiences`, {
+    name,
+    description: description || undefined,
+    subtype: 'CUSTOM',
+    customer_file_source: 'USER_PROVIDED_ONLY',
+  });
+}
+
+async function updateCustomAudience(audienceId, params) {
+  return metaRequest('POST', audienceId, params);
+}
+
+async function deleteCustomAudience(audienceId) {
+  return metaRequest('DELETE', audienceId);
+}
+
+/**
+ * Upload one batch of hashed identifiers. payload: { schema: ['EMAIL', 'PHONE'],
+ * data: [[hash, hash], ...] }; session: { session_id, batch_seq,
+ * last_batch_flag, estimated_num_total }. With `replace`, the batches of the
+ * session together replace everyone in the audience (usersreplace) instead
+ * of adding to it.
+ */
+async function uploadCustomAudienceUsers(audienceId, payload, session, { replace = false } = {}) {
+  return metaRequest('POST', `${audienceId}/${replace ? 'usersreplace' : 'users'}`, { payload, session });
 }
 
 // ---------- Targeting search ----------
@@ -272,24 +690,43 @@ async function getTargetingSuggestions(interestList) {
 }
 
 module.exports = {
+  dryRun,
+  batchRequest,
+  batchRef,
+  getUsage: throttle.getUsage,
   getAdAccount,
   getAdAccountPages,
   listCampaigns,
   getCampaign,
   createCampaign,
+  campaignRequest,
   updateCampaign,
   deleteCampaign,
   listAdSets,
+  getAdSet,
   createAdSet,
+  adSetRequest,
   updateAdSet,
+  deleteAdSet,
   listAds,
+  getAd,
   createAd,
+  adRequest,
   updateAd,
+  deleteAd,
+  getAdCreative,
   createAdCreative,
+  adCreativeRequest,
+  deleteAdCreative,
   getCampaignInsights,
+  getCampaignInsightsBatch,
+  getInsightsBatch,
   getAdSetInsights,
   getAdInsights,
   getAccountInsights,
+  validateInsightsParams,
+  INSIGHTS_BREAKDOWNS,
+  ATTRIBUTION_WINDOWS,
   activateCampaign,
   pauseCampaign,
   activateAdSet,
@@ -298,6 +735,11 @@ module.exports = {
   getLongLivedToken,
   getTokenInfo,
   listCustomAudiences,
+  getCustomAudience,
+  createCustomAudience,
+  updateCustomAudience,
+  deleteCustomAudience,
+  uploadCustomAudienceUsers,
   searchTargeting,
   getTargetingSuggestions,
 };
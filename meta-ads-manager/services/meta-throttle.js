@@ -0,0 +1,205 @@
+/**
+ * Meta API Rate Limiting
+ *
+ * Tracks the usage Meta reports on every Graph API response
+ * (X-App-Usage, X-Business-Use-Case-Usage, X-Ad-Account-Usage), holds
+ * requests back when the app is close to being throttled, and decides
+ * whether a failed request is worth retrying and after how long.
+ *
+ * Used by metaRequest() in meta-api.js; getUsage() backs
+ * GET /api/auth/meta/usage.
+ *
+ * Optional env vars:
+ *   META_MAX_RETRIES   — retries per request for transient errors (default 4)
+ *   META_THROTTLE_AT   — usage % at which requests start being spaced out (default 75)
+ */
+
+// Usage at or above this % holds requests until Meta says access is regained
+const PAUSE_AT = 95;
+// Longest we'll wait for a single hold or retry; beyond this the error is returned
+const MAX_WAIT_MS = 60000;
+// Hold used when Meta doesn't say how long to wait
+const DEFAULT_HOLD_MS = 30000;
+// Spacing between requests at PAUSE_AT, scaled down linearly to 0 at META_THROTTLE_AT
+const MAX_SPACING_MS = 2000;
+// Headers older than this no longer describe current usage
+const USAGE_TTL_MS = 5 * 60 * 1000;
+const BACKOFF_BASE_MS = 1000;
+
+// Throttling codes: the request was rejected before doing anything, so any method can retry
+const RATE_LIMIT_CODES = new Set([4, 17, 32, 341, 613]);
+// Temporary server-side errors: only safe to retry for reads
+const TRANSIENT_CODES = new Set([1, 2]);
+
+const state = {
+  app: null,
+  business: null,
+  adAccount: null,
+  updatedAt: 0,
+  heldUntil: 0,
+  queued: 0,
+  retries: 0,
+  lastThrottle: null,
+};
+
+let queue = Promise.resolve();
+
+function maxRetries() {
+  return parseInt(process.env.META_MAX_RETRIES, 10) || 4;
+}
+
+function throttleAt() {
+  return parseFloat(process.env.META_THROTTLE_AT) || 75;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseHeader(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+// ---------- Usage ----------
+
+/**
+ * Record the usage headers from a Graph API response (node-fetch Headers).
+ */
+function recordUsage(headers) {
+  const app = parseHeader(headers.get('x-app-usage'));
+  const business = parseHeader(headers.get('x-business-use-case-usage'));
+  const adAccount = parseHeader(headers.get('x-ad-account-usage'));
+  if (!app && !business && !adAccount) return;
+
+  if (app) state.app = app;
+  if (business) state.business = business;
+  if (adAccount) state.adAccount = adAccount;
+  state.updatedAt = Date.now();
+}
+
+// Highest utilisation % across every counter Meta reported
+function peakUsage() {
+  const values = [];
+  if (state.app) values.push(state.app.call_count, state.app.total_cputime, state.app.total_time);
+  for (const entries of Object.values(state.business || {})) {
+    for (const e of entries) values.push(e.call_count, e.total_cputime, e.total_time);
+  }
+  if (state.adAccount) values.push(state.adAccount.acc_id_util_pct);
+  return Math.max(0, ...values.filter((v) => typeof v === 'number'));
+}
+
+// How long Meta says until access is regained, in ms (0 if unknown)
+function regainMs() {
+  let ms = 0;
+  for (const entries of Object.values(state.business || {})) {
+    for (const e of entries) ms = Math.max(ms, (e.estimated_time_to_regain_access || 0) * 60000);
+  }
+  if (state.adAccount?.reset_time_duration) ms = Math.max(ms, state.adAccount.reset_time_duration * 1000);
+  return ms;
+}
+
+function usageStatus() {
+  if (Date.now() < state.heldUntil) return 'paused';
+  if (!state.updatedAt || Date.now() - state.updatedAt > USAGE_TTL_MS) return 'ok';
+  const pct = peakUsage();
+  if (pct >= PAUSE_AT) return 'paused';
+  if (pct >= throttleAt()) return 'slowing';
+  return 'ok';
+}
+
+function getUsage() {
+  return {
+    status: usageStatus(),
+    peak_pct: peakUsage(),
+    app: state.app,
+    business_use_case: state.business,
+    ad_account: state.adAccount,
+    updated_at: state.updatedAt ? new Date(state.updatedAt).toISOString() : null,
+    held_until: state.heldUntil > Date.now() ? new Date(state.heldUntil).toISOString() : null,
+    queued: state.queued,
+    retries: state.retries,
+    last_throttle: state.lastThrottle,
+    thresholds: { slow_at: throttleAt(), pause_at: PAUSE_AT },
+  };
+}
+
+// ---------- Queueing ----------
+
+function throttleDelay() {
+  const now = Date.now();
+  if (now < state.heldUntil) return state.heldUntil - now;
+  // Nothing fresh since the last hold ended: let a request through to get new headers
+  if (state.updatedAt < state.heldUntil || now - state.updatedAt > USAGE_TTL_MS) return 0;
+
+  const pct = peakUsage();
+  if (pct >= PAUSE_AT) {
+    const wait = Math.min(regainMs() || DEFAULT_HOLD_MS, MAX_WAIT_MS);
+    state.heldUntil = now + wait;
+    return wait;
+  }
+  if (pct >= throttleAt()) {
+    return Math.round(((pct - throttleAt()) / (PAUSE_AT - throttleAt())) * MAX_SPACING_MS);
+  }
+  return 0;
+}
+
+/**
+ * Resolves when it's this request's turn. Near the limits, requests run
+ * one at a time, spaced out (or held) according to the last reported usage.
+ */
+async function waitForCapacity() {
+  if (!throttleDelay()) return;
+  state.queued++;
+  const turn = queue.then(() => sleep(throttleDelay()));
+  queue = turn;
+  try {
+    await turn;
+  } finally {
+    state.queued--;
+  }
+}
+
+// ---------- Retry policy ----------
+
+function isRateLimit(err) {
+  const code = err.code;
+  return RATE_LIMIT_CODES.has(code) || (code >= 80000 && code <= 80014);
+}
+
+/**
+ * Delay in ms before retrying a failed request, or null if it shouldn't
+ * be retried. Non-GET requests only retry when Meta rejected them for
+ * throttling, since any other failure may have already been applied.
+ */
+function retryDelay(err, method, attempt) {
+  if (attempt >= maxRetries()) return null;
+
+  const rateLimited = isRateLimit(err);
+  const transient = TRANSIENT_CODES.has(err.code) || err.meta?.is_transient || err.network || err.status >= 500;
+  if (!rateLimited && !(transient && method === 'GET')) return null;
+
+  if (rateLimited) {
+    state.lastThrottle = { code: err.code, message: err.message, at: new Date().toISOString() };
+  }
+
+  // Exponential backoff with jitter, or Meta's own estimate when it gives one
+  const backoff = BACKOFF_BASE_MS * 2 ** attempt;
+  const delay = Math.max(rateLimited ? regainMs() : 0, backoff / 2 + Math.random() * backoff / 2);
+  if (delay > MAX_WAIT_MS) return null;
+
+  state.retries++;
+  return Math.round(delay);
+}
+
+module.exports = {
+  recordUsage,
+  getUsage,
+  waitForCapacity,
+  retryDelay,
+  sleep,
+};
@@ -0,0 +1,28 @@
+/**
+ * Request User
+ *
+ * Who is acting on a request. The dashboard has no logins: each browser
+ * keeps the name its user entered and sends it as the X-User-Name header
+ * (URI-encoded). It tells colleagues apart for approvals and the record of
+ * who did what; it is not authentication.
+ */
+
+const MAX_LENGTH = 80;
+
+/**
+ * The request's user name, or null when none was sent.
+ */
+function requestUser(req) {
+  let name = req.get('X-User-Name') || '';
+  try {
+    name = decodeURIComponent(name);
+  } catch (e) {
+    // Not encoded; use it as sent
+  }
+  name = name.replace(/\s+/g, ' ').trim().slice(0, MAX_LENGTH);
+  return name || null;
+}
+
+module.exports = {
+  requestUser,
+};
@@ -0,0 +1,484 @@
+/**
+ * Automated Rules
+ *
+ * User-defined rules (data/rules/<id>.json) such as "pause ads with frequency
+ * > 4 and CTR < 0.8% over the last 3 days" or "raise the budget 15% when ROAS
+ * > 4". A local scheduler evaluates every enabled rule against insights for
+ * the active campaigns, ad sets or ads at its level; objects matching all its
+ * conditions get the rule's action through the Meta service, the spend
+ * guardrails and the audit log like any other change. A rule in dry-run mode
+ * only records what it would have done. After acting on an object a rule
+ * leaves it alone for its cooldown. Every match outside its cooldown is
+ * appended to the rule's history (data/rule-history.jsonl).
+ *
+ * Optional env vars:
+ *   RULES_SCHEDULER        — "off" to only run rules by hand
+ *   RULES_INTERVAL_MINUTES — how often enabled rules run (default 60)
+ */
+const crypto = require('crypto');
+const store = require('./data-store');
+const metaApi = require('./meta-api');
+const spendGuard = require('./spend-guard');
+const auditLog = require('./audit-log');
+const { rowMetrics } = require('./insights-metrics');
+const { ZERO_DECIMAL_CURRENCIES, formatMinor } = require('./spec-validator');
+
+const HISTORY_FILE = 'rule-history.jsonl';
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_COOLDOWN_HOURS = 24;
+
+const LEVELS = ['campaign', 'adset', 'ad'];
+const LABELS = { campaign: 'Campaign', adset: 'Ad set', ad: 'Ad' };
+const WINDOWS = ['today', 'yesterday', 'last_3d', 'last_7d', 'last_14d', 'last_30d'];
+const OPERATORS = ['>', '>=', '<', '<='];
+const ACTIONS = ['pause', 'change_budget'];
+
+// Metrics conditions can use, from insights-metrics rowMetrics(); money in the
+// account currency (major units), ctr in percent
+const METRICS = {
+  spend: 'Spend',
+  impressions: 'Impressions',
+  reach: 'Reach',
+  frequency: 'Frequency',
+  clicks: 'Clicks',
+  link_clicks: 'Link clicks',
+  ctr: 'CTR (%)',
+  cpc: 'CPC',
+  cpm: 'CPM',
+  purchases: 'Purchases',
+  purchase_value: 'Purchase value',
+  roas: 'ROAS',
+  cpa: 'Cost per purchase',
+};
+
+const OBJECT_FIELDS = {
+  campaign: 'id,name,status,daily_budget,lifetime_budget',
+  adset: 'id,name,campaign_id,status,daily_budget,lifetime_budget',
+  ad: 'id,name,campaign_id,adset_id,status',
+};
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function schedulerEnabled() {
+  const value = (process.env.RULES_SCHEDULER || '').trim().toLowerCase();
+  return !['off', 'false', '0', 'none'].includes(value);
+}
+
+function intervalMinutes() {
+  const value = parseFloat(process.env.RULES_INTERVAL_MINUTES);
+  return Number.isFinite(value) && value >= 1 ? value : DEFAULT_INTERVAL_MINUTES;
+}
+
+// ---------- Definitions ----------
+
+/**
+ * Problems with a rule definition, as messages ([] when fine).
+ */
+function validateRule(rule) {
+  const errors = [];
+  if (typeof rule.name !== 'string' || !rule.name.trim()) errors.push('name is required');
+  if (!LEVELS.includes(rule.level)) errors.push(`level must be one of ${LEVELS.join(', ')}`);
+  if (!WINDOWS.includes(rule.date_preset)) errors.push(`date_preset must be one of ${WINDOWS.join(', ')}`);
+  if (!Array.isArray(rule.campaign_ids) || rule.campaign_ids.some((id) => !/^\d+$/.test(String(id)))) {
+    errors.push('campaign_ids must be a list of numeric campaign IDs (empty for all campaigns)');
+  }
+
+  if (!Array.isArray(rule.conditions) || !rule.conditions.length) {
+    errors.push('conditions needs at least one { metric, op, value }');
+  } else {
+    rule.conditions.forEach((c, i) => {
+      if (!METRICS[c?.metric]) errors.push(`conditions[${i}].metric must be one of ${Object.keys(METRICS).join(', ')}`);
+      if (!OPERATORS.includes(c?.op)) errors.push(`conditions[${i}].op must be one of ${OPERATORS.join(' ')}`);
+      if (typeof c?.value !== 'number' || !Number.isFinite(c.value)) errors.push(`conditions[${i}].value must be a number`);
+    });
+  }
+
+  const action = rule.action || {};
+  if (!ACTIONS.includes(action.type)) {
+    errors.push(`action.type must be one of ${ACTIONS.join(', ')}`);
+  } else if (action.type === 'change_budget') {
+    if (rule.level === 'ad') errors.push('Ads have no budget; change_budget works on campaigns and ad sets');
+    if (typeof action.percent !== 'number' || !action.percent || action.percent <= -100 || action.percent > 500) {
+      errors.push('action.percent must be a non-zero number above -100 and at most 500 (negative lowers the budget)');
+    }
+    if (action.limit !== undefined && action.limit !== null && !(typeof action.limit === 'number' && action.limit > 0)) {
+      errors.push('action.limit must be a positive amount: the highest budget a raise may reach, or the lowest a cut may reach');
+    }
+  }
+
+  if (typeof rule.cooldown_hours !== 'number' || rule.cooldown_hours < 0) errors.push('cooldown_hours must be 0 or more');
+  return errors;
+}
+
+// The editable fields of a rule from a request body, over `current` for updates
+function ruleFields(input, current = {}) {
+  const pickIn = (key, fallback) => (input[key] !== undefined ? input[key] : current[key] ?? fallback);
+  const action = pickIn('action', {}) || {};
+  const campaignIds = pickIn('campaign_ids', []) || [];
+  return {
+    name: typeof pickIn('name') === 'string' ? pickIn('name').trim() : pickIn('name'),
+    enabled: pickIn('enabled', true) !== false,
+    dry_run: pickIn('dry_run', false) === true,
+    level: pickIn('level'),
+    campaign_ids: Array.isArray(campaignIds) ? campaignIds.map(String) : campaignIds,
+    date_preset: pickIn('date_preset', 'last_7d'),
+    conditions: pickIn('conditions', []),
+    action: {
+      type: action.type,
+      ...(action.type === 'change_budget' ? { percent: action.percent, limit: action.limit ?? null } : {}),
+    },
+    cooldown_hours: pickIn('cooldown_hours', DEFAULT_COOLDOWN_HOURS),
+  };
+}
+
+/**
+ * The rule in words, e.g. "Pause ad when frequency > 4 and CTR (%) < 0.8 over last 3d".
+ */
+function describeRule(rule) {
+  const what = rule.action.type === 'pause'
+    ? `Pause ${LABELS[rule.level].toLowerCase()}`
+    : `${rule.action.percent > 0 ? 'Raise' : 'Lower'} ${LABELS[rule.level].toLowerCase()} budget ${Math.abs(rule.action.percent)}%${rule.action.limit ? ` (${rule.action.percent > 0 ? 'up to' : 'down to'} ${rule.action.limit})` : ''}`;
+  const when = rule.conditions.map((c) => `${METRICS[c.metric] || c.metric} ${c.op} ${c.value}`).join(' and ');
+  return `${what} when ${when} over ${rule.date_preset.replace('_', ' ')}`;
+}
+
+// ---------- Storage ----------
+
+function file(id) {
+  if (!/^[0-9a-f-]{36}$/.test(String(id))) return null;
+  return `rules/${id}.json`;
+}
+
+function load(id) {
+  const rule = file(id) && store.readJson(file(id));
+  if (!rule) throw httpError(`Rule ${id} not found`, 404);
+  return rule;
+}
+
+function save(rule) {
+  rule.updated_at = new Date().toISOString();
+  return store.writeJson(file(rule.id), rule);
+}
+
+function withSummary(rule) {
+  return { ...rule, summary: describeRule(rule) };
+}
+
+function listRules() {
+  return store.listJson('rules')
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .map(withSummary);
+}
+
+function getRule(id) {
+  return withSummary(load(id));
+}
+
+function createRule(input, { user } = {}) {
+  const fields = ruleFields(input || {});
+  const errors = validateRule(fields);
+  if (errors.length) throw Object.assign(httpError(`Invalid rule: ${errors.join('; ')}`, 400), { errors });
+  const now = new Date().toISOString();
+  return withSummary(save({
+    id: crypto.randomUUID(),
+    ...fields,
+    created_by: user || null,
+    created_at: now,
+    updated_by: user || null,
+    last_run: null,
+  }));
+}
+
+function updateRule(id, input, { user } = {}) {
+  const rule = load(id);
+  const fields = ruleFields(input || {}, rule);
+  const errors = validateRule(fields);
+  if (errors.length) throw Object.assign(httpError(`Invalid rule: ${errors.join('; ')}`, 400), { errors });
+  return withSummary(save({ ...rule, ...fields, updated_by: user || rule.updated_by }));
+}
+
+function deleteRule(id) {
+  load(id);
+  return store.removeJson(file(id));
+}
+
+/**
+ * History entries newest first, for one rule or all of them.
+ */
+function ruleHistory(ruleId, { limit = 200 } = {}) {
+  return store.readJsonLines(HISTORY_FILE)
+    .filter((entry) => !ruleId || entry.rule_id === ruleId)
+    .reverse()
+    .slice(0, limit);
+}
+
+// ---------- Evaluation ----------
+
+function compare(value, op, target) {
+  if (value === null || value === undefined) return false;
+  if (op === '>') return value > target;
+  if (op === '>=') return value >= target;
+  if (op === '<') return value < target;
+  return value <= target;
+}
+
+async function activeObjects(rule) {
+  const opts = { all: true, limit: 100, effectiveStatus: ['ACTIVE'] };
+  const list = rule.level === 'campaign'
+    ? await metaApi.listCampaigns(OBJECT_FIELDS.campaign, opts)
+    : rule.level === 'adset'
+      ? await metaApi.listAdSets(null, OBJECT_FIELDS.adset, opts)
+      : await metaApi.listAds(null, OBJECT_FIELDS.ad, opts);
+  const scope = new Set(rule.campaign_ids || []);
+  return (list.data || []).filter((obj) => !scope.size || scope.has(String(rule.level === 'campaign' ? obj.id : obj.campaign_id)));
+}
+
+// When the rule last acted on each object; in dry-run mode, when it would
+// have. Dry runs don't start a live rule's cooldown
+function lastActions(rule) {
+  const outcome = rule.dry_run ? 'would_apply' : 'applied';
+  const last = new Map();
+  for (const entry of store.readJsonLines(HISTORY_FILE)) {
+    if (entry.rule_id === rule.id && entry.outcome === outcome) last.set(entry.object_id, entry.at);
+  }
+  return last;
+}
+
+/**
+ * The change the rule's action makes to an object: { params, before, verb }
+ * or { skip: reason }.
+ */
+function plannedChange(rule, obj, currency) {
+  if (rule.action.type === 'pause') {
+    return { verb: 'pause', params: { status: 'PAUSED' }, before: { status: obj.status } };
+  }
+  const key = obj.daily_budget ? 'daily_budget' : obj.lifetime_budget ? 'lifetime_budget' : null;
+  if (!key) return { skip: `${LABELS[rule.level]} has no budget of its own (it's set at another level)` };
+  const current = parseInt(obj[key], 10);
+  let next = Math.round(current * (1 + rule.action.percent / 100));
+  if (rule.action.limit) {
+    const limit = Math.round(rule.action.limit * (ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100));
+    next = rule.action.percent > 0 ? Math.min(next, limit) : Math.max(next, limit);
+  }
+  if (next === current || (rule.action.percent > 0 ? next < current : next > current)) {
+    return { skip: `${key.replace('_', ' ')} is already at the rule's limit (${formatMinor(current, currency)})` };
+  }
+  return {
+    verb: 'update',
+    params: { [key]: String(next) },
+    before: { [key]: obj[key] },
+    description: `${key.replace('_', ' ')} ${formatMinor(current, currency)} → ${formatMinor(next, currency)}`,
+  };
+}
+
+/**
+ * Every active object at the rule's level with its metrics and whether it
+ * matches. Matches carry the change the rule would make, or why it won't
+ * (cooldown, no budget of its own).
+ */
+async function evaluateRule(rule) {
+  const [objects, account] = await Promise.all([activeObjects(rule), metaApi.getAdAccount()]);
+  const currency = (account.currency || 'USD').toUpperCase();
+  const insights = objects.length ? await metaApi.getInsightsBatch(objects.map((o) => o.id), { date_preset: rule.date_preset }) : {};
+  const lastActed = lastActions(rule);
+  const cooldownMs = rule.cooldown_hours * 3600000;
+
+  return objects.map((obj) => {
+    const response = insights[obj.id];
+    const row = response?.data?.[0];
+    const metrics = row ? rowMetrics(row) : null;
+    const result = { object_type: rule.level, object_id: String(obj.id), object_name: obj.name, metrics: null, matched: false };
+    if (response?.error) return { ...result, error: response.error };
+    if (!metrics) return result;
+    result.metrics = Object.fromEntries(Object.keys(METRICS).map((m) => [m, metrics[m] ?? null]));
+    result.matched = rule.conditions.every((c) => compare(metrics[c.metric], c.op, c.value));
+    if (!result.matched) return result;
+
+    const since = lastActed.get(String(obj.id));
+    if (since && Date.now() - Date.parse(since) < cooldownMs) {
+      return { ...result, skip: `In cooldown until ${new Date(Date.parse(since) + cooldownMs).toISOString()}`, cooldown: true };
+    }
+    const change = plannedChange(rule, obj, currency);
+    return { ...result, ...(change.skip ? { skip: change.skip } : { change }) };
+  });
+}
+
+// ---------- Running ----------
+
+const UPDATE = {
+  campaign: (id, params) => metaApi.updateCampaign(id, params),
+  adset: (id, params) => metaApi.updateAdSet(id, params),
+  ad: (id, params) => metaApi.updateAd(id, params),
+};
+
+/**
+ * Acts on one match; returns its history outcome: applied, would_apply,
+ * blocked (spend guardrail), failed.
+ */
+async function applyMatch(rule, match, { dryRun, audit }) {
+  const { change } = match;
+  // Pausing can't raise spend, so only budget changes are checked
+  const guarded = change.verb === 'update';
+  const guardChange = [{ action: 'update', type: rule.level, id: match.object_id, params: change.params }];
+  if (dryRun) {
+    try {
+      const violations = guarded ? await spendGuard.checkChanges(guardChange) : [];
+      return violations.length
+        ? { outcome: 'blocked', message: violations.map((v) => v.message).join('; ') }
+        : { outcome: 'would_apply' };
+    } catch (err) {
+      // As in a live run, a change the guardrails can't check isn't made
+      return { outcome: 'blocked', message: err.message };
+    }
+  }
+  try {
+    if (guarded) await spendGuard.enforce(guardChange);
+  } catch (err) {
+    return { outcome: 'blocked', message: err.message };
+  }
+  try {
+    await auditLog.audited(audit, {
+      action: `${rule.level}.${change.verb}`,
+      object_type: rule.level,
+      object_id: match.object_id,
+      object_name: match.object_name,
+      before: change.before,
+      after: change.params,
+    }, () => UPDATE[rule.level](match.object_id, change.params));
+    return { outcome: 'applied' };
+  } catch (err) {
+    return { outcome: 'failed', message: err.message };
+  }
+}
+
+/**
+ * Evaluate a rule and act on its matches. With `preview`, nothing is changed
+ * or recorded; the matches are just returned. Otherwise a rule in dry-run
+ * mode records what it would do, and a live rule applies its action. Every
+ * match goes into the rule's history, except those in cooldown.
+ * options: { trigger: 'schedule' | 'manual', preview, user, audit }.
+ */
+async function runRule(id, { trigger = 'manual', preview = false, user = null, audit = {} } = {}) {
+  const rule = load(id);
+  const runId = crypto.randomUUID();
+  const at = new Date().toISOString();
+  let results;
+  try {
+    results = await evaluateRule(rule);
+  } catch (err) {
+    if (!preview) save({ ...rule, last_run: { at, trigger, error: err.message } });
+    throw httpError(`Could not evaluate rule: ${err.message}`, 502);
+  }
+
+  const matches = results.filter((r) => r.matched);
+  if (preview) return { rule: withSummary(rule), preview: true, evaluated: results.length, matches, results };
+
+  const dryRun = rule.dry_run;
+  const context = {
+    ...audit,
+    actor: user || rule.updated_by || rule.created_by,
+    source: 'rule',
+    rule_id: rule.id,
+  };
+  for (const match of matches) {
+    const acted = match.change
+      ? await applyMatch(rule, match, { dryRun, audit: context })
+      : { outcome: match.cooldown ? 'cooldown' : 'skipped', message: match.skip };
+    Object.assign(match, acted);
+    if (match.cooldown) continue;
+    store.appendJsonLine(HISTORY_FILE, {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      rule_id: rule.id,
+      rule_name: rule.name,
+      run_id: runId,
+      trigger,
+      dry_run: dryRun,
+      object_type: match.object_type,
+      object_id: match.object_id,
+      object_name: match.object_name,
+      metrics: match.metrics,
+      outcome: acted.outcome,
+      change: match.change ? { before: match.change.before, after: match.change.params, description: match.change.description || null } : null,
+      message: acted.message || null,
+    });
+  }
+
+  const count = (outcome) => matches.filter((m) => m.outcome === outcome).length;
+  const lastRun = {
+    at,
+    trigger,
+    dry_run: dryRun,
+    evaluated: results.length,
+    matched: matches.length,
+    applied: count('applied'),
+    would_apply: count('would_apply'),
+    blocked: count('blocked'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    cooldown: count('cooldown'),
+    error: null,
+  };
+  save({ ...load(id), last_run: lastRun });
+  return { rule: withSummary({ ...rule, last_run: lastRun }), preview: false, run_id: runId, ...lastRun, matches, results };
+}
+
+// ---------- Scheduler ----------
+
+let timer = null;
+let running = false;
+
+// Runs every enabled rule once; a run still going when the next is due is not overlapped
+async function runScheduled() {
+  if (running) return;
+  running = true;
+  try {
+    for (const rule of store.listJson('rules').filter((r) => r.enabled)) {
+      try {
+        await runRule(rule.id, { trigger: 'schedule', audit: { route: 'scheduler' } });
+      } catch (err) {
+        // Recorded on the rule's last_run; the other rules still run
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Starts the interval that runs enabled rules (unless RULES_SCHEDULER=off).
+ */
+function startScheduler() {
+  if (timer || !schedulerEnabled()) return false;
+  timer = setInterval(runScheduled, intervalMinutes() * 60000);
+  timer.unref();
+  return true;
+}
+
+function schedulerStatus() {
+  return { enabled: schedulerEnabled(), running: Boolean(timer), interval_minutes: intervalMinutes() };
+}
+
+module.exports = {
+  LEVELS,
+  WINDOWS,
+  OPERATORS,
+  ACTIONS,
+  METRICS,
+  validateRule,
+  describeRule,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  ruleHistory,
+  runRule,
+  runScheduled,
+  startScheduler,
+  schedulerStatus,
+};
@@ -3,7 +3,7 @@
  *
  * Fetches product, collection, and store data from Shopify to inform
  * AI-powered ad suggestions. Uses the Admin API for products, orders,
- * and store metadata.
+ * customers and store metadata.
  *
  * Required env vars:
  *   SHOPIFY_CLIENT_ID      — Shopify app client ID
@@ -17,6 +17,12 @@ function storeDomain() {
   return (process.env.SHOPIFY_STORE_DOMAIN || '').replace(/\/$/, '');
 }
 
+// Local stand-ins (the fake Admin API) are plain HTTP
+function storeOrigin(domain = storeDomain()) {
+  const local = /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(domain);
+  return `${local ? 'http' : 'https'}://${domain}`;
+}
+
 function adminHeaders() {
   return {
     'Content-Type': 'application/json',
@@ -25,7 +31,7 @@ function adminHeaders() {
 }
 
 function adminUrl(endpoint) {
-  return `https://${storeDomain()}/admin/api/2024-10/${endpoint}`;
+  return `${storeOrigin()}/admin/api/2024-10/${endpoint}`;
 }
 
 // ---------- Products ----------
@@ -72,6 +78,37 @@ async function getRecentOrders(limit = 50) {
   return data.orders || [];
 }
 
+// Cap on orders read for one report; ~10 pages at the API's 250 per page
+const MAX_ORDERS = 2500;
+
+function nextPageUrl(linkHeader) {
+  const match = /<([^>]+)>;\s*rel="next"/.exec(linkHeader || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Every order created in a date range (YYYY-MM-DD, inclusive), following
+ * the Link header's page_info cursors. `truncated` is set when MAX_ORDERS
+ * was reached.
+ */
+async function getOrders({ since, until, status = 'any', fields } = {}) {
+  const q = new URLSearchParams({ limit: '250', status });
+  if (since) q.set('created_at_min', `${since}T00:00:00Z`);
+  if (until) q.set('created_at_max', `${until}T23:59:59Z`);
+  if (fields) q.set('fields', fields);
+
+  const orders = [];
+  let url = adminUrl(`orders.json?${q}`);
+  while (url && orders.length < MAX_ORDERS) {
+    const res = await fetch(url, { headers: adminHeaders() });
+    if (!res.ok) throw new Error(`Shopify API returned ${res.status}: ${res.statusText}`);
+    const data = await res.json();
+    orders.push(...(data.orders || []));
+    url = nextPageUrl(res.headers.get('link'));
+  }
+  return { orders: orders.slice(0, MAX_ORDERS), truncated: Boolean(url) || orders.length > MAX_ORDERS };
+}
+
 async function getOrderCount(status = 'any') {
   const res = await fetch(adminUrl(`orders/count.json?status=${status}`), {
     headers: adminHeaders(),
@@ -80,6 +117,31 @@ async function getOrderCount(status = 'any') {
   return data.count;
 }
 
+// ---------- Customers (for custom audiences) ----------
+
+// Cap on customers read for one audience; 100 pages at 250 per page
+const MAX_CUSTOMERS = 25000;
+
+/**
+ * Every customer in the store, following page_info cursors like getOrders.
+ * `truncated` is set when MAX_CUSTOMERS was reached.
+ */
+async function getCustomers({ fields } = {}) {
+  const q = new URLSearchParams({ limit: '250' });
+  if (fields) q.set('fields', fields);
+
+  const customers = [];
+  let url = adminUrl(`customers.json?${q}`);
+  while (url && customers.length < MAX_CUSTOMERS) {
+    const res = await fetch(url, { headers: adminHeaders() });
+    if (!res.ok) throw new Error(`Shopify API returned ${res.status}: ${res.statusText}`);
+    const data = await res.json();
+    customers.push(...(data.customers || []));
+    url = nextPageUrl(res.headers.get('link'));
+  }
+  return { customers: customers.slice(0, MAX_CUSTOMERS), truncated: Boolean(url) || customers.length > MAX_CUSTOMERS };
+}
+
 // ---------- Store info ----------
 
 async function getShopInfo() {
@@ -165,8 +227,11 @@ module.exports = {
   getProduct,
   getCollections,
   getRecentOrders,
+  getOrders,
   getOrderCount,
+  getCustomers,
   getShopInfo,
   getStoreSummary,
   testConnection,
+  storeOrigin,
 };
@@ -0,0 +1,552 @@
+/**
+ * Campaign Spec Validator
+ *
+ * Checks an AI-generated campaign spec (campaign + ad sets + ads) before
+ * anything is sent to the Meta Marketing API. Catches the mistakes that
+ * would otherwise surface as a Graph API error halfway through
+ * create-from-spec: incompatible objective/optimization/billing pairs,
+ * budgets in the wrong format or below Meta's minimums, bad date ranges,
+ * and placeholder values copied from the prompt example.
+ *
+ * validateSpec() is pure — the caller supplies the ad account currency
+ * and the UTM template.
+ */
+
+const utm = require('./utm');
+
+const OBJECTIVES = [
+  'OUTCOME_AWARENESS',
+  'OUTCOME_TRAFFIC',
+  'OUTCOME_ENGAGEMENT',
+  'OUTCOME_LEADS',
+  'OUTCOME_APP_PROMOTION',
+  'OUTCOME_SALES',
+];
+
+// Optimization goals Meta accepts for each (ODAX) campaign objective
+const OPTIMIZATION_GOALS = {
+  OUTCOME_AWARENESS: ['REACH', 'IMPRESSIONS', 'AD_RECALL_LIFT', 'THRUPLAY'],
+  OUTCOME_TRAFFIC: ['LINK_CLICKS', 'LANDING_PAGE_VIEWS', 'REACH', 'IMPRESSIONS'],
+  OUTCOME_ENGAGEMENT: ['POST_ENGAGEMENT', 'PAGE_LIKES', 'EVENT_RESPONSES', 'THRUPLAY', 'CONVERSATIONS', 'LINK_CLICKS', 'IMPRESSIONS', 'REACH'],
+  OUTCOME_LEADS: ['LEAD_GENERATION', 'QUALITY_LEAD', 'OFFSITE_CONVERSIONS', 'LINK_CLICKS', 'CONVERSATIONS'],
+  OUTCOME_APP_PROMOTION: ['APP_INSTALLS', 'OFFSITE_CONVERSIONS', 'LINK_CLICKS', 'VALUE'],
+  OUTCOME_SALES: ['OFFSITE_CONVERSIONS', 'VALUE', 'LINK_CLICKS', 'LANDING_PAGE_VIEWS', 'CONVERSATIONS', 'IMPRESSIONS', 'REACH'],
+};
+
+// Billing events allowed per optimization goal. Anything not listed bills on IMPRESSIONS only.
+const BILLING_EVENTS = {
+  LINK_CLICKS: ['IMPRESSIONS', 'LINK_CLICKS'],
+  THRUPLAY: ['IMPRESSIONS', 'THRUPLAY'],
+  PAGE_LIKES: ['IMPRESSIONS', 'PAGE_LIKES'],
+  POST_ENGAGEMENT: ['IMPRESSIONS', 'POST_ENGAGEMENT'],
+  APP_INSTALLS: ['IMPRESSIONS', 'APP_INSTALLS'],
+};
+
+// Meta's daily budget floor scales with how often the billing event happens
+const BUDGET_TIER_MULTIPLIER = {
+  IMPRESSIONS: 1,
+  LINK_CLICKS: 5,
+  PAGE_LIKES: 5,
+  POST_ENGAGEMENT: 5,
+  THRUPLAY: 5,
+  APP_INSTALLS: 40,
+};
+
+// Minimum daily budget for impression billing, in the currency's minor units
+const MIN_DAILY_BUDGET = {
+  USD: 100,
+  CAD: 100,
+  AUD: 100,
+  NZD: 100,
+  EUR: 100,
+  GBP: 100,
+  JPY: 150,
+};
+
+// Currencies Meta budgets in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'CLP', 'ISK', 'HUF', 'TWD'];
+
+const GENDERS = [1, 2];
+
+const PLACEHOLDER_PATTERNS = [
+  /^\s*(\.\.\.|…)\s*$/,
+  /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)*_ID$/,
+  /^ISO date/i,
+  /^https?:\/\/(\.\.\.|…)/,
+  /^https?:\/\/store-url\.com/i,
+  /^(Ad copy text|Headline|Description)$/,
+];
+
+/**
+ * Declarative shape of a campaign spec. Used for required-field and type
+ * checks, and as the input schema of Claude's submit_campaign_spec tool
+ * (specJsonSchema); the cross-field rules live in validateSpec(). `open`
+ * objects accept fields beyond the ones listed.
+ */
+const SPEC_SCHEMA = {
+  campaign: {
+    type: 'object',
+    required: true,
+    fields: {
+      name: { type: 'string', required: true },
+      objective: { type: 'string', required: true, enum: OBJECTIVES },
+      status: { type: 'string', enum: ['PAUSED'] },
+      special_ad_categories: { type: 'array' },
+      daily_budget: { type: 'budget' },
+      lifetime_budget: { type: 'budget' },
+      bid_strategy: { type: 'string' },
+    },
+  },
+  ad_sets: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    items: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', required: true },
+        daily_budget: { type: 'budget' },
+        lifetime_budget: { type: 'budget' },
+        optimization_goal: { type: 'string', required: true },
+        billing_event: { type: 'string', required: true },
+        bid_amount: { type: 'budget' },
+        targeting: {
+          type: 'object',
+          required: true,
+          open: true,
+          fields: {
+            age_min: { type: 'number' },
+            age_max: { type: 'number' },
+            genders: { type: 'array', items: { type: 'integer', enum: GENDERS, description: '1 = men, 2 = women; omit genders to target everyone' } },
+            geo_locations: { type: 'object', required: true },
+            flexible_spec: { type: 'array' },
+            custom_audiences: { type: 'array' },
+            excluded_custom_audiences: { type: 'array' },
+          },
+        },
+        promoted_object: { type: 'object' },
+        start_time: { type: 'date' },
+        end_time: { type: 'date', nullable: true },
+      },
+    },
+  },
+  ads: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    items: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', required: true },
+        creative: {
+          type: 'object',
+          required: true,
+          fields: {
+            name: { type: 'string' },
+            object_story_spec: {
+              type: 'object',
+              required: true,
+              fields: {
+                page_id: { type: 'id', required: true },
+                link_data: {
+                  type: 'object',
+                  required: true,
+                  open: true,
+                  fields: {
+                    message: { type: 'string', required: true },
+                    link: { type: 'url', required: true },
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    image_url: { type: 'url' },
+                    image_hash: { type: 'string' },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// ---------- Schema walk ----------
+
+function typeError(rule, value) {
+  switch (rule.type) {
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    case 'string':
+      return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be a whole number';
+    case 'budget':
+      if (typeof value === 'number') return 'must be a string of minor currency units (e.g. "2000" for 20.00), not a number';
+      return typeof value === 'string' && /^\d+$/.test(value) ? null : 'must be a string of whole minor currency units (e.g. "2000" for 20.00)';
+    case 'id':
+      return (typeof value === 'string' || typeof value === 'number') && /^\d+$/.test(String(value)) ? null : 'must be a numeric Meta ID';
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/[^\s/$.?#].[^\s]*$/i.test(value) ? null : 'must be an absolute http(s) URL';
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'must be an ISO 8601 date';
+    default:
+      return null;
+  }
+}
+
+function checkSchema(rule, value, field, errors) {
+  const missing = value === undefined || value === null || value === '';
+  if (missing) {
+    if (value === null && rule.nullable) return;
+    if (rule.required) errors.push({ field, message: 'is required' });
+    return;
+  }
+
+  const problem = typeError(rule, value);
+  if (problem) {
+    errors.push({ field, message: problem });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${rule.enum.join(', ')}${rule.description ? ` (${rule.description})` : ''}` });
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    for (const [key, child] of Object.entries(rule.fields)) {
+      checkSchema(child, value[key], `${field}.${key}`, errors);
+    }
+  }
+
+  if (rule.type === 'array') {
+    if (rule.minItems && value.length < rule.minItems) {
+      errors.push({ field, message: `must contain at least ${rule.minItems} item(s)` });
+    }
+    if (rule.items) {
+      value.forEach((item, i) => checkSchema(rule.items, item, `${field}[${i}]`, errors));
+    }
+  }
+}
+
+// ---------- JSON Schema ----------
+
+const JSON_TYPES = {
+  string: { type: 'string', minLength: 1 },
+  number: { type: 'number' },
+  integer: { type: 'integer' },
+  budget: { type: 'string', pattern: '^\\d+$', description: 'Whole minor currency units as a string, e.g. "2000" for 20.00' },
+  id: { type: 'string', pattern: '^\\d+$' },
+  url: { type: 'string', format: 'uri' },
+  date: { type: 'string', format: 'date-time' },
+};
+
+function toJsonSchema(rule) {
+  let schema;
+  if (rule.type === 'object') {
+    const fields = Object.entries(rule.fields || {});
+    const required = fields.filter(([, r]) => r.required).map(([key]) => key);
+    schema = {
+      type: 'object',
+      properties: Object.fromEntries(fields.map(([key, r]) => [key, toJsonSchema(r)])),
+      ...(required.length ? { required } : {}),
+      additionalProperties: !rule.fields || Boolean(rule.open),
+    };
+  } else if (rule.type === 'array') {
+    schema = {
+      type: 'array',
+      ...(rule.items ? { items: toJsonSchema(rule.items) } : {}),
+      ...(rule.minItems ? { minItems: rule.minItems } : {}),
+    };
+  } else {
+    schema = { ...JSON_TYPES[rule.type] };
+  }
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.description) schema.description = rule.description;
+  if (rule.nullable) schema.type = [schema.type, 'null'];
+  return schema;
+}
+
+/**
+ * SPEC_SCHEMA as JSON Schema, for tool input schemas.
+ */
+function specJsonSchema() {
+  return toJsonSchema({ type: 'object', fields: SPEC_SCHEMA });
+}
+
+// ---------- Placeholders ----------
+
+function findPlaceholders(value, field, errors) {
+  if (typeof value === 'string') {
+    if (PLACEHOLDER_PATTERNS.some((re) => re.test(value.trim()))) {
+      errors.push({ field, message: `contains placeholder value "${value}"` });
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => findPlaceholders(item, `${field}[${i}]`, errors));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      findPlaceholders(child, field ? `${field}.${key}` : key, errors);
+    }
+  }
+}
+
+// ---------- Budgets ----------
+
+function formatMinor(amount, currency) {
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency)) return `${amount} ${currency}`;
+  return `${(amount / 100).toFixed(2)} ${currency}`;
+}
+
+function minDailyBudget(billingEvent, currency) {
+  const base = MIN_DAILY_BUDGET[currency] || MIN_DAILY_BUDGET.USD;
+  return base * (BUDGET_TIER_MULTIPLIER[billingEvent] || 1);
+}
+
+function scheduleDays(start, end) {
+  if (!end) return null;
+  const from = start ? Date.parse(start) : Date.now();
+  const to = Date.parse(end);
+  if (Number.isNaN(from) || Number.isNaN(to) || to <= from) return null;
+  return Math.max(1, Math.ceil((to - from) / 86400000));
+}
+
+function checkBudget(owner, field, billingEvent, currency, errors) {
+  if (owner.daily_budget && /^\d+$/.test(String(owner.daily_budget))) {
+    const min = minDailyBudget(billingEvent, currency);
+    if (parseInt(owner.daily_budget, 10) < min) {
+      errors.push({
+        field: `${field}.daily_budget`,
+        message: `is below Meta's minimum daily budget of ${formatMinor(min, currency)} for ${billingEvent} billing`,
+      });
+    }
+  }
+
+  if (owner.lifetime_budget && /^\d+$/.test(String(owner.lifetime_budget))) {
+    if (!owner.end_time) {
+      errors.push({ field: `${field}.end_time`, message: 'is required when a lifetime_budget is set' });
+      return;
+    }
+    const days = scheduleDays(owner.start_time, owner.end_time);
+    if (days) {
+      const min = minDailyBudget(billingEvent, currency) * days;
+      if (parseInt(owner.lifetime_budget, 10) < min) {
+        errors.push({
+          field: `${field}.lifetime_budget`,
+          message: `is below Meta's minimum of ${formatMinor(min, currency)} for a ${days}-day ${billingEvent} schedule`,
+        });
+      }
+    }
+  }
+}
+
+// ---------- Cross-field rules ----------
+
+function checkCampaign(spec, currency, errors) {
+  const campaign = spec.campaign;
+  if (!campaign || typeof campaign !== 'object') return;
+
+  if (campaign.daily_budget && campaign.lifetime_budget) {
+    errors.push({ field: 'campaign.lifetime_budget', message: 'cannot be combined with daily_budget' });
+  }
+  if (campaign.daily_budget && /^\d+$/.test(String(campaign.daily_budget))) {
+    const min = minDailyBudget('IMPRESSIONS', currency);
+    if (parseInt(campaign.daily_budget, 10) < min) {
+      errors.push({ field: 'campaign.daily_budget', message: `is below Meta's minimum daily budget of ${formatMinor(min, currency)}` });
+    }
+  }
+
+  const campaignBudget = !!(campaign.daily_budget || campaign.lifetime_budget);
+  const adSets = Array.isArray(spec.ad_sets) ? spec.ad_sets : [];
+  adSets.forEach((adSet, i) => {
+    if (!adSet || typeof adSet !== 'object') return;
+    const adSetBudget = !!(adSet.daily_budget || adSet.lifetime_budget);
+    if (campaignBudget && adSetBudget) {
+      errors.push({ field: `ad_sets[${i}]`, message: 'sets a budget but the campaign already uses campaign budget optimization' });
+    } else if (!campaignBudget && !adSetBudget) {
+      errors.push({ field: `ad_sets[${i}].daily_budget`, message: 'is required (set daily_budget or lifetime_budget)' });
+    }
+  });
+}
+
+function checkAdSet(adSet, i, objective, currency, now, errors, warnings, knownAudiences) {
+  const field = `ad_sets[${i}]`;
+  if (!adSet || typeof adSet !== 'object') return;
+
+  const goal = adSet.optimization_goal;
+  const billing = adSet.billing_event;
+  const allowedGoals = OPTIMIZATION_GOALS[objective];
+
+  if (goal && allowedGoals && !allowedGoals.includes(goal)) {
+    errors.push({
+      field: `${field}.optimization_goal`,
+      message: `${goal} is not compatible with ${objective} (use one of ${allowedGoals.join(', ')})`,
+    });
+  }
+
+  if (goal && billing) {
+    const allowedBilling = BILLING_EVENTS[goal] || ['IMPRESSIONS'];
+    if (!allowedBilling.includes(billing)) {
+      errors.push({
+        field: `${field}.billing_event`,
+        message: `${billing} is not allowed for ${goal} (use ${allowedBilling.join(' or ')})`,
+      });
+    }
+  }
+
+  if (goal === 'OFFSITE_CONVERSIONS' || goal === 'VALUE') {
+    const po = adSet.promoted_object || {};
+    if (!po.pixel_id || !po.custom_event_type) {
+      errors.push({
+        field: `${field}.promoted_object`,
+        message: `pixel_id and custom_event_type are required for ${goal} optimization`,
+      });
+    }
+  }
+
+  if (adSet.daily_budget && adSet.lifetime_budget) {
+    errors.push({ field: `${field}.lifetime_budget`, message: 'cannot be combined with daily_budget' });
+  }
+  checkBudget(adSet, field, billing || 'IMPRESSIONS', currency, errors);
+
+  // Dates
+  const start = adSet.start_time ? Date.parse(adSet.start_time) : NaN;
+  const end = adSet.end_time ? Date.parse(adSet.end_time) : NaN;
+  if (!Number.isNaN(start) && !Number.isNaN(end) && end <= start) {
+    errors.push({ field: `${field}.end_time`, message: 'must be after start_time' });
+  }
+  if (!Number.isNaN(end) && end <= now) {
+    errors.push({ field: `${field}.end_time`, message: 'is in the past' });
+  }
+  if (!Number.isNaN(start) && start < now) {
+    warnings.push({ field: `${field}.start_time`, message: 'is in the past — the ad set will start as soon as it is activated' });
+  }
+
+  // Targeting
+  const t = adSet.targeting;
+  if (t && typeof t === 'object') {
+    if (typeof t.age_min === 'number' && (t.age_min < 13 || t.age_min > 65)) {
+      errors.push({ field: `${field}.targeting.age_min`, message: 'must be between 13 and 65' });
+    }
+    if (typeof t.age_max === 'number' && (t.age_max < 13 || t.age_max > 65)) {
+      errors.push({ field: `${field}.targeting.age_max`, message: 'must be between 13 and 65' });
+    }
+    if (typeof t.age_min === 'number' && typeof t.age_max === 'number' && t.age_min > t.age_max) {
+      errors.push({ field: `${field}.targeting.age_max`, message: 'must be greater than or equal to age_min' });
+    }
+    const geo = t.geo_locations;
+    if (geo && typeof geo === 'object' && !Object.keys(geo).some((k) => Array.isArray(geo[k]) && geo[k].length)) {
+      errors.push({ field: `${field}.targeting.geo_locations`, message: 'must include at least one country, region, city, or zip' });
+    }
+    (t.flexible_spec || []).forEach((group, g) => {
+      (group?.interests || []).forEach((interest, k) => {
+        if (!interest || !/^\d+$/.test(String(interest.id))) {
+          errors.push({
+            field: `${field}.targeting.flexible_spec[${g}].interests[${k}].id`,
+            message: 'must be a numeric interest ID from targeting search',
+          });
+        }
+      });
+    });
+    const targeted = new Set();
+    for (const key of ['custom_audiences', 'excluded_custom_audiences']) {
+      (Array.isArray(t[key]) ? t[key] : []).forEach((audience, k) => {
+        const id = String(audience?.id ?? '');
+        const path = `${field}.targeting.${key}[${k}].id`;
+        if (!/^\d+$/.test(id)) {
+          errors.push({ field: path, message: 'must be a numeric custom audience ID' });
+        } else if (knownAudiences && !knownAudiences.has(id)) {
+          errors.push({ field: path, message: `${id} is not a custom audience in this ad account` });
+        } else if (key === 'custom_audiences') {
+          targeted.add(id);
+        } else if (targeted.has(id)) {
+          errors.push({ field: path, message: 'is also in custom_audiences — an audience can\'t be both targeted and excluded' });
+        }
+      });
+    }
+  }
+}
+
+// ---------- UTM tags ----------
+
+// UTMs already on the ads' links, checked against the template that will be applied
+function checkUtm(spec, template, errors, warnings) {
+  const templateErrors = utm.validateTemplate(template);
+  for (const message of templateErrors) errors.push({ field: 'utm_template', message: `UTM_TEMPLATE: ${message}` });
+  if (templateErrors.length) return;
+
+  (Array.isArray(spec.ads) ? spec.ads : []).forEach((ad, j) => {
+    if (!ad?.creative?.object_story_spec) return;
+    for (const issue of utm.checkCreative(ad.creative, template).issues) {
+      warnings.push({ field: `ads[${j}].creative.${issue.field}`, message: issue.message });
+    }
+  });
+}
+
+// ---------- Entry point ----------
+
+/**
+ * Validate a campaign spec.
+ *
+ * @param {object} spec — { campaign, ad_sets, ads } as produced by the assistant
+ * @param {object} [options]
+ * @param {string} [options.currency] — ad account currency (ISO 4217); defaults to USD
+ * @param {number} [options.now] — reference timestamp for date checks
+ * @param {string} [options.utmTemplate] — UTM template creatives will get; links are checked against it
+ * @param {string[]} [options.customAudienceIds] — the account's custom audience IDs; targeted ones must be among them
+ * @returns {{ valid: boolean, errors: Array<{field, message}>, warnings: Array<{field, message}>, currency: string }}
+ */
+function validateSpec(spec, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const now = options.now || Date.now();
+  let currency = (options.currency || '').toUpperCase();
+
+  if (!currency) {
+    currency = 'USD';
+    warnings.push({ field: 'currency', message: 'Ad account currency unknown — budget minimums checked in USD' });
+  } else if (!MIN_DAILY_BUDGET[currency]) {
+    warnings.push({ field: 'currency', message: `No budget minimums on file for ${currency} — checked against USD amounts` });
+  }
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    errors.push({ field: 'spec', message: 'must be an object with campaign, ad_sets, and ads' });
+    return { valid: false, errors, warnings, currency };
+  }
+
+  const placeholders = [];
+  findPlaceholders(spec, '', placeholders);
+
+  for (const [key, rule] of Object.entries(SPEC_SCHEMA)) {
+    checkSchema(rule, spec[key], key, errors);
+  }
+  checkCampaign(spec, currency, errors);
+
+  const objective = spec.campaign?.objective;
+  const knownAudiences = options.customAudienceIds ? new Set(options.customAudienceIds.map(String)) : null;
+  (Array.isArray(spec.ad_sets) ? spec.ad_sets : []).forEach((adSet, i) =>
+    checkAdSet(adSet, i, objective, currency, now, errors, warnings, knownAudiences)
+  );
+  if (options.utmTemplate) checkUtm(spec, options.utmTemplate, errors, warnings);
+
+  // A placeholder explains a bad value better than the type or format
+  // check that also trips on it, so it replaces them for that field.
+  const flagged = new Set(placeholders.map((e) => e.field));
+  const all = [...placeholders, ...errors.filter((e) => !flagged.has(e.field))];
+
+  return { valid: all.length === 0, errors: all, warnings, currency };
+}
+
+module.exports = {
+  SPEC_SCHEMA,
+  OBJECTIVES,
+  OPTIMIZATION_GOALS,
+  BILLING_EVENTS,
+  ZERO_DECIMAL_CURRENCIES,
+  validateSpec,
+  specJsonSchema,
+  formatMinor,
+  scheduleDays,
+};
@@ -0,0 +1,297 @@
+/**
+ * Spend Guardrails
+ *
+ * Checked before anything that can raise what the ad account spends:
+ * creating or updating a campaign or ad set, activating one, creating a
+ * campaign from a spec, and applying a change the assistant proposed. A
+ * change that breaks a limit is refused with a 422 listing each violation
+ * in plain words, so the UI can show it and the assistant can explain it.
+ * Changes that lower spend (pausing, budget cuts) always pass, even when
+ * the account is already over a limit.
+ *
+ * Amounts are in the ad account's currency, in major units (50 = 50.00).
+ * A lifetime budget counts as its average per day over its schedule. Each
+ * limit is off until set.
+ *
+ * Optional env vars:
+ *   GUARD_MAX_ADSET_DAILY_BUDGET   — daily budget of one ad set, or of a
+ *                                    campaign budget its ad sets share
+ *   GUARD_MAX_ACCOUNT_DAILY_BUDGET — total daily budget of everything running
+ *   GUARD_MAX_BUDGET_INCREASE_PCT  — largest raise one change may make to a budget, in percent
+ *   GUARD_MAX_MONTHLY_SPEND        — spend so far this month plus the running
+ *                                    daily budgets for the rest of the month (UTC)
+ *
+ * The ceiling on total active spend is GUARD_MAX_ACCOUNT_DAILY_BUDGET: the
+ * sum of every active daily budget (and lifetime budget per day) after the
+ * change. The monthly limit is on top of it, for budgets kept by the month:
+ * it also counts what was already spent, so a month that ran hot early
+ * leaves less room later, which a daily sum can't see.
+ */
+const metaApi = require('./meta-api');
+const { ZERO_DECIMAL_CURRENCIES, formatMinor, scheduleDays } = require('./spec-validator');
+
+const LIMITS = {
+  adset_daily_budget: { env: 'GUARD_MAX_ADSET_DAILY_BUDGET', label: 'Daily budget per ad set' },
+  account_daily_budget: { env: 'GUARD_MAX_ACCOUNT_DAILY_BUDGET', label: 'Total daily budget running' },
+  budget_increase_pct: { env: 'GUARD_MAX_BUDGET_INCREASE_PCT', label: 'Budget increase per change (%)' },
+  monthly_spend: { env: 'GUARD_MAX_MONTHLY_SPEND', label: 'Projected spend this month' },
+};
+
+// Params that can change what an object spends; changes without any are not checked
+const SPEND_FIELDS = ['status', 'daily_budget', 'lifetime_budget', 'start_time', 'end_time', 'stop_time'];
+
+const CAMPAIGN_FIELDS = 'id,name,status,daily_budget,lifetime_budget,start_time,stop_time';
+const ADSET_FIELDS = 'id,name,campaign_id,status,daily_budget,lifetime_budget,start_time,end_time';
+const GONE = ['ARCHIVED', 'DELETED'];
+
+const LABELS = { campaign: 'Campaign', adset: 'Ad set' };
+
+// ---------- Limits ----------
+
+/**
+ * { values, errors }: each limit's configured value (null when off). Invalid
+ * values are reported in `errors` and the limit stays off.
+ */
+function limits() {
+  const values = {};
+  const errors = [];
+  for (const [key, { env }] of Object.entries(LIMITS)) {
+    values[key] = null;
+    const raw = process.env[env];
+    if (raw === undefined || raw.trim() === '') continue;
+    const n = Number(raw);
+    if (Number.isFinite(n) && n > 0) values[key] = n;
+    else errors.push(`${env} must be a positive number (got "${raw}")`);
+  }
+  return { values, errors };
+}
+
+// Every limit with its env var and value, for the Settings page
+function describe() {
+  const { values, errors } = limits();
+  return {
+    limits: Object.fromEntries(Object.entries(LIMITS).map(([key, { env, label }]) => [key, { label, env, value: values[key] }])),
+    errors,
+  };
+}
+
+// ---------- Account state ----------
+
+function minorFactor(currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100;
+}
+
+function budgetOf(obj, key) {
+  return obj[key] && /^\d+$/.test(String(obj[key])) ? parseInt(obj[key], 10) : null;
+}
+
+// What an object can spend per day, in minor units; a lifetime budget with no
+// usable schedule counts in full
+function dailyAmount(obj) {
+  const daily = budgetOf(obj, 'daily_budget');
+  if (daily !== null) return daily;
+  const lifetime = budgetOf(obj, 'lifetime_budget');
+  if (lifetime === null) return 0;
+  const days = scheduleDays(obj.start_time, obj.end_time || obj.stop_time);
+  return days ? Math.ceil(lifetime / days) : lifetime;
+}
+
+const hasBudget = (obj) => budgetOf(obj, 'daily_budget') !== null || budgetOf(obj, 'lifetime_budget') !== null;
+
+/**
+ * Campaigns and ad sets by ID, the account currency and, when asked for,
+ * this month's spend so far (minor units).
+ */
+async function loadAccount({ withSpend }) {
+  const [account, campaigns, adSets, insights] = await Promise.all([
+    metaApi.getAdAccount(),
+    metaApi.listCampaigns(CAMPAIGN_FIELDS, { all: true, limit: 100 }),
+    metaApi.listAdSets(null, ADSET_FIELDS, { all: true, limit: 100 }),
+    withSpend ? metaApi.getAccountInsights({ date_preset: 'this_month', fields: 'spend' }) : null,
+  ]);
+  const currency = (account.currency || 'USD').toUpperCase();
+  const live = (list) => new Map((list.data || []).filter((o) => !GONE.includes(o.status)).map((o) => [String(o.id), { ...o }]));
+  const spend = insights ? (insights.data || []).reduce((sum, row) => sum + (parseFloat(row.spend) || 0), 0) : 0;
+  return {
+    currency,
+    campaigns: live(campaigns),
+    adSets: live(adSets),
+    monthSpend: Math.round(spend * minorFactor(currency)),
+  };
+}
+
+// Total daily budget of everything that's running: campaign budgets of active
+// campaigns, plus active ad sets in active campaigns without one
+function runningDaily(state) {
+  let total = 0;
+  for (const campaign of state.campaigns.values()) {
+    if (campaign.status !== 'ACTIVE') continue;
+    if (hasBudget(campaign)) {
+      total += dailyAmount(campaign);
+      continue;
+    }
+    for (const adSet of state.adSets.values()) {
+      if (adSet.campaign_id === campaign.id && adSet.status === 'ACTIVE') total += dailyAmount(adSet);
+    }
+  }
+  return total;
+}
+
+// The account as it would be after the changes; returns the objects they touch
+function applyChanges(state, changes) {
+  const touched = [];
+  changes.forEach((change, i) => {
+    const map = change.type === 'campaign' ? state.campaigns : state.adSets;
+    if (change.action === 'create') {
+      const id = change.id || `new_${change.type}_${i}`;
+      const obj = { id, status: 'PAUSED', ...change.params, campaign_id: change.params.campaign_id && String(change.params.campaign_id) };
+      map.set(id, obj);
+      touched.push({ change, before: null, after: obj });
+      return;
+    }
+    const current = map.get(String(change.id));
+    if (!current) return;
+    const after = { ...current, ...change.params };
+    map.set(current.id, after);
+    touched.push({ change, before: current, after });
+  });
+  return touched;
+}
+
+function cloneState(state) {
+  return { ...state, campaigns: new Map(state.campaigns), adSets: new Map(state.adSets) };
+}
+
+function remainingDays(now = new Date()) {
+  const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+  return daysInMonth - now.getUTCDate() + 1;
+}
+
+// ---------- Checks ----------
+
+function describeObject(type, obj) {
+  return `${LABELS[type]} ${obj.name ? `"${obj.name}"` : obj.id}`;
+}
+
+/**
+ * Violations of the configured limits by a set of changes, each
+ * { action: 'create' | 'update', type: 'campaign' | 'adset', id?, params }.
+ * Returns [] when nothing is broken (or no limit is set).
+ */
+async function checkChanges(changes) {
+  const { values: limit } = limits();
+  const relevant = changes.filter((c) => ['campaign', 'adset'].includes(c.type)
+    && Object.keys(c.params || {}).some((key) => SPEND_FIELDS.includes(key)));
+  if (!relevant.length || Object.values(limit).every((v) => v === null)) return [];
+
+  const before = await loadAccount({ withSpend: limit.monthly_spend !== null });
+  const after = cloneState(before);
+  const touched = applyChanges(after, relevant);
+  const money = (minor) => formatMinor(minor, before.currency);
+  const factor = minorFactor(before.currency);
+  const violations = [];
+
+  for (const { change, before: old, after: obj } of touched) {
+    const label = describeObject(change.type, obj);
+    const daily = dailyAmount(obj);
+    const raised = !old || daily > dailyAmount(old) || (obj.status === 'ACTIVE' && old.status !== 'ACTIVE');
+
+    // A campaign budget is shared by its ad sets, so it's held to the same cap
+    const cap = limit.adset_daily_budget !== null ? Math.round(limit.adset_daily_budget * factor) : null;
+    if (cap !== null && raised && hasBudget(obj) && daily > cap) {
+      violations.push({
+        rule: 'adset_daily_budget',
+        message: `${label} would spend ${money(daily)} a day, over the ${money(cap)} limit per ad set (${LIMITS.adset_daily_budget.env})`,
+        limit: cap,
+        value: daily,
+      });
+    }
+
+    if (limit.budget_increase_pct !== null && old) {
+      for (const key of ['daily_budget', 'lifetime_budget']) {
+        const from = budgetOf(old, key);
+        const to = budgetOf(obj, key);
+        if (!from || to === null || to <= from) continue;
+        const pct = ((to - from) / from) * 100;
+        if (pct > limit.budget_increase_pct) {
+          violations.push({
+            rule: 'budget_increase_pct',
+            message: `${label} ${key.replace('_', ' ')} would go from ${money(from)} to ${money(to)}, a ${Math.round(pct)}% increase; one change may raise a budget by at most ${limit.budget_increase_pct}% (${LIMITS.budget_increase_pct.env})`,
+            limit: limit.budget_increase_pct,
+            value: Math.round(pct),
+          });
+        }
+      }
+    }
+  }
+
+  const runningBefore = runningDaily(before);
+  const runningAfter = runningDaily(after);
+  if (runningAfter > runningBefore) {
+    if (limit.account_daily_budget !== null) {
+      const cap = Math.round(limit.account_daily_budget * factor);
+      if (runningAfter > cap) {
+        violations.push({
+          rule: 'account_daily_budget',
+          message: `Running campaigns would spend ${money(runningAfter)} a day in total (now ${money(runningBefore)}), over the account limit of ${money(cap)} (${LIMITS.account_daily_budget.env})`,
+          limit: cap,
+          value: runningAfter,
+        });
+      }
+    }
+    if (limit.monthly_spend !== null) {
+      const cap = Math.round(limit.monthly_spend * factor);
+      const days = remainingDays();
+      const projected = before.monthSpend + runningAfter * days;
+      if (projected > cap) {
+        violations.push({
+          rule: 'monthly_spend',
+          message: `This month's spend would reach about ${money(projected)} (${money(before.monthSpend)} so far plus ${money(runningAfter)} a day for ${days} more day${days === 1 ? '' : 's'}), over the monthly limit of ${money(cap)} (${LIMITS.monthly_spend.env})`,
+          limit: cap,
+          value: projected,
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Throws (status 422, with `violations`) if the changes break a limit, or
+ * (status 503) if the account couldn't be read to check them.
+ */
+async function enforce(changes) {
+  let violations;
+  try {
+    violations = await checkChanges(changes);
+  } catch (err) {
+    const wrapped = new Error(`Could not check spend guardrails, so nothing was changed: ${err.message}`);
+    wrapped.status = 503;
+    throw wrapped;
+  }
+  if (!violations.length) return;
+  const err = new Error(`Blocked by spend guardrails: ${violations.map((v) => v.message).join('; ')}.`);
+  err.status = 422;
+  err.code = 'spend_guardrail';
+  err.violations = violations;
+  throw err;
+}
+
+// The changes creating a campaign from a spec makes: the campaign and each ad set
+function specChanges(spec) {
+  const changes = [{ action: 'create', type: 'campaign', id: 'new_campaign', params: spec?.campaign || {} }];
+  (Array.isArray(spec?.ad_sets) ? spec.ad_sets : []).forEach((adSet) => {
+    changes.push({ action: 'create', type: 'adset', params: { ...adSet, campaign_id: 'new_campaign' } });
+  });
+  return changes;
+}
+
+module.exports = {
+  LIMITS,
+  limits,
+  describe,
+  checkChanges,
+  enforce,
+  specChanges,
+};
@@ -0,0 +1,264 @@
+/**
+ * Conversation Threads
+ *
+ * Assistant conversations persisted on the server (data/threads/<id>.json),
+ * so they survive reloads, machines and New Chat. A thread keeps its
+ * messages, every campaign spec the assistant proposed in it (numbered
+ * versions) and the campaigns created from those specs, plus its memory:
+ * facts the user pinned and the running summary of older turns (see
+ * conversation-memory.js).
+ */
+const crypto = require('crypto');
+const store = require('./data-store');
+
+const TITLE_LENGTH = 60;
+
+function notFound(id) {
+  const err = new Error(`Thread ${id} not found`);
+  err.status = 404;
+  return err;
+}
+
+function file(id) {
+  // IDs come from URLs; anything but a UUID can't name a thread file
+  if (!/^[0-9a-f-]{36}$/.test(String(id))) return null;
+  return `threads/${id}.json`;
+}
+
+function load(id) {
+  const thread = file(id) && store.readJson(file(id));
+  if (!thread) throw notFound(id);
+  // Threads saved before pinned facts and summaries existed
+  thread.pinned = thread.pinned || [];
+  thread.memory = thread.memory || { summary: '', summarized_through: 0, updated_at: null };
+  return thread;
+}
+
+function save(thread) {
+  thread.updated_at = new Date().toISOString();
+  return store.writeJson(file(thread.id), thread);
+}
+
+function cleanMessage(m) {
+  return {
+    role: m.role === 'assistant' ? 'assistant' : 'user',
+    content: String(m.content),
+    created_at: m.created_at || new Date().toISOString(),
+    ...(m.tool_calls?.length ? { tool_calls: m.tool_calls } : {}),
+    ...(m.pending_actions?.length ? { pending_actions: m.pending_actions } : {}),
+    ...(m.spec_version ? { spec_version: m.spec_version } : {}),
+    ...(m.stopped ? { stopped: true } : {}),
+  };
+}
+
+/**
+ * Placeholder title from the first user message, used until a generated
+ * title replaces it.
+ */
+function fallbackTitle(text) {
+  const line = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!line) return 'New conversation';
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1).trimEnd()}…` : line;
+}
+
+// List entry: everything but the message bodies and spec JSON
+function summary(thread) {
+  const last = thread.messages[thread.messages.length - 1];
+  return {
+    id: thread.id,
+    title: thread.title,
+    created_at: thread.created_at,
+    updated_at: thread.updated_at,
+    message_count: thread.messages.length,
+    spec_versions: thread.specs.length,
+    campaign_ids: thread.campaigns.map((c) => c.campaign_id),
+    preview: last ? fallbackTitle(last.content) : '',
+  };
+}
+
+// ---------- Threads ----------
+
+function createThread({ title, messages = [] } = {}) {
+  const now = new Date().toISOString();
+  const cleaned = messages
+    .filter((m) => m && typeof m.role === 'string' && typeof m.content === 'string')
+    .map(cleanMessage);
+  const firstUser = cleaned.find((m) => m.role === 'user');
+  const thread = {
+    id: crypto.randomUUID(),
+    title: title ? fallbackTitle(title) : fallbackTitle(firstUser?.content),
+    // 'auto' titles are replaced by a generated one after the first reply
+    title_source: title ? 'user' : 'auto',
+    created_at: now,
+    updated_at: now,
+    messages: cleaned,
+    specs: [],
+    campaigns: [],
+    pinned: [],
+    // messages[0 .. summarized_through) are represented by `summary` in prompts
+    memory: { summary: '', summarized_through: 0, updated_at: null },
+  };
+  return save(thread);
+}
+
+function getThread(id) {
+  return load(id);
+}
+
+function renameThread(id, title) {
+  const thread = load(id);
+  thread.title = fallbackTitle(title);
+  thread.title_source = 'user';
+  return save(thread);
+}
+
+// Title from the assistant; ignored once the user has named the thread
+function setGeneratedTitle(id, title) {
+  const thread = load(id);
+  if (thread.title_source === 'user' || !title) return thread;
+  thread.title = fallbackTitle(title.replace(/^["'#\s]+|["'.\s]+$/g, ''));
+  thread.title_source = 'generated';
+  return save(thread);
+}
+
+function deleteThread(id) {
+  if (!file(id) || !store.removeJson(file(id))) throw notFound(id);
+  return true;
+}
+
+function appendMessages(id, messages) {
+  const thread = load(id);
+  const cleaned = messages
+    .filter((m) => m && typeof m.role === 'string' && typeof m.content === 'string' && m.content.trim())
+    .map(cleanMessage);
+  thread.messages.push(...cleaned);
+  if (thread.title_source === 'auto' && thread.title === 'New conversation') {
+    thread.title = fallbackTitle(cleaned.find((m) => m.role === 'user')?.content);
+  }
+  return save(thread);
+}
+
+// Takes back a message appended for a turn that failed (the last one with
+// the same role, time and text)
+function removeMessage(id, message) {
+  const thread = load(id);
+  const index = thread.messages.findLastIndex((m) => m.role === message.role && m.created_at === message.created_at && m.content === message.content);
+  if (index === -1) return thread;
+  thread.messages.splice(index, 1);
+  return save(thread);
+}
+
+/**
+ * Attach a campaign spec as the thread's next version. The same spec
+ * proposed twice in a row keeps its version number.
+ */
+function addSpec(id, spec) {
+  const thread = load(id);
+  const latest = thread.specs[thread.specs.length - 1];
+  if (latest && JSON.stringify(latest.spec) === JSON.stringify(spec)) return latest.version;
+  const version = (latest?.version || 0) + 1;
+  thread.specs.push({ version, spec, created_at: new Date().toISOString() });
+  save(thread);
+  return version;
+}
+
+function recordCampaign(id, { campaign_id: campaignId, spec_version: specVersion, name }) {
+  const thread = load(id);
+  thread.campaigns.push({
+    campaign_id: String(campaignId),
+    spec_version: specVersion ? Number(specVersion) : null,
+    name: name || null,
+    created_at: new Date().toISOString(),
+  });
+  return save(thread);
+}
+
+// ---------- Memory ----------
+
+function pinFact(id, text) {
+  const thread = load(id);
+  const fact = { id: crypto.randomUUID(), text: String(text).trim(), created_at: new Date().toISOString() };
+  thread.pinned.push(fact);
+  save(thread);
+  return fact;
+}
+
+function unpinFact(id, factId) {
+  const thread = load(id);
+  const before = thread.pinned.length;
+  thread.pinned = thread.pinned.filter((f) => f.id !== factId);
+  if (thread.pinned.length === before) {
+    const err = new Error(`Pinned fact ${factId} not found`);
+    err.status = 404;
+    throw err;
+  }
+  return save(thread);
+}
+
+function setMemory(id, { summary, summarized_through: through }) {
+  const thread = load(id);
+  thread.memory = { summary, summarized_through: through, updated_at: new Date().toISOString() };
+  return save(thread);
+}
+
+// ---------- Listing and search ----------
+
+function snippet(text, index, length) {
+  const start = Math.max(0, index - 40);
+  const end = Math.min(text.length, index + length + 80);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Thread summaries, most recently updated first. With `q`, only threads
+ * containing every word of the query (in the title, messages, pinned facts,
+ * spec names or campaign IDs), each with up to three matching snippets.
+ */
+function listThreads({ q } = {}) {
+  const threads = store.listJson('threads')
+    .filter((t) => t && t.id && Array.isArray(t.messages))
+    .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+
+  const words = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return threads.map(summary);
+
+  const results = [];
+  for (const thread of threads) {
+    const fields = [
+      thread.title,
+      ...thread.messages.map((m) => m.content),
+      ...(thread.pinned || []).map((f) => f.text),
+      ...thread.specs.map((s) => s.spec?.campaign?.name || ''),
+      ...thread.campaigns.map((c) => `${c.campaign_id} ${c.name || ''}`),
+    ];
+    const haystack = fields.join('\n').toLowerCase();
+    if (!words.every((w) => haystack.includes(w))) continue;
+
+    const matches = [];
+    for (const m of thread.messages) {
+      const lower = m.content.toLowerCase();
+      const at = words.map((w) => lower.indexOf(w)).filter((i) => i !== -1);
+      if (at.length) matches.push({ role: m.role, text: snippet(m.content, Math.min(...at), words[0].length) });
+      if (matches.length === 3) break;
+    }
+    results.push({ ...summary(thread), matches });
+  }
+  return results;
+}
+
+module.exports = {
+  fallbackTitle,
+  createThread,
+  getThread,
+  renameThread,
+  setGeneratedTitle,
+  deleteThread,
+  appendMessages,
+  removeMessage,
+  addSpec,
+  recordCampaign,
+  pinFact,
+  unpinFact,
+  setMemory,
+  listThreads,
+};
@@ -0,0 +1,172 @@
+/**
+ * UTM Tagging
+ *
+ * Applies a UTM template to every ad creative the app creates, through the
+ * creative's `url_tags` field. Meta appends url_tags to every link in the
+ * ad at click time and expands its dynamic parameters ({{campaign.name}},
+ * {{ad.id}}, ...), so IDs that don't exist yet at creation time still
+ * arrive in Shopify's landing_site.
+ *
+ * Links that already carry UTMs keep them: template keys the link sets
+ * itself are left out of url_tags (so the parameter isn't sent twice), and
+ * differing values are reported as conflicts.
+ *
+ * Optional env var:
+ *   UTM_TEMPLATE — query string with Meta URL parameters, or "off" to disable
+ *                  (default DEFAULT_TEMPLATE below)
+ */
+
+const DEFAULT_TEMPLATE = 'utm_source=facebook&utm_medium=paid_social&utm_campaign={{campaign.name}}&utm_term={{adset.name}}&utm_content={{ad.id}}&utm_id={{campaign.id}}';
+
+// Dynamic URL parameters Meta expands in url_tags
+const MACROS = [
+  'campaign.id', 'campaign.name',
+  'adset.id', 'adset.name',
+  'ad.id', 'ad.name',
+  'placement', 'site_source_name',
+];
+
+function utmTemplate() {
+  const value = process.env.UTM_TEMPLATE;
+  if (value === undefined || value.trim() === '') return DEFAULT_TEMPLATE;
+  return ['off', 'none', 'false'].includes(value.trim().toLowerCase()) ? null : value.trim();
+}
+
+/**
+ * [key, value] pairs of a template or query string, values left as
+ * written so Meta's {{macros}} aren't percent-encoded.
+ */
+function parsePairs(query) {
+  return String(query || '')
+    .replace(/^[?&]+/, '')
+    .split('&')
+    .filter(Boolean)
+    .map((part) => {
+      const eq = part.indexOf('=');
+      return eq === -1 ? [part, ''] : [part.slice(0, eq), part.slice(eq + 1)];
+    });
+}
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Problems with a UTM template, as messages ([] when fine).
+ */
+function validateTemplate(template) {
+  const errors = [];
+  const seen = new Set();
+  for (const [key, value] of parsePairs(template)) {
+    if (!/^[A-Za-z0-9_.-]+$/.test(key)) errors.push(`"${key}" is not a valid parameter name`);
+    if (seen.has(key)) errors.push(`${key} is set more than once`);
+    seen.add(key);
+    if (!value) errors.push(`${key} has no value`);
+    for (const [, macro] of value.matchAll(/\{\{\s*([^}]*?)\s*\}\}/g)) {
+      if (!MACROS.includes(macro)) errors.push(`${key} uses unknown parameter {{${macro}}} (use ${MACROS.map((m) => `{{${m}}}`).join(', ')})`);
+    }
+    if (/[{}]/.test(value.replace(/\{\{[^}]*\}\}/g, ''))) {
+      errors.push(`${key} has a single-brace placeholder; Meta parameters use {{double braces}}`);
+    }
+  }
+  if (!seen.has('utm_source')) errors.push('utm_source is required');
+  return errors;
+}
+
+// ---------- Creative links ----------
+
+/**
+ * Every destination URL in an object_story_spec, with its path in the spec.
+ */
+function creativeLinks(objectStorySpec, prefix = 'object_story_spec') {
+  const links = [];
+  const push = (field, url) => {
+    if (typeof url === 'string' && url) links.push({ field, url });
+  };
+  const link = objectStorySpec?.link_data;
+  if (link) {
+    push(`${prefix}.link_data.link`, link.link);
+    push(`${prefix}.link_data.call_to_action.value.link`, link.call_to_action?.value?.link);
+    (link.child_attachments || []).forEach((child, i) => push(`${prefix}.link_data.child_attachments[${i}].link`, child.link));
+  }
+  const video = objectStorySpec?.video_data;
+  if (video) push(`${prefix}.video_data.call_to_action.value.link`, video.call_to_action?.value?.link);
+  return links;
+}
+
+function linkParams(url) {
+  const q = url.indexOf('?');
+  if (q === -1) return [];
+  return parsePairs(url.slice(q + 1).split('#')[0]).filter(([key]) => key.toLowerCase().startsWith('utm_'));
+}
+
+/**
+ * UTMs already on a creative's links (and in explicit url_tags), checked
+ * against the template. Returns the template pairs still to add and the
+ * issues found: malformed or duplicated UTMs, and conflicts where a link
+ * sets a different value than the template would.
+ */
+function checkCreative(params, template = utmTemplate()) {
+  const issues = [];
+  const taken = new Map();
+  const sources = [
+    ...creativeLinks(params.object_story_spec),
+    ...(params.url_tags ? [{ field: 'url_tags', url: `?${params.url_tags}` }] : []),
+  ];
+
+  for (const { field, url } of sources) {
+    const perLink = new Map();
+    for (const [key, raw] of linkParams(url)) {
+      const value = decode(raw);
+      if (!value) issues.push({ field, key, type: 'empty', message: `${key} is empty` });
+      if (perLink.has(key) && perLink.get(key) !== value) {
+        issues.push({ field, key, type: 'duplicate', message: `${key} appears twice with different values ("${perLink.get(key)}", "${value}")` });
+      }
+      perLink.set(key, value);
+      if (taken.has(key) && taken.get(key).value !== value) {
+        issues.push({ field, key, type: 'inconsistent', message: `${key} is "${value}" here but "${taken.get(key).value}" in ${taken.get(key).field}` });
+      }
+      if (!taken.has(key)) taken.set(key, { field, value });
+    }
+  }
+
+  const pairs = template ? parsePairs(template) : [];
+  for (const [key, value] of pairs) {
+    const existing = taken.get(key);
+    if (existing && existing.value && existing.value !== decode(value)) {
+      issues.push({
+        field: existing.field,
+        key,
+        type: 'conflict',
+        message: `${key}="${existing.value}" overrides the UTM template's ${key}=${value}`,
+      });
+    }
+  }
+
+  return { add: pairs.filter(([key]) => !taken.has(key)), issues };
+}
+
+/**
+ * Creative params with the UTM template merged into url_tags, plus any
+ * issues found. Params are returned unchanged when tagging is off.
+ */
+function tagCreative(params, template = utmTemplate()) {
+  if (!template || !params?.object_story_spec) return { params, issues: [], url_tags: params?.url_tags || null };
+  const { add, issues } = checkCreative(params, template);
+  const tags = [params.url_tags, ...add.map(([k, v]) => `${k}=${v}`)].filter(Boolean).join('&');
+  return { params: tags ? { ...params, url_tags: tags } : params, issues, url_tags: tags || null };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  MACROS,
+  utmTemplate,
+  validateTemplate,
+  creativeLinks,
+  checkCreative,
+  tagCreative,
+};
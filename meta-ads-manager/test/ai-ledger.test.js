@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const aiLedger = require('../services/ai-ledger');
+const claudeAi = require('../services/claude-ai');
+const aiRouter = require('../routes/ai');
+const { withEnv, tempDataDir, anthropicMock, listen, requestJson } = require('./helpers');
+
+tempDataDir(test);
+withEnv(test, { AI_MODEL: undefined, AI_PRICING: undefined, AI_MONTHLY_SOFT_CAP: undefined, AI_MONTHLY_HARD_CAP: undefined });
+
+// Every fake reply uses 1000 input and 200 output tokens: $0.006 on Sonnet 4
+const requests = anthropicMock(test, (body) => (JSON.stringify(body.messages).includes('drop the stream') ? new Error('dropped') : 'Spring sale plan'));
+
+test('cost comes from the model price, cache tokens included', () => {
+  assert.equal(aiLedger.usageCost('claude-sonnet-4-20250514', { input_tokens: 1000, output_tokens: 200 }), 0.006);
+  assert.equal(aiLedger.usageCost('claude-sonnet-4-20250514', { cache_creation_input_tokens: 1e6, cache_read_input_tokens: 1e6 }), 4.05);
+  assert.equal(aiLedger.usageCost('some-other-model', { input_tokens: 1000 }), null);
+});
+
+test('AI_PRICING overrides prices by model prefix and reports bad entries', (t) => {
+  withEnv(t, { AI_PRICING: JSON.stringify({ 'claude-sonnet-4-2025': { input: 1, output: 1 }, 'claude-x': { input: 'free' } }) });
+  assert.equal(aiLedger.usageCost('claude-sonnet-4-20250514', { input_tokens: 1e6 }), 1);
+  assert.deepEqual(aiLedger.pricingTable().errors, ['AI_PRICING.claude-x needs numeric input and output prices']);
+
+  process.env.AI_PRICING = '{not json';
+  assert.match(aiLedger.pricingTable().errors[0], /not valid JSON/);
+  assert.equal(aiLedger.usageCost('claude-sonnet-4-20250514', { input_tokens: 1e6 }), 3);
+});
+
+test('each Claude call is recorded with its task, route and thread', async () => {
+  const before = aiLedger.budgetStatus().cost;
+  const title = await claudeAi.generateTitle([{ role: 'user', content: 'Plan a spring sale' }], { route: '/api/ai/chat', thread_id: 't-1' });
+
+  assert.equal(title, 'Spring sale plan');
+  const report = aiLedger.usageReport({ group: ['task', 'route', 'thread'] });
+  const row = report.rows.find((r) => r.thread === 't-1');
+  assert.deepEqual([row.task, row.route, row.calls, row.input_tokens, row.output_tokens, row.cost], ['title', '/api/ai/chat', 1, 1000, 200, 0.006]);
+  assert.equal(aiLedger.budgetStatus().cost, Math.round((before + 0.006) * 1e4) / 1e4);
+});
+
+test('a streamed reply is recorded once it ends, and so is one that breaks off', async () => {
+  const done = await claudeAi.chatStream([{ role: 'user', content: 'Plan a spring sale' }], null, null, { onText: () => {}, ledger: { thread_id: 't-stream' } });
+  assert.equal(done.content, 'Spring sale plan');
+  await assert.rejects(claudeAi.chatStream([{ role: 'user', content: 'Please drop the stream' }], null, null, { onText: () => {}, ledger: { thread_id: 't-broken' } }));
+
+  const rows = aiLedger.usageReport({ group: ['thread'] }).rows;
+  assert.deepEqual(['t-stream', 't-broken'].map((id) => rows.find((r) => r.thread === id)?.input_tokens), [1000, 1000]);
+  assert.equal(rows.find((r) => r.thread === 't-broken').output_tokens, 1);
+});
+
+test('calls to unpriced models are counted but not costed', () => {
+  aiLedger.recordUsage({ task: 'chat', model: 'mystery-model', usage: { input_tokens: 10 } });
+  const report = aiLedger.usageReport({ group: ['model'] });
+  const row = report.rows.find((r) => r.model === 'mystery-model');
+  assert.equal(row.unpriced_calls, 1);
+  assert.equal(row.cost, 0);
+});
+
+test('the usage report filters by day and groups by several fields', () => {
+  const today = new Date().toISOString().slice(0, 10);
+  assert.equal(aiLedger.usageReport({ since: '2000-01-01', until: '2000-01-31' }).totals.calls, 0);
+  const report = aiLedger.usageReport({ since: today, until: today, group: ['day', 'task'] });
+  assert.ok(report.rows.every((r) => r.day === today));
+  assert.equal(report.totals.calls, report.rows.reduce((sum, r) => sum + r.calls, 0));
+});
+
+test('over the soft cap the budget status warns', (t) => {
+  const { cost } = aiLedger.budgetStatus();
+  withEnv(t, { AI_MONTHLY_SOFT_CAP: String(cost / 2), AI_MONTHLY_HARD_CAP: String(cost + 100) });
+  const status = aiLedger.budgetStatus();
+  assert.equal(status.over_soft_cap, true);
+  assert.equal(status.over_hard_cap, false);
+  assert.doesNotThrow(() => aiLedger.assertWithinBudget());
+});
+
+test('at the hard cap Claude calls are refused with a 429, before reaching the API', async (t) => {
+  withEnv(t, { AI_MONTHLY_HARD_CAP: String(aiLedger.budgetStatus().cost) });
+  const sent = requests.length;
+  const base = await listen(t, aiRouter);
+
+  const { status, body } = await requestJson(`${base}/chat`, { method: 'POST', body: { messages: [{ role: 'user', content: 'Hi' }] } });
+
+  assert.equal(status, 429);
+  assert.match(body.error, /Monthly AI budget reached/);
+  assert.equal(requests.length, sent);
+  assert.equal((await requestJson(`${base}/budget`)).body.over_hard_cap, true);
+});
+
+test('GET /usage validates its range and groups', async (t) => {
+  const base = await listen(t, aiRouter);
+  assert.equal((await requestJson(`${base}/usage?since=2026-02-01&until=2026-01-01`)).status, 400);
+  assert.equal((await requestJson(`${base}/usage?since=yesterday`)).status, 400);
+  const { status, body } = await requestJson(`${base}/usage?group=colour`);
+  assert.equal(status, 400);
+  assert.match(body.error, /Unknown group colour/);
+});
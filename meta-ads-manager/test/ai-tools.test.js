@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metaApi = require('../services/meta-api');
+const aiTools = require('../services/ai-tools');
+const { withEnv, graphMock, mockMethods, tempDataDir } = require('./helpers');
+
+function toolUse(name, input) {
+  return { type: 'tool_use', id: `toolu_${name}`, name, input };
+}
+
+// First seeded campaign with the given status on the fake account
+async function seededCampaign(status) {
+  const { data } = await metaApi.listCampaigns('id,name,status,daily_budget', { limit: 10 });
+  return data.find((c) => c.status === status);
+}
+
+test('read tools run at once and return JSON to Claude', async (t) => {
+  await graphMock(t);
+  const { call, result, action } = await aiTools.runTool(toolUse('list_campaigns', { status: 'ALL' }));
+
+  assert.equal(action, undefined);
+  assert.equal(call.name, 'list_campaigns');
+  assert.equal(result.tool_use_id, 'toolu_list_campaigns');
+  assert.equal(JSON.parse(result.content).campaigns.length, 3);
+});
+
+test('set_status is only proposed; nothing changes until it is confirmed', async (t) => {
+  await graphMock(t);
+  const campaign = await seededCampaign('ACTIVE');
+  const update = mockMethods(t, metaApi, { updateCampaign: async () => ({ success: true }) }).updateCampaign;
+
+  const { action, result, call } = await aiTools.runTool(toolUse('set_status', { object_type: 'campaign', id: campaign.id, status: 'PAUSED', reason: 'CPA doubled' }));
+
+  assert.equal(update.mock.callCount(), 0);
+  assert.match(result.content, /not applied yet/);
+  assert.equal(call.pending_action_id, action.id);
+  assert.equal(action.summary, `Pause Campaign "${campaign.name}"`);
+  assert.deepEqual(action.changes, { status: 'PAUSED' });
+  assert.deepEqual(action.before, { status: 'ACTIVE' });
+
+  const confirmed = await aiTools.confirmAction(action.id);
+  assert.deepEqual(update.mock.calls[0].arguments, [campaign.id, { status: 'PAUSED' }]);
+  assert.deepEqual(confirmed.result, { success: true });
+});
+
+test('a proposed action runs at most once', async (t) => {
+  await graphMock(t);
+  const campaign = await seededCampaign('ACTIVE');
+  const { action } = await aiTools.runTool(toolUse('set_status', { object_type: 'campaign', id: campaign.id, status: 'PAUSED', reason: 'Overspending' }));
+
+  await aiTools.confirmAction(action.id);
+  assert.equal((await metaApi.getCampaign(campaign.id, 'status')).status, 'PAUSED');
+  await assert.rejects(aiTools.confirmAction(action.id), (err) => err.status === 404);
+});
+
+test('two confirmations arriving together run the action once', async (t) => {
+  await graphMock(t);
+  const campaign = await seededCampaign('ACTIVE');
+  const update = mockMethods(t, metaApi, { updateCampaign: async () => ({ success: true }) }).updateCampaign;
+  const { action } = await aiTools.runTool(toolUse('set_status', { object_type: 'campaign', id: campaign.id, status: 'PAUSED', reason: 'Overspending' }));
+
+  const results = await Promise.allSettled([aiTools.confirmAction(action.id), aiTools.confirmAction(action.id)]);
+  assert.deepEqual(results.map((r) => r.status), ['fulfilled', 'rejected']);
+  assert.equal(results[1].reason.status, 404);
+  assert.equal(update.mock.callCount(), 1);
+});
+
+test('a confirmation the guardrails refuse stays pending', async (t) => {
+  await graphMock(t);
+  const campaign = await seededCampaign('ACTIVE');
+  withEnv(t, { GUARD_MAX_ACCOUNT_DAILY_BUDGET: '100' });
+  const { action } = await aiTools.runTool(toolUse('update_budget', { object_type: 'campaign', id: campaign.id, daily_budget: '5500', reason: 'Scale' }));
+
+  withEnv(t, { GUARD_MAX_ACCOUNT_DAILY_BUDGET: '78' });
+  await assert.rejects(aiTools.confirmAction(action.id), (err) => err.status === 422);
+  withEnv(t, { GUARD_MAX_ACCOUNT_DAILY_BUDGET: undefined });
+  const confirmed = await aiTools.confirmAction(action.id);
+  assert.equal(confirmed.changes.daily_budget, '5500');
+});
+
+test('confirming an activation files an approval instead of activating', async (t) => {
+  tempDataDir(t);
+  await graphMock(t);
+  const campaign = await seededCampaign('PAUSED');
+  const { action } = await aiTools.runTool(toolUse('set_status', { object_type: 'campaign', id: campaign.id, status: 'ACTIVE', reason: 'Relaunch' }));
+
+  await assert.rejects(aiTools.confirmAction(action.id), (err) => err.status === 400);
+  const confirmed = await aiTools.confirmAction(action.id, { user: 'Ana' });
+  assert.equal(confirmed.approval.status, 'pending');
+  assert.equal((await metaApi.getCampaign(campaign.id, 'status')).status, 'PAUSED');
+  await assert.rejects(aiTools.confirmAction(action.id, { user: 'Ana' }), (err) => err.status === 404);
+});
+
+test('dismissed actions can no longer be confirmed', async (t) => {
+  await graphMock(t);
+  const campaign = await seededCampaign('ACTIVE');
+  const { action } = await aiTools.runTool(toolUse('set_status', { object_type: 'campaign', id: campaign.id, status: 'PAUSED', reason: 'Test' }));
+
+  assert.equal(aiTools.dismissAction(action.id), true);
+  assert.equal(aiTools.dismissAction(action.id), false);
+  await assert.rejects(aiTools.confirmAction(action.id), (err) => err.status === 404);
+});
+
+test('update_budget describes the change from the live budget', async (t) => {
+  await graphMock(t);
+  const campaign = await seededCampaign('ACTIVE');
+  const { action } = await aiTools.runTool(toolUse('update_budget', { object_type: 'campaign', id: campaign.id, daily_budget: '7500', reason: 'Strong ROAS' }));
+
+  assert.deepEqual(action.changes, { daily_budget: '7500' });
+  assert.deepEqual(action.before, { daily_budget: campaign.daily_budget });
+  assert.equal(action.summary, `Change Campaign "${campaign.name}" daily budget from 50.00 USD to 75.00 USD`);
+});
+
+test('proposed budgets are shown in the account currency', async (t) => {
+  await graphMock(t);
+  const campaign = await seededCampaign('ACTIVE');
+  mockMethods(t, metaApi, { getAdAccount: async () => ({ currency: 'JPY' }) });
+  const { action } = await aiTools.runTool(toolUse('update_budget', { object_type: 'campaign', id: campaign.id, daily_budget: '7500', reason: 'Strong ROAS' }));
+
+  assert.match(action.summary, /from 5000 JPY to 7500 JPY$/);
+});
+
+test('proposals that cannot apply come back to Claude as tool errors', async (t) => {
+  await graphMock(t);
+  const campaign = await seededCampaign('ACTIVE');
+  const cases = [
+    [toolUse('set_status', { object_type: 'campaign', id: campaign.id, status: 'ACTIVE', reason: 'x' }), /already ACTIVE/],
+    [toolUse('set_status', { object_type: 'account', id: '1', status: 'PAUSED', reason: 'x' }), /object_type must be one of/],
+    [toolUse('update_budget', { object_type: 'campaign', id: campaign.id, daily_budget: '75.00', reason: 'x' }), /must be a string of minor currency units/],
+    [toolUse('update_budget', { object_type: 'campaign', id: campaign.id, lifetime_budget: '9000', reason: 'x' }), /has no lifetime budget/],
+    [toolUse('delete_everything', {}), /Unknown tool/],
+  ];
+  for (const [block, message] of cases) {
+    const { result, action, call } = await aiTools.runTool(block);
+    assert.equal(result.is_error, true, block.name);
+    assert.match(result.content, message);
+    assert.match(call.error, message);
+    assert.equal(action, undefined);
+  }
+});
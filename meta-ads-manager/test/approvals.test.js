@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metaApi = require('../services/meta-api');
+const approvals = require('../services/approvals');
+const store = require('../services/data-store');
+const campaignsRouter = require('../routes/campaigns');
+const approvalsRouter = require('../routes/approvals');
+const { withEnv, tempDataDir, graphMock, listen, requestJson } = require('./helpers');
+
+withEnv(test, { ACTIVATION_APPROVAL: undefined, APPROVAL_SELF_COOLDOWN_MINUTES: undefined, GUARD_MAX_DAILY_BUDGET: undefined, GUARD_MAX_ACCOUNT_DAILY_BUDGET: undefined, GUARD_MAX_MONTHLY_SPEND: undefined, GUARD_MAX_BUDGET_INCREASE_PCT: undefined });
+
+async function setup(t) {
+  tempDataDir(t);
+  await graphMock(t);
+  const campaigns = await listen(t, campaignsRouter);
+  const approvalRoutes = await listen(t, approvalsRouter);
+  const paused = (await metaApi.listCampaigns('id,status')).data.find((c) => c.status === 'PAUSED');
+  const status = async () => (await metaApi.getCampaign(paused.id, 'status')).status;
+  return { campaigns, approvalRoutes, paused, status };
+}
+
+test('activating files a pending approval with a snapshot and changes nothing', async (t) => {
+  const { campaigns, paused, status } = await setup(t);
+  const { status: code, body } = await requestJson(`${campaigns}/${paused.id}/activate`, { method: 'POST', user: 'Ana' });
+
+  assert.equal(code, 202);
+  assert.equal(body.pending_approval, true);
+  assert.equal(body.approval.status, 'pending');
+  assert.equal(body.approval.requested_by, 'Ana');
+  assert.equal(body.approval.snapshot.campaign.id, paused.id);
+  assert.equal(body.approval.snapshot.ad_sets.length, 1);
+  assert.equal(body.approval.snapshot.creatives.length, 1);
+  assert.equal(await status(), 'PAUSED');
+});
+
+test('a request needs a user name, and only one can be pending per object', async (t) => {
+  const { campaigns, paused } = await setup(t);
+  const anonymous = await requestJson(`${campaigns}/${paused.id}/activate`, { method: 'POST' });
+  assert.equal(anonymous.status, 400);
+
+  await requestJson(`${campaigns}/${paused.id}/activate`, { method: 'POST', user: 'Ana' });
+  const again = await requestJson(`${campaigns}/${paused.id}/activate`, { method: 'POST', user: 'Ben' });
+  assert.equal(again.status, 409);
+  assert.match(again.body.error, /requested by Ana/);
+});
+
+test('the requester waits out the cooldown; another user can approve and activate', async (t) => {
+  const { paused, approvalRoutes, status } = await setup(t);
+  const approval = await approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: 'Ana' });
+
+  const own = await requestJson(`${approvalRoutes}/${approval.id}/approve`, { method: 'POST', user: 'ana' });
+  assert.equal(own.status, 403);
+  assert.equal(await status(), 'PAUSED');
+
+  const other = await requestJson(`${approvalRoutes}/${approval.id}/approve`, { method: 'POST', user: 'Ben', body: { note: 'Looks right' } });
+  assert.equal(other.status, 200);
+  assert.equal(other.body.approval.status, 'approved');
+  assert.equal(other.body.approval.decided_by, 'Ben');
+  assert.equal(await status(), 'ACTIVE');
+
+  const twice = await requestJson(`${approvalRoutes}/${approval.id}/approve`, { method: 'POST', user: 'Ben' });
+  assert.equal(twice.status, 409);
+});
+
+test('with no cooldown the requester may approve their own request', async (t) => {
+  const { paused, status } = await setup(t);
+  withEnv(t, { APPROVAL_SELF_COOLDOWN_MINUTES: '0' });
+  const approval = await approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: 'Ana' });
+
+  await approvals.approve(approval.id, { user: 'Ana' });
+  assert.equal(await status(), 'ACTIVE');
+});
+
+test('an approval goes stale when the budget changes after the request', async (t) => {
+  const { paused, approvalRoutes, status } = await setup(t);
+  const approval = await approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: 'Ana' });
+  await metaApi.updateCampaign(paused.id, { daily_budget: '9000' });
+
+  const { status: code, body } = await requestJson(`${approvalRoutes}/${approval.id}/approve`, { method: 'POST', user: 'Ben' });
+  assert.equal(code, 409);
+  assert.match(body.error, /changed after the request/);
+  assert.equal(approvals.getApproval(approval.id).status, 'stale');
+  assert.equal(await status(), 'PAUSED');
+
+  const again = await approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: 'Ana' });
+  assert.equal(again.snapshot.campaign.daily_budget, '9000');
+});
+
+test('a status change alone does not make an approval stale', async (t) => {
+  const { paused, status } = await setup(t);
+  const approval = await approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: 'Ana' });
+  await metaApi.updateCampaign(paused.id, { status: 'ARCHIVED' });
+
+  await approvals.approve(approval.id, { user: 'Ben' });
+  assert.equal(await status(), 'ACTIVE');
+});
+
+test('a rejected request is listed and can no longer be approved', async (t) => {
+  const { paused, approvalRoutes, status } = await setup(t);
+  const approval = await approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: 'Ana' });
+
+  const rejected = await requestJson(`${approvalRoutes}/${approval.id}/reject`, { method: 'POST', user: 'Ben', body: { note: 'Wrong audience' } });
+  assert.equal(rejected.status, 200);
+  assert.equal(rejected.body.approval.decision_note, 'Wrong audience');
+
+  const list = await requestJson(`${approvalRoutes}/?status=rejected`);
+  assert.deepEqual(list.body.data.map((a) => a.id), [approval.id]);
+  assert.equal((await requestJson(`${approvalRoutes}/?status=pending`)).body.data.length, 0);
+  assert.equal((await requestJson(`${approvalRoutes}/?status=bogus`)).status, 400);
+  assert.equal((await approvals.approve(approval.id, { user: 'Ben' }).catch((err) => err)).status, 409);
+  assert.equal(await status(), 'PAUSED');
+});
+
+test('approval is re-checked against the spend guardrails', async (t) => {
+  const { paused, approvalRoutes, status } = await setup(t);
+  const approval = await approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: 'Ana' });
+  withEnv(t, { GUARD_MAX_ACCOUNT_DAILY_BUDGET: '80' });
+
+  const { status: code } = await requestJson(`${approvalRoutes}/${approval.id}/approve`, { method: 'POST', user: 'Ben' });
+  assert.equal(code, 422);
+  assert.equal(approvals.getApproval(approval.id).status, 'pending');
+  assert.equal(await status(), 'PAUSED');
+});
+
+test('creates and updates cannot set ACTIVE directly unless approvals are off', async (t) => {
+  const { campaigns, paused, status } = await setup(t);
+  const update = await requestJson(`${campaigns}/${paused.id}`, { method: 'PATCH', body: { status: 'ACTIVE' } });
+  assert.equal(update.status, 400);
+  assert.match(update.body.error, /needs an approval/);
+
+  withEnv(t, { ACTIVATION_APPROVAL: 'off' });
+  const direct = await requestJson(`${campaigns}/${paused.id}/activate`, { method: 'POST' });
+  assert.equal(direct.status, 200);
+  assert.equal(await status(), 'ACTIVE');
+});
+
+test('two decisions arriving together: only the first goes ahead', async (t) => {
+  const { paused } = await setup(t);
+  const approval = await approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: 'Ana' });
+  const activate = t.mock.method(metaApi, 'activateCampaign');
+
+  const results = await Promise.allSettled([
+    approvals.approve(approval.id, { user: 'Ben' }),
+    approvals.approve(approval.id, { user: 'Cam' }),
+    Promise.resolve().then(() => approvals.reject(approval.id, { user: 'Dee' })),
+  ]);
+  assert.deepEqual(results.map((r) => r.status), ['fulfilled', 'rejected', 'rejected']);
+  assert.equal(results[1].reason.status, 409);
+  assert.equal(results[2].reason.status, 409);
+  assert.equal(activate.mock.callCount(), 1);
+  assert.equal(approvals.getApproval(approval.id).decided_by, 'Ben');
+});
+
+test('two requests for the same object arriving together: only the first is filed', async (t) => {
+  const { paused } = await setup(t);
+  const request = (user) => approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: user });
+
+  const results = await Promise.allSettled([request('Ana'), request('Ben')]);
+  assert.deepEqual(results.map((r) => r.status), ['fulfilled', 'rejected']);
+  assert.equal(results[1].reason.status, 409);
+  assert.equal(approvals.listApprovals().length, 1);
+});
+
+test('an approving claim that was never finished times out back to pending', async (t) => {
+  const { paused } = await setup(t);
+  const approval = await approvals.requestActivation({ objectType: 'campaign', objectId: paused.id, requestedBy: 'Ana' });
+  const claim = (minutesAgo) => store.writeJson(`approvals/${approval.id}.json`, {
+    ...approval, status: 'approving', claimed_at: new Date(Date.now() - minutesAgo * 60000).toISOString(),
+  });
+
+  claim(1);
+  await assert.rejects(approvals.approve(approval.id, { user: 'Ben' }), { status: 409, message: /being approved right now/ });
+
+  claim(60);
+  assert.equal(approvals.getApproval(approval.id).status, 'pending');
+  assert.deepEqual(approvals.listApprovals({ status: 'pending' }).map((a) => a.id), [approval.id]);
+  const approved = await approvals.approve(approval.id, { user: 'Ben' });
+  assert.equal(approved.status, 'approved');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRange, orderTouch, buildIndex, matchOrder, buildReport } = require('../services/attribution');
+
+const campaigns = [
+  { id: '100', name: 'Spring Sale', status: 'ACTIVE' },
+  { id: '200', name: 'Retargeting', status: 'ACTIVE' },
+];
+const adsets = [
+  { id: '110', name: 'US Women 25-44', campaign_id: '100' },
+  { id: '210', name: 'Cart abandoners', campaign_id: '200' },
+];
+const ads = [
+  { id: '111', name: 'Hero video', adset_id: '110', campaign_id: '100' },
+  { id: '211', name: 'Carousel', adset_id: '210', campaign_id: '200' },
+];
+const index = buildIndex({ campaigns, adsets, ads });
+
+function touch(landingSite, referringSite) {
+  return orderTouch({ landing_site: landingSite, referring_site: referringSite });
+}
+
+test('resolveRange turns presets into inclusive UTC dates', () => {
+  const now = new Date('2026-03-15T12:00:00Z');
+  assert.deepEqual(resolveRange({ date_preset: 'last_7d' }, now), { since: '2026-03-08', until: '2026-03-14' });
+  assert.deepEqual(resolveRange({ date_preset: 'yesterday' }, now), { since: '2026-03-14', until: '2026-03-14' });
+  assert.deepEqual(resolveRange({ date_preset: 'last_month' }, now), { since: '2026-02-01', until: '2026-02-28' });
+  assert.deepEqual(resolveRange({ time_range: { since: '2026-01-01', until: '2026-01-31' } }, now), { since: '2026-01-01', until: '2026-01-31' });
+  assert.equal(resolveRange({ date_preset: 'maximum' }, now), null);
+});
+
+test('orderTouch reads UTMs, fbclid and the referrer', () => {
+  const t = touch('/products/tee?UTM_Source=Instagram&utm_campaign=spring', 'https://l.facebook.com/');
+  assert.equal(t.params.utm_source, 'Instagram');
+  assert.equal(t.referrer, 'l.facebook.com');
+  assert.equal(t.isMeta, true);
+
+  assert.equal(touch('/?fbclid=abc').fbclid, 'abc');
+  assert.equal(touch('/?utm_source=google').isMeta, false);
+  assert.equal(touch(null, 'not a url').referrer, '');
+});
+
+test('matches by ID and fills in the parents', () => {
+  assert.deepEqual(matchOrder(touch('/?utm_content=111'), index), { campaign_id: '100', adset_id: '110', ad_id: '111', matched_by: 'id' });
+  assert.deepEqual(matchOrder(touch('/?campaign_id=200'), index), { campaign_id: '200', adset_id: null, ad_id: null, matched_by: 'id' });
+});
+
+test('matches by name ignoring case, spacing and dashes', () => {
+  const match = matchOrder(touch('/?utm_campaign=spring-sale&utm_term=us_women_25_44'), index);
+  assert.deepEqual(match, { campaign_id: '100', adset_id: '110', ad_id: null, matched_by: 'name' });
+});
+
+test('the most specific match wins over a contradicting campaign', () => {
+  const match = matchOrder(touch('/?utm_content=Carousel&utm_campaign=Spring+Sale'), index);
+  assert.equal(match.campaign_id, '200');
+  assert.equal(match.ad_id, '211');
+});
+
+test('ambiguous names match nothing', () => {
+  const dupes = buildIndex({ campaigns: [...campaigns, { id: '300', name: 'spring sale' }] });
+  assert.equal(matchOrder(touch('/?utm_campaign=Spring%20Sale'), dupes), null);
+});
+
+test('buildReport puts Shopify revenue next to Meta spend', () => {
+  const orders = [
+    { financial_status: 'paid', total_price: '120.00', landing_site: '/?utm_content=111' },
+    { financial_status: 'paid', current_total_price: '30.00', total_price: '50.00', landing_site: '/?utm_campaign=Retargeting' },
+    { financial_status: 'paid', total_price: '40.00', landing_site: '/?fbclid=xyz' },
+    { financial_status: 'paid', total_price: '25.00', landing_site: '/?utm_source=google' },
+    { financial_status: 'refunded', total_price: '999.00', landing_site: '/?utm_content=111' },
+    { financial_status: 'paid', cancelled_at: '2026-03-02', total_price: '999.00', landing_site: '/?utm_content=111' },
+  ];
+  const insightsById = {
+    100: { data: [{ metrics: { spend: 60, purchases: 2, purchase_value: 150, roas: 2.5 } }] },
+    200: { data: [{ metrics: { spend: 20, purchases: 0, purchase_value: 0, roas: 0 } }] },
+  };
+  const report = buildReport({ campaigns, adsets, ads, insightsById, orders });
+
+  assert.deepEqual(report.campaigns.map((c) => [c.id, c.shopify_orders, c.shopify_revenue, c.shopify_roas]), [
+    ['100', 1, 120, 2],
+    ['200', 1, 30, 1.5],
+  ]);
+  assert.deepEqual(report.campaigns[0].ads, [{ id: '111', name: 'Hero video', orders: 1, revenue: 120 }]);
+  assert.deepEqual(report.unmatched_meta, { orders: 1, revenue: 40 });
+  assert.deepEqual(report.other_orders, { orders: 1, revenue: 25 });
+  assert.equal(report.totals.shopify_revenue, 215);
+  assert.equal(report.totals.attributed_roas, 1.88);
+  assert.equal(report.totals.blended_roas, 2.69);
+  assert.deepEqual(report.totals.matched_by, { id: 1, name: 1 });
+});
+
+test('buildReport drops campaigns with no spend, orders or purchases', () => {
+  const report = buildReport({ campaigns, insightsById: {}, orders: [] });
+  assert.deepEqual(report.campaigns, []);
+  assert.equal(report.totals.meta_roas, null);
+});
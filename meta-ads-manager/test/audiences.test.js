@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const audiences = require('../services/audiences');
+const metaApi = require('../services/meta-api');
+const shopifyApi = require('../services/shopify-api');
+const auditLog = require('../services/audit-log');
+const { withEnv, tempDataDir, mockMethods } = require('./helpers');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+withEnv(test, { AUDIENCE_PHONE_COUNTRY_CODE: undefined });
+
+test('validateAudience accepts each segment type', () => {
+  assert.deepEqual(audiences.validateAudience({ name: 'Buyers', segment: { type: 'all_buyers' } }), []);
+  assert.deepEqual(audiences.validateAudience({ name: 'VIP', segment: { type: 'tag', tag: 'vip' }, auto_refresh: false }), []);
+  assert.deepEqual(audiences.validateAudience({ name: 'Lapsed', segment: { type: 'lapsed_buyers', lapsed_days: 90, subscribed_only: true } }), []);
+});
+
+test('validateAudience explains every problem', () => {
+  assert.deepEqual(audiences.validateAudience(null), ['must be an object']);
+  assert.deepEqual(audiences.validateAudience({ name: 'x'.repeat(101), segment: { type: 'tag', min_orders: 1, lapsed_days: 2000, subscribed_only: 'yes' }, auto_refresh: 1 }), [
+    'name must be at most 100 characters',
+    'segment.tag is required for a tag segment',
+    'segment.min_orders must be a whole number of at least 2',
+    'segment.lapsed_days must be a whole number of days from 1 to 1095',
+    'segment.subscribed_only must be true or false',
+    'auto_refresh must be true or false',
+  ]);
+  assert.match(audiences.validateAudience({ name: 'x', segment: { type: 'everyone' } })[0], /^segment\.type must be one of/);
+});
+
+test('describeSegment uses the defaults', () => {
+  assert.equal(audiences.describeSegment({ type: 'repeat_buyers' }), 'Customers with 2+ orders');
+  assert.equal(audiences.describeSegment({ type: 'lapsed_buyers', lapsed_days: 90, subscribed_only: true }), 'Buyers with no order in the last 90 days who subscribed to email marketing');
+});
+
+test('normalizeEmail trims, lowercases and drops invalid addresses', () => {
+  assert.equal(audiences.normalizeEmail('  Jane.Doe@Example.COM '), 'jane.doe@example.com');
+  assert.equal(audiences.normalizeEmail('jane@localhost'), null);
+  assert.equal(audiences.normalizeEmail(null), null);
+});
+
+test('normalizePhone keeps international numbers', () => {
+  assert.equal(audiences.normalizePhone('+44 20 7946 0958', 'US'), '442079460958');
+  assert.equal(audiences.normalizePhone('0049 30 123456', 'GB'), '4930123456');
+});
+
+test('normalizePhone adds the calling code of the address country', (t) => {
+  withEnv(t, { AUDIENCE_PHONE_COUNTRY_CODE: '1' });
+  assert.equal(audiences.normalizePhone('(415) 555-0100', 'us'), '14155550100');
+  assert.equal(audiences.normalizePhone('1-415-555-0100', 'CA'), '14155550100');
+  assert.equal(audiences.normalizePhone('020 7946 0958', 'GB'), '442079460958');
+  assert.equal(audiences.normalizePhone('06 1234 5678', 'IT'), '390612345678');
+});
+
+test('normalizePhone only falls back to AUDIENCE_PHONE_COUNTRY_CODE without a country', (t) => {
+  withEnv(t, { AUDIENCE_PHONE_COUNTRY_CODE: '+44' });
+  assert.equal(audiences.normalizePhone('07700 900123'), '447700900123');
+  assert.equal(audiences.normalizePhone('07700 900123', 'ZZ'), null);
+});
+
+test('normalizePhone leaves out numbers it cannot place', () => {
+  assert.equal(audiences.normalizePhone('415 555 0100'), null);
+  assert.equal(audiences.normalizePhone('12', 'US'), null);
+  assert.equal(audiences.normalizePhone('', 'US'), null);
+});
+
+test('customerRows hashes, dedupes and counts contacts', () => {
+  const { rows, stats } = audiences.customerRows([
+    { email: 'A@example.com', phone: '415-555-0100', default_address: { country_code: 'US' } },
+    { email: 'a@example.com ', default_address: { phone: '(415) 555-0100', country_code: 'US' } },
+    { email: 'b@example.com', phone: '555-0100' },
+    { phone: '+33 6 12 34 56 78' },
+    { email: 'not an email' },
+  ]);
+  assert.deepEqual(rows, [
+    [sha256('a@example.com'), sha256('14155550100')],
+    [sha256('b@example.com'), ''],
+    ['', sha256('33612345678')],
+  ]);
+  assert.deepEqual(stats, { customers: 5, with_email: 3, with_phone: 3, phones_skipped: 1, without_contact: 1 });
+});
+
+test('previewSegment counts a segment without uploading', async (t) => {
+  mockMethods(t, shopifyApi, {
+    getCustomers: async () => ({
+      truncated: false,
+      customers: [
+        { id: 1, email: 'one@example.com', orders_count: 1, tags: 'VIP, wholesale' },
+        { id: 2, email: 'two@example.com', orders_count: 3, tags: '' },
+        { id: 3, email: 'three@example.com', orders_count: 4, tags: 'vip', email_marketing_consent: { state: 'subscribed' } },
+      ],
+    }),
+    getOrders: async () => ({ truncated: true, orders: [{ id: 9, customer: { id: 3 } }] }),
+  });
+
+  const tagged = await audiences.previewSegment({ type: 'tag', tag: ' vip ' });
+  assert.equal(tagged.summary, 'Customers tagged "vip"');
+  assert.equal(tagged.uploadable, 2);
+
+  const repeat = await audiences.previewSegment({ type: 'repeat_buyers', min_orders: 3, subscribed_only: true });
+  assert.equal(repeat.customers, 1);
+
+  const lapsed = await audiences.previewSegment({ type: 'lapsed_buyers' });
+  assert.equal(lapsed.customers, 2);
+  assert.equal(lapsed.truncated, true);
+
+  await assert.rejects(audiences.previewSegment({ type: 'tag' }), (err) => err.status === 400);
+});
+
+test('a sync creates the Meta audience once, adds on the first upload and replaces after', async (t) => {
+  tempDataDir(t);
+  mockMethods(t, shopifyApi, {
+    getCustomers: async () => ({ truncated: false, customers: [{ id: 1, email: 'one@example.com', orders_count: 2 }, { id: 2, orders_count: 0, email: 'none@example.com' }] }),
+  });
+  const meta = mockMethods(t, metaApi, {
+    createCustomAudience: async () => ({ id: '777' }),
+    uploadCustomAudienceUsers: async (id, payload) => ({ num_received: payload.data.length, num_invalid_entries: 0 }),
+  });
+
+  const audience = await audiences.createAudience({ name: 'Buyers', segment: { type: 'all_buyers' } }, { user: 'sam' });
+  assert.equal(audience.meta_audience_id, '777');
+  assert.equal(audience.last_sync.status, 'success');
+  assert.equal(audience.last_sync.mode, 'add');
+  assert.equal(audience.last_sync.uploaded, 1);
+  assert.match(audience.last_sync.warning, /at least 100 matched people/);
+
+  const again = await audiences.syncAudience(audience.id);
+  assert.equal(again.last_sync.mode, 'replace');
+  assert.equal(meta.createCustomAudience.mock.callCount(), 1);
+  const [, payload, session, options] = meta.uploadCustomAudienceUsers.mock.calls[1].arguments;
+  assert.deepEqual(payload.data, [[sha256('one@example.com'), '']]);
+  assert.equal(session.last_batch_flag, true);
+  assert.deepEqual(options, { replace: true });
+  assert.deepEqual(auditLog.queryLog().data.map((e) => e.action), ['custom_audience.sync', 'custom_audience.sync', 'custom_audience.create']);
+});
+
+test('a failed upload is recorded on the audience', async (t) => {
+  tempDataDir(t);
+  mockMethods(t, shopifyApi, { getCustomers: async () => ({ truncated: false, customers: [{ id: 1, email: 'one@example.com', orders_count: 1 }] }) });
+  mockMethods(t, metaApi, {
+    createCustomAudience: async () => ({ id: '777' }),
+    uploadCustomAudienceUsers: async () => { throw new Error('Terms not accepted'); },
+  });
+
+  const audience = await audiences.createAudience({ name: 'Buyers', segment: { type: 'all_buyers' } });
+  assert.equal(audience.last_sync.status, 'failed');
+  assert.equal(audience.last_sync.error, 'Terms not accepted');
+});
+
+test('edits are refused while a sync runs and keep its result afterwards', async (t) => {
+  tempDataDir(t);
+  mockMethods(t, shopifyApi, { getCustomers: async () => ({ truncated: false, customers: [{ id: 1, email: 'one@example.com', orders_count: 1 }] }) });
+  let release;
+  const uploaded = new Promise((resolve) => { release = resolve; });
+  mockMethods(t, metaApi, {
+    createCustomAudience: async () => ({ id: '777' }),
+    uploadCustomAudienceUsers: () => uploaded,
+    updateCustomAudience: async () => ({ success: true }),
+  });
+  const audience = await audiences.createAudience({ name: 'Buyers', segment: { type: 'all_buyers' } }, { sync: false });
+
+  const sync = audiences.syncAudience(audience.id);
+  await assert.rejects(audiences.syncAudience(audience.id), (err) => err.status === 409);
+  await assert.rejects(audiences.updateAudience(audience.id, { name: 'Renamed' }), (err) => err.status === 409);
+  await assert.rejects(audiences.deleteAudience(audience.id), (err) => err.status === 409);
+  release({ num_received: 1, num_invalid_entries: 0 });
+  assert.equal((await sync).last_sync.status, 'success');
+
+  const renamed = await audiences.updateAudience(audience.id, { name: 'Renamed', auto_refresh: false });
+  assert.equal(renamed.name, 'Renamed');
+  assert.equal(renamed.meta_audience_id, '777');
+  assert.equal(renamed.last_sync.uploaded, 1);
+});
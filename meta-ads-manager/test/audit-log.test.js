@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auditLog = require('../services/audit-log');
+const campaignsRouter = require('../routes/campaigns');
+const { tempDataDir, graphMock, listen, requestJson } = require('./helpers');
+
+function csvRow(entry) {
+  return auditLog.toCsv([entry]).split('\r\n')[1];
+}
+
+test('toCsv writes a header and one row per entry', () => {
+  const csv = auditLog.toCsv([{ at: '2026-03-01T10:00:00Z', actor: 'sam', action: 'pause', object_id: '123' }]);
+  const [header, row] = csv.split('\r\n');
+  assert.match(header, /^at,actor,action,object_type,object_id,/);
+  assert.ok(row.startsWith('2026-03-01T10:00:00Z,sam,pause,,123,'));
+});
+
+test('toCsv quotes commas, quotes and newlines and serializes objects', () => {
+  const row = csvRow({ object_name: 'Sale, "big"\nlaunch', before: { status: 'ACTIVE' } });
+  assert.ok(row.includes('"Sale, ""big""\nlaunch"'));
+  assert.ok(row.endsWith('"{""status"":""ACTIVE""}",'));
+});
+
+test('toCsv neutralizes cells a spreadsheet would run as formulas', () => {
+  for (const value of ['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\tcmd']) {
+    assert.ok(csvRow({ actor: value }).includes(`"'${value.replace(/"/g, '""')}"`), value);
+  }
+  assert.ok(csvRow({ actor: 'plain' }).includes(',plain,'));
+});
+
+test('queryLog filters and returns entries newest first', (t) => {
+  tempDataDir(t);
+  auditLog.record({ actor: 'sam', source: 'manual' }, { action: 'pause', object_type: 'campaign', object_id: 1, object_name: 'Spring sale' });
+  auditLog.record({ actor: 'alex', source: 'assistant', thread_id: 't1' }, { action: 'update_budget', object_type: 'adset', object_id: 2, outcome: 'failed', error: 'Rate limited' });
+  auditLog.record({ actor: 'sam', source: 'approval' }, { action: 'activate', object_type: 'campaign', object_id: 1 });
+
+  const all = auditLog.queryLog();
+  assert.equal(all.total, 3);
+  assert.deepEqual(all.data.map((e) => e.action), ['activate', 'update_budget', 'pause']);
+  assert.deepEqual(all.facets.actors, ['alex', 'sam']);
+
+  assert.deepEqual(auditLog.queryLog({ actor: 'sam', object_id: 1 }).data.map((e) => e.action), ['activate', 'pause']);
+  assert.deepEqual(auditLog.queryLog({ outcome: 'failed' }).data.map((e) => e.thread_id), ['t1']);
+  assert.equal(auditLog.queryLog({ q: 'spring SALE' }).total, 1);
+  assert.equal(auditLog.queryLog({ since: '2999-01-01' }).total, 0);
+  assert.equal(auditLog.queryLog({}, { limit: 1 }).data.length, 1);
+});
+
+test('a route change is recorded with who made it and the values before and after', async (t) => {
+  tempDataDir(t);
+  await graphMock(t, { failures: [{ code: 100, method: 'POST', path: '^/\\d+$', times: 1 }] });
+  const base = await listen(t, campaignsRouter);
+  const campaigns = (await requestJson(`${base}/`)).body.data;
+  const active = campaigns.find((c) => c.status === 'ACTIVE');
+
+  const failed = await requestJson(`${base}/${active.id}/pause`, { method: 'POST', user: 'Sam' });
+  assert.notEqual(failed.status, 200);
+  await requestJson(`${base}/${active.id}?dry_run=true`, { method: 'PATCH', user: 'Sam', body: { name: 'Renamed' } });
+  await requestJson(`${base}/${active.id}/pause`, { method: 'POST', user: 'Sam' });
+
+  const { data } = auditLog.queryLog();
+  assert.deepEqual(data.map((e) => [e.action, e.outcome]), [['campaign.pause', 'success'], ['campaign.pause', 'failed']]);
+  assert.equal(data[0].actor, 'Sam');
+  assert.equal(data[0].source, 'manual');
+  assert.equal(data[0].object_id, active.id);
+  assert.equal(data[0].before.status, 'ACTIVE');
+  assert.deepEqual(data[0].after, { status: 'PAUSED' });
+  assert.equal(data[0].before.name, active.name);
+  assert.match(data[0].route, /^POST .*\/pause$/);
+  assert.ok(data[1].error);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const metaApi = require('../services/meta-api');
+const { withEnv, graphMock, listen } = require('./helpers');
+
+test('named results can be referenced by later sub-requests', async (t) => {
+  await graphMock(t);
+  const results = await metaApi.batchRequest([
+    { ...metaApi.campaignRequest({ name: 'Batched', objective: 'OUTCOME_TRAFFIC' }), name: 'campaign' },
+    { method: 'GET', endpoint: `${metaApi.batchRef('campaign')}?fields=name,status` },
+  ]);
+
+  assert.ok(results[0].data.id);
+  assert.deepEqual(results[1].data, { id: results[0].data.id, name: 'Batched', status: 'PAUSED' });
+});
+
+test('references across the 50-request chunk boundary are resolved', async (t) => {
+  await graphMock(t);
+  const reads = Array.from({ length: 50 }, () => ({ method: 'GET', endpoint: `${metaApi.batchRef('campaign')}?fields=name` }));
+  const results = await metaApi.batchRequest([
+    { ...metaApi.campaignRequest({ name: 'Chunked', objective: 'OUTCOME_TRAFFIC' }), name: 'campaign' },
+    ...reads,
+  ]);
+
+  assert.equal(results.length, 51);
+  assert.ok(results.every((r) => !r.error));
+  // The last read went out in the second HTTP batch call
+  assert.deepEqual(results[50].data, { id: results[0].data.id, name: 'Chunked' });
+});
+
+test('a failed sub-request is returned as an error in its slot', async (t) => {
+  await graphMock(t);
+  const results = await metaApi.batchRequest([
+    { method: 'GET', endpoint: '404404404?fields=name', name: 'missing' },
+    { method: 'GET', endpoint: `${metaApi.batchRef('missing')}?fields=name` },
+    { method: 'GET', endpoint: 'act_1000000001?fields=currency' },
+  ]);
+
+  assert.ok(results[0].error instanceof Error);
+  assert.equal(results[0].error.code, 100);
+  assert.ok(results[1].error);
+  assert.equal(results[2].data.currency, 'USD');
+});
+
+test('insights for many campaigns come back keyed by ID', async (t) => {
+  await graphMock(t);
+  const { data } = await metaApi.listCampaigns('id');
+  const ids = data.map((c) => c.id);
+  const insights = await metaApi.getCampaignInsightsBatch([...ids, '404404404'], { date_preset: 'last_7d' });
+
+  for (const id of ids) assert.ok(Array.isArray(insights[id].data), id);
+  assert.ok(insights['404404404'].error);
+});
+
+test('an insights item that comes back without a body is an error in its slot', async (t) => {
+  await graphMock(t);
+  const router = express.Router();
+  router.post(/.*/, (req, res) => res.json([
+    { code: 200, body: JSON.stringify({ data: [{ spend: '12.00' }] }) },
+    null,
+    { code: 200 },
+  ]));
+  withEnv(t, { FACEBOOK_GRAPH_URL: await listen(t, router) });
+
+  const insights = await metaApi.getInsightsBatch(['1', '2', '3'], { date_preset: 'yesterday' });
+  assert.equal(insights[1].data[0].spend, '12.00');
+  assert.match(insights[2].error, /no response/);
+  assert.equal(insights[3].error, 'No data returned');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCampaignSpec } = require('../services/claude-ai');
+const { specJsonSchema } = require('../services/spec-validator');
+
+test('the last json block holding a campaign wins', () => {
+  const reply = 'Options:\n```json\n{"campaign": {"name": "A"}}\n```\nBetter:\n```json\n{"campaign": {"name": "B"}}\n```\n```json\n{"note": 1}\n```';
+  assert.deepEqual(extractCampaignSpec(reply), { campaign: { name: 'B' } });
+});
+
+test('comments and trailing commas written by the model are tolerated', () => {
+  const reply = '```json\n{\n  "campaign": {\n    "name": "Sale // 50% off", /* draft */\n    "daily_budget": "2000", // in cents\n  },\n}\n```';
+  assert.deepEqual(extractCampaignSpec(reply), { campaign: { name: 'Sale // 50% off', daily_budget: '2000' } });
+});
+
+test('replies without a spec give null', () => {
+  assert.equal(extractCampaignSpec('No spec here'), null);
+  assert.equal(extractCampaignSpec(undefined), null);
+});
+
+test('the spec tool schema keeps budgets as strings of minor units', () => {
+  const schema = specJsonSchema();
+  assert.deepEqual(schema.required, ['campaign', 'ad_sets', 'ads']);
+  assert.equal(schema.properties.campaign.properties.status.enum[0], 'PAUSED');
+  assert.equal(schema.properties.ad_sets.items.properties.daily_budget.pattern, '^\\d+$');
+});
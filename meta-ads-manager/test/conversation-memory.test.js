@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const threads = require('../services/threads');
+const claudeAi = require('../services/claude-ai');
+const conversationMemory = require('../services/conversation-memory');
+const threadsRouter = require('../routes/threads');
+const { withEnv, tempDataDir, mockMethods, listen, requestJson } = require('./helpers');
+
+tempDataDir(test);
+
+// 70 characters: 20 estimated tokens, 24 with the per-message overhead
+const LINE = 'x'.repeat(70);
+
+function threadOf(count) {
+  const messages = Array.from({ length: count }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `${i}${LINE.slice(1)}` }));
+  return threads.createThread({ messages });
+}
+
+test('a thread under budget is sent whole, without summarizing', async (t) => {
+  const { summarizeConversation } = mockMethods(t, claudeAi, { summarizeConversation: async () => 'unused' });
+  const thread = threadOf(4);
+
+  const { messages, memory } = await conversationMemory.prepareTurn(thread, '', { budget: 100 });
+
+  assert.equal(messages.length, 4);
+  assert.equal(memory.estimated_tokens, 96);
+  assert.equal(memory.folded, undefined);
+  assert.equal(summarizeConversation.mock.callCount(), 0);
+});
+
+test('over budget, the oldest turns are folded into the summary from a user message on', async (t) => {
+  const { summarizeConversation } = mockMethods(t, claudeAi, { summarizeConversation: async () => 'Wants a spring sale' });
+  const thread = threadOf(6);
+  threads.pinFact(thread.id, 'Never target under-21s');
+
+  const { messages, memory } = await conversationMemory.prepareTurn(threads.getThread(thread.id), '', { budget: 100 });
+
+  assert.deepEqual(messages.map((m) => m.content[0]), ['4', '5']);
+  assert.equal(memory.folded, 4);
+  assert.equal(memory.summary, 'Wants a spring sale');
+  assert.equal(memory.summarized_through, 4);
+  assert.deepEqual(memory.pinned.map((f) => f.text), ['Never target under-21s']);
+
+  const [previous, folded, pinned] = summarizeConversation.mock.calls[0].arguments;
+  assert.equal(previous, '');
+  assert.deepEqual(folded.map((m) => m.content[0]), ['0', '1', '2', '3']);
+  assert.deepEqual(pinned.map((f) => f.text), ['Never target under-21s']);
+  assert.deepEqual(threads.getThread(thread.id).memory.summarized_through, 4);
+});
+
+test('the next fold extends the existing summary', async (t) => {
+  const { summarizeConversation } = mockMethods(t, claudeAi, { summarizeConversation: async (previous) => `${previous}; more` });
+  const thread = threadOf(6);
+  await conversationMemory.prepareTurn(thread, '', { budget: 100 });
+  threads.appendMessages(thread.id, [{ role: 'user', content: LINE }, { role: 'assistant', content: LINE }, { role: 'user', content: LINE }]);
+
+  const { messages, memory } = await conversationMemory.prepareTurn(threads.getThread(thread.id), '', { budget: 100 });
+
+  assert.equal(summarizeConversation.mock.callCount(), 2);
+  assert.equal(summarizeConversation.mock.calls[1].arguments[0], '; more');
+  assert.equal(memory.summary, '; more; more');
+  assert.equal(memory.summarized_through, 8);
+  assert.equal(messages.length, 1);
+});
+
+test('the latest user message is kept even when it alone is over budget', async (t) => {
+  mockMethods(t, claudeAi, { summarizeConversation: async () => 'Earlier' });
+  const thread = threadOf(2);
+  threads.appendMessages(thread.id, [{ role: 'user', content: LINE.repeat(10) }]);
+
+  const { messages, memory } = await conversationMemory.prepareTurn(threads.getThread(thread.id), '', { budget: 100 });
+
+  assert.equal(messages.length, 1);
+  assert.equal(memory.summarized_through, 2);
+  assert.ok(memory.estimated_tokens > memory.budget);
+});
+
+test('when summarizing fails the older turns are dropped for this turn only', async (t) => {
+  mockMethods(t, claudeAi, { summarizeConversation: async () => { throw new Error('overloaded'); } });
+  const thread = threadOf(6);
+
+  const { messages, memory } = await conversationMemory.prepareTurn(thread, '', { budget: 100 });
+
+  assert.equal(messages.length, 2);
+  assert.equal(memory.error, 'Could not summarize older messages: overloaded');
+  assert.equal(memory.dropped_through, 4);
+  assert.equal(threads.getThread(thread.id).memory.summarized_through, 0);
+});
+
+test('pinned facts and the summary go into the system prompt', () => {
+  const prompt = claudeAi.buildSystemPrompt(null, null, { memory: { pinned: [{ text: 'Budget cap $50/day' }], summary: '- Chose OUTCOME_SALES' } });
+  assert.match(prompt, /<pinned_facts>\n- Budget cap \$50\/day\n<\/pinned_facts>/);
+  assert.match(prompt, /<conversation_summary>\n- Chose OUTCOME_SALES\n<\/conversation_summary>/);
+});
+
+test('CHAT_CONTEXT_TOKENS sets the budget', (t) => {
+  withEnv(t, { CHAT_CONTEXT_TOKENS: '5000' });
+  assert.equal(conversationMemory.contextBudget(), 5000);
+  process.env.CHAT_CONTEXT_TOKENS = 'lots';
+  assert.equal(conversationMemory.contextBudget(), 24000);
+});
+
+test('facts are pinned and unpinned through the thread routes', async (t) => {
+  const base = await listen(t, threadsRouter);
+  const { id } = threads.createThread();
+
+  assert.equal((await requestJson(`${base}/${id}/pins`, { method: 'POST', body: { text: '' } })).status, 400);
+  const { body: fact } = await requestJson(`${base}/${id}/pins`, { method: 'POST', body: { text: ' Only Canada ' } });
+  assert.equal(fact.text, 'Only Canada');
+
+  assert.deepEqual((await requestJson(`${base}/${id}/pins/${fact.id}`, { method: 'DELETE' })).body, { pinned: [] });
+  assert.equal((await requestJson(`${base}/${id}/pins/${fact.id}`, { method: 'DELETE' })).status, 404);
+});
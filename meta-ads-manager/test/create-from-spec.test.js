@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metaApi = require('../services/meta-api');
+const campaignsRouter = require('../routes/campaigns');
+const { mockMethods, graphMock, listen, requestJson, campaignSpec } = require('./helpers');
+
+const DELETES = { deleteCampaign: 'campaign', deleteAdSet: 'adset', deleteAdCreative: 'creative', deleteAd: 'ad' };
+
+// Meta stand-in: the batch's creates return IDs in order ("campaign:1",
+// "adset:2", ...). `fail` names the sub-request (e.g. 'creative_1_0') that
+// errors; like Meta, sub-requests referring to a failed one fail too.
+function fakeMeta(t, { fail, failDelete } = {}) {
+  const calls = [];
+  const impls = {
+    getAdAccount: async () => ({ currency: 'USD' }),
+    batchRequest: async (requests) => {
+      const failed = new Set();
+      let next = 0;
+      return requests.map((r) => {
+        calls.push({ method: 'batch', name: r.name, body: r.body });
+        const dependsOnFailed = [...failed].some((name) => JSON.stringify(r.body).includes(`{result=${name}:`));
+        if (r.name === fail || dependsOnFailed) {
+          failed.add(r.name);
+          return { error: Object.assign(new Error(`${r.name} rejected`), { code: 100 }) };
+        }
+        return { data: { id: `${r.name.split('_')[0]}:${++next}` } };
+      });
+    },
+  };
+  for (const method of Object.keys(DELETES)) {
+    impls[method] = async (id) => {
+      calls.push({ method, id });
+      if (failDelete === id) throw new Error('Object is still in use');
+      return { success: true };
+    };
+  }
+  mockMethods(t, metaApi, impls);
+  return calls;
+}
+
+function twoAdSetSpec() {
+  const spec = campaignSpec();
+  spec.ad_sets.push({ ...spec.ad_sets[0], name: 'CA buyers', targeting: { geo_locations: { countries: ['CA'] } } });
+  return spec;
+}
+
+test('creates the campaign, each ad set, and a creative + ad per ad spec', async (t) => {
+  const calls = fakeMeta(t);
+  const base = await listen(t, campaignsRouter);
+  const { status, body } = await requestJson(`${base}/create-from-spec`, { method: 'POST', body: twoAdSetSpec() });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.steps.map((s) => [s.step, s.status, s.id]), [
+    ['campaign', 'created', 'campaign:1'],
+    ['ad_sets[0]', 'created', 'adset:2'],
+    ['ad_sets[0].ads[0].creative', 'created', 'creative:3'],
+    ['ad_sets[0].ads[0]', 'created', 'ad:4'],
+    ['ad_sets[1]', 'created', 'adset:5'],
+    ['ad_sets[1].ads[0].creative', 'created', 'creative:6'],
+    ['ad_sets[1].ads[0]', 'created', 'ad:7'],
+  ]);
+  const ad = calls.find((c) => c.name === 'ad_0_0').body;
+  assert.equal(ad.adset_id, '{result=adset_0:$.id}');
+  assert.deepEqual(ad.creative, { creative_id: '{result=creative_0_0:$.id}' });
+});
+
+test('a failure midway deletes what was created, newest first', async (t) => {
+  const calls = fakeMeta(t, { fail: 'creative_1_0' });
+  const base = await listen(t, campaignsRouter);
+  const { status, body } = await requestJson(`${base}/create-from-spec`, { method: 'POST', body: twoAdSetSpec() });
+
+  assert.equal(status, 500);
+  assert.equal(body.success, false);
+  assert.equal(body.error, 'creative_1_0 rejected');
+  assert.equal(body.failed_step, 'ad_sets[1].ads[0].creative');
+  assert.equal(body.rolled_back, true);
+  assert.deepEqual(calls.filter((c) => c.id).map((c) => [c.method, c.id]), [
+    ['deleteAdSet', 'adset:5'],
+    ['deleteAd', 'ad:4'],
+    ['deleteAdCreative', 'creative:3'],
+    ['deleteAdSet', 'adset:2'],
+    ['deleteCampaign', 'campaign:1'],
+  ]);
+  assert.deepEqual(body.steps.map((s) => s.status), ['rolled_back', 'rolled_back', 'rolled_back', 'rolled_back', 'rolled_back', 'failed', 'failed']);
+});
+
+test('?on_failure=keep leaves the created objects in place', async (t) => {
+  const calls = fakeMeta(t, { fail: 'ad_0_0' });
+  const base = await listen(t, campaignsRouter);
+  const { status, body } = await requestJson(`${base}/create-from-spec?on_failure=keep`, { method: 'POST', body: campaignSpec() });
+
+  assert.equal(status, 500);
+  assert.equal(body.on_failure, 'keep');
+  assert.equal(body.rolled_back, false);
+  assert.equal(calls.filter((c) => c.id).length, 0);
+  assert.deepEqual(body.steps.map((s) => s.status), ['created', 'created', 'created', 'failed']);
+});
+
+test('a delete that fails is reported and the rollback keeps going', async (t) => {
+  const calls = fakeMeta(t, { fail: 'ad_0_0', failDelete: 'adset:2' });
+  const base = await listen(t, campaignsRouter);
+  const { body } = await requestJson(`${base}/create-from-spec`, { method: 'POST', body: campaignSpec() });
+
+  assert.equal(body.rolled_back, false);
+  assert.deepEqual(calls.filter((c) => c.id).map((c) => c.id), ['creative:3', 'adset:2', 'campaign:1']);
+  assert.equal(body.steps[1].status, 'rollback_failed');
+  assert.equal(body.steps[1].rollback_error, 'Object is still in use');
+  assert.equal(body.steps[0].status, 'rolled_back');
+});
+
+test('an invalid spec is refused before anything is created', async (t) => {
+  const calls = fakeMeta(t);
+  const base = await listen(t, campaignsRouter);
+  const { status, body } = await requestJson(`${base}/create-from-spec`, { method: 'POST', body: campaignSpec({ adSet: { daily_budget: 2000 } }) });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.errors.map((e) => e.field), ['ad_sets[0].daily_budget']);
+  assert.equal(calls.length, 0);
+});
+
+test('against the fake Graph API, the batch wires each object to the one before', async (t) => {
+  const graph = await graphMock(t);
+  const base = await listen(t, campaignsRouter);
+  const { status, body } = await requestJson(`${base}/create-from-spec`, { method: 'POST', body: campaignSpec() });
+
+  assert.equal(status, 200);
+  const [campaign, adSet, creative, ad] = body.steps.map((s) => s.id);
+  const state = (await requestJson(`${graph}/__mock/state`)).body;
+  assert.equal(state.adsets.find((a) => a.id === adSet).campaign_id, campaign);
+  assert.equal(state.ads.find((a) => a.id === ad).adset_id, adSet);
+  assert.equal(state.ads.find((a) => a.id === ad).creative.id, creative);
+});
+
+test('against the fake Graph API, a rejected ad leaves nothing behind', async (t) => {
+  const graph = await graphMock(t, { failures: [{ code: 100, method: 'POST', path: '/ads$', times: 1 }] });
+  const before = (await requestJson(`${graph}/__mock/state`)).body;
+  const base = await listen(t, campaignsRouter);
+  const { status, body } = await requestJson(`${base}/create-from-spec`, { method: 'POST', body: campaignSpec() });
+
+  assert.equal(status, 500);
+  assert.equal(body.rolled_back, true);
+  const after = (await requestJson(`${graph}/__mock/state`)).body;
+  for (const key of ['campaigns', 'adsets', 'ads', 'creatives']) {
+    assert.equal(after[key].length, before[key].length, key);
+  }
+});
@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const digests = require('../services/digests');
+const metaApi = require('../services/meta-api');
+const shopifyApi = require('../services/shopify-api');
+const claudeAi = require('../services/claude-ai');
+const { withEnv, tempDataDir, mockMethods, listen } = require('./helpers');
+
+withEnv(test, {
+  DIGESTS: undefined,
+  DIGEST_TIME: undefined,
+  DIGEST_WEEKLY_DAY: undefined,
+  DIGEST_EMAIL_TO: undefined,
+  DIGEST_WEBHOOK_URL: undefined,
+  DIGEST_WEBHOOK_SECRET: undefined,
+  SMTP_HOST: undefined,
+});
+
+const row = (spend, purchases, value) => ({
+  data: [{
+    spend: String(spend),
+    impressions: '10000',
+    clicks: '200',
+    actions: [{ action_type: 'omni_purchase', value: String(purchases) }],
+    action_values: [{ action_type: 'omni_purchase', value: String(value) }],
+  }],
+});
+
+// Meta and Claude stand-ins: the current period spends 120, the previous 100
+function stubSources(t, { assessment = async () => ({ content: 'Spend rose; ROAS held.', usage: { input_tokens: 10 } }) } = {}) {
+  const calls = mockMethods(t, metaApi, {
+    getAdAccount: async () => ({ currency: 'usd', name: 'Shop' }),
+    listCampaigns: async () => ({ data: [{ id: '1', name: 'Sale', status: 'ACTIVE' }, { id: '2', name: 'Old', status: 'PAUSED' }] }),
+    getAccountInsights: async ({ time_range: range }) => (range.until.endsWith('-09') ? row(120, 6, 480) : row(100, 4, 400)),
+    getCampaignInsightsBatch: async (ids, { time_range: range }) => ({ 1: range.until.endsWith('-09') ? row(120, 6, 480) : row(100, 4, 400), 2: { data: [] } }),
+  });
+  mockMethods(t, shopifyApi, { getStoreSummary: async () => null });
+  mockMethods(t, claudeAi, { assessPerformance: assessment });
+  return calls;
+}
+
+// ---------- Periods ----------
+
+test('a daily digest covers yesterday against the day before', () => {
+  assert.deepEqual(digests.periodRanges('daily', '2026-03-01'), {
+    range: { since: '2026-02-28', until: '2026-02-28' },
+    previous_range: { since: '2026-02-27', until: '2026-02-27' },
+  });
+});
+
+test('a weekly digest covers the last 7 days against the 7 before, across month and year ends', () => {
+  assert.deepEqual(digests.periodRanges('weekly', '2026-03-02'), {
+    range: { since: '2026-02-23', until: '2026-03-01' },
+    previous_range: { since: '2026-02-16', until: '2026-02-22' },
+  });
+  assert.deepEqual(digests.periodRanges('weekly', '2026-01-03'), {
+    range: { since: '2025-12-27', until: '2026-01-02' },
+    previous_range: { since: '2025-12-20', until: '2025-12-26' },
+  });
+});
+
+test('ranges stay whole days across a daylight saving change', (t) => {
+  withEnv(t, { TZ: 'America/New_York' });
+  assert.deepEqual(digests.periodRanges('weekly', '2026-03-10'), {
+    range: { since: '2026-03-03', until: '2026-03-09' },
+    previous_range: { since: '2026-02-24', until: '2026-03-02' },
+  });
+  assert.deepEqual(digests.periodRanges('daily', '2026-11-02').range, { since: '2026-11-01', until: '2026-11-01' });
+});
+
+test('changes gives the percent change per metric, null with nothing to compare against', () => {
+  const change = digests.changes({ spend: 150, roas: 2, cpa: 10 }, { spend: 100, roas: 0, cpa: 30 });
+  assert.equal(change.spend, 50);
+  assert.equal(change.cpa, -66.7);
+  assert.equal(change.roas, null);
+  assert.equal(change.clicks, null);
+  assert.equal(digests.changes({ spend: 5 }, null).spend, null);
+});
+
+test('changes is null where the current period has no value, not a 100% drop', () => {
+  const change = digests.changes({ spend: 0, roas: null }, { spend: 100, roas: 3, cpa: 20 });
+  assert.equal(change.spend, -100);
+  assert.equal(change.roas, null);
+  assert.equal(change.cpa, null);
+  assert.equal(digests.changes(null, { spend: 100 }).spend, null);
+});
+
+// ---------- Digests ----------
+
+test('generateDigest stores both periods with their changes and the assessment', async (t) => {
+  tempDataDir(t);
+  stubSources(t);
+  const digest = await digests.generateDigest('daily', { reportDate: '2026-03-10', user: 'sam' });
+
+  assert.equal(digest.status, 'ready');
+  assert.equal(digest.currency, 'USD');
+  assert.equal(digest.account.current.spend, 120);
+  assert.equal(digest.account.previous.spend, 100);
+  assert.equal(digest.account.change.spend, 20);
+  assert.equal(digest.account.change.purchases, 50);
+  assert.deepEqual(digest.campaigns.map((c) => c.id), ['1']);
+  assert.equal(digest.assessment, 'Spend rose; ROAS held.');
+  assert.deepEqual(digests.getDigest(digest.id).range, { since: '2026-03-09', until: '2026-03-09' });
+  assert.match(digests.digestText(digest), /^Daily ad performance: 2026-03-09 · Shop\nCompared with 2026-03-08/);
+  assert.match(digests.digestText(digest), /Spend: 120\.00 USD \(\+20%\)/);
+});
+
+test('a digest without an assessment is still stored; a Meta failure marks it failed', async (t) => {
+  tempDataDir(t);
+  stubSources(t, { assessment: async () => { throw new Error('Monthly AI budget reached'); } });
+  const digest = await digests.generateDigest('weekly', { reportDate: '2026-03-10' });
+  assert.equal(digest.status, 'ready');
+  assert.equal(digest.assessment_error, 'Monthly AI budget reached');
+  assert.match(digests.digestText(digest), /\(No assessment: Monthly AI budget reached\)/);
+
+  t.mock.method(metaApi, 'getAccountInsights', async () => { throw new Error('Token expired'); });
+  const failed = await digests.generateDigest('daily', { reportDate: '2026-03-10' });
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'Token expired');
+  await assert.rejects(digests.deliverDigest(failed.id, { channels: ['webhook'] }), (err) => err.status === 409);
+});
+
+test('bad periods and dates are refused', async () => {
+  await assert.rejects(digests.generateDigest('monthly'), (err) => err.status === 400);
+  await assert.rejects(digests.generateDigest('daily', { reportDate: '10/03/2026' }), (err) => err.status === 400);
+});
+
+// ---------- Delivery and scheduling ----------
+
+async function webhook(t, status = 200) {
+  const received = [];
+  const router = express.Router();
+  router.post('/hook', (req, res) => {
+    received.push({ body: req.body, signature: req.get('X-Digest-Signature'), raw: JSON.stringify(req.body) });
+    res.status(status).json({ ok: status === 200 });
+  });
+  const base = await listen(t, router);
+  withEnv(t, { DIGEST_WEBHOOK_URL: `${base}/hook`, DIGEST_WEBHOOK_SECRET: 'shh' });
+  return received;
+}
+
+test('the webhook gets the digest as signed JSON; failures are recorded on the digest', async (t) => {
+  tempDataDir(t);
+  stubSources(t);
+  const received = await webhook(t);
+  const digest = await digests.generateDigest('daily', { reportDate: '2026-03-10', deliver: true });
+
+  assert.deepEqual(digest.deliveries.map((d) => [d.channel, d.status]), [['webhook', 'sent']]);
+  assert.equal(received[0].body.digest.id, digest.id);
+  assert.match(received[0].body.text, /^Daily ad performance/);
+  assert.equal(received[0].signature, `sha256=${crypto.createHmac('sha256', 'shh').update(received[0].raw).digest('hex')}`);
+
+  withEnv(t, { DIGEST_WEBHOOK_URL: 'http://127.0.0.1:9/nowhere' });
+  const again = await digests.deliverDigest(digest.id);
+  assert.equal(again.deliveries[1].status, 'failed');
+  assert.ok(again.deliveries[1].error);
+});
+
+test('the scheduler writes each due digest once, weekly ones on their weekday', async (t) => {
+  tempDataDir(t);
+  const calls = stubSources(t);
+  withEnv(t, { DIGESTS: 'daily,weekly', DIGEST_TIME: '07:30', DIGEST_WEEKLY_DAY: 'tuesday' });
+  const monday = (hours, minutes) => new Date(2026, 2, 9, hours, minutes);
+
+  await digests.runScheduled(monday(7, 29));
+  assert.equal(digests.listDigests().length, 0);
+
+  await digests.runScheduled(monday(7, 30));
+  await digests.runScheduled(monday(12, 0));
+  assert.deepEqual(digests.listDigests().map((d) => [d.period, d.report_date, d.trigger]), [['daily', '2026-03-09', 'schedule']]);
+  assert.equal(calls.getAdAccount.mock.callCount(), 1);
+
+  await digests.runScheduled(new Date(2026, 2, 10, 8, 0));
+  assert.deepEqual(digests.listDigests().map((d) => d.period).sort(), ['daily', 'daily', 'weekly']);
+});
+
+test('the scheduler retries a failed digest at its next check', async (t) => {
+  tempDataDir(t);
+  stubSources(t);
+  withEnv(t, { DIGESTS: 'daily' });
+  const insights = t.mock.method(metaApi, 'getAccountInsights', async () => { throw new Error('Token expired'); });
+  const at = (minutes) => new Date(2026, 2, 9, 8, minutes);
+
+  await digests.runScheduled(at(0));
+  assert.deepEqual(digests.listDigests().map((d) => d.status), ['failed']);
+
+  insights.mock.mockImplementation(async () => row(100, 4, 400));
+  await digests.runScheduled(at(5));
+  await digests.runScheduled(at(10));
+  assert.deepEqual(digests.listDigests().map((d) => d.status).sort(), ['failed', 'ready']);
+});
+
+test('the scheduler stops retrying after three failed attempts a day', async (t) => {
+  tempDataDir(t);
+  const calls = stubSources(t);
+  withEnv(t, { DIGESTS: 'daily' });
+  t.mock.method(metaApi, 'getAccountInsights', async () => { throw new Error('Token expired'); });
+
+  for (let minutes = 0; minutes < 30; minutes += 5) await digests.runScheduled(new Date(2026, 2, 9, 8, minutes));
+  assert.equal(digests.listDigests().length, 3);
+  assert.equal(calls.getAdAccount.mock.callCount(), 3);
+});
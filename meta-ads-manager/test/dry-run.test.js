@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metaApi = require('../services/meta-api');
+const campaignsRouter = require('../routes/campaigns');
+const { withEnv, mockMethods, listen, requestJson, campaignSpec } = require('./helpers');
+
+withEnv(test, { FACEBOOK_AD_ACCOUNT_ID: '1000000001', FACEBOOK_API_VERSION: 'v21.0' });
+
+test('dryRun records calls instead of sending them, with placeholder IDs', async () => {
+  const { result, calls } = await metaApi.dryRun(async () => {
+    const campaign = await metaApi.createCampaign({ name: 'Sale', objective: 'OUTCOME_SALES' });
+    await metaApi.createAdSet({ name: 'US', campaign_id: campaign.id, targeting: { geo_locations: { countries: ['US'] } } });
+    await metaApi.updateCampaign(campaign.id, { status: 'ACTIVE' });
+    return campaign;
+  });
+
+  assert.deepEqual(result, { id: '{{campaign_1.id}}' });
+  assert.deepEqual(calls.map((c) => [c.method, c.endpoint]), [
+    ['POST', 'act_1000000001/campaigns'],
+    ['POST', 'act_1000000001/adsets'],
+    ['POST', '{{campaign_1.id}}'],
+  ]);
+  assert.equal(calls[0].body.status, 'PAUSED');
+  assert.equal(calls[1].body.campaign_id, '{{campaign_1.id}}');
+  assert.deepEqual(calls[1].returns, { id: '{{adset_1.id}}' });
+  assert.deepEqual(calls[2].returns, { success: true });
+});
+
+test('reads in a dry run come back empty and carry no body', async () => {
+  const { result, calls } = await metaApi.dryRun(() => metaApi.getCampaign('123', 'id,name'));
+  assert.deepEqual(result, { data: [] });
+  assert.equal(calls[0].method, 'GET');
+  assert.equal(calls[0].body, null);
+});
+
+test('each dry run numbers its placeholders from 1', async () => {
+  const create = () => metaApi.createCampaign({ name: 'Sale', objective: 'OUTCOME_SALES' });
+  const [a, b] = await Promise.all([metaApi.dryRun(create), metaApi.dryRun(create)]);
+  assert.deepEqual(a.result, { id: '{{campaign_1.id}}' });
+  assert.deepEqual(b.result, { id: '{{campaign_1.id}}' });
+});
+
+test('?dry_run=true on a create route returns the planned call', async (t) => {
+  const base = await listen(t, campaignsRouter);
+  const { status, body } = await requestJson(`${base}/?dry_run=true`, { method: 'POST', body: { name: 'Sale', objective: 'OUTCOME_SALES' } });
+
+  assert.equal(status, 200);
+  assert.equal(body.dry_run, true);
+  assert.deepEqual(body.calls.map((c) => c.path), ['/v21.0/act_1000000001/campaigns']);
+});
+
+test('create-from-spec in a dry run plans every call in order', async (t) => {
+  mockMethods(t, metaApi, { getAdAccount: async () => ({ currency: 'USD' }) });
+  const base = await listen(t, campaignsRouter);
+  const { status, body } = await requestJson(`${base}/create-from-spec?dry_run=true`, { method: 'POST', body: campaignSpec() });
+
+  assert.equal(status, 200);
+  assert.equal(body.validation.valid, true);
+  assert.deepEqual(body.calls.map((c) => c.endpoint), [
+    'act_1000000001/campaigns',
+    'act_1000000001/adsets',
+    'act_1000000001/adcreatives',
+    'act_1000000001/ads',
+  ]);
+  const ad = body.calls[3].body;
+  assert.equal(ad.adset_id, '{{adset_1.id}}');
+  assert.deepEqual(ad.creative, { creative_id: '{{creative_1.id}}' });
+  assert.deepEqual(body.steps.map((s) => s.status), ['planned', 'planned', 'planned', 'planned']);
+});
+
+test('a dry run of an invalid spec still plans it, with the errors', async (t) => {
+  mockMethods(t, metaApi, { getAdAccount: async () => ({ currency: 'USD' }) });
+  const base = await listen(t, campaignsRouter);
+  const { status, body } = await requestJson(`${base}/create-from-spec?dry_run=true`, { method: 'POST', body: campaignSpec({ adSet: { daily_budget: '50' } }) });
+
+  assert.equal(status, 200);
+  assert.equal(body.validation.valid, false);
+  assert.equal(body.calls.length, 4);
+
+  const empty = await requestJson(`${base}/create-from-spec?dry_run=true`, { method: 'POST', body: {} });
+  assert.equal(empty.status, 400);
+});
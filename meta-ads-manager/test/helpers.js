@@ -0,0 +1,197 @@
+/**
+ * Test Helpers
+ *
+ * Fixtures and setup shared by the node --test suites in this directory.
+ * Only *.test.js files are run (see the test script in package.json).
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createGraphApiMock } = require('../mock/graph-api');
+
+// Values from before each scope first set them, restored when it ends
+const savedEnv = new WeakMap();
+
+/**
+ * Set env vars until `scope` ends — a test context, or the `test` function
+ * itself for a whole file. undefined unsets a variable. A scope may call it
+ * again; each variable goes back to what it was before the first call.
+ */
+function withEnv(scope, vars) {
+  if (!savedEnv.has(scope)) {
+    const saved = {};
+    savedEnv.set(scope, saved);
+    scope.after(() => applyEnv(saved));
+  }
+  const saved = savedEnv.get(scope);
+  for (const key of Object.keys(vars)) {
+    if (!(key in saved)) saved[key] = process.env[key];
+  }
+  applyEnv(vars);
+}
+
+function applyEnv(values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+}
+
+/**
+ * Point DATA_DIR (services/data-store.js) at a fresh temp directory until
+ * `scope` ends, then remove it. Returns the directory.
+ */
+function tempDataDir(scope) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-ads-test-'));
+  withEnv(scope, { DATA_DIR: dir });
+  scope.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Replace methods of a module with fakes for the rest of test `t`:
+ * mockMethods(t, metaApi, { getAdAccount: async () => ({ currency: 'USD' }) }).
+ * Returns the mocks by name, for their .mock.calls.
+ */
+function mockMethods(t, target, impls) {
+  return Object.fromEntries(Object.entries(impls).map(([name, impl]) => [name, t.mock.method(target, name, impl)]));
+}
+
+/**
+ * Serve an Express router on a free local port until test `t` ends.
+ * Resolves to the base URL it's mounted at.
+ */
+async function listen(t, router, mountPath = '/') {
+  const server = await startServer(router, mountPath);
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}${mountPath === '/' ? '' : mountPath}`;
+}
+
+function startServer(router, mountPath = '/') {
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+  app.use(mountPath, router);
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Point the Meta client at a fresh fake Graph API (mock/graph-api.js) for
+ * the rest of test `t`. `options` go to createGraphApiMock. Resolves to the
+ * mock's base URL, for its /__mock endpoints.
+ */
+async function graphMock(t, options) {
+  const base = await listen(t, createGraphApiMock(options));
+  withEnv(t, {
+    FACEBOOK_GRAPH_URL: base,
+    FACEBOOK_ACCESS_TOKEN: 'test-token',
+    FACEBOOK_APP_SECRET: 'test-secret',
+    FACEBOOK_AD_ACCOUNT_ID: '1000000001',
+  });
+  return base;
+}
+
+// Server-sent events for a streamed reply; when `text` is an Error the
+// connection drops after the first event, as a failed stream would
+function streamMessage(res, message, text) {
+  const send = (event, data, done) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`, done);
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const broken = text instanceof Error;
+  send('message_start', { message: { ...message, content: [], stop_reason: null, usage: { ...message.usage, output_tokens: 1 } } }, broken ? () => res.socket.destroy() : undefined);
+  if (broken) return;
+  send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+  send('content_block_delta', { index: 0, delta: { type: 'text_delta', text } });
+  send('content_block_stop', { index: 0 });
+  send('message_delta', { delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: message.usage.output_tokens } });
+  send('message_stop', {});
+  res.end();
+}
+
+/**
+ * Fake Anthropic Messages API for a whole test file: the SDK client in
+ * claude-ai.js is created once per process, so this takes the `test`
+ * function and is called at the top of the file. `reply(body)` returns the
+ * text of each answer (streamed when the request asks for it); an Error
+ * instead breaks a stream midway. Returns the list of request bodies
+ * received, filled in as the tests run.
+ */
+function anthropicMock(scope, reply = () => 'OK', usage = { input_tokens: 1000, output_tokens: 200 }) {
+  const requests = [];
+  const router = express.Router();
+  router.post('/v1/messages', (req, res) => {
+    requests.push(req.body);
+    const message = { id: `msg_${requests.length}`, type: 'message', role: 'assistant', model: req.body.model, usage };
+    const text = reply(req.body);
+    if (req.body.stream) return streamMessage(res, message, text);
+    res.json({ ...message, content: [{ type: 'text', text }], stop_reason: 'end_turn' });
+  });
+  // Hooks are registered here, not from inside before(), so they run once the file's tests are done
+  const saved = { ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL: process.env.ANTHROPIC_BASE_URL };
+  let server;
+  scope.before(async () => {
+    server = await startServer(router);
+    applyEnv({ ANTHROPIC_API_KEY: 'test-key', ANTHROPIC_BASE_URL: `http://127.0.0.1:${server.address().port}` });
+  });
+  scope.after(() => {
+    applyEnv(saved);
+    return new Promise((resolve) => server.close(resolve));
+  });
+  return requests;
+}
+
+/**
+ * JSON request to a listen()ed app; resolves to { status, body }.
+ * `user` is sent as the X-User-Name header (see services/request-user.js).
+ */
+async function requestJson(url, { method = 'GET', body, user } = {}) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(user ? { 'X-User-Name': encodeURIComponent(user) } : {}) },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+/**
+ * A valid campaign spec: one campaign, one ad set and one ad. `campaign`,
+ * `adSet` and `ad` are merged over the defaults (a key set to undefined
+ * drops the default); `spec` over the whole spec.
+ */
+function campaignSpec({ campaign, adSet, ad, spec } = {}) {
+  return {
+    campaign: { name: 'Spring sale', objective: 'OUTCOME_SALES', status: 'PAUSED', special_ad_categories: [], ...campaign },
+    ad_sets: [{
+      name: 'US buyers',
+      daily_budget: '2000',
+      optimization_goal: 'LINK_CLICKS',
+      billing_event: 'IMPRESSIONS',
+      targeting: { age_min: 25, age_max: 54, geo_locations: { countries: ['US'] } },
+      start_time: '2026-03-02T00:00:00Z',
+      ...adSet,
+    }],
+    ads: [{
+      name: 'Hero',
+      creative: {
+        object_story_spec: {
+          page_id: '1234567890',
+          link_data: { message: 'New arrivals are in', link: 'https://shop.example.com/collections/spring' },
+        },
+      },
+      ...ad,
+    }],
+    ...spec,
+  };
+}
+
+module.exports = {
+  withEnv,
+  tempDataDir,
+  mockMethods,
+  listen,
+  graphMock,
+  anthropicMock,
+  requestJson,
+  campaignSpec,
+};
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rowMetrics, normalizeInsights, summarizeForAssessment } = require('../services/insights-metrics');
+
+const ROW = {
+  spend: '200.00',
+  impressions: '10000',
+  reach: '4000',
+  clicks: '250',
+  actions: [
+    { action_type: 'link_click', value: '180' },
+    { action_type: 'omni_purchase', value: '8' },
+    { action_type: 'offsite_conversion.fb_pixel_purchase', value: '8' },
+    { action_type: 'omni_add_to_cart', value: '40' },
+  ],
+  action_values: [{ action_type: 'omni_purchase', value: '640.50' }],
+};
+
+test('derives rates Meta did not send', () => {
+  const m = rowMetrics(ROW);
+  assert.equal(m.spend, 200);
+  assert.equal(m.frequency, 2.5);
+  assert.equal(m.ctr, 2.5);
+  assert.equal(m.cpc, 0.8);
+  assert.equal(m.cpm, 20);
+  assert.equal(m.link_clicks, 180);
+});
+
+test('counts a purchase once across its aliases', () => {
+  const m = rowMetrics(ROW);
+  assert.equal(m.purchases, 8);
+  assert.equal(m.purchase_value, 640.5);
+  assert.equal(m.roas, 3.2);
+  assert.equal(m.cpa, 25);
+  assert.equal(m.add_to_cart, 40);
+  assert.equal(m.cost_per_add_to_cart, 5);
+});
+
+test('prefers the rates Meta reports', () => {
+  const m = rowMetrics({ ...ROW, ctr: '1.234', cpc: '0.9', cpm: '21', frequency: '3' });
+  assert.equal(m.ctr, 1.23);
+  assert.equal(m.cpc, 0.9);
+  assert.equal(m.cpm, 21);
+  assert.equal(m.frequency, 3);
+});
+
+test('falls back to purchase_roas without action values', () => {
+  const m = rowMetrics({ spend: '100', purchase_roas: [{ action_type: 'omni_purchase', value: '2.75' }] });
+  assert.equal(m.roas, 2.75);
+});
+
+test('leaves ratios empty when there is nothing to divide by', () => {
+  const m = rowMetrics({});
+  assert.equal(m.spend, 0);
+  assert.equal(m.ctr, null);
+  assert.equal(m.cpc, null);
+  assert.equal(m.cpa, null);
+  assert.equal(m.roas, null);
+  assert.equal(m.by_window, undefined);
+});
+
+test('splits conversions by attribution window', () => {
+  const m = rowMetrics({
+    spend: '100',
+    actions: [{ action_type: 'purchase', value: '5', '7d_click': '4', '1d_view': '1' }],
+    action_values: [{ action_type: 'purchase', value: '500', '7d_click': '400', '1d_view': '100' }],
+  });
+  assert.deepEqual(Object.keys(m.by_window).sort(), ['1d_view', '7d_click']);
+  assert.equal(m.by_window['7d_click'].purchases, 4);
+  assert.equal(m.by_window['7d_click'].roas, 4);
+  assert.equal(m.by_window['1d_view'].purchase_value, 100);
+});
+
+test('normalizeInsights adds metrics and keeps raw fields', () => {
+  const out = normalizeInsights({ data: [ROW], paging: {} });
+  assert.equal(out.data[0].spend, '200.00');
+  assert.equal(out.data[0].metrics.purchases, 8);
+  assert.deepEqual(out.paging, {});
+  assert.equal(normalizeInsights(null), null);
+});
+
+test('summarizeForAssessment carries errors and missing rows', () => {
+  const campaigns = [
+    { id: '1', name: 'A', status: 'ACTIVE', objective: 'OUTCOME_SALES', daily_budget: '5000' },
+    { id: '2', name: 'B', status: 'PAUSED', objective: 'OUTCOME_SALES' },
+    { id: '3', name: 'C', status: 'ACTIVE', objective: 'OUTCOME_SALES' },
+  ];
+  const [a, b, c] = summarizeForAssessment(campaigns, {
+    1: { data: [{ ...ROW, date_start: '2026-03-01', date_stop: '2026-03-07' }] },
+    2: { data: [] },
+    3: { error: 'Rate limited' },
+  });
+  assert.equal(a.metrics.roas, 3.2);
+  assert.equal(a.date_start, '2026-03-01');
+  assert.equal(a.daily_budget, '5000');
+  assert.equal(b.metrics, null);
+  assert.equal(b.lifetime_budget, null);
+  assert.equal(c.error, 'Rate limited');
+});
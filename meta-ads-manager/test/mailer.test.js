@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const mailer = require('../services/mailer');
+const { withEnv } = require('./helpers');
+
+withEnv(test, {
+  SMTP_HOST: undefined,
+  SMTP_PORT: undefined,
+  SMTP_SECURE: undefined,
+  SMTP_USER: undefined,
+  SMTP_PASS: undefined,
+  SMTP_FROM: undefined,
+  SMTP_ALLOW_INSECURE: undefined,
+});
+
+// A plain-text SMTP server (no STARTTLS) that accepts everything and keeps
+// the commands and message it was sent
+async function smtpServer(t) {
+  const received = { commands: [], data: '' };
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        received.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 2.0.0 Ok: queued as 42\r\n');
+      }
+      let newline;
+      while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        received.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-localhost\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+        else if (verb === 'AUTH') socket.write('235 2.7.0 Authentication successful\r\n');
+        else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+        else if (verb === 'STARTTLS') socket.write('502 5.5.1 Not implemented\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  withEnv(t, { SMTP_HOST: '127.0.0.1', SMTP_PORT: String(server.address().port) });
+  return received;
+}
+
+test('email is off until a server and sender are set', async (t) => {
+  assert.equal(mailer.mailEnabled(), false);
+  await assert.rejects(mailer.sendMail({ to: ['a@example.com'], subject: 'Hi', text: 'Hi' }), /not configured/);
+
+  withEnv(t, { SMTP_HOST: 'smtp.example.com', SMTP_USER: 'digests@example.com' });
+  assert.equal(mailer.mailEnabled(), true);
+  assert.equal(mailer.smtpConfig().from, 'digests@example.com');
+  assert.equal(mailer.smtpConfig().secure, false);
+  withEnv(t, { SMTP_PORT: '465' });
+  assert.equal(mailer.smtpConfig().secure, true);
+});
+
+test('a message goes out with its text and HTML parts', async (t) => {
+  const received = await smtpServer(t);
+  withEnv(t, { SMTP_FROM: 'Digests <digests@example.com>' });
+
+  const reply = await mailer.sendMail({ to: ['ana@example.com', 'ben@example.com'], subject: 'Daily · 2026-03-09', text: 'Spend rose', html: '<p>Spend rose</p>' });
+  assert.match(reply, /queued as 42/);
+  assert.ok(received.commands.includes('MAIL FROM:<digests@example.com>'));
+  assert.deepEqual(received.commands.filter((c) => c.startsWith('RCPT')), ['RCPT TO:<ana@example.com>', 'RCPT TO:<ben@example.com>']);
+  assert.ok(!received.commands.some((c) => c.startsWith('AUTH')));
+  assert.match(received.data, /^Subject: =\?UTF-8\?/m);
+  assert.match(received.data, /Content-Type: text\/plain/);
+  assert.match(received.data, /Content-Type: text\/html/);
+});
+
+test('a login is not sent over a connection without TLS', async (t) => {
+  const received = await smtpServer(t);
+  withEnv(t, { SMTP_USER: 'digests@example.com', SMTP_PASS: 'secret' });
+
+  await assert.rejects(mailer.sendMail({ to: ['ana@example.com'], subject: 'Hi', text: 'Hi' }), /offered no STARTTLS/);
+  assert.ok(!received.commands.some((c) => c.startsWith('AUTH')));
+  assert.equal(received.data, '');
+});
+
+test('SMTP_ALLOW_INSECURE lets the login through unencrypted', async (t) => {
+  const received = await smtpServer(t);
+  withEnv(t, { SMTP_USER: 'digests@example.com', SMTP_PASS: 'secret', SMTP_ALLOW_INSECURE: 'true' });
+
+  await mailer.sendMail({ to: ['ana@example.com'], subject: 'Hi', text: 'Hi' });
+  assert.ok(received.commands.some((c) => c.startsWith('AUTH')));
+  assert.match(received.data, /Hi/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metaApi = require('../services/meta-api');
+const throttle = require('../services/meta-throttle');
+const { graphMock, mockMethods, withEnv } = require('./helpers');
+
+// Retries wait through throttle.sleep; record the delays instead of sleeping
+function skipSleeps(t) {
+  return mockMethods(t, throttle, { sleep: async () => {} }).sleep;
+}
+
+test('a 613 rate limit is retried and the request then succeeds', async (t) => {
+  await graphMock(t, { failures: [{ code: 613, path: '/campaigns$', times: 1 }] });
+  const sleep = skipSleeps(t);
+  const retriesBefore = throttle.getUsage().retries;
+
+  const page = await metaApi.listCampaigns('id', { limit: 5 });
+
+  assert.equal(page.data.length, 3);
+  assert.equal(sleep.mock.callCount(), 1);
+  assert.ok(sleep.mock.calls[0].arguments[0] >= 500);
+  const usage = throttle.getUsage();
+  assert.equal(usage.retries, retriesBefore + 1);
+  assert.equal(usage.last_throttle.code, 613);
+});
+
+test('writes are retried when Meta throttled them', async (t) => {
+  await graphMock(t, { failures: [{ code: 17, method: 'POST', times: 2 }] });
+  const sleep = skipSleeps(t);
+
+  const campaign = await metaApi.createCampaign({ name: 'Retry me', objective: 'OUTCOME_TRAFFIC' });
+
+  assert.ok(campaign.id);
+  assert.equal(sleep.mock.callCount(), 2);
+});
+
+test('transient server errors are retried for reads but not for writes', async (t) => {
+  await graphMock(t, { failures: [{ code: 2, times: 1 }] });
+  const sleep = skipSleeps(t);
+  assert.equal((await metaApi.listCampaigns('id')).data.length, 3);
+  assert.equal(sleep.mock.callCount(), 1);
+
+  await graphMock(t, { failures: [{ code: 2, method: 'POST', times: 1 }] });
+  await assert.rejects(metaApi.createCampaign({ name: 'Once only', objective: 'OUTCOME_TRAFFIC' }), (err) => err.code === 2 && err.attempts === 1);
+  assert.equal(sleep.mock.callCount(), 1);
+});
+
+test('other errors are returned at once', async (t) => {
+  await graphMock(t);
+  const sleep = skipSleeps(t);
+  await assert.rejects(metaApi.getCampaign('404404404'), (err) => err.code === 100 && err.attempts === 1);
+  assert.equal(sleep.mock.callCount(), 0);
+});
+
+test('gives up after META_MAX_RETRIES retries', async (t) => {
+  await graphMock(t, { failures: [{ code: 613 }] });
+  withEnv(t, { META_MAX_RETRIES: '2' });
+  const sleep = skipSleeps(t);
+
+  await assert.rejects(metaApi.listCampaigns('id'), (err) => err.code === 613 && err.attempts === 3);
+  assert.equal(sleep.mock.callCount(), 2);
+});
+
+test('usage headers from each response are recorded', async (t) => {
+  await graphMock(t);
+  await metaApi.getAdAccount();
+  const usage = throttle.getUsage();
+  assert.equal(typeof usage.app.call_count, 'number');
+  assert.ok(usage.business_use_case['1000000001']);
+  assert.equal(usage.status, 'ok');
+});
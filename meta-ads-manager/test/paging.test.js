@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metaApi = require('../services/meta-api');
+const { graphMock } = require('./helpers');
+
+// The fake account is seeded with three campaigns
+test('returns one page, with paging links stripped of credentials', async (t) => {
+  await graphMock(t);
+  const page = await metaApi.listCampaigns('id,name', { limit: 2, summary: true });
+
+  assert.equal(page.data.length, 2);
+  assert.equal(page.summary.total_count, 3);
+  assert.ok(page.paging.cursors.after);
+  const next = new URL(page.paging.next);
+  assert.equal(next.searchParams.get('access_token'), null);
+  assert.equal(next.searchParams.get('appsecret_proof'), null);
+  assert.equal(next.searchParams.get('limit'), '2');
+});
+
+test('an after cursor fetches the following page', async (t) => {
+  await graphMock(t);
+  const first = await metaApi.listCampaigns('id', { limit: 2 });
+  const second = await metaApi.listCampaigns('id', { limit: 2, after: first.paging.cursors.after });
+
+  assert.equal(second.data.length, 1);
+  assert.equal(second.paging.next, undefined);
+  assert.ok(second.paging.previous);
+  assert.ok(!first.data.some((c) => c.id === second.data[0].id));
+});
+
+test('all: true follows cursors to the end of the edge', async (t) => {
+  await graphMock(t);
+  const result = await metaApi.listCampaigns('id,name', { limit: 1, all: true, summary: true });
+
+  assert.equal(result.data.length, 3);
+  assert.equal(new Set(result.data.map((c) => c.id)).size, 3);
+  assert.equal(result.summary.total_count, 3);
+  assert.equal(result.truncated, false);
+  assert.equal(result.paging, undefined);
+});
+
+test('all: true stops at maxItems and says the list was truncated', async (t) => {
+  await graphMock(t);
+  const result = await metaApi.listCampaigns('id', { limit: 1, all: true, maxItems: 2 });
+
+  assert.equal(result.data.length, 2);
+  assert.equal(result.truncated, true);
+});
+
+test('a bare number is taken as the page size', async (t) => {
+  await graphMock(t);
+  const page = await metaApi.listAdSets(null, null, 1);
+  assert.equal(page.data.length, 1);
+  assert.ok(page.paging.next);
+});
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../services/rules');
+const metaApi = require('../services/meta-api');
+const spendGuard = require('../services/spend-guard');
+const auditLog = require('../services/audit-log');
+const { tempDataDir, mockMethods } = require('./helpers');
+
+tempDataDir(test);
+
+const RULE = {
+  name: 'Scale winners',
+  level: 'adset',
+  date_preset: 'last_7d',
+  campaign_ids: [],
+  conditions: [{ metric: 'roas', op: '>=', value: 3 }, { metric: 'spend', op: '>', value: 50 }],
+  action: { type: 'change_budget', percent: 20, limit: 60 },
+  cooldown_hours: 24,
+};
+
+const ADSETS = [
+  { id: '11', name: 'Winner', campaign_id: '1', daily_budget: '4000' },
+  { id: '12', name: 'Near the cap', campaign_id: '1', daily_budget: '5500' },
+  { id: '13', name: 'Campaign budget', campaign_id: '2' },
+  { id: '14', name: 'Loser', campaign_id: '2', daily_budget: '4000' },
+  { id: '15', name: 'No delivery', campaign_id: '2', daily_budget: '4000' },
+  { id: '16', name: 'At the cap', campaign_id: '2', daily_budget: '6000' },
+];
+
+const winning = { data: [{ spend: '100', action_values: [{ action_type: 'omni_purchase', value: '400' }] }] };
+const INSIGHTS = {
+  11: winning,
+  12: winning,
+  13: winning,
+  14: { data: [{ spend: '100', action_values: [{ action_type: 'omni_purchase', value: '100' }] }] },
+  15: { data: [] },
+  16: winning,
+};
+
+function stubMeta(t, { currency = 'USD' } = {}) {
+  mockMethods(t, metaApi, {
+    getAdAccount: async () => ({ currency }),
+    listAdSets: async () => ({ data: ADSETS }),
+    getInsightsBatch: async (ids) => Object.fromEntries(ids.map((id) => [id, INSIGHTS[id]])),
+  });
+}
+
+function byId(results) {
+  return Object.fromEntries(results.map((r) => [r.object_id, r]));
+}
+
+test('validateRule accepts a well-formed rule', () => {
+  assert.deepEqual(rules.validateRule(RULE), []);
+});
+
+test('validateRule explains every problem', () => {
+  const errors = rules.validateRule({
+    name: ' ',
+    level: 'ad',
+    date_preset: 'last_90d',
+    campaign_ids: ['abc'],
+    conditions: [{ metric: 'likes', op: '=', value: '3' }],
+    action: { type: 'change_budget', percent: -100, limit: 0 },
+    cooldown_hours: -1,
+  });
+  assert.equal(errors.length, 10);
+  assert.ok(errors.includes('Ads have no budget; change_budget works on campaigns and ad sets'));
+  assert.ok(errors.includes('conditions[0].value must be a number'));
+});
+
+test('describeRule puts the rule in words', () => {
+  assert.equal(rules.describeRule(RULE), 'Raise ad set budget 20% (up to 60) when ROAS >= 3 and Spend > 50 over last 7d');
+  assert.equal(
+    rules.describeRule({ ...RULE, level: 'ad', action: { type: 'pause' }, conditions: [{ metric: 'frequency', op: '>', value: 4 }], date_preset: 'last_3d' }),
+    'Pause ad when Frequency > 4 over last 3d'
+  );
+});
+
+test('createRule rejects invalid rules with a 400', () => {
+  assert.throws(() => rules.createRule({ ...RULE, conditions: [] }), (err) => err.status === 400 && err.errors.length === 1);
+});
+
+test('a preview matches on every condition and plans capped budget changes', async (t) => {
+  stubMeta(t);
+  const rule = rules.createRule(RULE, { user: 'sam' });
+  const result = await rules.runRule(rule.id, { preview: true });
+  const r = byId(result.results);
+
+  assert.equal(result.evaluated, 6);
+  assert.deepEqual(r[11].change.params, { daily_budget: '4800' });
+  assert.equal(r[11].change.description, 'daily budget 40.00 USD → 48.00 USD');
+  assert.deepEqual(r[12].change.params, { daily_budget: '6000' });
+  assert.match(r[13].skip, /no budget of its own/);
+  assert.equal(r[14].matched, false);
+  assert.equal(r[14].metrics.roas, 1);
+  assert.equal(r[15].metrics, null);
+  assert.match(r[16].skip, /already at the rule's limit \(60\.00 USD\)/);
+  assert.equal(rules.ruleHistory(rule.id).length, 0);
+});
+
+test('budget limits are in whole units for zero-decimal currencies', async (t) => {
+  stubMeta(t, { currency: 'JPY' });
+  const rule = rules.createRule({ ...RULE, action: { type: 'change_budget', percent: -50, limit: 3000 } });
+  const r = byId((await rules.runRule(rule.id, { preview: true })).results);
+  assert.deepEqual(r[11].change.params, { daily_budget: '3000' });
+  assert.equal(r[11].change.description, 'daily budget 4000 JPY → 3000 JPY');
+});
+
+test('a dry run records what it would do, then respects the cooldown', async (t) => {
+  stubMeta(t);
+  t.mock.method(spendGuard, 'checkChanges', async () => []);
+  const update = t.mock.method(metaApi, 'updateAdSet', async () => ({ success: true }));
+  const rule = rules.createRule({ ...RULE, dry_run: true });
+
+  const first = await rules.runRule(rule.id);
+  assert.equal(first.would_apply, 2);
+  assert.equal(first.skipped, 2);
+  assert.equal(update.mock.callCount(), 0);
+  assert.deepEqual(rules.ruleHistory(rule.id).map((e) => e.outcome).sort(), ['skipped', 'skipped', 'would_apply', 'would_apply']);
+
+  const second = await rules.runRule(rule.id);
+  assert.equal(second.cooldown, 2);
+  assert.equal(second.would_apply, 0);
+  assert.equal(rules.ruleHistory(rule.id).length, 6);
+});
+
+test('a live run applies through the spend guardrails and the audit log', async (t) => {
+  stubMeta(t);
+  mockMethods(t, spendGuard, {
+    enforce: async ([change]) => {
+      if (change.id === '12') throw Object.assign(new Error('Over the daily cap'), { status: 422 });
+    },
+  });
+  const update = t.mock.method(metaApi, 'updateAdSet', async () => ({ success: true }));
+  const rule = rules.createRule(RULE, { user: 'sam' });
+
+  const run = await rules.runRule(rule.id, { trigger: 'schedule' });
+  assert.equal(run.applied, 1);
+  assert.equal(run.blocked, 1);
+  assert.deepEqual(update.mock.calls.map((c) => c.arguments), [['11', { daily_budget: '4800' }]]);
+  assert.equal(byId(run.matches)[12].message, 'Over the daily cap');
+
+  const [entry] = auditLog.queryLog({ source: 'rule' }).data.filter((e) => e.rule_id === rule.id);
+  assert.equal(entry.actor, 'sam');
+  assert.equal(entry.object_id, '11');
+  assert.deepEqual(entry.after, { daily_budget: '4800' });
+
+  const again = await rules.runRule(rule.id);
+  assert.equal(again.cooldown, 1);
+  assert.equal(again.blocked, 1);
+  assert.equal(update.mock.callCount(), 1);
+});
+
+test('a dry run does not start the cooldown once the rule goes live', async (t) => {
+  stubMeta(t);
+  mockMethods(t, spendGuard, { checkChanges: async () => [], enforce: async () => {} });
+  const update = t.mock.method(metaApi, 'updateAdSet', async () => ({ success: true }));
+  const rule = rules.createRule({ ...RULE, dry_run: true });
+
+  await rules.runRule(rule.id);
+  rules.updateRule(rule.id, { dry_run: false });
+  const live = await rules.runRule(rule.id);
+  assert.equal(live.cooldown, 0);
+  assert.equal(live.applied, 2);
+  assert.equal(update.mock.callCount(), 2);
+});
+
+test('a dry run whose guardrail check fails records the match as blocked', async (t) => {
+  stubMeta(t);
+  t.mock.method(spendGuard, 'checkChanges', async () => { throw new Error('Could not read the ad account'); });
+  const rule = rules.createRule({ ...RULE, dry_run: true });
+
+  const run = await rules.runRule(rule.id);
+  assert.equal(run.blocked, 2);
+  assert.equal(byId(run.matches)[11].message, 'Could not read the ad account');
+  assert.equal(rules.getRule(rule.id).last_run.blocked, 2);
+});
+
+test('an evaluation failure is recorded on the rule as its last run', async (t) => {
+  stubMeta(t);
+  t.mock.method(metaApi, 'getInsightsBatch', async () => { throw new Error('Rate limited'); });
+  const rule = rules.createRule(RULE);
+
+  await assert.rejects(rules.runRule(rule.id), (err) => err.status === 502);
+  assert.equal(rules.getRule(rule.id).last_run.error, 'Rate limited');
+});
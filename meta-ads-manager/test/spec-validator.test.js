@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSpec, specJsonSchema, formatMinor, scheduleDays } = require('../services/spec-validator');
+const { campaignSpec } = require('./helpers');
+
+const NOW = Date.parse('2026-03-01T00:00:00Z');
+
+function validate(spec, options = {}) {
+  return validateSpec(spec, { currency: 'USD', now: NOW, ...options });
+}
+
+function fields(result) {
+  return result.errors.map((e) => e.field);
+}
+
+test('accepts a complete spec', () => {
+  const result = validate(campaignSpec());
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.valid, true);
+  assert.equal(result.currency, 'USD');
+});
+
+test('warns and falls back to USD when the currency is unknown', () => {
+  const result = validate(campaignSpec(), { currency: undefined });
+  assert.equal(result.currency, 'USD');
+  assert.deepEqual(result.warnings.map((w) => w.field), ['currency']);
+});
+
+test('rejects anything but an object', () => {
+  for (const value of [null, [], 'spec']) {
+    assert.deepEqual(fields(validate(value)), ['spec']);
+  }
+});
+
+test('reports missing required fields', () => {
+  const result = validate({ campaign: { objective: 'OUTCOME_SALES' } });
+  assert.deepEqual(fields(result), ['campaign.name', 'ad_sets', 'ads']);
+  assert.ok(result.errors.every((e) => e.message === 'is required'));
+});
+
+test('budgets must be strings of minor units', () => {
+  const result = validate(campaignSpec({ adSet: { daily_budget: 2000 } }));
+  assert.equal(result.errors[0].field, 'ad_sets[0].daily_budget');
+  assert.match(result.errors[0].message, /not a number/);
+});
+
+test('budgets below the minimum for the billing event are rejected', () => {
+  const result = validate(campaignSpec({ adSet: { daily_budget: '400', billing_event: 'LINK_CLICKS' } }));
+  assert.deepEqual(fields(result), ['ad_sets[0].daily_budget']);
+  assert.match(result.errors[0].message, /5\.00 USD for LINK_CLICKS/);
+});
+
+test('lifetime budgets need an end time and cover every day of the schedule', () => {
+  assert.deepEqual(fields(validate(campaignSpec({ adSet: { daily_budget: undefined, lifetime_budget: '100000' } }))), ['ad_sets[0].end_time']);
+
+  const result = validate(campaignSpec({ adSet: { daily_budget: undefined, lifetime_budget: '250', end_time: '2026-03-04T12:00:00Z' } }));
+  assert.deepEqual(fields(result), ['ad_sets[0].lifetime_budget']);
+  assert.match(result.errors[0].message, /3\.00 USD for a 3-day IMPRESSIONS schedule/);
+});
+
+test('minimums are in whole units for zero-decimal currencies', () => {
+  const result = validate(campaignSpec({ adSet: { daily_budget: '100' } }), { currency: 'JPY' });
+  assert.match(result.errors[0].message, /150 JPY/);
+});
+
+test('a campaign budget and an ad set budget cannot both be set', () => {
+  const result = validate(campaignSpec({ campaign: { daily_budget: '5000' } }));
+  assert.deepEqual(fields(result), ['ad_sets[0]']);
+});
+
+test('optimization goals must suit the objective', () => {
+  const result = validate(campaignSpec({ adSet: { optimization_goal: 'APP_INSTALLS' } }));
+  assert.ok(fields(result).includes('ad_sets[0].optimization_goal'));
+});
+
+test('end times must follow start times and not be past', () => {
+  const result = validate(campaignSpec({ adSet: { start_time: '2026-02-20T00:00:00Z', end_time: '2026-02-10T00:00:00Z' } }));
+  assert.deepEqual(fields(result), ['ad_sets[0].end_time', 'ad_sets[0].end_time']);
+  assert.deepEqual(result.warnings.map((w) => w.field), ['ad_sets[0].start_time']);
+});
+
+test('genders accepts whole numbers 1 and 2 only', () => {
+  const targeting = { geo_locations: { countries: ['US'] } };
+  assert.equal(validate(campaignSpec({ adSet: { targeting: { ...targeting, genders: [2] } } })).valid, true);
+
+  const result = validate(campaignSpec({ adSet: { targeting: { ...targeting, genders: [0] } } }));
+  assert.deepEqual(fields(result), ['ad_sets[0].targeting.genders[0]']);
+  assert.match(result.errors[0].message, /omit genders to target everyone/);
+
+  const text = validate(campaignSpec({ adSet: { targeting: { ...targeting, genders: ['1'] } } }));
+  assert.match(text.errors[0].message, /whole number/);
+});
+
+test('specJsonSchema describes genders as whole numbers', () => {
+  const genders = specJsonSchema().properties.ad_sets.items.properties.targeting.properties.genders;
+  assert.equal(genders.items.type, 'integer');
+  assert.deepEqual(genders.items.enum, [1, 2]);
+});
+
+test('ages must be within 13–65 and in order', () => {
+  const result = validate(campaignSpec({ adSet: { targeting: { age_min: 40, age_max: 70, geo_locations: { countries: ['US'] } } } }));
+  assert.deepEqual(fields(result), ['ad_sets[0].targeting.age_max']);
+});
+
+test('interests need numeric IDs from targeting search', () => {
+  const targeting = { geo_locations: { countries: ['US'] }, flexible_spec: [{ interests: [{ id: '6003107902433' }, { name: 'Yoga' }] }] };
+  assert.deepEqual(fields(validate(campaignSpec({ adSet: { targeting } }))), ['ad_sets[0].targeting.flexible_spec[0].interests[1].id']);
+});
+
+test('placeholders replace the type errors they trigger', () => {
+  const result = validate(campaignSpec({
+    ad: { creative: { object_story_spec: { page_id: 'PAGE_ID', link_data: { message: 'Ad copy text', link: 'https://store-url.com/x' } } } },
+  }));
+  const pageErrors = result.errors.filter((e) => e.field === 'ads[0].creative.object_story_spec.page_id');
+  assert.equal(pageErrors.length, 1);
+  assert.match(pageErrors[0].message, /placeholder value "PAGE_ID"/);
+  assert.ok(fields(result).includes('ads[0].creative.object_story_spec.link_data.message'));
+});
+
+test('custom audiences must belong to the account and not be excluded too', () => {
+  const targeting = {
+    geo_locations: { countries: ['US'] },
+    custom_audiences: [{ id: '111' }, { id: '999' }],
+    excluded_custom_audiences: [{ id: '111' }],
+  };
+  const result = validate(campaignSpec({ adSet: { targeting } }), { customAudienceIds: ['111'] });
+  assert.deepEqual(fields(result), [
+    'ad_sets[0].targeting.custom_audiences[1].id',
+    'ad_sets[0].targeting.excluded_custom_audiences[0].id',
+  ]);
+});
+
+test('formatMinor respects zero-decimal currencies', () => {
+  assert.equal(formatMinor(2050, 'USD'), '20.50 USD');
+  assert.equal(formatMinor(2050, 'JPY'), '2050 JPY');
+});
+
+test('scheduleDays rounds partial days up', () => {
+  assert.equal(scheduleDays('2026-03-01T00:00:00Z', '2026-03-03T01:00:00Z'), 3);
+  assert.equal(scheduleDays('2026-03-02T00:00:00Z', '2026-03-01T00:00:00Z'), null);
+  assert.equal(scheduleDays('2026-03-01T00:00:00Z', null), null);
+});
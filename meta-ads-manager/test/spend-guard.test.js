@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metaApi = require('../services/meta-api');
+const spendGuard = require('../services/spend-guard');
+const aiTools = require('../services/ai-tools');
+const campaignsRouter = require('../routes/campaigns');
+const { withEnv, graphMock, mockMethods, listen, requestJson, campaignSpec } = require('./helpers');
+
+const NO_LIMITS = {
+  GUARD_MAX_ADSET_DAILY_BUDGET: undefined,
+  GUARD_MAX_ACCOUNT_DAILY_BUDGET: undefined,
+  GUARD_MAX_BUDGET_INCREASE_PCT: undefined,
+  GUARD_MAX_MONTHLY_SPEND: undefined,
+};
+withEnv(test, NO_LIMITS);
+
+// The fake account runs two campaigns with budgets of 50.00 and 25.00 a day;
+// a third (15.00 a day) is paused
+async function seeded(t) {
+  await graphMock(t);
+  const { data } = await metaApi.listCampaigns('id,name,status,daily_budget', { limit: 10 });
+  return { active: data.find((c) => c.daily_budget === '5000'), paused: data.find((c) => c.status === 'PAUSED') };
+}
+
+test('with no limits set nothing is checked or fetched', async (t) => {
+  const { getAdAccount } = mockMethods(t, metaApi, { getAdAccount: async () => ({ currency: 'USD' }) });
+  assert.deepEqual(await spendGuard.checkChanges([{ action: 'create', type: 'adset', params: { daily_budget: '99999999' } }]), []);
+  assert.equal(getAdAccount.mock.callCount(), 0);
+});
+
+test('invalid limits are reported and stay off', (t) => {
+  withEnv(t, { GUARD_MAX_ADSET_DAILY_BUDGET: 'lots', GUARD_MAX_MONTHLY_SPEND: '-5' });
+  const { values, errors } = spendGuard.limits();
+  assert.equal(values.adset_daily_budget, null);
+  assert.equal(values.monthly_spend, null);
+  assert.equal(errors.length, 2);
+});
+
+test('an ad set over the per-ad-set cap is a violation', async (t) => {
+  const { active } = await seeded(t);
+  withEnv(t, { GUARD_MAX_ADSET_DAILY_BUDGET: '200' });
+
+  const violations = await spendGuard.checkChanges([{ action: 'create', type: 'adset', params: { name: 'Big', campaign_id: active.id, daily_budget: '200000' } }]);
+
+  assert.deepEqual(violations.map((v) => [v.rule, v.limit, v.value]), [['adset_daily_budget', 20000, 200000]]);
+  assert.match(violations[0].message, /Ad set "Big" would spend 2000\.00 USD a day, over the 200\.00 USD limit per ad set/);
+});
+
+test('a budget raise over the allowed percentage is a violation', async (t) => {
+  const { active } = await seeded(t);
+  withEnv(t, { GUARD_MAX_BUDGET_INCREASE_PCT: '50' });
+
+  const violations = await spendGuard.checkChanges([{ action: 'update', type: 'campaign', id: active.id, params: { daily_budget: '10000' } }]);
+  assert.deepEqual(violations.map((v) => [v.rule, v.value]), [['budget_increase_pct', 100]]);
+  assert.deepEqual(await spendGuard.checkChanges([{ action: 'update', type: 'campaign', id: active.id, params: { daily_budget: '7000' } }]), []);
+});
+
+test('activating a campaign that takes the account over its daily cap is a violation', async (t) => {
+  const { paused } = await seeded(t);
+  withEnv(t, { GUARD_MAX_ACCOUNT_DAILY_BUDGET: '80' });
+
+  const [violation] = await spendGuard.checkChanges([{ action: 'update', type: 'campaign', id: paused.id, params: { status: 'ACTIVE' } }]);
+  assert.equal(violation.rule, 'account_daily_budget');
+  assert.equal(violation.value, 9000);
+  assert.match(violation.message, /90\.00 USD a day in total \(now 75\.00 USD\)/);
+});
+
+test('changes that lower spend pass even when the account is over a limit', async (t) => {
+  const { active } = await seeded(t);
+  withEnv(t, { GUARD_MAX_ACCOUNT_DAILY_BUDGET: '10', GUARD_MAX_ADSET_DAILY_BUDGET: '10' });
+
+  assert.deepEqual(await spendGuard.checkChanges([{ action: 'update', type: 'campaign', id: active.id, params: { status: 'PAUSED' } }]), []);
+  assert.deepEqual(await spendGuard.checkChanges([{ action: 'update', type: 'campaign', id: active.id, params: { daily_budget: '4000' } }]), []);
+});
+
+test('projected monthly spend counts spend so far plus running budgets', async (t) => {
+  const { paused } = await seeded(t);
+  mockMethods(t, metaApi, { getAccountInsights: async () => ({ data: [{ spend: '1000.00' }] }) });
+  withEnv(t, { GUARD_MAX_MONTHLY_SPEND: '1000' });
+
+  const [violation] = await spendGuard.checkChanges([{ action: 'update', type: 'campaign', id: paused.id, params: { status: 'ACTIVE' } }]);
+  assert.equal(violation.rule, 'monthly_spend');
+  assert.ok(violation.value > 100000);
+  assert.match(violation.message, /1000\.00 USD so far plus 90\.00 USD a day/);
+});
+
+test('a guarded route refuses with a 422 and the violations, and changes nothing', async (t) => {
+  const { paused } = await seeded(t);
+  withEnv(t, { GUARD_MAX_ACCOUNT_DAILY_BUDGET: '80', ACTIVATION_APPROVAL: 'off' });
+  const update = t.mock.method(metaApi, 'updateCampaign');
+  const base = await listen(t, campaignsRouter);
+
+  const { status, body } = await requestJson(`${base}/${paused.id}/activate`, { method: 'POST' });
+
+  assert.equal(status, 422);
+  assert.match(body.error, /^Blocked by spend guardrails: /);
+  assert.deepEqual(body.violations.map((v) => v.rule), ['account_daily_budget']);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('when the account cannot be read the change is refused with a 503', async (t) => {
+  mockMethods(t, metaApi, { getAdAccount: async () => { throw new Error('token expired'); } });
+  withEnv(t, { GUARD_MAX_ADSET_DAILY_BUDGET: '200' });
+
+  await assert.rejects(
+    spendGuard.enforce([{ action: 'create', type: 'adset', params: { daily_budget: '100' } }]),
+    (err) => err.status === 503 && /nothing was changed: token expired/.test(err.message),
+  );
+});
+
+test('a spec over a limit is refused before anything is created, and a dry run lists why', async (t) => {
+  await seeded(t);
+  withEnv(t, { GUARD_MAX_ADSET_DAILY_BUDGET: '10' });
+  const batch = t.mock.method(metaApi, 'batchRequest');
+  const base = await listen(t, campaignsRouter);
+  const spec = campaignSpec({ campaign: { status: undefined } });
+
+  const planned = await requestJson(`${base}/create-from-spec?dry_run=true`, { method: 'POST', body: spec });
+  assert.deepEqual(planned.body.guardrails.violations.map((v) => v.rule), ['adset_daily_budget']);
+  const plannedBatches = batch.mock.callCount();
+
+  const { status, body } = await requestJson(`${base}/create-from-spec`, { method: 'POST', body: spec });
+  assert.equal(status, 422);
+  assert.equal(body.success, false);
+  assert.equal(body.violations[0].rule, 'adset_daily_budget');
+  assert.equal(batch.mock.callCount(), plannedBatches);
+});
+
+test('the assistant hears why a proposed change is refused', async (t) => {
+  const { active } = await seeded(t);
+  withEnv(t, { GUARD_MAX_BUDGET_INCREASE_PCT: '20' });
+
+  const { result, action } = await aiTools.runTool({ type: 'tool_use', id: 'toolu_1', name: 'update_budget', input: { object_type: 'campaign', id: active.id, daily_budget: '9000', reason: 'Scale' } });
+
+  assert.equal(action, undefined);
+  assert.equal(result.is_error, true);
+  assert.match(result.content, /80% increase; one change may raise a budget by at most 20%/);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const threads = require('../services/threads');
+const claudeAi = require('../services/claude-ai');
+const aiRouter = require('../routes/ai');
+const threadsRouter = require('../routes/threads');
+const { tempDataDir, mockMethods, listen, requestJson, campaignSpec } = require('./helpers');
+
+tempDataDir(test);
+
+const SPEC_REPLY = `Here is a plan:\n\n\`\`\`json\n${JSON.stringify(campaignSpec())}\n\`\`\``;
+
+test('a new thread is titled from its first user message', () => {
+  const thread = threads.createThread({ messages: [{ role: 'user', content: '  Plan a   spring sale for our whole catalogue of linen shirts and dresses  ' }, { role: 'bogus' }] });
+
+  assert.equal(thread.title, 'Plan a spring sale for our whole catalogue of linen shirts…');
+  assert.equal(thread.title_source, 'auto');
+  assert.equal(thread.messages.length, 1);
+  assert.deepEqual(threads.getThread(thread.id), thread);
+});
+
+test('a user-set title is never replaced by a generated one', () => {
+  const auto = threads.createThread({ messages: [{ role: 'user', content: 'Hi' }] });
+  assert.equal(threads.setGeneratedTitle(auto.id, '"Spring sale plan."').title, 'Spring sale plan');
+
+  const named = threads.renameThread(auto.id, 'My launch');
+  assert.equal(named.title_source, 'user');
+  assert.equal(threads.setGeneratedTitle(auto.id, 'Something else').title, 'My launch');
+});
+
+test('the same spec proposed twice keeps its version number', () => {
+  const { id } = threads.createThread();
+  const spec = campaignSpec();
+  assert.equal(threads.addSpec(id, spec), 1);
+  assert.equal(threads.addSpec(id, spec), 1);
+  assert.equal(threads.addSpec(id, campaignSpec({ campaign: { name: 'Summer sale' } })), 2);
+  assert.equal(threads.addSpec(id, spec), 3);
+});
+
+test('search matches every word across messages, specs and campaigns', () => {
+  const thread = threads.createThread({ title: 'Linen launch', messages: [{ role: 'user', content: 'Budget ideas for linen dresses in Canada?' }] });
+  threads.addSpec(thread.id, campaignSpec({ campaign: { name: 'Canada linen' } }));
+  threads.recordCampaign(thread.id, { campaign_id: '120200000000000099', spec_version: '1', name: 'Canada linen' });
+
+  const [hit] = threads.listThreads({ q: 'LINEN canada' });
+  assert.equal(hit.id, thread.id);
+  assert.deepEqual(hit.campaign_ids, ['120200000000000099']);
+  assert.deepEqual(hit.matches, [{ role: 'user', text: 'Budget ideas for linen dresses in Canada?' }]);
+  assert.deepEqual(threads.listThreads({ q: '120200000000000099' }).map((t) => t.id), [thread.id]);
+  assert.deepEqual(threads.listThreads({ q: 'linen mexico' }), []);
+});
+
+test('unknown and malformed thread IDs are 404s', async (t) => {
+  const base = await listen(t, threadsRouter);
+  assert.equal((await requestJson(`${base}/00000000-0000-4000-8000-000000000000`)).status, 404);
+  assert.equal((await requestJson(`${base}/..%2F..%2Fsecrets`)).status, 404);
+  assert.equal((await requestJson(`${base}/not-a-thread`, { method: 'DELETE' })).status, 404);
+});
+
+test('the thread routes rename, append to and delete a thread', async (t) => {
+  const base = await listen(t, threadsRouter);
+  const { body: created } = await requestJson(base, { method: 'POST', body: { messages: [{ role: 'user', content: 'Hello' }] } });
+
+  assert.equal((await requestJson(`${base}/${created.id}`, { method: 'PATCH', body: { title: ' ' } })).status, 400);
+  assert.equal((await requestJson(`${base}/${created.id}`, { method: 'PATCH', body: { title: 'Renamed' } })).body.title, 'Renamed');
+  const appended = await requestJson(`${base}/${created.id}/messages`, { method: 'POST', body: { messages: [{ role: 'assistant', content: 'Confirmed: paused.' }, { role: 'user', content: '  ' }] } });
+  assert.deepEqual(appended.body, { id: created.id, message_count: 2 });
+
+  assert.deepEqual((await requestJson(`${base}/${created.id}`, { method: 'DELETE' })).body, { success: true });
+  assert.equal((await requestJson(`${base}/${created.id}`)).status, 404);
+});
+
+test('chatting with a message saves both turns, the spec and a title', async (t) => {
+  const { chat, generateTitle } = mockMethods(t, claudeAi, {
+    chat: async () => ({ content: SPEC_REPLY, usage: {}, tool_calls: [], pending_actions: [] }),
+    generateTitle: async () => 'Spring sale plan',
+  });
+  const base = await listen(t, aiRouter);
+
+  const { status, body } = await requestJson(`${base}/chat`, { method: 'POST', body: { message: 'Plan a spring sale' } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.thread.title, 'Spring sale plan');
+  assert.equal(body.thread.spec_version, 1);
+
+  await requestJson(`${base}/chat`, { method: 'POST', body: { threadId: body.thread.id, message: 'Looks good' } });
+  assert.deepEqual(chat.mock.calls[1].arguments[0].map((m) => m.role), ['user', 'assistant', 'user']);
+  assert.equal(generateTitle.mock.callCount(), 1);
+
+  const saved = threads.getThread(body.thread.id);
+  assert.deepEqual(saved.messages.map((m) => [m.role, m.spec_version]), [['user', undefined], ['assistant', 1], ['user', undefined], ['assistant', 1]]);
+  assert.equal(saved.specs.length, 1);
+});
+
+test('a failed reply takes the message back off the thread', async (t) => {
+  mockMethods(t, claudeAi, { chat: async () => { throw new Error('overloaded'); } });
+  const base = await listen(t, aiRouter);
+  const existing = threads.createThread({ messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] });
+  const before = threads.listThreads().length;
+
+  const { status, body } = await requestJson(`${base}/chat`, { method: 'POST', body: { threadId: existing.id, message: 'Plan a sale' } });
+  assert.equal(status, 500);
+  assert.equal(body.error, 'overloaded');
+  assert.deepEqual(threads.getThread(existing.id).messages, existing.messages);
+
+  await requestJson(`${base}/chat`, { method: 'POST', body: { message: 'Plan a sale' } });
+  assert.equal(threads.listThreads().length, before);
+});
+
+test('a failed stream takes the message back off the thread', async (t) => {
+  mockMethods(t, claudeAi, { chatStream: async () => { throw new Error('overloaded'); } });
+  const base = await listen(t, aiRouter);
+  const existing = threads.createThread({ messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] });
+  const before = threads.listThreads().length;
+  const stream = (body) => fetch(`${base}/chat/stream`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }).then((r) => r.text());
+
+  assert.match(await stream({ threadId: existing.id, message: 'Plan a sale' }), /event: error\ndata: {"error":"overloaded"}/);
+  assert.deepEqual(threads.getThread(existing.id).messages, existing.messages);
+
+  await stream({ message: 'Plan a sale' });
+  assert.equal(threads.listThreads().length, before);
+});
+
+test('a chat message must be a non-empty string', async (t) => {
+  const base = await listen(t, aiRouter);
+  const { status, body } = await requestJson(`${base}/chat`, { method: 'POST', body: { message: '  ' } });
+  assert.equal(status, 400);
+  assert.equal(body.error, 'message is required');
+});
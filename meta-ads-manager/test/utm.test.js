@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_TEMPLATE, utmTemplate, validateTemplate, creativeLinks, checkCreative, tagCreative } = require('../services/utm');
+const campaignsRouter = require('../routes/campaigns');
+const { withEnv, graphMock, listen, requestJson, campaignSpec } = require('./helpers');
+
+function creative(link, extra = {}) {
+  return { name: 'Hero', object_story_spec: { page_id: '1', link_data: { message: 'Hi', link } }, ...extra };
+}
+
+test('utmTemplate defaults, overrides and turns off from the env', (t) => {
+  withEnv(t, { UTM_TEMPLATE: undefined });
+  assert.equal(utmTemplate(), DEFAULT_TEMPLATE);
+  process.env.UTM_TEMPLATE = ' utm_source=fb ';
+  assert.equal(utmTemplate(), 'utm_source=fb');
+  process.env.UTM_TEMPLATE = 'Off';
+  assert.equal(utmTemplate(), null);
+});
+
+test('the default template is valid', () => {
+  assert.deepEqual(validateTemplate(DEFAULT_TEMPLATE), []);
+});
+
+test('validateTemplate flags bad names, repeats, empty values and unknown macros', () => {
+  const errors = validateTemplate('utm_source=fb&utm_source=ig&utm medium=x&utm_term=&utm_content={{ad.title}}&utm_id={campaign.id}');
+  assert.deepEqual(errors, [
+    'utm_source is set more than once',
+    '"utm medium" is not a valid parameter name',
+    'utm_term has no value',
+    `utm_content uses unknown parameter {{ad.title}} (use ${['campaign.id', 'campaign.name', 'adset.id', 'adset.name', 'ad.id', 'ad.name', 'placement', 'site_source_name'].map((m) => `{{${m}}}`).join(', ')})`,
+    'utm_id has a single-brace placeholder; Meta parameters use {{double braces}}',
+  ]);
+  assert.deepEqual(validateTemplate('utm_medium=paid'), ['utm_source is required']);
+});
+
+test('creativeLinks finds every destination URL', () => {
+  const links = creativeLinks({
+    link_data: {
+      link: 'https://a.example',
+      call_to_action: { value: { link: 'https://b.example' } },
+      child_attachments: [{ link: 'https://c.example' }, {}],
+    },
+  });
+  assert.deepEqual(links.map((l) => l.field), [
+    'object_story_spec.link_data.link',
+    'object_story_spec.link_data.call_to_action.value.link',
+    'object_story_spec.link_data.child_attachments[0].link',
+  ]);
+  assert.deepEqual(creativeLinks({ video_data: { call_to_action: { value: { link: 'https://v.example' } } } }, 'x'), [
+    { field: 'x.video_data.call_to_action.value.link', url: 'https://v.example' },
+  ]);
+});
+
+test('checkCreative keeps UTMs a link already sets and reports conflicts', () => {
+  const { add, issues } = checkCreative(creative('https://shop.example/?utm_source=facebook&utm_campaign=spring+sale'), 'utm_source=facebook&utm_campaign={{campaign.name}}&utm_medium=paid');
+  assert.deepEqual(add, [['utm_medium', 'paid']]);
+  assert.deepEqual(issues.map((i) => [i.key, i.type]), [['utm_campaign', 'conflict']]);
+});
+
+test('checkCreative reports empty, duplicate and inconsistent UTMs', () => {
+  const params = {
+    object_story_spec: {
+      link_data: {
+        link: 'https://shop.example/?utm_medium=ad&utm_medium=post&utm_term=&utm_source=fb',
+        call_to_action: { value: { link: 'https://shop.example/?utm_source=facebook' } },
+      },
+    },
+  };
+  const types = checkCreative(params, null).issues.map((i) => i.type);
+  assert.deepEqual(types, ['duplicate', 'inconsistent', 'empty', 'inconsistent']);
+});
+
+test('tagCreative appends the template to url_tags without encoding macros', () => {
+  const { params, url_tags: tags, issues } = tagCreative(creative('https://shop.example/', { url_tags: 'ref=ads' }), 'utm_source=facebook&utm_content={{ad.id}}');
+  assert.equal(tags, 'ref=ads&utm_source=facebook&utm_content={{ad.id}}');
+  assert.equal(params.url_tags, tags);
+  assert.deepEqual(issues, []);
+});
+
+test('tagCreative leaves params alone when tagging is off', () => {
+  const params = creative('https://shop.example/');
+  assert.deepEqual(tagCreative(params, null), { params, issues: [], url_tags: null });
+});
+
+test('a creative created through the routes carries the template once', async (t) => {
+  const graph = await graphMock(t);
+  withEnv(t, { UTM_TEMPLATE: 'utm_source=facebook&utm_content={{ad.id}}' });
+  const base = await listen(t, campaignsRouter);
+
+  const { status, body } = await requestJson(`${base}/creatives`, { method: 'POST', body: creative('https://shop.example/', { url_tags: 'ref=ads' }) });
+  assert.equal(status, 200);
+  assert.equal(body.utm.url_tags, 'ref=ads&utm_source=facebook&utm_content={{ad.id}}');
+  const state = (await requestJson(`${graph}/__mock/state`)).body;
+  assert.equal(state.creatives.find((c) => c.id === body.id).url_tags, body.utm.url_tags);
+
+  const plan = await requestJson(`${base}/create-from-spec?dry_run=true`, { method: 'POST', body: campaignSpec() });
+  assert.equal(plan.body.calls[2].body.url_tags, 'utm_source=facebook&utm_content={{ad.id}}');
+});